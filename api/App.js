@@ -0,0 +1,56 @@
+import express from "express";
+import { PacienteRouter } from "./PacienteRouter.js";
+import { ConsultaRouter } from "./ConsultaRouter.js";
+import { ProfissionalRouter } from "./ProfissionalRouter.js";
+import { AuditoriaRouter } from "./AuditoriaRouter.js";
+import { ProcedimentoRouter } from "./ProcedimentoRouter.js";
+import { SessaoRouter, tokenRequisicao } from "./SessaoRouter.js";
+import OperadorController from "../controllers/OperadorController.js";
+import { Fila } from "../utils/Fila.js";
+import Sessao from "../utils/Sessao.js";
+import { ErrorCodes } from "../utils/Error.js";
+import { responder, rota } from "./Respostas.js";
+
+/**
+ * Cria a aplicação express da API REST, que expõe os mesmos controladores usados pela interface de terminal.
+ * 
+ * @returns {import("express").Express}
+ */
+export function criarApp(){
+    const app = express();
+    const fila = new Fila();
+
+    app.use(express.json());
+
+    app.use("/sessao", SessaoRouter());
+
+    // As demais rotas exigem o token de um operador ativo, e cada requisição roda em nome dele e com o seu papel
+    app.use(rota(async (req, res, next) => {
+        const operador = await OperadorController.getOperadorToken(tokenRequisicao(req));
+        if(!operador)
+            return responder(res, {success: false, error: ErrorCodes.ERR_NAO_AUTENTICADO});
+
+        Sessao.executarComo(operador.login, next, operador.papel);
+    }));
+
+    app.use("/pacientes", PacienteRouter(fila));
+    app.use("/consultas", ConsultaRouter(fila));
+    app.use("/profissionais", ProfissionalRouter(fila));
+    app.use("/procedimentos", ProcedimentoRouter(fila));
+    app.use("/auditoria", AuditoriaRouter());
+
+    // Rotas inexistentes
+    app.use((req, res) => {
+        res.status(404).json({success: false, error: ErrorCodes.ERR_ROTA_INEXISTENTE});
+    });
+
+    // Tratamento de erros: JSON mal formado e erros inesperados
+    app.use((error, req, res, next) => {
+        if(error.type === "entity.parse.failed")
+            return responder(res, {success: false, error: ErrorCodes.ERR_REQUISICAO_INVALIDA});
+
+        res.status(500).json({success: false, error: ErrorCodes.ERR_BD_DESCONHECIDO});
+    });
+
+    return app;
+}
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import AuditoriaController from "../controllers/AuditoriaController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import { Permissao } from "../models/Operador.js";
+import { responder, rota, exigir } from "./Respostas.js";
+
+/**
+ * Cria as rotas de `/auditoria`, apenas para consulta.
+ * 
+ * @returns {Router}
+ */
+export function AuditoriaRouter(){
+    const router = Router();
+
+    // GET /auditoria[?cpf=][&inicio=dd/MM/yyyy][&fim=dd/MM/yyyy]
+    router.get("/", exigir(Permissao.CONSULTAR_AUDITORIA), rota(async (req, res) => {
+        const cpf = req.query.cpf ?? null;
+        const inicio = req.query.inicio ?? null;
+        const fim = req.query.fim ?? null;
+
+        const validacoes = [
+            cpf === null ? {success: true} : AuditoriaController.validaCpf(String(cpf)),
+            inicio === null ? {success: true} : ConsultaController.validaData(String(inicio)),
+            fim === null ? {success: true} : ConsultaController.validaData(String(fim), inicio),
+        ];
+
+        const erro = validacoes.find((validacao) => !validacao.success);
+        if(erro)
+            return responder(res, erro);
+
+        const registros = await AuditoriaController.getRegistros({cpf, data_inicial: inicio, data_final: fim});
+        responder(res, {success: true, registros});
+    }));
+
+    return router;
+}
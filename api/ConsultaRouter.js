@@ -0,0 +1,141 @@
+import { Router } from "express";
+import ConsultaController from "../controllers/ConsultaController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import FinanceiroController from "../controllers/FinanceiroController.js";
+import RelatorioController from "../controllers/RelatorioController.js";
+import { StatusConsulta } from "../models/Consulta.js";
+import { Permissao } from "../models/Operador.js";
+import { responder, rota, exigir } from "./Respostas.js";
+
+/**
+ * Cria as rotas de `/consultas`.
+ * 
+ * @param {import("../utils/Fila.js").Fila} fila - Fila usada para serializar operações que usam os builders dos controladores
+ * @returns {Router}
+ */
+export function ConsultaRouter(fila){
+    const router = Router();
+
+    // GET /consultas ou GET /consultas?inicio=dd/MM/yyyy&fim=dd/MM/yyyy, ambos aceitando &profissional=id
+    router.get("/", rota(async (req, res) => {
+        const { inicio, fim } = req.query;
+        const profissional = req.query.profissional ?? null;
+
+        if(profissional !== null){
+            const validacao_profissional = await ProfissionalController.validaProfissional(profissional);
+            if(!validacao_profissional.success)
+                return responder(res, validacao_profissional);
+        }
+
+        if(inicio === undefined && fim === undefined)
+            return responder(res, {success: true, consultas: await ConsultaController.getConsultas(profissional)});
+
+        const validacao_inicio = ConsultaController.validaData(String(inicio ?? ""));
+        if(!validacao_inicio.success)
+            return responder(res, validacao_inicio);
+
+        const validacao_fim = ConsultaController.validaData(String(fim ?? ""), inicio);
+        if(!validacao_fim.success)
+            return responder(res, validacao_fim);
+
+        responder(res, {success: true, consultas: await ConsultaController.getConsultasPeriodo(inicio, fim, profissional)});
+    }));
+
+    // GET /consultas/livres?profissional=id&duracao=minutos[&inicio=dd/MM/yyyy&fim=dd/MM/yyyy]
+    router.get("/livres", rota(async (req, res) => {
+        const resultado = await ConsultaController.getHorariosLivres({
+            duracao:            String(req.query.duracao ?? ""),
+            id_profissional:    req.query.profissional,
+            data_inicial:       req.query.inicio ?? null,
+            data_final:         req.query.fim ?? null,
+        });
+        responder(res, resultado);
+    }));
+
+    // GET /consultas/relatorio?inicio=dd/MM/yyyy&fim=dd/MM/yyyy[&profissional=id][&formato=csv]
+    router.get("/relatorio", exigir(Permissao.CONSULTAR_RELATORIOS), rota(async (req, res) => {
+        const resultado = await RelatorioController.gerarRelatorio(String(req.query.inicio ?? ""), String(req.query.fim ?? ""), req.query.profissional ?? null);
+
+        if(resultado.success && req.query.formato === "csv")
+            return res.type("text/csv").send(RelatorioController.exportarRelatorioCSV(resultado.relatorio));
+
+        responder(res, resultado);
+    }));
+
+    // POST /consultas {cpf, id_profissional, data_consulta, hora_inicial, hora_final}
+    router.post("/", exigir(Permissao.AGENDAR_CONSULTA), rota(async (req, res) => {
+        const resultado = await fila.executar(() => ConsultaController.agendarConsulta(req.body));
+        responder(res, resultado, 201);
+    }));
+
+    // PUT /consultas?cpf=&data_consulta=dd/MM/yyyy&hora_inicial=HHmm {id_profissional?, data_consulta, hora_inicial, hora_final}
+    router.put("/", exigir(Permissao.AGENDAR_CONSULTA), rota(async (req, res) => {
+        const atual = {
+            cpf:            String(req.query.cpf ?? ""),
+            data_consulta:  String(req.query.data_consulta ?? ""),
+            hora_inicial:   String(req.query.hora_inicial ?? ""),
+        };
+
+        const resultado = await fila.executar(() => ConsultaController.remarcarConsulta(atual, req.body ?? {}));
+        responder(res, resultado);
+    }));
+
+    // PATCH /consultas/status?cpf=&data_consulta=dd/MM/yyyy&hora_inicial=HHmm {status}
+    // O comparecimento tem permissão própria, como no menu da agenda
+    router.patch("/status", exigir((req) => [StatusConsulta.REALIZADA, StatusConsulta.FALTOU].includes(req.body?.status)
+        ? Permissao.REGISTRAR_COMPARECIMENTO
+        : Permissao.AGENDAR_CONSULTA), rota(async (req, res) => {
+        const cpf           = String(req.query.cpf ?? "");
+        const data_consulta = String(req.query.data_consulta ?? "");
+        const hora_inicial  = String(req.query.hora_inicial ?? "");
+
+        const resultado = await fila.executar(() => ConsultaController.alterarStatus(cpf, data_consulta, hora_inicial, req.body?.status));
+        responder(res, resultado);
+    }));
+
+    // POST /consultas/cobrancas?cpf=&data_consulta=dd/MM/yyyy&hora_inicial=HHmm {id_procedimento}
+    router.post("/cobrancas", exigir(Permissao.LANCAR_COBRANCA), rota(async (req, res) => {
+        const cpf           = String(req.query.cpf ?? "");
+        const data_consulta = String(req.query.data_consulta ?? "");
+        const hora_inicial  = String(req.query.hora_inicial ?? "");
+
+        const resultado = await fila.executar(() => FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, req.body?.id_procedimento));
+        responder(res, resultado, 201);
+    }));
+
+    // DELETE /consultas/cobrancas/:id
+    router.delete("/cobrancas/:id", exigir(Permissao.LANCAR_COBRANCA), rota(async (req, res) => {
+        const resultado = await fila.executar(() => FinanceiroController.removeCobranca(req.params.id));
+        responder(res, resultado);
+    }));
+
+    // POST /consultas/pagamentos?cpf=&data_consulta=dd/MM/yyyy&hora_inicial=HHmm {valor, forma, parcelas?}
+    router.post("/pagamentos", exigir(Permissao.REGISTRAR_PAGAMENTO), rota(async (req, res) => {
+        const cpf           = String(req.query.cpf ?? "");
+        const data_consulta = String(req.query.data_consulta ?? "");
+        const hora_inicial  = String(req.query.hora_inicial ?? "");
+
+        const resultado = await fila.executar(() => FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, req.body ?? {}));
+        responder(res, resultado, 201);
+    }));
+
+    // DELETE /consultas?cpf=&data_consulta=dd/MM/yyyy&hora_inicial=HHmm
+    router.delete("/", exigir(Permissao.AGENDAR_CONSULTA), rota(async (req, res) => {
+        const cpf           = String(req.query.cpf ?? "");
+        const data_consulta = String(req.query.data_consulta ?? "");
+        const hora_inicial  = String(req.query.hora_inicial ?? "");
+
+        const validacao_data = ConsultaController.validaData(data_consulta);
+        if(!validacao_data.success)
+            return responder(res, validacao_data);
+
+        const validacao_hora = ConsultaController.validaHoraInicial(hora_inicial);
+        if(!validacao_hora.success)
+            return responder(res, validacao_hora);
+
+        const resultado = await fila.executar(() => ConsultaController.removeConsulta(cpf, data_consulta, hora_inicial));
+        responder(res, resultado);
+    }));
+
+    return router;
+}
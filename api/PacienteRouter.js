@@ -0,0 +1,96 @@
+import { Router } from "express";
+import PacienteController from "../controllers/PacienteController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import OdontogramaController from "../controllers/OdontogramaController.js";
+import FinanceiroController from "../controllers/FinanceiroController.js";
+import { ErrorCodes } from "../utils/Error.js";
+import { Permissao } from "../models/Operador.js";
+import { responder, rota, exigir } from "./Respostas.js";
+
+/**
+ * Cria as rotas de `/pacientes`.
+ * 
+ * @param {import("../utils/Fila.js").Fila} fila - Fila usada para serializar operações que usam os builders dos controladores
+ * @returns {Router}
+ */
+export function PacienteRouter(fila){
+    const router = Router();
+
+    // GET /pacientes?ordem=cpf|nome[&busca=nome ou início do CPF][&limite=n&deslocamento=n]
+    router.get("/", rota(async (req, res) => {
+        const ordem = req.query.ordem === "nome" ? "nome" : "cpf";
+        const busca = String(req.query.busca ?? "");
+        const limite = req.query.limite === undefined ? null : Number(req.query.limite);
+        const deslocamento = req.query.deslocamento === undefined ? 0 : Number(req.query.deslocamento);
+
+        if((limite !== null && !(Number.isInteger(limite) && limite > 0)) || !(Number.isInteger(deslocamento) && deslocamento >= 0))
+            return responder(res, {success: false, error: ErrorCodes.ERR_REQUISICAO_INVALIDA});
+
+        const pacientes = await PacienteController.getPacientes(ordem, {busca, limite, deslocamento});
+        responder(res, {success: true, total: await PacienteController.contarPacientes(busca), pacientes});
+    }));
+
+    // GET /pacientes/:cpf
+    router.get("/:cpf", rota(async (req, res) => {
+        const paciente = await PacienteController.getPaciente(req.params.cpf);
+        if(!paciente)
+            return responder(res, {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO});
+
+        const agendamentos = await ConsultaController.getAgendamentosFuturos(paciente.cpf);
+        responder(res, {success: true, paciente, consultas: agendamentos.consultas ?? []});
+    }));
+
+    // GET /pacientes/:cpf/odontograma
+    router.get("/:cpf/odontograma", exigir(Permissao.CONSULTAR_PRONTUARIO), rota(async (req, res) => {
+        const paciente = await PacienteController.getPaciente(req.params.cpf);
+        if(!paciente)
+            return responder(res, {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO});
+
+        responder(res, {success: true, dentes: await OdontogramaController.getOdontograma(paciente.cpf)});
+    }));
+
+    // GET /pacientes/:cpf/odontograma/:dente
+    router.get("/:cpf/odontograma/:dente", exigir(Permissao.CONSULTAR_PRONTUARIO), rota(async (req, res) => {
+        const paciente = await PacienteController.getPaciente(req.params.cpf);
+        if(!paciente)
+            return responder(res, {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO});
+
+        const validacao = OdontogramaController.validaDente(req.params.dente);
+        if(!validacao.success)
+            return responder(res, validacao);
+
+        responder(res, {success: true, alteracoes: await OdontogramaController.getHistoricoDente(paciente.cpf, req.params.dente)});
+    }));
+
+    // PUT /pacientes/:cpf/odontograma/:dente {data_consulta, hora_inicial, estado, observacao?}
+    router.put("/:cpf/odontograma/:dente", exigir(Permissao.REGISTRAR_ATENDIMENTO), rota(async (req, res) => {
+        const { data_consulta, hora_inicial, estado, observacao } = req.body ?? {};
+        const resultado = await OdontogramaController.registrarDente(req.params.cpf, data_consulta, hora_inicial, {dente: req.params.dente, estado, observacao});
+        responder(res, resultado);
+    }));
+
+    // GET /pacientes/:cpf/financeiro
+    router.get("/:cpf/financeiro", exigir(Permissao.REGISTRAR_PAGAMENTO), rota(async (req, res) => {
+        responder(res, await FinanceiroController.getExtrato(req.params.cpf));
+    }));
+
+    // POST /pacientes {cpf, nome, data_nasc}
+    router.post("/", exigir(Permissao.CADASTRAR_PACIENTE), rota(async (req, res) => {
+        const resultado = await fila.executar(() => PacienteController.cadastrarPaciente(req.body));
+        responder(res, resultado, 201);
+    }));
+
+    // PUT /pacientes/:cpf {nome?, data_nasc?}
+    router.put("/:cpf", exigir(Permissao.CADASTRAR_PACIENTE), rota(async (req, res) => {
+        const resultado = await fila.executar(() => PacienteController.atualizarPaciente(req.params.cpf, req.body ?? {}));
+        responder(res, resultado);
+    }));
+
+    // DELETE /pacientes/:cpf
+    router.delete("/:cpf", exigir(Permissao.EXCLUIR_PACIENTE), rota(async (req, res) => {
+        const resultado = await fila.executar(() => PacienteController.removePaciente(req.params.cpf));
+        responder(res, resultado);
+    }));
+
+    return router;
+}
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import ProcedimentoController from "../controllers/ProcedimentoController.js";
+import { Permissao } from "../models/Operador.js";
+import { responder, rota, exigir } from "./Respostas.js";
+
+/**
+ * Cria as rotas de `/procedimentos`, a tabela de preços da clínica.
+ * 
+ * @param {import("../utils/Fila.js").Fila} fila - Fila usada para serializar operações de escrita
+ * @returns {Router}
+ */
+export function ProcedimentoRouter(fila){
+    const router = Router();
+
+    // GET /procedimentos[?inativos=1]
+    router.get("/", rota(async (req, res) => {
+        const incluir_inativos = req.query.inativos !== undefined;
+        responder(res, {success: true, procedimentos: await ProcedimentoController.getProcedimentos({incluir_inativos})});
+    }));
+
+    // POST /procedimentos {nome, preco}
+    router.post("/", exigir(Permissao.CADASTRAR_PROCEDIMENTO), rota(async (req, res) => {
+        const resultado = await fila.executar(() => ProcedimentoController.addProcedimento(req.body?.nome, req.body?.preco));
+        responder(res, resultado, 201);
+    }));
+
+    // PUT /procedimentos/:id {nome?, preco?, ativo?}
+    router.put("/:id", exigir(Permissao.CADASTRAR_PROCEDIMENTO), rota(async (req, res) => {
+        const resultado = await fila.executar(() => ProcedimentoController.alterarProcedimento(req.params.id, req.body ?? {}));
+        responder(res, resultado);
+    }));
+
+    return router;
+}
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import { Permissao } from "../models/Operador.js";
+import { responder, rota, exigir } from "./Respostas.js";
+
+/**
+ * Cria as rotas de `/profissionais`.
+ * 
+ * @param {import("../utils/Fila.js").Fila} fila - Fila usada para serializar operações de escrita
+ * @returns {Router}
+ */
+export function ProfissionalRouter(fila){
+    const router = Router();
+
+    // GET /profissionais
+    router.get("/", rota(async (req, res) => {
+        responder(res, {success: true, profissionais: await ProfissionalController.getProfissionais()});
+    }));
+
+    // POST /profissionais {nome}
+    router.post("/", exigir(Permissao.CADASTRAR_PROFISSIONAL), rota(async (req, res) => {
+        const resultado = await fila.executar(() => ProfissionalController.addProfissional(String(req.body?.nome ?? "")));
+        responder(res, resultado, 201);
+    }));
+
+    return router;
+}
@@ -0,0 +1,89 @@
+import OperadorController from "../controllers/OperadorController.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+/**
+ * Códigos HTTP para os erros que não são simples falhas de validação (400).
+ */
+const ErrorToStatus = {
+    [ErrorCodes.ERR_NAO_AUTENTICADO]:           401,
+    [ErrorCodes.ERR_CREDENCIAIS_INVALIDAS]:     401,
+
+    [ErrorCodes.ERR_PERMISSAO_NEGADA]:          403,
+
+    [ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO]:   404,
+    [ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA]:   404,
+    [ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO]: 404,
+    [ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO]: 404,
+    [ErrorCodes.ERR_COBRANCA_NAO_ENCONTRADA]:   404,
+
+    [ErrorCodes.ERR_CPF_DUPLICADO]:             409,
+    [ErrorCodes.ERR_NOME_DUPLICADO]:            409,
+    [ErrorCodes.ERR_PACIENTE_AGENDADO]:         409,
+    [ErrorCodes.ERR_CONSULTA_SOBREPOSTA]:       409,
+    [ErrorCodes.ERR_CONSULTA_DUPLA]:            409,
+    [ErrorCodes.ERR_STATUS_INVALIDO]:           409,
+    [ErrorCodes.ERR_PROFISSIONAL_DUPLICADO]:    409,
+    [ErrorCodes.ERR_PRONTUARIO_BLOQUEADO]:      409,
+    [ErrorCodes.ERR_PROCEDIMENTO_DUPLICADO]:    409,
+    [ErrorCodes.ERR_COBRANCA_PAGA]:             409,
+    [ErrorCodes.ERR_PAGAMENTO_EXCEDE_SALDO]:    409,
+    [ErrorCodes.ERR_PACIENTE_COM_SALDO]:        409,
+
+    [ErrorCodes.ERR_BD_LOGIN_INVALIDO]:         503,
+    [ErrorCodes.ERR_BD_HOST_INVALIDO]:          503,
+    [ErrorCodes.ERR_BD_INEXISTENTE]:            503,
+    [ErrorCodes.ERR_BD_FALHA_CONEXAO]:          503,
+    [ErrorCodes.ERR_BD_DESCONHECIDO]:           500,
+};
+
+/**
+ * Retorna o status HTTP correspondente a um código de erro da aplicação.
+ * 
+ * @param {number} erro - Código de erro de `ErrorCodes`
+ * @returns {number} - Status HTTP
+ */
+export function statusHttp(erro){
+    return ErrorToStatus[erro] ?? 400;
+}
+
+/**
+ * Envia a resposta de uma operação dos controladores no formato JSON.
+ * 
+ * @param {import("express").Response} res - Resposta do express
+ * @param {{success: boolean, error?: number}} resultado - Resultado retornado pelo controlador
+ * @param {number} [status=200] - Status HTTP em caso de sucesso
+ */
+export function responder(res, resultado, status = 200){
+    if(!resultado.success)
+        return res.status(statusHttp(resultado.error)).json({success: false, error: resultado.error});
+
+    return res.status(status).json(resultado);
+}
+
+/**
+ * Adapta um handler assíncrono para que erros lançados cheguem ao tratador de erros do express.
+ * 
+ * @param {function} handler - Handler assíncrono da rota
+ * @returns {function} - Handler compatível com o express
+ */
+export function rota(handler){
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/**
+ * Middleware que só deixa a requisição seguir se o papel do operador tiver a permissão,
+ * as mesmas exigidas pelas opções dos menus e pelos comandos da linha de comando.
+ * 
+ * @param {string|function(import("express").Request): string} permissao - Um dos valores de `Permissao`,
+ * ou uma função que a escolhe pela requisição
+ * @returns {function} - Middleware do express
+ */
+export function exigir(permissao){
+    return (req, res, next) => {
+        const exigida = (typeof permissao === "function") ? permissao(req) : permissao;
+        if(!OperadorController.temPermissao(exigida))
+            return responder(res, {success: false, error: ErrorCodes.ERR_PERMISSAO_NEGADA});
+
+        next();
+    };
+}
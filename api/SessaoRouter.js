@@ -0,0 +1,40 @@
+import { Router } from "express";
+import OperadorController from "../controllers/OperadorController.js";
+import { responder, rota } from "./Respostas.js";
+
+/**
+ * Lê o token de acesso do cabeçalho `Authorization: Bearer <token>`.
+ * 
+ * @param {import("express").Request} req - Requisição do express
+ * @returns {string|null} - O token, ou nulo se o cabeçalho não existir ou estiver em outro formato
+ */
+export function tokenRequisicao(req){
+    const [tipo, token] = (req.get("Authorization") ?? "").split(" ");
+    return (tipo === "Bearer" && token) ? token : null;
+}
+
+/**
+ * Cria as rotas de `/sessao`, que fazem o login dos operadores na API.
+ * 
+ * @returns {Router}
+ */
+export function SessaoRouter(){
+    const router = Router();
+
+    // POST /sessao {login, senha}
+    router.post("/", rota(async (req, res) => {
+        const resultado = await OperadorController.gerarToken(String(req.body?.login ?? ""), String(req.body?.senha ?? ""));
+        if(!resultado.success)
+            return responder(res, resultado);
+
+        responder(res, {success: true, token: resultado.token, operador: resultado.operador}, 201);
+    }));
+
+    // DELETE /sessao
+    router.delete("/", rota(async (req, res) => {
+        OperadorController.revogarToken(tokenRequisicao(req));
+        responder(res, {success: true});
+    }));
+
+    return router;
+}
@@ -0,0 +1,181 @@
+import { parseArgs } from "util";
+import Database from "../db/Database.js";
+import Migrador from "../db/Migrador.js";
+import { PacienteComandos } from "./PacienteComandos.js";
+import { ConsultaComandos, AgendaComando, RelatorioComando } from "./ConsultaComandos.js";
+import { LembreteComandos } from "./LembreteComandos.js";
+import { CodigoSaida, responder } from "./Saida.js";
+import OperadorController from "../controllers/OperadorController.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+import Sessao from "../utils/Sessao.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Comandos disponíveis, pelo primeiro argumento. Grupos com subcomandos usam o segundo argumento para escolher o comando.
+ * Um comando com `permissao` só é executado se o papel do operador tiver essa permissão, como nos menus.
+ */
+const Comandos = {
+    paciente:   PacienteComandos,
+    consulta:   ConsultaComandos,
+    agenda:     AgendaComando,
+    relatorio:  RelatorioComando,
+    lembretes:  LembreteComandos,
+};
+
+/**
+ * Argumentos que exibem a ajuda
+ */
+const ARGUMENTOS_AJUDA = ["ajuda", "help", "--help", "-h"];
+
+/**
+ * Retorna o texto de ajuda, com o uso de todos os comandos.
+ *
+ * @returns {string}
+ */
+export function ajuda(){
+    const usos = Object.values(Comandos).flatMap((grupo) => grupo.executar ? [grupo.uso] : Object.values(grupo).map((comando) => comando.uso));
+    return `${Idioma.texto("cli.uso")}\n\n${Idioma.texto("cli.comandos")}\n` + usos.map((uso) => `  ${uso}`).join("\n");
+}
+
+/**
+ * Localiza o comando indicado pelos primeiros argumentos.
+ *
+ * @param {string[]} argumentos - Argumentos da linha de comando
+ * @returns {{comando: Object|null, nome: string, opcoes: string[]}} - O comando, ou nulo se não existir, o nome digitado e os argumentos restantes
+ */
+function localizarComando(argumentos){
+    const [primeiro, segundo] = argumentos;
+    const grupo = Object.hasOwn(Comandos, primeiro) ? Comandos[primeiro] : null;
+
+    if(grupo?.executar)
+        return {comando: grupo, nome: primeiro, opcoes: argumentos.slice(1)};
+
+    const comando = (grupo && Object.hasOwn(grupo, segundo)) ? grupo[segundo] : null;
+    return {comando, nome: argumentos.slice(0, 2).join(" "), opcoes: argumentos.slice(2)};
+}
+
+/**
+ * Monta a saída de um erro de uso, como comando desconhecido ou opção inválida.
+ *
+ * @param {string} mensagem - Descrição do erro
+ * @param {boolean} json - Se a saída deve ser em JSON
+ * @param {string} uso - Uso correto, exibido após a mensagem no modo texto
+ * @returns {{codigo: number, saida: string, erro: string}}
+ */
+function erroUso(mensagem, json, uso){
+    if(json)
+        return {codigo: CodigoSaida.USO, saida: JSON.stringify({success: false, error: ErrorCodes.ERR_REQUISICAO_INVALIDA, mensagem}, null, 2), erro: ""};
+
+    return {codigo: CodigoSaida.USO, saida: "", erro: `${mensagem}\n\n${uso}`};
+}
+
+/**
+ * Senha do operador da linha de comando, lida da variável `OPERADOR_SENHA`.
+ *
+ * @returns {string|undefined}
+ */
+function senhaAmbiente(){
+    return process.env.OPERADOR_SENHA;
+}
+
+/**
+ * Executa um comando com a conexão já aberta e retorna a sua saída, sem escrever nada no terminal.
+ * O comando roda em nome do operador informado em `--login` (ou na variável `OPERADOR_LOGIN`), depois de conferida a sua senha.
+ *
+ * @async
+ * @param {string[]} argumentos - Argumentos da linha de comando, ex.: ["paciente", "list", "--ordem", "nome"]
+ * @param {function(string): string|undefined} [lerSenha] - Lê a senha do operador, recebendo o login. Por padrão usa a variável `OPERADOR_SENHA`.
+ * @returns {{codigo: number, saida: string, erro: string}} - Código de saída (um dos valores de `CodigoSaida`)
+ * e os textos da saída padrão e da saída de erros
+ */
+export async function executarComando(argumentos, lerSenha = senhaAmbiente){
+    const json = argumentos.includes("--json");
+
+    if(ARGUMENTOS_AJUDA.includes(argumentos[0]))
+        return {codigo: CodigoSaida.SUCESSO, saida: ajuda(), erro: ""};
+
+    const { comando, nome, opcoes } = localizarComando(argumentos);
+    if(!comando)
+        return erroUso(Idioma.texto("cli.comando_desconhecido", { comando: nome }), json, ajuda());
+
+    const uso = `${Idioma.texto("cli.uso_comando")} ${comando.uso} [--login <login>] [--json]`;
+
+    var values;
+    try {
+        ({ values } = parseArgs({ args: opcoes, options: { ...comando.opcoes, login: { type: "string" }, json: { type: "boolean", default: false } } }));
+    } catch (error) {
+        return erroUso(error.message, json, uso);
+    }
+
+    const ausente = comando.obrigatorias.find((opcao) => values[opcao] === undefined);
+    if(ausente !== undefined)
+        return erroUso(Idioma.texto("cli.opcao_obrigatoria", { opcao: ausente }), json, uso);
+
+    const login = values.login ?? process.env.OPERADOR_LOGIN;
+    if(!login)
+        return erroUso(Idioma.texto("cli.login_obrigatorio"), json, uso);
+
+    const credenciais = await OperadorController.verificarCredenciais(login, lerSenha(login));
+    if(!credenciais.success)
+        return await responder(credenciais, json, () => "");
+
+    const { operador } = credenciais;
+    return await Sessao.executarComo(operador.login, async () => {
+        if(comando.permissao && !OperadorController.temPermissao(comando.permissao))
+            return await responder({success: false, error: ErrorCodes.ERR_PERMISSAO_NEGADA}, json, () => "");
+
+        var resultado;
+        try {
+            resultado = await comando.executar(values);
+        } catch {
+            resultado = {success: false, error: ErrorCodes.ERR_BD_DESCONHECIDO};
+        }
+
+        return await responder(resultado, json, (dados) => comando.texto(dados, values));
+    }, operador.papel);
+}
+
+/**
+ * Executa um comando da linha de comando: conecta ao banco, aplica as migrações pendentes,
+ * escreve a saída do comando no terminal e fecha a conexão. Sem a variável `OPERADOR_SENHA`, a senha do operador é pedida no terminal.
+ *
+ * @async
+ * @param {string[]} argumentos - Argumentos da linha de comando
+ * @returns {number} - Código de saída, um dos valores de `CodigoSaida`
+ */
+export async function executarCli(argumentos){
+    // A ajuda não depende do banco de dados
+    if(ARGUMENTOS_AJUDA.includes(argumentos[0])){
+        console.log(ajuda());
+        return CodigoSaida.SUCESSO;
+    }
+
+    try {
+        const autenticacao = await Database.autenticacao();
+        if(!autenticacao.sucess){
+            console.error(Idioma.erro(autenticacao.error));
+            return CodigoSaida.BANCO;
+        }
+
+        try {
+            await Migrador.migrar();
+        } catch (error) {
+            console.error(Idioma.texto("cli.migracao_falhou", { erro: error.message }));
+            return CodigoSaida.BANCO;
+        }
+
+        const lerSenha = (login) => senhaAmbiente() ?? prompt(Idioma.texto("cli.senha", { login }), { echo: "*" });
+        const { codigo, saida, erro } = await executarComando(argumentos, lerSenha);
+        if(saida)
+            console.log(saida);
+        if(erro)
+            console.error(erro);
+
+        return codigo;
+    } finally {
+        await Database.close();
+    }
+}
@@ -0,0 +1,96 @@
+import ConsultaController from "../controllers/ConsultaController.js";
+import EsperaController from "../controllers/EsperaController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import RelatorioController from "../controllers/RelatorioController.js";
+import { Permissao } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Subcomandos de `consulta`.
+ */
+export const ConsultaComandos = {
+
+    // consulta agendar --cpf <cpf> --profissional <id> --data <dd/MM/yyyy> --inicio <HHmm> --fim <HHmm>
+    agendar: {
+        uso:            "consulta agendar --cpf <cpf> --profissional <id> --data <dd/MM/yyyy> --inicio <HHmm> --fim <HHmm>",
+        opcoes:         {
+            cpf: { type: "string" }, profissional: { type: "string" }, data: { type: "string" }, inicio: { type: "string" }, fim: { type: "string" },
+        },
+        obrigatorias:   ["cpf", "profissional", "data", "inicio", "fim"],
+        permissao:      Permissao.AGENDAR_CONSULTA,
+        executar:       ({ cpf, profissional, data, inicio, fim }) => ConsultaController.agendarConsulta({
+            cpf, id_profissional: profissional, data_consulta: data, hora_inicial: inicio, hora_final: fim,
+        }),
+        texto:          () => Idioma.texto("telas.Agendamento.agendado"),
+    },
+
+    // consulta cancelar --cpf <cpf> --data <dd/MM/yyyy> --inicio <HHmm>
+    cancelar: {
+        uso:            "consulta cancelar --cpf <cpf> --data <dd/MM/yyyy> --inicio <HHmm>",
+        opcoes:         { cpf: { type: "string" }, data: { type: "string" }, inicio: { type: "string" } },
+        obrigatorias:   ["cpf", "data", "inicio"],
+        permissao:      Permissao.AGENDAR_CONSULTA,
+        executar: async ({ cpf, data, inicio }) => {
+            const validacao_data = ConsultaController.validaData(data);
+            if(!validacao_data.success)
+                return validacao_data;
+
+            const validacao_hora = ConsultaController.validaHoraInicial(inicio);
+            if(!validacao_hora.success)
+                return validacao_hora;
+
+            return await ConsultaController.removeConsulta(cpf, data, inicio);
+        },
+        // Lista também os pacientes da lista de espera que aceitam o horário liberado
+        texto:          ({ interessados }) => {
+            const tabela = EsperaController.formatarInteressados(interessados);
+            return [Idioma.texto("telas.Agendamento.cancelado"), ...(tabela ? ["", Idioma.texto("telas.Agendamento.interessados"), tabela] : [])].join("\n");
+        },
+    },
+};
+
+/**
+ * Comando `agenda`, que lista as consultas futuras ou as de um período.
+ */
+export const AgendaComando = {
+    uso:            "agenda [--de <dd/MM/yyyy> --ate <dd/MM/yyyy>] [--profissional <id>]",
+    opcoes:         { de: { type: "string" }, ate: { type: "string" }, profissional: { type: "string" } },
+    obrigatorias:   [],
+    executar: async ({ de, ate, profissional = null }) => {
+        if(profissional !== null){
+            const validacao_profissional = await ProfissionalController.validaProfissional(profissional);
+            if(!validacao_profissional.success)
+                return validacao_profissional;
+        }
+
+        if(de === undefined && ate === undefined)
+            return { success: true, consultas: await ConsultaController.getConsultas(profissional) };
+
+        const validacao_inicio = ConsultaController.validaData(de ?? "");
+        if(!validacao_inicio.success)
+            return validacao_inicio;
+
+        const validacao_fim = ConsultaController.validaData(ate ?? "", de);
+        if(!validacao_fim.success)
+            return validacao_fim;
+
+        return { success: true, consultas: await ConsultaController.getConsultasPeriodo(de, ate, profissional) };
+    },
+    texto: (resultado, { de, ate, profissional = null }) => (de === undefined && ate === undefined)
+        ? ConsultaController.listarConsultas(profissional)
+        : ConsultaController.listarConsultasPeriodo(de, ate, profissional),
+};
+
+/**
+ * Comando `relatorio`, que gera o relatório da agenda de um período em texto ou, com `--csv`, em CSV.
+ */
+export const RelatorioComando = {
+    uso:            "relatorio --de <dd/MM/yyyy> --ate <dd/MM/yyyy> [--profissional <id>] [--csv]",
+    opcoes:         { de: { type: "string" }, ate: { type: "string" }, profissional: { type: "string" }, csv: { type: "boolean", default: false } },
+    obrigatorias:   ["de", "ate"],
+    permissao:      Permissao.CONSULTAR_RELATORIOS,
+    executar:       ({ de, ate, profissional = null }) => RelatorioController.gerarRelatorio(de, ate, profissional),
+    texto:          ({ relatorio }, { csv }) => csv
+        ? RelatorioController.exportarRelatorioCSV(relatorio)
+        : RelatorioController.formatarRelatorio(relatorio),
+};
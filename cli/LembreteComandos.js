@@ -0,0 +1,28 @@
+import LembreteController from "../controllers/LembreteController.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Antecedência e canal usados quando não informados na linha de comando nem nas variáveis de ambiente
+ */
+const HORAS_PADRAO = "24";
+const CANAL_PADRAO = "arquivo";
+
+/**
+ * Subcomandos de `lembretes`.
+ */
+export const LembreteComandos = {
+
+    // lembretes enviar [--horas <1-168>] [--canal <nome>[,<nome>...]]
+    enviar: {
+        uso:            "lembretes enviar [--horas <1-168>] [--canal <arquivo|smtp|sms>[,...]]",
+        opcoes:         { horas: { type: "string" }, canal: { type: "string" } },
+        obrigatorias:   [],
+        executar:       ({ horas, canal }) => LembreteController.enviarLembretes({
+            horas:  horas ?? process.env.LEMBRETE_HORAS ?? HORAS_PADRAO,
+            canais: canal ?? process.env.LEMBRETE_CANAIS ?? CANAL_PADRAO,
+        }),
+        texto:          ({ enviados, repetidos, sem_contato }) => Idioma.texto("lembretes.resumo", {
+            enviados: enviados.length, repetidos, sem_contato: sem_contato.length,
+        }),
+    },
+};
@@ -0,0 +1,62 @@
+import PacienteController from "../controllers/PacienteController.js";
+import OdontogramaController from "../controllers/OdontogramaController.js";
+import { Permissao } from "../models/Operador.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Subcomandos de `paciente`.
+ */
+export const PacienteComandos = {
+
+    // paciente add --cpf <cpf> --nome <nome> --nasc <dd/MM/yyyy> [--email <e-mail>] [--telefone <telefone>]
+    add: {
+        uso:            "paciente add --cpf <cpf> --nome <nome> --nasc <dd/MM/yyyy> [--email <e-mail>] [--telefone <telefone>]",
+        opcoes:         { cpf: { type: "string" }, nome: { type: "string" }, nasc: { type: "string" }, email: { type: "string" }, telefone: { type: "string" } },
+        obrigatorias:   ["cpf", "nome", "nasc"],
+        permissao:      Permissao.CADASTRAR_PACIENTE,
+        executar:       ({ cpf, nome, nasc, email, telefone }) => PacienteController.cadastrarPaciente({ cpf, nome, data_nasc: nasc, email, telefone }),
+        texto:          () => Idioma.texto("telas.CadastroPacientes.cadastrado"),
+    },
+
+    // paciente list [--ordem cpf|nome] [--busca <nome ou início do CPF>]
+    list: {
+        uso:            "paciente list [--ordem cpf|nome] [--busca <nome ou início do CPF>]",
+        opcoes:         { ordem: { type: "string", default: "cpf" }, busca: { type: "string", default: "" } },
+        obrigatorias:   [],
+        executar: async ({ ordem, busca }) => {
+            if(!["cpf", "nome"].includes(ordem))
+                return { success: false, error: ErrorCodes.ERR_REQUISICAO_INVALIDA };
+
+            const pacientes = await PacienteController.getPacientes(ordem, { busca });
+            return { success: true, total: pacientes.length, pacientes };
+        },
+        texto: ({ pacientes }) => PacienteController.geraListaPacientes(pacientes),
+    },
+
+    // paciente remove --cpf <cpf>
+    remove: {
+        uso:            "paciente remove --cpf <cpf>",
+        opcoes:         { cpf: { type: "string" } },
+        obrigatorias:   ["cpf"],
+        permissao:      Permissao.EXCLUIR_PACIENTE,
+        executar:       ({ cpf }) => PacienteController.removePaciente(cpf),
+        texto:          () => Idioma.texto("telas.CadastroPacientes.excluido"),
+    },
+
+    // paciente odontograma --cpf <cpf>
+    odontograma: {
+        uso:            "paciente odontograma --cpf <cpf>",
+        opcoes:         { cpf: { type: "string" } },
+        obrigatorias:   ["cpf"],
+        permissao:      Permissao.CONSULTAR_PRONTUARIO,
+        executar: async ({ cpf }) => {
+            const paciente = await PacienteController.getPaciente(cpf);
+            if(!paciente)
+                return { success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO };
+
+            return { success: true, paciente, dentes: await OdontogramaController.getOdontograma(paciente.cpf) };
+        },
+        texto: ({ paciente, dentes }) => OdontogramaController.formatarOdontograma(paciente, dentes),
+    },
+};
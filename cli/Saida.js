@@ -0,0 +1,68 @@
+import { ErrorCodes } from "../utils/Error.js";
+import Expediente from "../utils/Expediente.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Códigos de saída da linha de comando
+ */
+export const CodigoSaida = Object.freeze({
+    SUCESSO:            0,
+    ERRO:               1,  // A operação foi recusada pelas validações
+    USO:                2,  // Comando ou opções inválidos
+    BANCO:              3,  // Falha ao acessar o banco de dados
+    NAO_ENCONTRADO:     4,  // Paciente, consulta ou profissional inexistente
+    ACESSO_NEGADO:      5,  // Login ou senha incorretos, ou o papel do operador não permite o comando
+});
+
+/**
+ * Códigos de saída para os erros que não são simples falhas de validação.
+ */
+const ErrorToCodigo = {
+    [ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO]:       CodigoSaida.NAO_ENCONTRADO,
+    [ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA]:       CodigoSaida.NAO_ENCONTRADO,
+    [ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO]:   CodigoSaida.NAO_ENCONTRADO,
+
+    [ErrorCodes.ERR_REQUISICAO_INVALIDA]:           CodigoSaida.USO,
+
+    [ErrorCodes.ERR_CREDENCIAIS_INVALIDAS]:         CodigoSaida.ACESSO_NEGADO,
+    [ErrorCodes.ERR_PERMISSAO_NEGADA]:              CodigoSaida.ACESSO_NEGADO,
+
+    [ErrorCodes.ERR_BD_LOGIN_INVALIDO]:             CodigoSaida.BANCO,
+    [ErrorCodes.ERR_BD_HOST_INVALIDO]:              CodigoSaida.BANCO,
+    [ErrorCodes.ERR_BD_INEXISTENTE]:                CodigoSaida.BANCO,
+    [ErrorCodes.ERR_BD_FALHA_CONEXAO]:              CodigoSaida.BANCO,
+    [ErrorCodes.ERR_BD_DESCONHECIDO]:               CodigoSaida.BANCO,
+};
+
+/**
+ * Retorna o código de saída correspondente a um código de erro da aplicação.
+ *
+ * @param {number} erro - Código de erro de `ErrorCodes`
+ * @returns {number} - Um dos valores de `CodigoSaida`
+ */
+export function codigoSaida(erro){
+    return ErrorToCodigo[erro] ?? CodigoSaida.ERRO;
+}
+
+/**
+ * Monta a saída de um comando a partir do resultado dos controladores.
+ * No modo JSON o resultado é escrito na saída padrão mesmo em caso de erro, acompanhado da mensagem do erro.
+ *
+ * @async
+ * @param {{success: boolean, error?: number}} resultado - Resultado retornado pelo comando
+ * @param {boolean} json - Se a saída deve ser em JSON
+ * @param {function(Object): (string|Promise<string>)} texto - Monta o texto exibido em caso de sucesso no modo texto
+ * @returns {{codigo: number, saida: string, erro: string}} - Código de saída e os textos da saída padrão e da saída de erros
+ */
+export async function responder(resultado, json, texto){
+    if(!resultado.success){
+        const mensagem = Idioma.erro(resultado.error, { expediente: Expediente.descricao() });
+        return json
+            ? {codigo: codigoSaida(resultado.error), saida: JSON.stringify({...resultado, mensagem}, null, 2), erro: ""}
+            : {codigo: codigoSaida(resultado.error), saida: "", erro: mensagem};
+    }
+
+    return json
+        ? {codigo: CodigoSaida.SUCESSO, saida: JSON.stringify(resultado, null, 2), erro: ""}
+        : {codigo: CodigoSaida.SUCESSO, saida: await texto(resultado), erro: ""};
+}
@@ -0,0 +1,141 @@
+import { DateTime } from "luxon";
+import { Op } from "sequelize";
+import { Auditoria } from "../models/Auditoria.js";
+import { PacienteBuilder } from "../models/PacienteBuilder.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Sessao from "../utils/Sessao.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+* Classe Singleton responsável pelo registro de auditoria das alterações em pacientes e consultas.
+* Os registros são apenas incluídos e consultados, nunca alterados.
+*/
+class AuditoriaController{
+
+    /**
+    * Construtor da classe AuditoriaController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (AuditoriaController.instance)
+            return AuditoriaController.instance; // Retorna a instância existente
+
+        AuditoriaController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Registra uma alteração em nome do operador atual da sessão.
+    *
+    * @async
+    * @param {string} acao - Ação realizada, um dos valores de `AcaoAuditoria`.
+    * @param {string} cpf_paciente - CPF do paciente afetado.
+    * @param {Object|null} antes - Valores antes da alteração, nulo em cadastros e agendamentos.
+    * @param {Object|null} depois - Valores depois da alteração, nulo em remoções.
+    * @param {import("sequelize").Transaction} [transaction] - Transação da alteração, para que o registro seja gravado junto com ela.
+    * @returns {Auditoria} O registro criado.
+    */
+    async registrar(acao, cpf_paciente, antes, depois, transaction = undefined){
+        return await Auditoria.create({
+            data_hora:  DateTime.now().toJSDate(),
+            operador:   Sessao.operador,
+            acao,
+            cpf_paciente,
+            antes,
+            depois,
+        }, {transaction});
+    }
+
+    /**
+    * Valida o CPF usado como filtro. Pacientes já removidos continuam no histórico, então só o formato é verificado.
+    *
+    * @param {string} cpf - CPF do paciente.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaCpf(cpf){
+        if(!new PacienteBuilder().validaCpf(cpf))
+            return {success: false, error: ErrorCodes.ERR_CPF_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Obtém os registros da auditoria em ordem cronológica, filtrando por paciente e/ou período.
+    *
+    * @async
+    * @param {Object} [filtros]
+    * @param {string|null} [filtros.cpf=null] - CPF do paciente, ou nulo para todos.
+    * @param {string|null} [filtros.data_inicial=null] - Primeiro dia do período no formato "dd/MM/yyyy", ou nulo para sem início.
+    * @param {string|null} [filtros.data_final=null] - Último dia do período no formato "dd/MM/yyyy", ou nulo para sem fim.
+    * @returns {Auditoria[]} Registros encontrados.
+    */
+    async getRegistros({cpf = null, data_inicial = null, data_final = null} = {}){
+        const where = {};
+
+        if(cpf)
+            where.cpf_paciente = cpf;
+
+        if(data_inicial || data_final){
+            where.data_hora = {};
+
+            if(data_inicial)
+                where.data_hora[Op.gte] = DateTime.fromFormat(data_inicial, "dd/MM/yyyy").startOf("day").toJSDate();
+
+            if(data_final)
+                where.data_hora[Op.lte] = DateTime.fromFormat(data_final, "dd/MM/yyyy").endOf("day").toJSDate();
+        }
+
+        return await Auditoria.findAll({
+            where,
+            order: [['data_hora', 'ASC'], ['id', 'ASC']],
+        });
+    }
+
+    /**
+    * Lista os registros da auditoria, mostrando abaixo de cada um os campos que mudaram.
+    *
+    * @async
+    * @param {{cpf?: string|null, data_inicial?: string|null, data_final?: string|null}} [filtros] - Filtros, como em `getRegistros`.
+    * @returns {string} - Tabela com os registros encontrados.
+    */
+    async listarRegistros(filtros = {}){
+        const registros = await this.getRegistros(filtros);
+
+        // Cabeçalho
+        var resultado = "------------------------------------------------------------------------------\n";
+        resultado    += `${Idioma.texto("listagens.auditoria.cabecalho")}\n`;
+        resultado    += "------------------------------------------------------------------------------\n";
+
+        for(const registro of registros){
+            resultado += `${Idioma.formatarDataHora(registro.data_hora)} `;
+            resultado += `${registro.operador.padEnd(20, ' ')} `;
+            resultado += `${Idioma.texto(`acoes_auditoria.${registro.acao}`).padEnd(20, ' ')} `;
+            resultado += `${registro.cpf_paciente}\n`;
+
+            for(const linha of this.#descreverAlteracoes(registro.antes, registro.depois))
+                resultado += "".padEnd(20) + `${linha}\n`;
+        }
+
+        resultado    += "------------------------------------------------------------------------------";
+        return resultado;
+    }
+
+    /**
+    * Descreve os campos que mudaram entre os valores antes e depois de uma alteração.
+    * O identificador da consulta é sempre mostrado, para saber qual consulta foi alterada.
+    *
+    * @param {Object|null} antes - Valores antes da alteração.
+    * @param {Object|null} depois - Valores depois da alteração.
+    * @returns {string[]} - Uma linha por campo, ex.: "status: agendada => cancelada".
+    */
+    #descreverAlteracoes(antes, depois){
+        const campos = new Set([...Object.keys(antes ?? {}), ...Object.keys(depois ?? {})]);
+        const valor = (registro, campo) => (registro && registro[campo] !== undefined && registro[campo] !== null) ? String(registro[campo]) : "-";
+
+        return [...campos]
+            .filter((campo) => campo === "id" || valor(antes, campo) !== valor(depois, campo))
+            .map((campo) => (valor(antes, campo) === valor(depois, campo))
+                ? `${campo}: ${valor(antes, campo)}`
+                : `${campo}: ${valor(antes, campo)} => ${valor(depois, campo)}`);
+    }
+};
+
+export default new AuditoriaController();
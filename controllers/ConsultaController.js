@@ -1,10 +1,40 @@
 import { ConsultaBuilder } from "../models/ConsultaBuilder.js";
 import { DateTime } from "luxon";
 import { ErrorCodes } from "../utils/Error.js";
-import { Consulta } from "../models/Consulta.js";
+import Expediente from "../utils/Expediente.js";
+import { Consulta, StatusConsulta, STATUS_ATIVOS } from "../models/Consulta.js";
+import { Profissional } from "../models/Profissional.js";
+import { Paciente } from "../models/Paciente.js";
+import { Lembrete } from "../models/Lembrete.js";
+import { ICalendar } from "../utils/ICalendar.js";
+import Idioma from "../utils/Idioma.js";
 import PacienteController from "./PacienteController.js";
+import ProfissionalController from "./ProfissionalController.js";
+import AuditoriaController from "./AuditoriaController.js";
+import EsperaController from "./EsperaController.js";
+import FinanceiroController from "./FinanceiroController.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
 
-import { Op } from "sequelize";
+import { Op, Transaction } from "sequelize";
+
+/**
+ * Situação do evento no iCalendar para cada situação de consulta, as demais são exportadas sem situação
+ */
+const StatusICalendar = {
+    [StatusConsulta.AGENDADA]:   "TENTATIVE",
+    [StatusConsulta.CONFIRMADA]: "CONFIRMED",
+};
+
+/**
+ * Nome da restrição do banco que impede consultas sobrepostas do mesmo profissional, ver a migração 014
+ */
+const RESTRICAO_SOBREPOSICAO = "consultas_sem_sobreposicao";
+
+/**
+ * Opções das transações que alteram a agenda. No SQLite a transação já começa reservando a escrita,
+ * para que outro processo não verifique a agenda ao mesmo tempo; no Postgres a ordem é garantida pelas travas de linha.
+ */
+const TRANSACAO_AGENDA = {type: Transaction.TYPES.IMMEDIATE};
 
 /**
 * Classe Singleton responsável por gerenciar consultas odontológicas.
@@ -18,6 +48,12 @@ class ConsultaController{
     */
     consulta_builder;
 
+    /**
+    * Consulta que está sendo remarcada, enquanto a remarcação não é concluída.
+    * @type {Consulta|null}
+    */
+    #consulta_remarcada = null;
+
     /**
     * Construtor da classe ConsultaController, caso já exista uma instância retorna a mesma.
     * Inicializa o ConsultaBuilder.
@@ -34,9 +70,38 @@ class ConsultaController{
     * Inicia a criação de uma nova consulta limpando o estado atual do builder.
     */
     iniciarNovaConsulta(){
+        this.#consulta_remarcada = null;
         this.consulta_builder.clear();
     }
 
+    /**
+    * Inicia a remarcação de uma consulta futura. O builder é preparado com o paciente e o profissional da consulta,
+    * que pode ser trocado, e os novos data e horários devem ser definidos pelos mesmos métodos do agendamento.
+    * Consultas agendadas antes do cadastro de profissionais não têm profissional, e ele precisa ser escolhido com `setProfissional`.
+    * 
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data atual da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial atual da consulta no formato "HHmm".
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} A consulta a ser remarcada ou um código de erro.
+    */
+    async iniciarRemarcacao(cpf, data_consulta, hora_inicial){
+        this.iniciarNovaConsulta();
+
+        const resultado = await this.getConsultaFutura(cpf, data_consulta, hora_inicial);
+        if(!resultado.success)
+            return resultado;
+
+        this.#consulta_remarcada = resultado.consulta;
+
+        // O paciente já tem essa consulta futura, então não passa pela verificação de agendamento duplo do setCpf
+        this.consulta_builder.setCpf(cpf);
+        if(resultado.consulta.id_profissional !== null)
+            this.consulta_builder.setProfissional(resultado.consulta.id_profissional);
+
+        return {success: true, consulta: resultado.consulta};
+    }
+
     /**
     * Define o CPF do paciente para a consulta em criação.
     * 
@@ -49,13 +114,28 @@ class ConsultaController{
         if(!(await PacienteController.exists(cpf)))
             return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
 
-        // Verifica se o paciente já possui uma consulta marcada
-        if(await this.hasAgendamentosFuturos(cpf))
+        // Verifica se o paciente já possui uma consulta avulsa marcada, as séries recorrentes não contam
+        if(await this.hasAgendamentosFuturos(cpf, false))
             return {success: false, error: ErrorCodes.ERR_PACIENTE_AGENDADO};
 
         return this.consulta_builder.setCpf(cpf)
     }
 
+    /**
+    * Define o profissional que realizará a consulta.
+    * 
+    * @async
+    * @param {number|string} id - Identificador do profissional.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async setProfissional(id){
+        const validacao = await ProfissionalController.validaProfissional(id);
+        if(!validacao.success)
+            return validacao;
+
+        return this.consulta_builder.setProfissional(id);
+    }
+
     /**
     * Define a data da consulta.
     * 
@@ -88,12 +168,19 @@ class ConsultaController{
 
     /**
      * @async
-     * Verifica se um consulta sobrepoẽ alguma outra já agendada.
+     * Verifica se um consulta sobrepoẽ alguma outra já agendada para o mesmo profissional.
      * @param {Consulta} consulta - Instância de consulta para ser comparada
+     * @param {number|null} [id_ignorado=null] - Consulta desconsiderada na comparação, usada ao remarcar
+     * @param {Transaction} [transaction] - Transação em andamento.
      * @returns {boolean} Retorna true se sobrepõe alguma consulta, senão retorna false
      */
-    async isSobreposta(consulta){
-        const consultas = await Consulta.findAll();
+    async isSobreposta(consulta, id_ignorado = null, transaction = undefined){
+        // Consultas canceladas liberam o horário
+        const where = {id_profissional: consulta.id_profissional, status: {[Op.ne]: StatusConsulta.CANCELADA}};
+        if(id_ignorado !== null)
+            where.id = {[Op.ne]: id_ignorado};
+
+        const consultas = await Consulta.findAll({where, transaction});
         for( const consulta_cadastrada of consultas)
             if(consulta.isSobreposta(consulta_cadastrada))
                 return true;
@@ -101,8 +188,71 @@ class ConsultaController{
         return false;
     }
 
+    /**
+    * Verifica se o paciente já tem outra consulta ativa que se sobrepõe à consulta, com qualquer profissional.
+    * Vale também para as ocorrências de séries: só a regra de uma consulta avulsa por paciente ignora as séries.
+    *
+    * @async
+    * @param {Consulta} consulta - Instância de consulta para ser comparada
+    * @param {number|null} [id_ignorado=null] - Consulta desconsiderada na comparação, usada ao remarcar
+    * @param {Transaction} [transaction] - Transação em andamento.
+    * @returns {boolean}
+    */
+    async isPacienteOcupado(consulta, id_ignorado = null, transaction = undefined){
+        const where = {cpf_paciente: consulta.cpf_paciente, data_consulta: consulta.getDataValue("data_consulta"), status: STATUS_ATIVOS};
+        if(id_ignorado !== null)
+            where.id = {[Op.ne]: id_ignorado};
+
+        const consultas = await Consulta.findAll({where, transaction});
+        return consultas.some((consulta_cadastrada) => consulta.isSobreposta(consulta_cadastrada));
+    }
+
+    /**
+    * Executa uma alteração da agenda, ou de dados que dependem da situação de uma consulta (prontuário, pagamentos),
+    * em uma transação, para que as verificações e a gravação aconteçam juntas.
+    * 
+    * @async
+    * @template T
+    * @param {function(Transaction): Promise<T>} alteracao - Verifica e grava dentro da transação.
+    * @returns {Promise<T>} O retorno da alteração.
+    */
+    async transacaoAgenda(alteracao){
+        return await Consulta.sequelize.transaction(TRANSACAO_AGENDA, alteracao);
+    }
+
+    /**
+    * Trava o profissional e o paciente de uma consulta até o fim da transação. Dois agendamentos do mesmo profissional
+    * ou do mesmo paciente esperam um pelo outro, então cada um verifica a agenda já com a gravação do outro.
+    * As travas são sempre obtidas na mesma ordem, primeiro o profissional e depois o paciente, para evitar impasses.
+    * 
+    * @async
+    * @param {Consulta} consulta - Consulta sendo gravada.
+    * @param {Transaction} transaction - Transação em andamento.
+    */
+    async travarAgenda(consulta, transaction){
+        await Profissional.findByPk(consulta.id_profissional, {transaction, lock: transaction.LOCK.UPDATE});
+        await Paciente.findByPk(consulta.cpf_paciente, {transaction, lock: transaction.LOCK.UPDATE});
+    }
+
+    /**
+    * Converte um erro na gravação de uma consulta no código de erro da aplicação.
+    * A restrição do banco contra consultas sobrepostas vira `ERR_CONSULTA_SOBREPOSTA`, os demais erros são falhas do banco.
+    * 
+    * @param {Error} error - Erro lançado pelo Sequelize.
+    * @returns {{success: boolean, error: number}}
+    */
+    erroGravacao(error){
+        // O Postgres informa a restrição violada, o gatilho do SQLite a coloca na mensagem
+        if(error?.constraint === RESTRICAO_SOBREPOSICAO || String(error?.parent?.message ?? "").includes(RESTRICAO_SOBREPOSICAO))
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA};
+
+        return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+    }
+
     /**
     * Finaliza a criação da consulta e a adiciona ao mapa de consultas.
+    * As verificações de consulta dupla e de sobreposição são feitas na mesma transação da gravação,
+    * com a agenda do profissional e do paciente travadas.
     * 
     * @async
     * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
@@ -113,31 +263,176 @@ class ConsultaController{
             return resposta;
 
         const consulta = resposta.consulta;
+        let recusa = null;
 
-        if(await this.hasAgendamentosFuturos(consulta.cpf_paciente))
-            return {success: false, error: ErrorCodes.ERR_CONSULTA_DUPLA};
+        try {
+            await this.transacaoAgenda(async (transaction) => {
+                await this.travarAgenda(consulta, transaction);
 
-        if(await this.isSobreposta(consulta))
-            return {success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA};
+                if(await this.hasAgendamentosFuturos(consulta.cpf_paciente, false, transaction))
+                    recusa = {success: false, error: ErrorCodes.ERR_CONSULTA_DUPLA};
+                else if(await this.isSobreposta(consulta, null, transaction) || await this.isPacienteOcupado(consulta, null, transaction))
+                    recusa = {success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA};
 
-        try {
-            await consulta.save();
+                if(recusa)
+                    throw recusa;
+
+                await consulta.save({transaction});
+                await AuditoriaController.registrar(AcaoAuditoria.CONSULTA_AGENDADA, consulta.cpf_paciente, null, this.registroAuditoria(consulta), transaction);
+            });
         } catch (error) {
-            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+            return recusa ?? this.erroGravacao(error);
         }
+
+        // O paciente atendido sai da lista de espera. A consulta já está gravada, então uma falha aqui apenas mantém o pedido na lista
+        await EsperaController.removeAtendidas(consulta).catch(() => {});
         return {success: true};
     }
 
     /**
-    * Remove uma consulta específica de um paciente.
+    * Agenda uma consulta em uma única chamada, passando pelas mesmas validações do agendamento passo a passo.
+    * 
+    * @async
+    * @param {{cpf: string, id_profissional: number, data_consulta: string, hora_inicial: string, hora_final: string}} dados - Dados da consulta,
+    * com a data no formato "dd/MM/yyyy" e as horas no formato "HHmm".
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, o primeiro código de erro encontrado.
+    */
+    async agendarConsulta({cpf, id_profissional, data_consulta, hora_inicial, hora_final} = {}){
+        this.iniciarNovaConsulta();
+
+        const etapas = [
+            async () => this.setCpf(String(cpf ?? "")),
+            async () => this.setProfissional(id_profissional),
+            async () => this.setDataConsulta(String(data_consulta ?? "")),
+            async () => this.setHoraInicial(String(hora_inicial ?? "")),
+            async () => this.setHoraFinal(String(hora_final ?? "")),
+        ];
+
+        for(const etapa of etapas){
+            const resultado = await etapa();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        return await this.addConsulta();
+    }
+
+    /**
+    * Valores de uma consulta guardados na auditoria, incluindo o identificador para distinguir consultas do mesmo paciente.
+    * 
+    * @param {Consulta} consulta
+    * @returns {Object}
+    */
+    registroAuditoria(consulta){
+        return {id: consulta.id, ...consulta.toJSON()};
+    }
+
+    /**
+    * Conclui a remarcação iniciada por `iniciarRemarcacao`, movendo a consulta para a nova data e horário.
+    * A própria consulta é ignorada na verificação de sobreposição e é atualizada no lugar,
+    * então o horário antigo só é liberado quando o novo já está reservado. A sobreposição é verificada de novo na transação
+    * da gravação, como no agendamento. Os lembretes já enviados são descartados, para que o novo horário seja lembrado.
+    * O resultado traz os pedidos da lista de espera que aceitam o horário antigo.
+    * 
+    * @async
+    * @returns {{success: boolean, error?: number, interessados?: Object[]}} Objeto contendo o status da operação e os interessados
+    * no horário liberado (ver `EsperaController.getInteressados`) ou, em caso de erro, um código de erro.
+    */
+    async alterarConsulta(){
+        if(!this.#consulta_remarcada)
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
+
+        const resposta = await this.consulta_builder.build();
+        if(!resposta.success)
+            return resposta;
+
+        const nova = resposta.consulta;
+        const consulta = this.#consulta_remarcada;
+        let recusa = null;
+        let liberada = null;
+
+        try {
+            await this.transacaoAgenda(async (transaction) => {
+                await this.travarAgenda(nova, transaction);
+
+                // A consulta pode ter sido cancelada ou encerrada por outro operador desde o início da remarcação
+                await consulta.reload({transaction, lock: transaction.LOCK.UPDATE});
+                if(!consulta.isAtiva())
+                    recusa = {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
+                else if(await this.isSobreposta(nova, consulta.id, transaction) || await this.isPacienteOcupado(nova, consulta.id, transaction))
+                    recusa = {success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA};
+
+                if(recusa)
+                    throw recusa;
+
+                const antes = this.registroAuditoria(consulta);
+                liberada = Consulta.build({...consulta.dataValues});
+
+                // Uma consulta remarcada precisa ser confirmada novamente
+                await consulta.update({
+                    status:             StatusConsulta.AGENDADA,
+                    id_profissional:    nova.id_profissional,
+                    data_consulta:      nova.getDataValue("data_consulta"),
+                    hora_inicial:       nova.getDataValue("hora_inicial"),
+                    hora_final:         nova.getDataValue("hora_final"),
+                }, {transaction});
+
+                await AuditoriaController.registrar(AcaoAuditoria.CONSULTA_REMARCADA, consulta.cpf_paciente, antes, this.registroAuditoria(consulta), transaction);
+
+                // Os lembretes enviados eram do horário antigo, o novo horário precisa de novos lembretes
+                await Lembrete.destroy({where: {id_consulta: consulta.id}, transaction});
+            });
+        } catch (error) {
+            return recusa ?? this.erroGravacao(error);
+        }
+
+        // A remarcação já está gravada, falhas na lista de espera não a desfazem
+        this.#consulta_remarcada = null;
+        await EsperaController.removeAtendidas(consulta).catch(() => {});
+        return {success: true, interessados: await EsperaController.getInteressados(liberada).catch(() => [])};
+    }
+
+    /**
+    * Remarca uma consulta em uma única chamada, passando pelas mesmas validações da remarcação passo a passo.
+    * 
+    * @async
+    * @param {{cpf: string, data_consulta: string, hora_inicial: string}} atual - Consulta a ser remarcada,
+    * com a data no formato "dd/MM/yyyy" e a hora no formato "HHmm".
+    * @param {{id_profissional?: number, data_consulta: string, hora_inicial: string, hora_final: string}} nova - Nova data e horários,
+    * e opcionalmente outro profissional. O profissional é obrigatório se a consulta ainda não tiver um.
+    * @returns {{success: boolean, error?: number, interessados?: Object[]}} Objeto contendo o status da operação e os interessados
+    * no horário liberado ou, em caso de erro, o primeiro código de erro encontrado.
+    */
+    async remarcarConsulta({cpf, data_consulta, hora_inicial} = {}, nova = {}){
+        const etapas = [
+            async () => this.iniciarRemarcacao(String(cpf ?? ""), String(data_consulta ?? ""), String(hora_inicial ?? "")),
+            async () => (nova.id_profissional === undefined && this.#consulta_remarcada.id_profissional !== null)
+                ? {success: true}
+                : this.setProfissional(nova.id_profissional),
+            async () => this.setDataConsulta(String(nova.data_consulta ?? "")),
+            async () => this.setHoraInicial(String(nova.hora_inicial ?? "")),
+            async () => this.setHoraFinal(String(nova.hora_final ?? "")),
+        ];
+
+        for(const etapa of etapas){
+            const resultado = await etapa();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        return await this.alterarConsulta();
+    }
+
+    /**
+    * Busca uma consulta futura e ativa (agendada ou confirmada) específica de um paciente.
     * 
     * @async
     * @param {string} cpf - CPF do paciente.
     * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
     * @param {string} hora_inicial - Hora inicial no formato "HHmm".
-    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} Objeto contendo a consulta encontrada ou um código de erro.
     */
-    async removeConsulta(cpf, data_consulta, hora_inicial){
+    async getConsultaFutura(cpf, data_consulta, hora_inicial){
         // Verifica se existe o paciente
         if(!(await PacienteController.exists(cpf)))
             return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
@@ -145,21 +440,22 @@ class ConsultaController{
         const agora = DateTime.now();
         const data_hora_consulta = DateTime.fromFormat(data_consulta+hora_inicial, "dd/MM/yyyyHHmm");
 
-        // Verifica se a data da consulta a ser pesquisada é passada
-        if(data_hora_consulta.diff(agora).toMillis() <= 0)
+        // Verifica se a data da consulta a ser pesquisada é válida e futura
+        if(!data_hora_consulta.isValid || data_hora_consulta.diff(agora).toMillis() <= 0)
             return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
 
         try{
-            const consultas_deletadas =  await Consulta.destroy({
+            const consulta = await Consulta.findOne({
                 where: {
                     cpf_paciente: cpf,
                     data_consulta: data_hora_consulta.toFormat("yyyy-MM-dd"),
                     hora_inicial: data_hora_consulta.toFormat("HH:mm:00"),
+                    status: STATUS_ATIVOS,
                 }
             });
 
-            if(consultas_deletadas > 0)
-                return {success: true};
+            if(consulta)
+                return {success: true, consulta};
 
             return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
         } catch(error) {
@@ -167,36 +463,162 @@ class ConsultaController{
         }
     }
 
+    /**
+    * Busca uma consulta já iniciada, e não cancelada, de um paciente, para registrar o comparecimento ou o atendimento.
+    * 
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} Objeto contendo a consulta encontrada ou um código de erro.
+    */
+    async getConsultaIniciada(cpf, data_consulta, hora_inicial){
+        // Verifica se existe o paciente
+        if(!(await PacienteController.exists(cpf)))
+            return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
+
+        const data_hora_consulta = DateTime.fromFormat(data_consulta+hora_inicial, "dd/MM/yyyyHHmm");
+        if(!data_hora_consulta.isValid)
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
+
+        // O comparecimento só pode ser registrado depois do início da consulta
+        if(data_hora_consulta.diff(DateTime.now()).toMillis() > 0)
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_INICIADA};
+
+        try{
+            const consulta = await Consulta.findOne({
+                where: {
+                    cpf_paciente: cpf,
+                    data_consulta: data_hora_consulta.toFormat("yyyy-MM-dd"),
+                    hora_inicial: data_hora_consulta.toFormat("HH:mm:00"),
+                    status: {[Op.ne]: StatusConsulta.CANCELADA},
+                }
+            });
+
+            if(consulta)
+                return {success: true, consulta};
+
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA};
+        } catch(error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Altera a situação de uma consulta, respeitando as transições permitidas.
+    * Confirmação e cancelamento valem para consultas futuras, comparecimento (realizada ou faltou) para consultas já iniciadas.
+    * 
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {string} status - Nova situação, um dos valores de `StatusConsulta`.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async alterarStatus(cpf, data_consulta, hora_inicial, status){
+        const resultado = await this.#mudarStatus(cpf, data_consulta, hora_inicial, status);
+        return resultado.success ? {success: true} : resultado;
+    }
+
+    /**
+    * Grava a nova situação de uma consulta para `alterarStatus` e `removeConsulta`.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {string} status - Nova situação, um dos valores de `StatusConsulta`.
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} Objeto contendo a consulta alterada ou um código de erro.
+    */
+    async #mudarStatus(cpf, data_consulta, hora_inicial, status){
+        if(!Object.values(StatusConsulta).includes(status) || status === StatusConsulta.AGENDADA)
+            return {success: false, error: ErrorCodes.ERR_STATUS_INVALIDO};
+
+        const comparecimento = (status === StatusConsulta.REALIZADA) || (status === StatusConsulta.FALTOU);
+        const resultado = comparecimento
+            ? await this.getConsultaIniciada(cpf, data_consulta, hora_inicial)
+            : await this.getConsultaFutura(cpf, data_consulta, hora_inicial);
+
+        if(!resultado.success)
+            return resultado;
+
+        const consulta = resultado.consulta;
+        const acao = (status === StatusConsulta.CANCELADA) ? AcaoAuditoria.CONSULTA_CANCELADA : AcaoAuditoria.CONSULTA_SITUACAO;
+        let recusa = null;
+
+        try{
+            await this.transacaoAgenda(async (transaction) => {
+                // A situação é lida de novo com a consulta travada, outro operador pode tê-la alterado desde a busca
+                await consulta.reload({transaction, lock: transaction.LOCK.UPDATE});
+                if(!consulta.podeMudarPara(status)){
+                    recusa = {success: false, error: ErrorCodes.ERR_STATUS_INVALIDO};
+                    throw recusa;
+                }
+
+                const antes = this.registroAuditoria(consulta);
+                await consulta.update({status: status}, {transaction});
+                await AuditoriaController.registrar(acao, consulta.cpf_paciente, antes, this.registroAuditoria(consulta), transaction);
+            });
+
+            return {success: true, consulta};
+        } catch(error) {
+            return recusa ?? {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Cancela uma consulta específica de um paciente. A consulta é mantida no histórico com a situação cancelada.
+    * O resultado traz os pedidos da lista de espera que aceitam o horário liberado, para que todo canal possa oferecê-lo.
+    * 
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number, interessados?: Object[]}} Objeto contendo o status da operação e os interessados
+    * no horário (ver `EsperaController.getInteressados`) ou, em caso de erro, um código de erro.
+    */
+    async removeConsulta(cpf, data_consulta, hora_inicial){
+        const resultado = await this.#mudarStatus(cpf, data_consulta, hora_inicial, StatusConsulta.CANCELADA);
+        if(!resultado.success)
+            return resultado;
+
+        // O cancelamento já está gravado, uma falha ao buscar os interessados apenas deixa a lista vazia
+        return {success: true, interessados: await EsperaController.getInteressados(resultado.consulta).catch(() => [])};
+    }
+
     /**
      * Obtem todas as consultas de um paciente
      * 
      * @async
      * @param {String} cpf 
+     * @param {Transaction} [transaction] - Transação em andamento.
      * @returns {Consulta[] | null} - Retorna as consultas de um paciente, se não tiver consultas retorna nulo
      */
-    async #getConsultasPaciente(cpf){
-        return await Consulta.findAll({where: {cpf_paciente: cpf}});
+    async #getConsultasPaciente(cpf, transaction = undefined){
+        return await Consulta.findAll({where: {cpf_paciente: cpf}, transaction});
     }
 
 
     /**
-    * Verifica se o paciente possui agendamentos futuros.
+    * Verifica se o paciente possui agendamentos futuros ainda ativos (agendados ou confirmados).
     * 
     * @async
     * @param {string} cpf - CPF do paciente.
+    * @param {boolean} [incluir_series=true] - Se as ocorrências de séries recorrentes também contam, ou apenas as consultas avulsas.
+    * @param {Transaction} [transaction] - Transação em andamento.
     * @returns {boolean} Retorna true se houver agendamentos futuros, caso contrário, false.
     */
-    async hasAgendamentosFuturos(cpf){
+    async hasAgendamentosFuturos(cpf, incluir_series = true, transaction = undefined){
         // Verifica se o paciente possui agendamentos futuros
-        const consultas_paciente = await this.#getConsultasPaciente(cpf);
-        if (consultas_paciente && consultas_paciente.some((c) => !c.isConsultaPassada())) 
+        const consultas_paciente = await this.#getConsultasPaciente(cpf, transaction);
+        if (consultas_paciente && consultas_paciente.some((c) => c.isAtiva() && !c.isConsultaPassada() && (incluir_series || !c.id_serie))) 
             return true;
 
         return false;
     }
 
     /**
-    * Lista consultas futuras de um paciente.
+    * Lista consultas futuras e ativas de um paciente.
     * 
     * @async
     * @param {string} cpf - CPF do paciente.
@@ -207,22 +629,24 @@ class ConsultaController{
         if(!consultas)
             return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
 
-        const consultas_futuras = consultas.filter((consulta) => !consulta.isConsultaPassada());
+        const consultas_futuras = consultas.filter((consulta) => consulta.isAtiva() && !consulta.isConsultaPassada());
         return {success: true, consultas: consultas_futuras};
     }
 
     /**
-     * Formata as consultas em uma string com suas informações
+     * Formata as consultas em uma string com suas informações, incluindo a situação do pagamento
      * 
      * @async
      * @param {Consulta[]} lista_consultas 
      * @returns {string} - Tabela com as informações das consultas
      */
     async #formatarConsultas(lista_consultas){
+        const situacoes = await FinanceiroController.getSituacoes(lista_consultas);
+
         // Cabeçalho
-        var resultado = "-------------------------------------------------------------\n";
-        resultado    += "   Data    H.Ini H.Fim Tempo Nome                   Dt.Nasc. \n";
-        resultado    += "-------------------------------------------------------------\n";
+        var resultado = "----------------------------------------------------------------------------------------------------------\n";
+        resultado    += `${Idioma.texto("listagens.consultas.cabecalho")}\n`;
+        resultado    += "----------------------------------------------------------------------------------------------------------\n";
 
         for(let i=0; i < lista_consultas.length; i++){
             const consulta = lista_consultas[i];
@@ -230,7 +654,7 @@ class ConsultaController{
             //Para evitar que a mesma data seja repetida na primeira coluna verifico se ele é igual a data da consulta anterior 
             var data_consulta = "";
             if((i === 0) || !lista_consultas[i].data_consulta.equals(lista_consultas[i-1].data_consulta)){
-                data_consulta = consulta.data_consulta.toFormat("dd/MM/yyyy")
+                data_consulta = Idioma.formatarData(consulta.data_consulta)
             }
 
             resultado += `${data_consulta.padEnd(10, ' ')} `;
@@ -239,62 +663,266 @@ class ConsultaController{
             resultado += `${consulta.hora_final.diff(consulta.hora_inicial, ["hours", "minutes"]).toFormat("hh:mm")} `;
 
             const paciente = await PacienteController.getPaciente(consulta.cpf_paciente);
-            resultado += `${paciente.nome.padEnd(21, ' ')} ${paciente.data_nasc.toFormat("dd/MM/yyyy")}\n`;
+            resultado += `${paciente.nome.padEnd(21, ' ')} ${Idioma.formatarData(paciente.data_nasc)} `;
+            resultado += `${Idioma.texto(`status.${consulta.status}`).padEnd(10, ' ')} `;
+            resultado += `${Idioma.texto(`situacao_pagamento.${situacoes.get(consulta.id)}`).padEnd(10, ' ')} ${consulta.profissional?.nome ?? ""}\n`;
         }
         
 
-        resultado    += "-------------------------------------------------------------";
+        resultado    += "----------------------------------------------------------------------------------------------------------";
         return resultado;
     }
 
     /**
-    * Lista todas as consultas futuras
+    * Monta o filtro por profissional usado nas listagens.
+    * 
+    * @param {number|string|null} id_profissional - Identificador do profissional, ou nulo para todos.
+    * @returns {Object} Condição a ser incluída no `where` da busca.
+    */
+    #filtroProfissional(id_profissional){
+        if(id_profissional === null || id_profissional === undefined || id_profissional === "")
+            return {};
+
+        return {id_profissional: Number(id_profissional)};
+    }
+
+    /**
+    * Obtém todas as consultas não canceladas a partir da data de hoje, ordenadas por data e hora.
     * 
     * @async
-    * @returns {string} String formatada com a lista de consultas.
+    * @param {number|string|null} [id_profissional=null] - Filtra as consultas de um profissional, ou nulo para todos.
+    * @returns {Consulta[]} Lista de consultas.
     */
-    async listarConsultas(){
-        let lista_consultas = await Consulta.findAll({
+    async getConsultas(id_profissional = null){
+        return await Consulta.findAll({
             where: {
                 data_consulta:{
                     [Op.gte]: DateTime.now().toSQLDate()
-                }
+                },
+                status: {[Op.ne]: StatusConsulta.CANCELADA},
+                ...this.#filtroProfissional(id_profissional),
             },
+            include: [{model: Profissional, as: "profissional"}],
             order: [['data_consulta', 'ASC'], ['hora_inicial', 'ASC']], 
         });
-        return await this.#formatarConsultas(lista_consultas)
     }
 
     /**
-    * Lista as consultas futuras contidas em um intervalo de datas.
+    * Obtém as consultas não canceladas contidas em um intervalo de datas, ordenadas por data e hora.
     * 
     * @async
     * @param {string} data_inicial - Data inicial do intervalo no formato "dd/MM/yyyy".
     * @param {string} data_final - Data final do intervalo no formato "dd/MM/yyyy".
-    * 
-    * @returns {Consulta[]} - Uma nova lista contendo apenas as consultas que estão no intervalo especificado.
+    * @param {number|string|null} [id_profissional=null] - Filtra as consultas de um profissional, ou nulo para todos.
+    * @returns {Consulta[]} Lista de consultas do período.
     * 
     * @throws {Error} - Lança um erro se `data_inicial` ou `data_final` não forem fornecidas.
     */
-    async listarConsultasPeriodo(data_inicial, data_final){
+    async getConsultasPeriodo(data_inicial, data_final, id_profissional = null){
         if(!(data_inicial && data_final))
             throw new Error("Listar consultas com período deve ter data inicial e final!");
 
-
         const data_inicial_formata  = DateTime.fromFormat(data_inicial, "dd/MM/yyyy");
         const data_final_formata    = DateTime.fromFormat(data_final, "dd/MM/yyyy");
 
-        const consultas = await Consulta.findAll({
+        return await Consulta.findAll({
             where: {
                 data_consulta: {
                     [Op.between]: [data_inicial_formata.toSQLDate(), data_final_formata.toSQLDate()],
-                }
+                },
+                status: {[Op.ne]: StatusConsulta.CANCELADA},
+                ...this.#filtroProfissional(id_profissional),
             },
+            include: [{model: Profissional, as: "profissional"}],
             order: [['data_consulta', 'ASC'], ['hora_inicial', 'ASC']], // Ordenação opcional
         });
+    }
 
+    /**
+    * Lista todas as consultas futuras
+    * 
+    * @async
+    * @param {number|string|null} [id_profissional=null] - Filtra as consultas de um profissional, ou nulo para todos.
+    * @returns {string} String formatada com a lista de consultas.
+    */
+    async listarConsultas(id_profissional = null){
+        const lista_consultas = await this.getConsultas(id_profissional);
+        return await this.#formatarConsultas(lista_consultas)
+    }
+
+    /**
+    * Lista as consultas futuras contidas em um intervalo de datas.
+    * 
+    * @async
+    * @param {string} data_inicial - Data inicial do intervalo no formato "dd/MM/yyyy".
+    * @param {string} data_final - Data final do intervalo no formato "dd/MM/yyyy".
+    * 
+    * @param {number|string|null} [id_profissional=null] - Filtra as consultas de um profissional, ou nulo para todos.
+    * @returns {string} - String formatada contendo apenas as consultas que estão no intervalo especificado.
+    * 
+    * @throws {Error} - Lança um erro se `data_inicial` ou `data_final` não forem fornecidas.
+    */
+    async listarConsultasPeriodo(data_inicial, data_final, id_profissional = null){
+        const consultas = await this.getConsultasPeriodo(data_inicial, data_final, id_profissional);
         return await this.#formatarConsultas(consultas);
+    }
+
+    /**
+     * Gera um calendário iCalendar (.ics) com um evento por consulta.
+     * O UID de cada evento é derivado do identificador da consulta, então reimportar o arquivo atualiza os eventos.
+     * 
+     * @async
+     * @param {Consulta[]} lista_consultas 
+     * @returns {string} - Conteúdo do arquivo .ics
+     */
+    async #formatarICalendar(lista_consultas){
+        const calendario = new ICalendar();
+
+        for(const consulta of lista_consultas){
+            const paciente = await PacienteController.getPaciente(consulta.cpf_paciente);
+            const momento = (hora) => consulta.data_consulta.set({hour: hora.hour, minute: hora.minute});
+
+            calendario.adicionarEvento({
+                uid:        `consulta-${consulta.id}@consultorio-odontologico`,
+                inicio:     momento(consulta.hora_inicial),
+                fim:        momento(consulta.hora_final),
+                resumo:     Idioma.texto("calendario.resumo", { paciente: paciente.nome }),
+                descricao:  Idioma.texto("calendario.descricao", {
+                    profissional: consulta.profissional?.nome ?? "", status: Idioma.texto(`status.${consulta.status}`)
+                }),
+                status:     StatusICalendar[consulta.status],
+            });
+        }
+
+        return calendario.toString();
+    }
+
+    /**
+    * Exporta as consultas futuras no formato iCalendar.
+    * 
+    * @async
+    * @param {number|string|null} [id_profissional=null] - Exporta apenas as consultas de um profissional, ou nulo para todos.
+    * @returns {string} - Conteúdo do arquivo .ics
+    */
+    async exportarConsultas(id_profissional = null){
+        const lista_consultas = await this.getConsultas(id_profissional);
+        return await this.#formatarICalendar(lista_consultas);
+    }
+
+    /**
+    * Exporta as consultas contidas em um intervalo de datas no formato iCalendar.
+    * 
+    * @async
+    * @param {string} data_inicial - Data inicial do intervalo no formato "dd/MM/yyyy".
+    * @param {string} data_final - Data final do intervalo no formato "dd/MM/yyyy".
+    * @param {number|string|null} [id_profissional=null] - Exporta apenas as consultas de um profissional, ou nulo para todos.
+    * @returns {string} - Conteúdo do arquivo .ics
+    * 
+    * @throws {Error} - Lança um erro se `data_inicial` ou `data_final` não forem fornecidas.
+    */
+    async exportarConsultasPeriodo(data_inicial, data_final, id_profissional = null){
+        const consultas = await this.getConsultasPeriodo(data_inicial, data_final, id_profissional);
+        return await this.#formatarICalendar(consultas);
+    }
+
+    /**
+    * Valida a duração desejada de uma consulta, que deve ser um múltiplo positivo de 15 minutos.
+    * 
+    * @param {string|number} duracao - Duração em minutos.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaDuracao(duracao){
+        const minutos = Number(duracao);
+
+        if (duracao === "" || !Number.isInteger(minutos) || minutos <= 0 || minutos % 15 !== 0) {
+            return { success: false, error: ErrorCodes.ERR_DURACAO_INVALIDA };
+        }
+
+        return { success: true };
+    }
+
+    /**
+    * Busca os próximos horários livres de um profissional para uma consulta com a duração desejada.
+    * Os horários começam em múltiplos de 15 minutos, ficam dentro do expediente e não sobrepõem consultas não canceladas.
+    * 
+    * @async
+    * @param {Object} busca
+    * @param {string|number} busca.duracao - Duração da consulta em minutos.
+    * @param {number|string} busca.id_profissional - Identificador do profissional.
+    * @param {string|null} [busca.data_inicial=null] - Início da busca no formato "dd/MM/yyyy", hoje se nulo.
+    * @param {string|null} [busca.data_final=null] - Fim da busca no formato "dd/MM/yyyy", uma semana a partir do início se nulo.
+    * @param {number} [busca.limite=20] - Quantidade máxima de horários retornados.
+    * @returns {{success: boolean, error?: number, horarios?: {data_consulta: string, hora_inicial: string, hora_final: string}[]}}
+    * Horários livres em ordem, nos mesmos formatos usados no agendamento ("dd/MM/yyyy" e "HHmm"), ou um código de erro.
+    */
+    async getHorariosLivres({duracao, id_profissional, data_inicial = null, data_final = null, limite = 20} = {}){
+        const validacao_duracao = this.validaDuracao(duracao);
+        if(!validacao_duracao.success)
+            return validacao_duracao;
+
+        const validacao_profissional = await ProfissionalController.validaProfissional(id_profissional);
+        if(!validacao_profissional.success)
+            return validacao_profissional;
+
+        const agora = DateTime.now();
+        const minutos = Number(duracao);
+
+        let inicio = data_inicial ? DateTime.fromFormat(data_inicial, "dd/MM/yyyy") : agora.startOf('day');
+        const fim = data_final ? DateTime.fromFormat(data_final, "dd/MM/yyyy") : inicio.plus({days: 6});
+
+        if(!inicio.isValid || !fim.isValid)
+            return { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_INVALIDA };
+
+        if(fim < inicio)
+            return { success: false, error: ErrorCodes.ERR_DATA_FINAL_MENOR_INICIAL };
+
+        // Não há horários livres no passado
+        if(inicio < agora.startOf('day'))
+            inicio = agora.startOf('day');
+
+        const consultas = await Consulta.findAll({
+            where: {
+                id_profissional: Number(id_profissional),
+                status: {[Op.ne]: StatusConsulta.CANCELADA},
+                data_consulta: {[Op.between]: [inicio.toSQLDate(), fim.toSQLDate()]},
+            }
+        });
+
+        // Intervalos ocupados de cada dia, em minutos desde a meia-noite
+        const ocupados = {};
+        for(const consulta of consultas){
+            const dia = consulta.data_consulta.toSQLDate();
+            ocupados[dia] = ocupados[dia] ?? [];
+            ocupados[dia].push([
+                consulta.hora_inicial.hour * 60 + consulta.hora_inicial.minute,
+                consulta.hora_final.hour * 60 + consulta.hora_final.minute,
+            ]);
+        }
+
+        const formatar = (minuto) => `${String(Math.floor(minuto / 60)).padStart(2, '0')}${String(minuto % 60).padStart(2, '0')}`;
+        const horarios = [];
+
+        for(let dia = inicio; dia <= fim && horarios.length < limite; dia = dia.plus({days: 1})){
+            const ocupados_dia = ocupados[dia.toSQLDate()] ?? [];
+
+            for(const [abertura, fechamento] of Expediente.getIntervalos(dia)){
+                for(let minuto = Math.ceil(abertura / 15) * 15; minuto + minutos <= fechamento && horarios.length < limite; minuto += 15){
+                    if(dia.plus({minutes: minuto}) < agora)
+                        continue;
+
+                    if(ocupados_dia.some(([ocupado_inicio, ocupado_fim]) => minuto < ocupado_fim && minuto + minutos > ocupado_inicio))
+                        continue;
+
+                    horarios.push({
+                        data_consulta:  dia.toFormat("dd/MM/yyyy"),
+                        hora_inicial:   formatar(minuto),
+                        hora_final:     formatar(minuto + minutos),
+                    });
+                }
+            }
+        }
 
+        return { success: true, horarios };
     }
 
     /**
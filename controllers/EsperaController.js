@@ -0,0 +1,282 @@
+import { DateTime } from "luxon";
+import { Op } from "sequelize";
+import { Espera } from "../models/Espera.js";
+import { Paciente } from "../models/Paciente.js";
+import { Profissional } from "../models/Profissional.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+import PacienteController from "./PacienteController.js";
+import ConsultaController from "./ConsultaController.js";
+import ProfissionalController from "./ProfissionalController.js";
+
+/**
+* Classe Singleton responsável pela lista de espera de pacientes que não encontraram horário livre.
+* A prioridade é a ordem de chegada: quando um horário é liberado, os pedidos compatíveis são listados do mais antigo ao mais recente.
+*/
+class EsperaController{
+
+    /**
+    * Construtor da classe EsperaController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (EsperaController.instance)
+            return EsperaController.instance; // Retorna a instância existente
+
+        EsperaController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida a faixa de horário aceita pelo paciente, que deve comportar a duração da consulta.
+    *
+    * @param {string} hora_inicial - Início da faixa no formato "HHmm".
+    * @param {string} hora_final - Fim da faixa no formato "HHmm".
+    * @param {string|number} duracao - Duração da consulta em minutos.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaFaixa(hora_inicial, hora_final, duracao){
+        const inicio = DateTime.fromFormat(hora_inicial, "HHmm");
+        const fim = DateTime.fromFormat(hora_final, "HHmm");
+
+        if(!inicio.isValid || !fim.isValid)
+            return {success: false, error: ErrorCodes.ERR_HORA_INVALIDA};
+
+        // As consultas começam em múltiplos de 15 minutos
+        if(inicio.minute % 15 !== 0 || fim.minute % 15 !== 0)
+            return {success: false, error: ErrorCodes.ERR_HORA_HORARIO_INVALIDO};
+
+        if(fim <= inicio)
+            return {success: false, error: ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL};
+
+        if(fim.diff(inicio, "minutes").minutes < Number(duracao))
+            return {success: false, error: ErrorCodes.ERR_FAIXA_ESPERA_CURTA};
+
+        return {success: true};
+    }
+
+    /**
+    * Inclui um paciente na lista de espera.
+    *
+    * @async
+    * @param {Object} dados
+    * @param {string} dados.cpf - CPF do paciente.
+    * @param {number|string|null} [dados.id_profissional=null] - Profissional desejado, nulo ou vazio para qualquer um.
+    * @param {string} dados.data_inicial - Primeiro dia aceito no formato "dd/MM/yyyy".
+    * @param {string} dados.data_final - Último dia aceito no formato "dd/MM/yyyy".
+    * @param {string} dados.hora_inicial - Início da faixa de horário no formato "HHmm".
+    * @param {string} dados.hora_final - Fim da faixa de horário no formato "HHmm".
+    * @param {string|number} dados.duracao - Duração da consulta em minutos.
+    * @returns {{success: boolean, error?: number, espera?: Espera}} O pedido criado ou o primeiro código de erro encontrado.
+    */
+    async addEspera({cpf, id_profissional = null, data_inicial, data_final, hora_inicial, hora_final, duracao} = {}){
+        cpf = String(cpf ?? "");
+        data_inicial = String(data_inicial ?? "");
+        data_final = String(data_final ?? "");
+        hora_inicial = String(hora_inicial ?? "");
+        hora_final = String(hora_final ?? "");
+
+        // Sem profissional o paciente aceita qualquer um
+        const qualquer_profissional = (id_profissional === null || id_profissional === "");
+
+        const validacoes = [
+            async () => PacienteController.validaCpf(cpf),
+            async () => qualquer_profissional ? {success: true} : ProfissionalController.validaProfissional(id_profissional),
+            async () => ConsultaController.validaData(data_inicial),
+            async () => ConsultaController.validaData(data_final, data_inicial),
+            async () => DateTime.fromFormat(data_final, "dd/MM/yyyy") < DateTime.now().startOf("day")
+                ? {success: false, error: ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR} : {success: true},
+            async () => ConsultaController.validaDuracao(String(duracao ?? "")),
+            async () => this.validaFaixa(hora_inicial, hora_final, duracao),
+        ];
+
+        for(const validacao of validacoes){
+            const resultado = await validacao();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        try {
+            const espera = await Espera.create({
+                cpf_paciente:       cpf,
+                id_profissional:    qualquer_profissional ? null : Number(id_profissional),
+                data_inicial:       DateTime.fromFormat(data_inicial, "dd/MM/yyyy").toFormat("yyyy-MM-dd"),
+                data_final:         DateTime.fromFormat(data_final, "dd/MM/yyyy").toFormat("yyyy-MM-dd"),
+                hora_inicial:       DateTime.fromFormat(hora_inicial, "HHmm").toFormat("HH:mm:00"),
+                hora_final:         DateTime.fromFormat(hora_final, "HHmm").toFormat("HH:mm:00"),
+                duracao:            Number(duracao),
+                data_cadastro:      DateTime.now().toJSDate(),
+            });
+
+            return {success: true, espera};
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Retorna os pedidos que ainda valem (cujo período não terminou), em ordem de prioridade.
+    *
+    * @async
+    * @param {string|null} [cpf=null] - CPF do paciente, ou nulo para toda a lista.
+    * @returns {Espera[]}
+    */
+    async getEsperas(cpf = null){
+        const where = {data_final: {[Op.gte]: DateTime.now().toFormat("yyyy-MM-dd")}};
+        if(cpf !== null)
+            where.cpf_paciente = cpf;
+
+        return await Espera.findAll({
+            where,
+            include: [{model: Paciente, as: "paciente"}, {model: Profissional, as: "profissional"}],
+            order: [["data_cadastro", "ASC"], ["id", "ASC"]],
+        });
+    }
+
+    /**
+    * Retira um pedido da lista de espera.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente, para conferir que o pedido é dele.
+    * @param {number|string} id - Identificador do pedido.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async removeEspera(cpf, id){
+        const espera = Number.isInteger(Number(id)) ? await Espera.findByPk(Number(id)) : null;
+        if(!espera || espera.cpf_paciente !== cpf)
+            return {success: false, error: ErrorCodes.ERR_ESPERA_NAO_ENCONTRADA};
+
+        try {
+            await espera.destroy();
+            return {success: true};
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Retira da lista de espera os pedidos do paciente atendidos por uma consulta agendada,
+    * ou seja, aqueles cujo período, faixa de horário e profissional comportam a consulta.
+    *
+    * @async
+    * @param {Consulta} consulta - Consulta agendada para o paciente.
+    */
+    async removeAtendidas(consulta){
+        const esperas = await this.getEsperas(consulta.cpf_paciente);
+
+        for(const espera of esperas)
+            if(this.#isCompativel(espera, consulta) && espera.encaixar(consulta.hora_inicial, consulta.hora_final))
+                await espera.destroy();
+    }
+
+    /**
+    * Verifica se o dia e o profissional de uma consulta estão dentro do pedido.
+    *
+    * @param {Espera} espera
+    * @param {Consulta} consulta
+    * @returns {boolean}
+    */
+    #isCompativel(espera, consulta){
+        if(espera.id_profissional !== null && espera.id_profissional !== consulta.id_profissional)
+            return false;
+
+        return consulta.data_consulta >= espera.data_inicial && consulta.data_consulta <= espera.data_final;
+    }
+
+    /**
+    * Lista, em ordem de prioridade, os pacientes da lista de espera que aceitam o horário liberado por uma consulta,
+    * com o horário que pode ser oferecido a cada um. O paciente da própria consulta não é incluído.
+    *
+    * @async
+    * @param {Consulta} consulta - Consulta cancelada ou remarcada, cujo horário ficou livre.
+    * @returns {{espera: Espera, data_consulta: string, hora_inicial: string, hora_final: string}[]}
+    * Pedidos compatíveis e o horário oferecido, nos formatos usados no agendamento ("dd/MM/yyyy" e "HHmm").
+    */
+    async getInteressados(consulta){
+        // Um horário que já passou não pode ser oferecido
+        if(consulta.isConsultaPassada())
+            return [];
+
+        const esperas = await this.getEsperas();
+        const interessados = [];
+
+        for(const espera of esperas){
+            if(espera.cpf_paciente === consulta.cpf_paciente || !this.#isCompativel(espera, consulta))
+                continue;
+
+            const horario = espera.encaixar(consulta.hora_inicial, consulta.hora_final);
+            if(horario)
+                interessados.push({
+                    espera,
+                    data_consulta:  consulta.data_consulta.toFormat("dd/MM/yyyy"),
+                    hora_inicial:   horario.hora_inicial.toFormat("HHmm"),
+                    hora_final:     horario.hora_final.toFormat("HHmm"),
+                });
+        }
+
+        return interessados;
+    }
+
+    /**
+    * Formata os pedidos da lista de espera em uma tabela.
+    *
+    * @param {Espera[]} esperas
+    * @returns {string} - Tabela com os pedidos.
+    */
+    formatarEsperas(esperas){
+        let resultado = '-------------------------------------------------------------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.espera.cabecalho")}\n`;
+        resultado +=    '-------------------------------------------------------------------------------------------\n';
+
+        for(const espera of esperas){
+            resultado += `${String(espera.id).padStart(5)} `;
+            resultado += `${espera.cpf_paciente} `;
+            resultado += `${(espera.paciente?.nome ?? "").slice(0, 20).padEnd(20)} `;
+            resultado += `${Idioma.formatarData(espera.data_inicial)} ${Idioma.formatarData(espera.data_final)} `;
+            resultado += `${espera.hora_inicial.toFormat("HH:mm")}-${espera.hora_final.toFormat("HH:mm")} `;
+            resultado += `${String(espera.duracao).padStart(4)} `;
+            resultado += `${espera.profissional?.nome ?? Idioma.texto("listagens.espera.qualquer")}\n`;
+        }
+
+        resultado +=    '-------------------------------------------------------------------------------------------';
+        return resultado;
+    }
+
+    /**
+    * Lista os pedidos que ainda valem, em ordem de prioridade.
+    *
+    * @async
+    * @param {string|null} [cpf=null] - CPF do paciente, ou nulo para toda a lista.
+    * @returns {string} - Tabela com os pedidos.
+    */
+    async listarEsperas(cpf = null){
+        return this.formatarEsperas(await this.getEsperas(cpf));
+    }
+
+    /**
+    * Formata em uma tabela os pacientes que aceitam os horários liberados, com o horário a oferecer a cada um.
+    *
+    * @param {{espera: Espera, data_consulta: string, hora_inicial: string, hora_final: string}[]} interessados
+    * - Pedidos retornados por `getInteressados`, ou pelo cancelamento e remarcação de consultas.
+    * @returns {string|null} - Tabela com os pacientes, ou nulo se ninguém aceitar os horários.
+    */
+    formatarInteressados(interessados){
+        if(!interessados?.length)
+            return null;
+
+        let resultado = '-------------------------------------------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.interessados.cabecalho")}\n`;
+        resultado +=    '-------------------------------------------------------------------------\n';
+
+        interessados.forEach(({espera, data_consulta, hora_inicial, hora_final}, i) => {
+            resultado += `${String(i + 1).padStart(4)} `;
+            resultado += `${espera.cpf_paciente} `;
+            resultado += `${(espera.paciente?.nome ?? "").slice(0, 20).padEnd(20)} `;
+            resultado += `${Idioma.formatarData(DateTime.fromFormat(data_consulta, "dd/MM/yyyy"))} `;
+            resultado += `${`${hora_inicial.slice(0, 2)}:${hora_inicial.slice(2)}`.padEnd(6)} ${hora_final.slice(0, 2)}:${hora_final.slice(2)}\n`;
+        });
+
+        resultado +=    '-------------------------------------------------------------------------';
+        return resultado;
+    }
+}
+
+export default new EsperaController();
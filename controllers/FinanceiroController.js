@@ -0,0 +1,421 @@
+import { DateTime } from "luxon";
+import { fn, col } from "sequelize";
+import { Consulta, StatusConsulta } from "../models/Consulta.js";
+import { Profissional } from "../models/Profissional.js";
+import { Cobranca } from "../models/Cobranca.js";
+import { Pagamento, FormaPagamento, SituacaoPagamento } from "../models/Pagamento.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
+import { ErrorCodes } from "../utils/Error.js";
+import { paraCentavos } from "../utils/Moeda.js";
+import Idioma from "../utils/Idioma.js";
+import Sessao from "../utils/Sessao.js";
+import PacienteController from "./PacienteController.js";
+import ConsultaController from "./ConsultaController.js";
+import ProcedimentoController from "./ProcedimentoController.js";
+import AuditoriaController from "./AuditoriaController.js";
+
+/**
+ * Número máximo de parcelas no cartão de crédito
+ */
+const PARCELAS_MAXIMO = 12;
+
+/**
+* Classe Singleton responsável pelo financeiro: as cobranças dos procedimentos realizados em cada consulta,
+* os pagamentos recebidos e o saldo em aberto dos pacientes.
+*
+* As cobranças são lançadas a partir do início da consulta, inclusive depois de encerrada, com o preço da tabela no momento do lançamento.
+* Cada pagamento quita parte ou todo o saldo de uma consulta, o que permite receber em várias vezes.
+*/
+class FinanceiroController{
+
+    /**
+    * Construtor da classe FinanceiroController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (FinanceiroController.instance)
+            return FinanceiroController.instance; // Retorna a instância existente
+
+        FinanceiroController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o valor de um pagamento em reais, ex.: "150,00".
+    *
+    * @param {string|number} valor - Valor a ser validado.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaValor(valor){
+        if(paraCentavos(valor) === null)
+            return {success: false, error: ErrorCodes.ERR_VALOR_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida a forma de pagamento.
+    *
+    * @param {string} forma - Um dos valores de `FormaPagamento`.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaFormaPagamento(forma){
+        if(!Object.values(FormaPagamento).includes(forma))
+            return {success: false, error: ErrorCodes.ERR_FORMA_PAGAMENTO_INVALIDA};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida o número de parcelas: de 1 a 12 no cartão de crédito e apenas 1 nas demais formas.
+    *
+    * @param {string} forma - Forma de pagamento.
+    * @param {string|number} parcelas - Número de parcelas.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaParcelas(forma, parcelas){
+        const numero = Number(parcelas);
+        const maximo = (forma === FormaPagamento.CARTAO_CREDITO) ? PARCELAS_MAXIMO : 1;
+
+        if(!/^\d+$/.test(String(parcelas ?? "").trim()) || numero < 1 || numero > maximo)
+            return {success: false, error: ErrorCodes.ERR_PARCELAS_INVALIDAS};
+
+        return {success: true};
+    }
+
+    /**
+    * Busca uma consulta que já começou e na qual o paciente foi atendido.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} A consulta ou um código de erro.
+    */
+    async #getConsultaAtendida(cpf, data_consulta, hora_inicial){
+        const resultado = await ConsultaController.getConsultaIniciada(String(cpf ?? ""), String(data_consulta ?? ""), String(hora_inicial ?? ""));
+        if(!resultado.success)
+            return resultado;
+
+        if(resultado.consulta.status === StatusConsulta.FALTOU)
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_SEM_ATENDIMENTO};
+
+        return resultado;
+    }
+
+    /**
+    * Soma os valores de um modelo (cobranças ou pagamentos) por consulta.
+    *
+    * @async
+    * @param {typeof Cobranca|typeof Pagamento} modelo - Modelo somado.
+    * @param {number[]} ids - Identificadores das consultas.
+    * @param {import("sequelize").Transaction} [transaction] - Transação em andamento.
+    * @returns {Map<number, number>} Total em centavos de cada consulta que tem lançamentos.
+    */
+    async #somarPorConsulta(modelo, ids, transaction = undefined){
+        if(ids.length === 0)
+            return new Map();
+
+        const totais = await modelo.findAll({
+            attributes: ["id_consulta", [fn("SUM", col("valor")), "total"]],
+            where: {id_consulta: ids},
+            group: ["id_consulta"],
+            raw: true,
+            transaction,
+        });
+
+        return new Map(totais.map((total) => [total.id_consulta, Number(total.total)]));
+    }
+
+    /**
+    * Retorna a situação do pagamento conforme o total cobrado e o total pago.
+    *
+    * @param {number} cobrado - Total cobrado em centavos.
+    * @param {number} pago - Total pago em centavos.
+    * @returns {string} Um dos valores de `SituacaoPagamento`.
+    */
+    getSituacao(cobrado, pago){
+        if(cobrado === 0)
+            return SituacaoPagamento.SEM_COBRANCA;
+        if(pago === 0)
+            return SituacaoPagamento.PENDENTE;
+
+        return (pago >= cobrado) ? SituacaoPagamento.PAGO : SituacaoPagamento.PARCIAL;
+    }
+
+    /**
+    * Retorna a situação do pagamento de cada consulta.
+    *
+    * @async
+    * @param {Consulta[]} consultas - Consultas verificadas.
+    * @returns {Map<number, string>} Situação de cada consulta, pelo identificador.
+    */
+    async getSituacoes(consultas){
+        const ids = consultas.map((consulta) => consulta.id);
+        const cobrado = await this.#somarPorConsulta(Cobranca, ids);
+        const pago = await this.#somarPorConsulta(Pagamento, ids);
+
+        return new Map(ids.map((id) => [id, this.getSituacao(cobrado.get(id) ?? 0, pago.get(id) ?? 0)]));
+    }
+
+    /**
+    * Lança a cobrança de um procedimento da tabela de preços em uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {number|string} id_procedimento - Procedimento da tabela de preços.
+    * @returns {{success: boolean, error?: number, cobranca?: Cobranca}} A cobrança lançada ou um código de erro.
+    */
+    async lancarCobranca(cpf, data_consulta, hora_inicial, id_procedimento){
+        const procedimento = await ProcedimentoController.getProcedimento(id_procedimento);
+        if(!procedimento)
+            return {success: false, error: ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO};
+        if(!procedimento.ativo)
+            return {success: false, error: ErrorCodes.ERR_PROCEDIMENTO_INATIVO};
+
+        const resultado = await this.#getConsultaAtendida(cpf, data_consulta, hora_inicial);
+        if(!resultado.success)
+            return resultado;
+
+        const { consulta } = resultado;
+
+        try {
+            const cobranca = await ConsultaController.transacaoAgenda(async (transaction) => {
+                await this.#travarConsulta(consulta.id, transaction);
+
+                const cobranca = await Cobranca.create({
+                    id_consulta:        consulta.id,
+                    id_procedimento:    procedimento.id,
+                    descricao:          procedimento.nome,
+                    valor:              procedimento.preco,
+                    operador:           Sessao.operador,
+                    data_hora:          DateTime.now().toJSDate(),
+                }, {transaction});
+
+                await AuditoriaController.registrar(AcaoAuditoria.COBRANCA_LANCADA, consulta.cpf_paciente, null, cobranca.toJSON(), transaction);
+                return cobranca;
+            });
+
+            return {success: true, cobranca};
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Trava a consulta até o fim da transação. Lançamentos, pagamentos e remoções de cobrança da mesma consulta esperam um pelo outro,
+    * então cada um soma as cobranças e os pagamentos já com a gravação do outro.
+    *
+    * @async
+    * @param {number} id_consulta - Identificador da consulta.
+    * @param {import("sequelize").Transaction} transaction - Transação em andamento.
+    */
+    async #travarConsulta(id_consulta, transaction){
+        await Consulta.findByPk(id_consulta, {transaction, lock: transaction.LOCK.UPDATE});
+    }
+
+    /**
+    * Remove uma cobrança lançada por engano. A remoção é recusada se o valor já pago na consulta passar do novo total cobrado.
+    *
+    * @async
+    * @param {number|string} id - Identificador da cobrança.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async removeCobranca(id){
+        const id_numerico = Number(id);
+        const cobranca = (Number.isInteger(id_numerico) && id_numerico > 0)
+            ? await Cobranca.findByPk(id_numerico, {include: [{model: Consulta, as: "consulta"}]})
+            : null;
+
+        if(!cobranca)
+            return {success: false, error: ErrorCodes.ERR_COBRANCA_NAO_ENCONTRADA};
+
+        let recusa = null;
+
+        try {
+            await ConsultaController.transacaoAgenda(async (transaction) => {
+                await this.#travarConsulta(cobranca.id_consulta, transaction);
+
+                // A cobrança pode ter sido removida por outro operador desde a busca
+                if(!(await Cobranca.findByPk(cobranca.id, {transaction}))){
+                    recusa = {success: false, error: ErrorCodes.ERR_COBRANCA_NAO_ENCONTRADA};
+                    throw recusa;
+                }
+
+                const cobrado = (await this.#somarPorConsulta(Cobranca, [cobranca.id_consulta], transaction)).get(cobranca.id_consulta) ?? 0;
+                const pago = (await this.#somarPorConsulta(Pagamento, [cobranca.id_consulta], transaction)).get(cobranca.id_consulta) ?? 0;
+
+                if(pago > cobrado - cobranca.valor){
+                    recusa = {success: false, error: ErrorCodes.ERR_COBRANCA_PAGA};
+                    throw recusa;
+                }
+
+                await cobranca.destroy({transaction});
+                await AuditoriaController.registrar(AcaoAuditoria.COBRANCA_REMOVIDA, cobranca.consulta.cpf_paciente, cobranca.toJSON(), null, transaction);
+            });
+
+            return {success: true};
+        } catch (error) {
+            return recusa ?? {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Registra um pagamento recebido por uma consulta. O valor não pode passar do saldo em aberto da consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {{valor: string|number, forma: string, parcelas?: string|number}} pagamento - Valor em reais, forma de pagamento e parcelas no cartão de crédito.
+    * @returns {{success: boolean, error?: number, pagamento?: Pagamento, saldo?: number}} O pagamento e o saldo restante da consulta em centavos, ou um código de erro.
+    */
+    async registrarPagamento(cpf, data_consulta, hora_inicial, {valor, forma, parcelas = 1} = {}){
+        const validacoes = [this.validaValor(valor), this.validaFormaPagamento(forma), this.validaParcelas(forma, parcelas)];
+        const invalida = validacoes.find((validacao) => !validacao.success);
+        if(invalida)
+            return invalida;
+
+        const resultado = await this.#getConsultaAtendida(cpf, data_consulta, hora_inicial);
+        if(!resultado.success)
+            return resultado;
+
+        const { consulta } = resultado;
+        const centavos = paraCentavos(valor);
+        let recusa = null;
+
+        try {
+            const { pagamento, saldo } = await ConsultaController.transacaoAgenda(async (transaction) => {
+                await this.#travarConsulta(consulta.id, transaction);
+
+                const cobrado = (await this.#somarPorConsulta(Cobranca, [consulta.id], transaction)).get(consulta.id) ?? 0;
+                const pago = (await this.#somarPorConsulta(Pagamento, [consulta.id], transaction)).get(consulta.id) ?? 0;
+
+                if(centavos > cobrado - pago){
+                    recusa = {success: false, error: ErrorCodes.ERR_PAGAMENTO_EXCEDE_SALDO};
+                    throw recusa;
+                }
+
+                const pagamento = await Pagamento.create({
+                    id_consulta:    consulta.id,
+                    valor:          centavos,
+                    forma:          forma,
+                    parcelas:       Number(parcelas),
+                    operador:       Sessao.operador,
+                    data_hora:      DateTime.now().toJSDate(),
+                }, {transaction});
+
+                await AuditoriaController.registrar(AcaoAuditoria.PAGAMENTO_REGISTRADO, consulta.cpf_paciente, null, pagamento.toJSON(), transaction);
+                return {pagamento, saldo: cobrado - pago - centavos};
+            });
+
+            return {success: true, pagamento, saldo};
+        } catch (error) {
+            return recusa ?? {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Retorna o extrato do paciente: as consultas com cobranças, da mais antiga para a mais recente,
+    * com as cobranças, os pagamentos e o saldo de cada uma, e os totais do paciente.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {{success: boolean, error?: number, cobrado?: number, pago?: number, saldo?: number,
+    * consultas?: {consulta: Consulta, cobrancas: Cobranca[], pagamentos: Pagamento[], cobrado: number, pago: number, saldo: number, situacao: string}[]}}
+    * Os valores em centavos, ou um código de erro.
+    */
+    async getExtrato(cpf){
+        if(!(await PacienteController.exists(cpf)))
+            return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
+
+        const consultas = await Consulta.findAll({
+            where: {cpf_paciente: cpf},
+            include: [
+                {model: Profissional, as: "profissional"},
+                {model: Cobranca, as: "cobrancas", required: true},
+                {model: Pagamento, as: "pagamentos"},
+            ],
+            order: [
+                ["data_consulta", "ASC"], ["hora_inicial", "ASC"],
+                [{model: Cobranca, as: "cobrancas"}, "id", "ASC"],
+                [{model: Pagamento, as: "pagamentos"}, "id", "ASC"],
+            ],
+        });
+
+        const somar = (lancamentos) => lancamentos.reduce((total, lancamento) => total + lancamento.valor, 0);
+        const itens = consultas.map((consulta) => {
+            const cobrado = somar(consulta.cobrancas);
+            const pago = somar(consulta.pagamentos);
+
+            return {
+                consulta,
+                cobrancas:  consulta.cobrancas,
+                pagamentos: consulta.pagamentos,
+                cobrado,
+                pago,
+                saldo:      cobrado - pago,
+                situacao:   this.getSituacao(cobrado, pago),
+            };
+        });
+
+        const cobrado = itens.reduce((total, item) => total + item.cobrado, 0);
+        const pago = itens.reduce((total, item) => total + item.pago, 0);
+        return {success: true, cobrado, pago, saldo: cobrado - pago, consultas: itens};
+    }
+
+    /**
+    * Retorna o saldo em aberto do paciente.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {number} Saldo em centavos, zero se o paciente não tiver cobranças.
+    */
+    async getSaldo(cpf){
+        const extrato = await this.getExtrato(cpf);
+        return extrato.success ? extrato.saldo : 0;
+    }
+
+    /**
+    * Formata o extrato do paciente, com os identificadores das cobranças usados na remoção.
+    *
+    * @param {{cobrado: number, pago: number, saldo: number, consultas: Object[]}} extrato - Extrato retornado por `getExtrato`.
+    * @returns {string}
+    */
+    formatarExtrato(extrato){
+        const textos = Idioma.texto("listagens.extrato");
+        const separador = '-'.repeat(83);
+        const valor = (centavos) => Idioma.formatarValor(centavos).padStart(14);
+
+        if(extrato.consultas.length === 0)
+            return textos.vazio;
+
+        let resultado = separador + "\n";
+        for(const item of extrato.consultas){
+            const { consulta } = item;
+
+            resultado += `${Idioma.formatarData(consulta.data_consulta)} ${consulta.hora_inicial.toFormat("HH:mm")} | ${consulta.profissional?.nome ?? ""}`;
+            resultado += ` | ${Idioma.texto(`situacao_pagamento.${item.situacao}`)}\n`;
+
+            for(const cobranca of item.cobrancas)
+                resultado += `  [${String(cobranca.id).padStart(4)}] ${cobranca.descricao.padEnd(44).slice(0, 44)} ${valor(cobranca.valor)}\n`;
+
+            for(const pagamento of item.pagamentos){
+                const forma = Idioma.texto(`formas_pagamento.${pagamento.forma}`);
+                const parcelas = pagamento.parcelas > 1 ? ` ${pagamento.parcelas}x` : "";
+                const descricao = `${textos.pagamento} ${Idioma.formatarData(pagamento.data_hora)} - ${forma}${parcelas}`;
+                resultado += `         ${descricao.padEnd(44).slice(0, 44)} ${valor(-pagamento.valor)}\n`;
+            }
+
+            resultado += `         ${textos.saldo_consulta.padEnd(44)} ${valor(item.saldo)}\n`;
+            resultado += separador + "\n";
+        }
+
+        resultado += `${textos.cobrado.padEnd(53)} ${valor(extrato.cobrado)}\n`;
+        resultado += `${textos.pago.padEnd(53)} ${valor(extrato.pago)}\n`;
+        resultado += `${textos.saldo.padEnd(53)} ${valor(extrato.saldo)}`;
+        return resultado;
+    }
+}
+
+export default new FinanceiroController();
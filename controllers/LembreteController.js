@@ -0,0 +1,283 @@
+import { DateTime } from "luxon";
+import { readFileSync } from "fs";
+import { Op, UniqueConstraintError } from "sequelize";
+import { Consulta, STATUS_ATIVOS } from "../models/Consulta.js";
+import { Lembrete, StatusLembrete } from "../models/Lembrete.js";
+import { Paciente } from "../models/Paciente.js";
+import { Profissional } from "../models/Profissional.js";
+import { criarCanal } from "../lembretes/Canais.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Minutos após os quais um lembrete ainda pendente é considerado abandonado (o envio foi interrompido antes de gravar
+ * o resultado) e volta a ser tentado. É bem maior que o tempo limite dos canais, para não repetir um envio em andamento.
+ */
+const RESERVA_EXPIRADA_MINUTOS = 30;
+
+/**
+* Classe Singleton responsável pelos lembretes das consultas: encontra as consultas que vão acontecer nas próximas horas,
+* monta a mensagem a partir do modelo e entrega por cada canal configurado.
+*
+* Cada envio fica registrado na tabela de lembretes, então rodar o envio várias vezes (por exemplo, a cada hora pelo cron)
+* não repete lembretes já enviados; só os que falharam ou cujo envio foi interrompido são tentados novamente.
+*/
+class LembreteController{
+
+    /**
+    * Construtor da classe LembreteController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (LembreteController.instance)
+            return LembreteController.instance; // Retorna a instância existente
+
+        LembreteController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida a antecedência dos lembretes, em horas.
+    *
+    * @param {string|number} horas - Quantidade de horas antes da consulta.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaAntecedencia(horas){
+        const numero = Number(horas);
+
+        if(!/^\d+$/.test(String(horas).trim()) || numero < 1 || numero > 168)
+            return {success: false, error: ErrorCodes.ERR_ANTECEDENCIA_INVALIDA};
+
+        return {success: true};
+    }
+
+    /**
+    * Retorna as consultas agendadas ou confirmadas que começam entre agora e as próximas horas, ordenadas por data e hora.
+    *
+    * @async
+    * @param {string|number} horas - Antecedência dos lembretes, em horas.
+    * @returns {Consulta[]} Consultas com o paciente e o profissional.
+    */
+    async getConsultasParaLembrete(horas){
+        const agora = DateTime.now();
+        const limite = agora.plus({hours: Number(horas)});
+
+        const consultas = await Consulta.findAll({
+            where: {
+                data_consulta: {[Op.between]: [agora.toSQLDate(), limite.toSQLDate()]},
+                status: STATUS_ATIVOS,
+            },
+            include: [{model: Paciente, as: "paciente"}, {model: Profissional, as: "profissional"}],
+            order: [["data_consulta", "ASC"], ["hora_inicial", "ASC"]],
+        });
+
+        return consultas.filter((consulta) => {
+            const inicio = consulta.data_consulta.set({hour: consulta.hora_inicial.hour, minute: consulta.hora_inicial.minute});
+            return inicio > agora && inicio <= limite;
+        });
+    }
+
+    /**
+    * Carrega o modelo das mensagens. Sem arquivo é usado o modelo do idioma atual.
+    *
+    * O arquivo tem o assunto na primeira linha e a mensagem nas seguintes, com os parâmetros
+    * {nome}, {data}, {hora_inicial}, {hora_final} e {profissional}.
+    *
+    * @param {string|undefined} [arquivo=process.env.LEMBRETE_MODELO] - Caminho do arquivo com o modelo.
+    * @returns {{assunto: string, mensagem: string}}
+    *
+    * @throws {Error} - Lança um erro se o arquivo não puder ser lido.
+    */
+    carregarModelo(arquivo = process.env.LEMBRETE_MODELO){
+        if(!arquivo)
+            return {assunto: Idioma.texto("lembretes.assunto"), mensagem: Idioma.texto("lembretes.mensagem")};
+
+        const [assunto, ...linhas] = readFileSync(arquivo, "utf-8").replace(/\r\n/g, "\n").split("\n");
+        return {assunto: assunto.trim(), mensagem: linhas.join("\n").trim()};
+    }
+
+    /**
+    * Monta o assunto e a mensagem do lembrete de uma consulta.
+    *
+    * @param {Consulta} consulta - Consulta com o paciente e o profissional.
+    * @param {{assunto: string, mensagem: string}} modelo - Modelo carregado por `carregarModelo`.
+    * @returns {{assunto: string, mensagem: string}}
+    */
+    gerarMensagem(consulta, modelo){
+        const parametros = {
+            nome:           consulta.paciente.nome,
+            data:           Idioma.formatarData(consulta.data_consulta),
+            hora_inicial:   consulta.hora_inicial.toFormat("HH:mm"),
+            hora_final:     consulta.hora_final.toFormat("HH:mm"),
+            profissional:   consulta.profissional?.nome ?? "",
+        };
+
+        return {assunto: Idioma.preencher(modelo.assunto, parametros), mensagem: Idioma.preencher(modelo.mensagem, parametros)};
+    }
+
+    /**
+    * Reserva o envio do lembrete de uma consulta por um canal. A reserva é feita no banco antes do envio,
+    * assim dois envios simultâneos não mandam o mesmo lembrete: o índice único só deixa um deles criar o registro.
+    *
+    * @async
+    * @param {Consulta} consulta
+    * @param {string} canal - Nome do canal.
+    * @param {string} destinatario - Contato do paciente usado pelo canal.
+    * @returns {Lembrete|null} - O lembrete reservado, ou nulo se já foi enviado ou está sendo enviado.
+    *
+    * @throws {Error} - Lança o erro do banco se a reserva não puder ser gravada.
+    */
+    async #reservar(consulta, canal, destinatario){
+        const reserva = {destinatario, status: StatusLembrete.PENDENTE, data_hora: DateTime.now().toJSDate(), erro: null};
+
+        try {
+            return await Lembrete.create({id_consulta: consulta.id, canal, ...reserva});
+        } catch (error) {
+            if(!(error instanceof UniqueConstraintError))
+                throw error;
+        }
+
+        // Só os lembretes que falharam ou ficaram pendentes além do tempo de reserva são tentados novamente
+        const expirada = DateTime.now().minus({minutes: RESERVA_EXPIRADA_MINUTOS}).toJSDate();
+        const [reservados] = await Lembrete.update(reserva, {
+            where: {
+                id_consulta: consulta.id,
+                canal,
+                [Op.or]: [
+                    {status: StatusLembrete.FALHOU},
+                    {status: StatusLembrete.PENDENTE, data_hora: {[Op.lt]: expirada}},
+                ],
+            },
+        });
+        return reservados === 1 ? await Lembrete.findOne({where: {id_consulta: consulta.id, canal}}) : null;
+    }
+
+    /**
+    * Grava o resultado de um envio no lembrete reservado.
+    *
+    * @async
+    * @param {Lembrete} lembrete
+    * @param {{status: string, erro?: string}} resultado - Nova situação e, em caso de falha, o motivo.
+    * @returns {{success: boolean, erro?: string}} Em caso de erro do banco, a mensagem do erro. O lembrete continua pendente
+    * e será tentado novamente quando a reserva expirar.
+    */
+    async #registrarEnvio(lembrete, {status, erro = null}){
+        try {
+            await lembrete.update({status, erro, data_hora: DateTime.now().toJSDate()});
+            return {success: true};
+        } catch (error) {
+            return {success: false, erro: error.message};
+        }
+    }
+
+    /**
+    * Envia os lembretes das consultas que começam nas próximas horas por cada um dos canais.
+    *
+    * @async
+    * @param {Object} opcoes
+    * @param {string|number} opcoes.horas - Antecedência dos lembretes, em horas.
+    * @param {string|string[]} opcoes.canais - Nomes dos canais, em uma lista ou separados por vírgula.
+    * @returns {{success: boolean, error?: number, enviados: Object[], falhas: Object[], sem_contato: Object[], repetidos: number}}
+    * Relatório do envio: os lembretes enviados, os que falharam (com o motivo), as consultas cujo paciente não tem o contato
+    * usado pelo canal e a quantidade de lembretes ignorados por já terem sido enviados. Se algum envio falhar, ou o resultado
+    * de um envio não puder ser gravado, o resultado tem o erro `ERR_ENVIO_LEMBRETE`, mas os demais lembretes são enviados normalmente.
+    */
+    async enviarLembretes({horas, canais}){
+        const validacao = this.validaAntecedencia(horas);
+        if(!validacao.success)
+            return validacao;
+
+        const nomes = (Array.isArray(canais) ? canais : String(canais ?? "").split(",")).map((nome) => nome.trim()).filter(Boolean);
+        if(nomes.length === 0)
+            return {success: false, error: ErrorCodes.ERR_CANAL_DESCONHECIDO};
+
+        const instancias = [];
+        for(const nome of nomes){
+            const criacao = criarCanal(nome);
+            if(!criacao.success)
+                return criacao;
+
+            instancias.push({nome, canal: criacao.canal});
+        }
+
+        let modelo;
+        try {
+            modelo = this.carregarModelo();
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_ARQUIVO_LEITURA};
+        }
+
+        let consultas;
+        try {
+            consultas = await this.getConsultasParaLembrete(horas);
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+
+        const relatorio = {enviados: [], falhas: [], sem_contato: [], repetidos: 0};
+
+        for(const consulta of consultas){
+            const { assunto, mensagem } = this.gerarMensagem(consulta, modelo);
+            const registro = {
+                id_consulta:    consulta.id,
+                cpf_paciente:   consulta.cpf_paciente,
+                data_consulta:  consulta.data_consulta.toISODate(),
+                hora_inicial:   consulta.hora_inicial.toFormat("HH:mm"),
+            };
+
+            for(const {nome, canal} of instancias){
+                const destinatario = canal.destinatario(consulta.paciente);
+                if(!destinatario){
+                    relatorio.sem_contato.push({...registro, canal: nome});
+                    continue;
+                }
+
+                let lembrete;
+                try {
+                    lembrete = await this.#reservar(consulta, nome, destinatario);
+                } catch (error) {
+                    relatorio.falhas.push({...registro, canal: nome, destinatario, erro: error.message});
+                    continue;
+                }
+
+                if(!lembrete){
+                    relatorio.repetidos++;
+                    continue;
+                }
+
+                try {
+                    await canal.enviar({id: lembrete.id, destinatario, assunto, mensagem});
+                } catch (error) {
+                    await this.#registrarEnvio(lembrete, {status: StatusLembrete.FALHOU, erro: error.message});
+                    relatorio.falhas.push({...registro, canal: nome, destinatario, erro: error.message});
+                    continue;
+                }
+
+                // Um lembrete entregue cuja situação não foi gravada é informado como falha, pois será enviado de novo
+                const gravacao = await this.#registrarEnvio(lembrete, {status: StatusLembrete.ENVIADO});
+                if(gravacao.success)
+                    relatorio.enviados.push({...registro, canal: nome, destinatario});
+                else
+                    relatorio.falhas.push({...registro, canal: nome, destinatario, erro: gravacao.erro});
+            }
+        }
+
+        return relatorio.falhas.length === 0
+            ? {success: true, ...relatorio}
+            : {success: false, error: ErrorCodes.ERR_ENVIO_LEMBRETE, ...relatorio};
+    }
+
+    /**
+    * Retorna os lembretes registrados de uma consulta.
+    *
+    * @async
+    * @param {number} id_consulta - Identificador da consulta.
+    * @returns {Lembrete[]}
+    */
+    async getLembretes(id_consulta){
+        return await Lembrete.findAll({where: {id_consulta}, order: [["canal", "ASC"]]});
+    }
+}
+
+export default new LembreteController();
@@ -0,0 +1,241 @@
+import { DateTime } from "luxon";
+import { Consulta } from "../models/Consulta.js";
+import { RegistroDente, EstadoDente } from "../models/RegistroDente.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+import Sessao from "../utils/Sessao.js";
+import ConsultaController from "./ConsultaController.js";
+import ProntuarioController from "./ProntuarioController.js";
+import AuditoriaController from "./AuditoriaController.js";
+
+/**
+ * Tamanho máximo da observação sobre um dente
+ */
+const TAMANHO_OBSERVACAO = 200;
+
+/**
+ * Quantidade de dentes por quadrante na numeração FDI: quadrantes 1 a 4 na dentição permanente e 5 a 8 na decídua
+ */
+const DENTES_QUADRANTE = {1: 8, 2: 8, 3: 8, 4: 8, 5: 5, 6: 5, 7: 5, 8: 5};
+
+/**
+ * Arcadas do odontograma na posição em que são desenhadas: os quadrantes da direita do paciente (1, 4, 5 e 8)
+ * ficam à esquerda de quem olha, do dente mais distante do centro para o mais próximo.
+ */
+const ARCADAS = {
+    permanente: [[1, 2], [4, 3]],
+    decidua:    [[5, 6], [8, 7]],
+};
+
+/**
+ * Ordem das alterações de um dente: a ordem em que foram registradas
+ */
+const ORDEM_ALTERACOES = [["data_hora", "ASC"], ["id", "ASC"]];
+
+/**
+* Classe Singleton responsável pelo odontograma dos pacientes: o estado de cada dente, pela numeração FDI.
+*
+* Cada alteração é registrada na consulta em que foi observada, com as mesmas regras do prontuário:
+* a partir do início da consulta e até que ela seja encerrada. O estado atual de um dente é o da alteração mais recente.
+*/
+class OdontogramaController{
+
+    /**
+    * Construtor da classe OdontogramaController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (OdontogramaController.instance)
+            return OdontogramaController.instance; // Retorna a instância existente
+
+        OdontogramaController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o número de um dente na numeração FDI: o primeiro dígito é o quadrante e o segundo a posição no quadrante.
+    *
+    * @param {string|number} dente - Número do dente, ex.: "36".
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaDente(dente){
+        const texto = String(dente ?? "").trim();
+        const [quadrante, posicao] = texto.split("").map(Number);
+
+        if(!/^[1-8][1-8]$/.test(texto) || posicao > DENTES_QUADRANTE[quadrante])
+            return {success: false, error: ErrorCodes.ERR_DENTE_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida o estado de um dente.
+    *
+    * @param {string} estado - Um dos valores de `EstadoDente`.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaEstado(estado){
+        if(!Object.values(EstadoDente).includes(estado))
+            return {success: false, error: ErrorCodes.ERR_ESTADO_DENTE_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida a observação sobre um dente.
+    *
+    * @param {string} observacao - Observação, pode ser vazia.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaObservacao(observacao){
+        if(String(observacao ?? "").trim().length > TAMANHO_OBSERVACAO)
+            return {success: false, error: ErrorCodes.ERR_OBSERVACAO_DENTE_INVALIDA};
+
+        return {success: true};
+    }
+
+    /**
+    * Registra o estado de um dente do paciente na consulta em atendimento.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {{dente: string|number, estado: string, observacao?: string}} alteracao - Dente, novo estado e observação.
+    * @returns {{success: boolean, error?: number, registro?: RegistroDente}} A alteração registrada ou um código de erro.
+    */
+    async registrarDente(cpf, data_consulta, hora_inicial, {dente, estado, observacao} = {}){
+        const validacoes = [this.validaDente(dente), this.validaEstado(estado), this.validaObservacao(observacao)];
+        const invalida = validacoes.find((validacao) => !validacao.success);
+        if(invalida)
+            return invalida;
+
+        const abertura = await ProntuarioController.getConsultaAberta(cpf, data_consulta, hora_inicial);
+        if(!abertura.success)
+            return abertura;
+
+        const { consulta } = abertura;
+        let recusa = null;
+
+        try {
+            const registro = await ConsultaController.transacaoAgenda(async (transaction) => {
+                const travamento = await ProntuarioController.travarConsultaAberta(consulta, transaction);
+                if(!travamento.success){
+                    recusa = travamento;
+                    throw recusa;
+                }
+
+                const [anterior] = await this.getHistoricoDente(consulta.cpf_paciente, dente, {ultima: true, transaction});
+
+                const registro = await RegistroDente.create({
+                    cpf_paciente:   consulta.cpf_paciente,
+                    dente:          Number(dente),
+                    estado:         estado,
+                    observacao:     String(observacao ?? "").trim() || null,
+                    id_consulta:    consulta.id,
+                    operador:       Sessao.operador,
+                    data_hora:      DateTime.now().toJSDate(),
+                }, {transaction});
+                await registro.reload({include: [{model: Consulta, as: "consulta"}], transaction});
+
+                await AuditoriaController.registrar(AcaoAuditoria.ODONTOGRAMA_ALTERADO, consulta.cpf_paciente, anterior ? anterior.toJSON() : null, registro.toJSON(), transaction);
+                return registro;
+            });
+
+            return {success: true, registro};
+        } catch (error) {
+            return recusa ?? {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Retorna as alterações de um dente do paciente, da mais antiga para a mais recente, com a consulta de cada uma.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string|number} dente - Número do dente na numeração FDI.
+    * @param {{ultima?: boolean, transaction?: import("sequelize").Transaction}} [opcoes={}] - Com `ultima`, retorna apenas
+    * a alteração mais recente. A transação em andamento é usada na leitura, se houver.
+    * @returns {RegistroDente[]}
+    */
+    async getHistoricoDente(cpf, dente, {ultima = false, transaction = undefined} = {}){
+        return await RegistroDente.findAll({
+            where: {cpf_paciente: cpf, dente: Number(dente)},
+            include: [{model: Consulta, as: "consulta"}],
+            order: ultima ? ORDEM_ALTERACOES.map(([campo]) => [campo, "DESC"]) : ORDEM_ALTERACOES,
+            ...(ultima ? {limit: 1} : {}),
+            transaction,
+        });
+    }
+
+    /**
+    * Retorna o odontograma do paciente: o estado atual de cada dente que já teve alguma alteração, em ordem de número.
+    * Dentes sem alterações são considerados hígidos.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {RegistroDente[]}
+    */
+    async getOdontograma(cpf){
+        const alteracoes = await RegistroDente.findAll({
+            where: {cpf_paciente: cpf},
+            include: [{model: Consulta, as: "consulta"}],
+            order: ORDEM_ALTERACOES,
+        });
+
+        // A última alteração de cada dente substitui as anteriores
+        const atuais = new Map(alteracoes.map((registro) => [registro.dente, registro]));
+        return [...atuais.values()].sort((a, b) => a.dente - b.dente);
+    }
+
+    /**
+    * Desenha o odontograma em modo texto, com a sigla do estado de cada dente abaixo (arcada superior)
+    * ou acima (arcada inferior) do número. A dentição decídua só aparece se algum dente decíduo tiver alterações.
+    * Em seguida lista os dentes que não estão hígidos, com a data da consulta e a observação.
+    *
+    * @param {Paciente} paciente - Paciente dono do odontograma.
+    * @param {RegistroDente[]} registros - Estado atual dos dentes, como retornado por `getOdontograma`.
+    * @returns {string}
+    */
+    formatarOdontograma(paciente, registros){
+        const textos = Idioma.texto("listagens.odontograma");
+        const estados = new Map(registros.map((registro) => [registro.dente, registro.estado]));
+
+        const sigla = (dente) => textos.siglas[estados.get(dente) ?? EstadoDente.HIGIDO];
+        const dentes = (quadrante, lado) => {
+            const numeros = Array.from({length: DENTES_QUADRANTE[quadrante]}, (_, i) => quadrante * 10 + i + 1);
+            return lado === 0 ? numeros.reverse() : numeros;
+        };
+        const linha = (quadrantes, celula) => "  " + quadrantes.map((quadrante, lado) => dentes(quadrante, lado).map(celula).join(" ")).join(" | ");
+
+        const desenhar = ([superior, inferior]) => {
+            const numeros_superior = linha(superior, String);
+            return [
+                numeros_superior,
+                linha(superior, sigla),
+                "  " + "-".repeat(numeros_superior.length - 2),
+                linha(inferior, sigla),
+                linha(inferior, String),
+            ].join("\n");
+        };
+
+        let resultado = Idioma.texto("listagens.odontograma.titulo", {nome: paciente.nome, cpf: paciente.cpf}) + "\n\n";
+        resultado += desenhar(ARCADAS.permanente) + "\n";
+
+        if(registros.some((registro) => registro.dente > 50))
+            resultado += "\n" + desenhar(ARCADAS.decidua) + "\n";
+
+        resultado += "\n" + textos.legenda + ": " + Object.values(EstadoDente).map((estado) => `${textos.siglas[estado]} ${Idioma.texto(`estados_dente.${estado}`)}`).join(", ") + "\n";
+
+        const alterados = registros.filter((registro) => registro.estado !== EstadoDente.HIGIDO);
+        if(alterados.length === 0)
+            return resultado + textos.sem_alteracoes;
+
+        return resultado + alterados.map((registro) => {
+            const data = registro.consulta ? Idioma.formatarData(registro.consulta.data_consulta) : "";
+            const observacao = registro.observacao ? ` (${registro.observacao})` : "";
+            return `  ${registro.dente} ${Idioma.texto(`estados_dente.${registro.estado}`)}${observacao} - ${data}`;
+        }).join("\n");
+    }
+}
+
+export default new OdontogramaController();
@@ -0,0 +1,343 @@
+import { randomBytes } from "crypto";
+import { DateTime } from "luxon";
+import { Operador, PapelOperador, PermissoesPapel } from "../models/Operador.js";
+import { ErrorCodes } from "../utils/Error.js";
+import { gerarHash, verificarSenha } from "../utils/Senha.js";
+import Sessao from "../utils/Sessao.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Tamanho mínimo das senhas dos operadores
+ */
+const TAMANHO_MINIMO_SENHA = 8;
+
+/**
+ * Validade dos tokens de acesso à API, em horas
+ */
+const VALIDADE_TOKEN_HORAS = 8;
+
+/**
+* Controlador Singleton responsável pelos operadores do sistema: login, papéis e permissões.
+*/
+class OperadorController{
+
+    /**
+    * Tokens de acesso à API ainda válidos, com o login do operador e o fim da validade em milissegundos.
+    * Ficam apenas em memória: reiniciar a API exige um novo login.
+    * @type {Map<string, {login: string, expira: number}>}
+    */
+    #tokens = new Map();
+
+    /**
+    * Construtor da classe OperadorController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (OperadorController.instance)
+            return OperadorController.instance; // Retorna a instância existente
+
+        OperadorController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o login de um operador: de 3 a 30 letras minúsculas, números, ponto, hífen ou sublinhado.
+    *
+    * @param {string} login - Login a ser validado.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaLogin(login){
+        if(!/^[a-z0-9._-]{3,30}$/.test(login ?? ""))
+            return { success: false, error: ErrorCodes.ERR_LOGIN_OPERADOR_INVALIDO };
+
+        return { success: true };
+    }
+
+    /**
+    * Valida a senha de um operador.
+    *
+    * @param {string} senha - Senha a ser validada.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaSenha(senha){
+        if(!senha || senha.length < TAMANHO_MINIMO_SENHA)
+            return { success: false, error: ErrorCodes.ERR_SENHA_INVALIDA };
+
+        return { success: true };
+    }
+
+    /**
+    * Valida o papel de um operador.
+    *
+    * @param {string} papel - Um dos valores de `PapelOperador`.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaPapel(papel){
+        if(!Object.values(PapelOperador).includes(papel))
+            return { success: false, error: ErrorCodes.ERR_PAPEL_INVALIDO };
+
+        return { success: true };
+    }
+
+    /**
+    * Conta os operadores cadastrados, usado para pedir o cadastro do primeiro administrador.
+    *
+    * @async
+    * @returns {number}
+    */
+    async contarOperadores(){
+        return await Operador.count();
+    }
+
+    /**
+    * Cadastra um novo operador.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} senha - Senha em texto puro, guardada apenas como hash.
+    * @param {string} papel - Um dos valores de `PapelOperador`.
+    * @returns {{success: boolean, error?: number, operador?: Operador}} Objeto contendo o status da operação e o operador criado.
+    */
+    async addOperador(login, senha, papel){
+        for(const validacao of [this.validaLogin(login), this.validaSenha(senha), this.validaPapel(papel)]){
+            if(!validacao.success)
+                return validacao;
+        }
+
+        if(await Operador.findOne({where: {login}}))
+            return { success: false, error: ErrorCodes.ERR_OPERADOR_DUPLICADO };
+
+        try {
+            const operador = await Operador.create({login, senha_hash: await gerarHash(senha), papel});
+            return { success: true, operador };
+        } catch (error) {
+            return { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO };
+        }
+    }
+
+    /**
+    * Confere o login e a senha de um operador ativo, sem alterar a sessão.
+    * O mesmo erro é retornado para login inexistente, senha errada ou operador desativado.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} senha - Senha em texto puro.
+    * @returns {{success: boolean, error?: number, operador?: Operador}} Objeto contendo o status da operação e o operador conferido.
+    */
+    async verificarCredenciais(login, senha){
+        const operador = await Operador.findOne({where: {login: login ?? "", ativo: true}});
+
+        if(!operador || !(await verificarSenha(senha ?? "", operador.senha_hash)))
+            return { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS };
+
+        return { success: true, operador };
+    }
+
+    /**
+    * Confere o login e a senha de um operador ativo e, se estiverem corretos, inicia a sessão em seu nome.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} senha - Senha em texto puro.
+    * @returns {{success: boolean, error?: number, operador?: Operador}} Objeto contendo o status da operação e o operador autenticado.
+    */
+    async autenticar(login, senha){
+        const resultado = await this.verificarCredenciais(login, senha);
+
+        if(resultado.success)
+            Sessao.definirOperador(resultado.operador.login, resultado.operador.papel);
+
+        return resultado;
+    }
+
+    /**
+    * Confere o login e a senha de um operador e gera um token de acesso à API em seu nome.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} senha - Senha em texto puro.
+    * @returns {{success: boolean, error?: number, token?: string, operador?: Operador}} O token e o operador, ou um código de erro.
+    */
+    async gerarToken(login, senha){
+        const resultado = await this.verificarCredenciais(login, senha);
+        if(!resultado.success)
+            return resultado;
+
+        const token = randomBytes(32).toString("hex");
+        this.#tokens.set(token, {login: resultado.operador.login, expira: DateTime.now().plus({hours: VALIDADE_TOKEN_HORAS}).toMillis()});
+
+        return { success: true, token, operador: resultado.operador };
+    }
+
+    /**
+    * Retorna o operador de um token de acesso à API. Tokens vencidos são descartados, e o operador é lido
+    * novamente a cada chamada, então um operador desativado perde o acesso e uma troca de papel vale na hora.
+    *
+    * @async
+    * @param {string} token - Token gerado por `gerarToken`.
+    * @returns {Operador|null} - O operador ativo dono do token, ou nulo se o token não for válido.
+    */
+    async getOperadorToken(token){
+        const acesso = this.#tokens.get(token ?? "");
+        if(!acesso)
+            return null;
+
+        if(acesso.expira <= DateTime.now().toMillis()){
+            this.#tokens.delete(token);
+            return null;
+        }
+
+        return await Operador.findOne({where: {login: acesso.login, ativo: true}});
+    }
+
+    /**
+    * Invalida um token de acesso à API.
+    *
+    * @param {string} token - Token gerado por `gerarToken`.
+    */
+    revogarToken(token){
+        this.#tokens.delete(token ?? "");
+    }
+
+    /**
+    * Encerra a sessão do operador atual.
+    */
+    encerrarSessao(){
+        Sessao.encerrar();
+    }
+
+    /**
+    * Verifica se o papel do operador atual tem uma permissão.
+    *
+    * @param {string} permissao - Um dos valores de `Permissao`.
+    * @returns {boolean}
+    */
+    temPermissao(permissao){
+        return PermissoesPapel[Sessao.papel]?.includes(permissao) ?? false;
+    }
+
+    /**
+    * Retorna todos os operadores ordenados por login.
+    *
+    * @async
+    * @returns {Operador[]}
+    */
+    async getOperadores(){
+        return await Operador.findAll({order: ['login']});
+    }
+
+    /**
+    * Gera uma lista formatada dos operadores.
+    *
+    * @async
+    * @returns {string} - A lista formatada.
+    */
+    async listarOperadores(){
+        const operadores = await this.getOperadores();
+
+        let resultado = '----------------------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.operadores.cabecalho")}\n`;
+        resultado +=    '----------------------------------------------------\n';
+
+        for(const operador of operadores)
+            resultado += `${operador.login.padEnd(30)} ${operador.papel.padEnd(9)} ${Idioma.texto(`listagens.operadores.${operador.ativo ? "ativo" : "desativado"}`)}\n`;
+
+        resultado +=    '----------------------------------------------------';
+        return resultado;
+    }
+
+    /**
+    * Altera o papel de um operador, sem deixar o sistema sem administrador ativo.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} papel - Novo papel, um dos valores de `PapelOperador`.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async alterarPapel(login, papel){
+        const validacao = this.validaPapel(papel);
+        if(!validacao.success)
+            return validacao;
+
+        const operador = await Operador.findOne({where: {login: login ?? ""}});
+        if(!operador)
+            return { success: false, error: ErrorCodes.ERR_OPERADOR_NAO_CADASTRADO };
+
+        if(papel !== PapelOperador.ADMIN && await this.#isUltimoAdmin(operador))
+            return { success: false, error: ErrorCodes.ERR_ULTIMO_ADMIN };
+
+        await operador.update({papel});
+        return { success: true };
+    }
+
+    /**
+    * Define uma nova senha para um operador, usado pelo administrador quando a senha é esquecida.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @param {string} senha - Nova senha.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async redefinirSenha(login, senha){
+        const validacao = this.validaSenha(senha);
+        if(!validacao.success)
+            return validacao;
+
+        const operador = await Operador.findOne({where: {login: login ?? ""}});
+        if(!operador)
+            return { success: false, error: ErrorCodes.ERR_OPERADOR_NAO_CADASTRADO };
+
+        await operador.update({senha_hash: await gerarHash(senha)});
+        return { success: true };
+    }
+
+    /**
+    * Altera a senha do operador atual, confirmando a senha atual.
+    *
+    * @async
+    * @param {string} senha_atual - Senha atual.
+    * @param {string} nova_senha - Nova senha.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async alterarSenha(senha_atual, nova_senha){
+        const operador = await Operador.findOne({where: {login: Sessao.operador, ativo: true}});
+
+        if(!operador || !(await verificarSenha(senha_atual ?? "", operador.senha_hash)))
+            return { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS };
+
+        return await this.redefinirSenha(operador.login, nova_senha);
+    }
+
+    /**
+    * Desativa um operador: ele deixa de conseguir entrar, mas o login continua na auditoria.
+    *
+    * @async
+    * @param {string} login - Login do operador.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async desativarOperador(login){
+        const operador = await Operador.findOne({where: {login: login ?? ""}});
+        if(!operador)
+            return { success: false, error: ErrorCodes.ERR_OPERADOR_NAO_CADASTRADO };
+
+        if(await this.#isUltimoAdmin(operador))
+            return { success: false, error: ErrorCodes.ERR_ULTIMO_ADMIN };
+
+        await operador.update({ativo: false});
+        return { success: true };
+    }
+
+    /**
+    * Verifica se o operador é o único administrador ativo.
+    *
+    * @async
+    * @param {Operador} operador
+    * @returns {boolean}
+    */
+    async #isUltimoAdmin(operador){
+        if(operador.papel !== PapelOperador.ADMIN || !operador.ativo)
+            return false;
+
+        return await Operador.count({where: {papel: PapelOperador.ADMIN, ativo: true}}) <= 1;
+    }
+}
+
+export default new OperadorController();
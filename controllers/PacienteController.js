@@ -2,9 +2,19 @@ import {PacienteBuilder} from "../models/PacienteBuilder.js"
 import { DateTime } from "luxon";
 import { ErrorCodes } from "../utils/Error.js";
 import ConsultaController from "./ConsultaController.js";
+import AuditoriaController from "./AuditoriaController.js";
+import FinanceiroController from "./FinanceiroController.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
 import { Paciente } from "../models/Paciente.js";
+import { lerCSV, gerarCSV } from "../utils/CSV.js";
+import Idioma from "../utils/Idioma.js";
 
-import { Sequelize } from "sequelize";
+import { Sequelize, Op } from "sequelize";
+
+/**
+ * Colunas do CSV de pacientes, usadas tanto na importação quanto na exportação
+ */
+const COLUNAS_CSV = ["cpf", "nome", "data_nasc"];
 
 /**
  * @class
@@ -14,6 +24,12 @@ import { Sequelize } from "sequelize";
 */
 class PacienteController{
 
+    /**
+    * Paciente que está sendo alterado, enquanto a alteração não é concluída.
+    * @type {Paciente|null}
+    */
+    #paciente_alterado = null;
+
     /**
     * Inicializa uma nova instância de PacienteController.
     * 
@@ -35,9 +51,118 @@ class PacienteController{
     * Inicia a construção de um novo paciente, limpando os dados atuais no builder.
     */
     iniciarNovoPaciente(){
+        this.#paciente_alterado = null;
         this.paciente_builder.clear();
     }
 
+    /**
+    * Inicia a alteração dos dados de um paciente. O builder é preparado com os dados atuais, então apenas os campos
+    * que mudarem precisam ser definidos novamente pelos mesmos métodos do cadastro. O CPF não pode ser alterado.
+    * 
+    * @async
+    * @param {string} cpf - O CPF do paciente.
+    * @returns {{success: boolean, error?: number, paciente?: Paciente}} - O paciente com os dados atuais ou um erro com código correspondente.
+    */
+    async iniciarAlteracao(cpf){
+        this.iniciarNovoPaciente();
+
+        const paciente = await this.getPaciente(cpf);
+        if(!paciente)
+            return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
+
+        this.#paciente_alterado = paciente;
+
+        // O paciente já está cadastrado, então não passa pela verificação de CPF duplicado do setCpf
+        this.paciente_builder.setCpf(paciente.cpf);
+        this.paciente_builder.setNome(paciente.nome);
+        this.paciente_builder.setData_nasc(paciente.data_nasc.toFormat("dd/MM/yyyy"));
+        this.paciente_builder.setEmail(paciente.email ?? "");
+        this.paciente_builder.setTelefone(paciente.telefone ?? "");
+
+        return {success: true, paciente};
+    }
+
+    /**
+    * Conclui a alteração iniciada por `iniciarAlteracao`, atualizando o paciente no lugar.
+    * As consultas do paciente continuam vinculadas pelo CPF, que não muda.
+    * 
+    * @async
+    * @returns {{success: boolean, error?: number}} - Resultado da operação, indicando sucesso ou erro.
+    */
+    async alterarPaciente(){
+        if(!this.#paciente_alterado)
+            return {success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO};
+
+        const resposta = await this.paciente_builder.build();
+        if(!resposta.success)
+            return resposta;
+
+        const novo = resposta.paciente;
+        const paciente = this.#paciente_alterado;
+
+        if(await this.#isNomeEmUso(novo.nome, paciente.cpf))
+            return {success: false, error: ErrorCodes.ERR_NOME_DUPLICADO};
+
+        const antes = paciente.toJSON();
+        try {
+            await paciente.update({
+                nome:       novo.nome,
+                data_nasc:  novo.getDataValue("data_nasc"),
+                email:      novo.email,
+                telefone:   novo.telefone,
+            });
+            await AuditoriaController.registrar(AcaoAuditoria.PACIENTE_ALTERADO, paciente.cpf, antes, paciente.toJSON());
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+
+        this.#paciente_alterado = null;
+        return {success: true};
+    }
+
+    /**
+    * Altera os dados de um paciente em uma única chamada, passando pelas mesmas validações do cadastro.
+    * 
+    * @async
+    * @param {string} cpf - O CPF do paciente.
+    * @param {{nome?: string, data_nasc?: string, email?: string, telefone?: string}} dados - Novos dados, com a data no formato "dd/MM/yyyy".
+    * Campos ausentes são mantidos, e um contato vazio é removido.
+    * @returns {{success: boolean, error?: number}} - Resultado da operação, indicando sucesso ou o primeiro erro encontrado.
+    */
+    async atualizarPaciente(cpf, {nome, data_nasc, email, telefone} = {}){
+        const etapas = [
+            async () => this.iniciarAlteracao(String(cpf ?? "")),
+            async () => (nome === undefined) ? {success: true} : this.setNome(String(nome)),
+            async () => (data_nasc === undefined) ? {success: true} : this.setData_nasc(String(data_nasc)),
+            async () => (email === undefined) ? {success: true} : this.setEmail(String(email ?? "")),
+            async () => (telefone === undefined) ? {success: true} : this.setTelefone(String(telefone ?? "")),
+        ];
+
+        for(const etapa of etapas){
+            const resultado = await etapa();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        return await this.alterarPaciente();
+    }
+
+    /**
+    * Verifica se outro paciente já usa um nome.
+    * 
+    * @async
+    * @param {string} nome - O nome a ser verificado.
+    * @param {string|null} [cpf_ignorado=null] - CPF do paciente que pode manter o próprio nome.
+    * @returns {boolean} - `true` se outro paciente tiver o mesmo nome.
+    */
+    async #isNomeEmUso(nome, cpf_ignorado = null){
+        const where = {nome};
+        if(cpf_ignorado)
+            where.cpf = {[Op.ne]: cpf_ignorado};
+
+        return (await Paciente.findOne({where})) !== null;
+    }
+
     /**
     * Valida se o CPF é único e válido.
     * 
@@ -89,6 +214,26 @@ class PacienteController{
         return this.paciente_builder.setData_nasc(data);
     }
 
+    /**
+    * Define o e-mail no builder.
+    * 
+    * @param {string} email - O e-mail do paciente, ou vazio para não informar.
+    * @returns {{success: boolean, error?: number}} - Um objeto contendo `success: true` se válido ou um erro com código correspondente.
+    */
+    setEmail(email){
+        return this.paciente_builder.setEmail(email);
+    }
+
+    /**
+    * Define o telefone no builder.
+    * 
+    * @param {string} telefone - O telefone do paciente com DDD, ou vazio para não informar.
+    * @returns {{success: boolean, error?: number}} - Um objeto contendo `success: true` se válido ou um erro com código correspondente.
+    */
+    setTelefone(telefone){
+        return this.paciente_builder.setTelefone(telefone);
+    }
+
     /**
     * Finaliza e adiciona o paciente ao registro.
     * 
@@ -100,12 +245,131 @@ class PacienteController{
         if(!paciente.success)
             return paciente;
 
+        if(await this.#isNomeEmUso(paciente.paciente.nome))
+            return {success: false, error: ErrorCodes.ERR_NOME_DUPLICADO};
+
         // Fazer tratamento de erros
+        paciente.paciente.data_cadastro = DateTime.now().toJSDate();
         await paciente.paciente.save();
+        await AuditoriaController.registrar(AcaoAuditoria.PACIENTE_CADASTRADO, paciente.paciente.cpf, null, paciente.paciente.toJSON());
 
         return {success: true};
     }
 
+    /**
+    * Cadastra um paciente em uma única chamada, passando pelas mesmas validações do cadastro passo a passo.
+    * 
+    * @async
+    * @param {{cpf: string, nome: string, data_nasc: string, email?: string, telefone?: string}} dados - Dados do paciente,
+    * com a data no formato "dd/MM/yyyy".
+    * @returns {{success: boolean, error?: number}} - Resultado da operação, indicando sucesso ou o primeiro erro encontrado.
+    */
+    async cadastrarPaciente(dados = {}){
+        this.iniciarNovoPaciente();
+
+        const resultado = await this.#preencherPaciente(dados);
+        if(!resultado.success)
+            return resultado;
+
+        return await this.addPaciente();
+    }
+
+    /**
+    * Preenche o builder com os dados de um paciente, na mesma ordem do cadastro passo a passo.
+    * 
+    * @async
+    * @param {{cpf: string, nome: string, data_nasc: string, email?: string, telefone?: string}} dados - Dados do paciente,
+    * com a data no formato "dd/MM/yyyy". O e-mail e o telefone são opcionais.
+    * @returns {{success: boolean, error?: number}} - Resultado da operação, indicando sucesso ou o primeiro erro encontrado.
+    */
+    async #preencherPaciente({cpf, nome, data_nasc, email, telefone} = {}){
+        const etapas = [
+            async () => this.setCpf(String(cpf ?? "")),
+            async () => this.setNome(String(nome ?? "")),
+            async () => this.setData_nasc(String(data_nasc ?? "")),
+            async () => this.setEmail(String(email ?? "")),
+            async () => this.setTelefone(String(telefone ?? "")),
+        ];
+
+        for(const etapa of etapas){
+            const resultado = await etapa();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        return {success: true};
+    }
+
+    /**
+    * Importa pacientes de um CSV com as colunas `cpf`, `nome` e `data_nasc` (em qualquer ordem, separadas por vírgula
+    * ou ponto e vírgula). Cada linha passa pelas mesmas validações do cadastro e as linhas com erro não impedem
+    * a importação das demais. CPFs podem vir formatados (000.000.000-00).
+    * 
+    * @async
+    * @param {string} texto - Conteúdo do arquivo CSV.
+    * @param {boolean} [simulacao=false] - Apenas valida as linhas, sem cadastrar nenhum paciente.
+    * @returns {{success: boolean, error?: number, total?: number, aceitos?: number, erros?: {linha: number, cpf: string, error: number}[]}}
+    * Relatório da importação, com o número da linha no arquivo e o código de erro de cada linha recusada.
+    */
+    async importarPacientes(texto, simulacao = false){
+        const [cabecalho, ...registros] = lerCSV(texto);
+
+        const colunas = (cabecalho?.campos ?? []).map((coluna) => coluna.trim().toLowerCase());
+        const indices = COLUNAS_CSV.map((coluna) => colunas.indexOf(coluna));
+        if(indices.includes(-1))
+            return {success: false, error: ErrorCodes.ERR_CSV_CABECALHO_INVALIDO};
+
+        const relatorio = {success: true, total: registros.length, aceitos: 0, erros: []};
+        // Na simulação nada é salvo, então os CPFs e nomes já aceitos no próprio arquivo precisam ser controlados aqui
+        const cpfs_arquivo = new Set();
+        const nomes_arquivo = new Set();
+
+        for(const {numero, campos} of registros){
+            const [cpf, nome, data_nasc] = indices.map((indice) => (campos[indice] ?? "").trim());
+            const cpf_numerico = cpf.replace(/[.\-\s]/g, "");
+
+            var resultado;
+            if(cpfs_arquivo.has(cpf_numerico)){
+                resultado = {success: false, error: ErrorCodes.ERR_CPF_DUPLICADO};
+            } else {
+                this.iniciarNovoPaciente();
+                resultado = await this.#preencherPaciente({cpf: cpf_numerico, nome, data_nasc});
+
+                if(resultado.success && (nomes_arquivo.has(nome) || (simulacao && await this.#isNomeEmUso(nome))))
+                    resultado = {success: false, error: ErrorCodes.ERR_NOME_DUPLICADO};
+                else if(resultado.success && !simulacao)
+                    resultado = await this.addPaciente();
+            }
+
+            if(resultado.success){
+                cpfs_arquivo.add(cpf_numerico);
+                nomes_arquivo.add(nome);
+                relatorio.aceitos++;
+            } else {
+                relatorio.erros.push({linha: numero, cpf, error: resultado.error});
+            }
+        }
+
+        this.iniciarNovoPaciente();
+        return relatorio;
+    }
+
+    /**
+    * Exporta os pacientes cadastrados em CSV, no mesmo formato aceito pela importação.
+    * 
+    * @async
+    * @param {"cpf"|"nome"} [ordem="cpf"] - Campo usado na ordenação.
+    * @returns {string} - Conteúdo do arquivo CSV.
+    */
+    async exportarPacientes(ordem = "cpf"){
+        const pacientes = await this.getPacientes(ordem);
+
+        return gerarCSV([
+            COLUNAS_CSV,
+            ...pacientes.map((paciente) => [paciente.cpf, paciente.nome, paciente.data_nasc.toFormat("dd/MM/yyyy")]),
+        ]);
+    }
+
     /**
     * Remove um paciente do registro, verificando agendamentos futuros antes.
     * 
@@ -123,10 +387,14 @@ class PacienteController{
         // Verifica se o paciente possui agendamentos futuros
         if(await ConsultaController.hasAgendamentosFuturos(cpf))
             return { success: false, error: ErrorCodes.ERR_PACIENTE_AGENDADO };
-        
+
+        // A exclusão apagaria as cobranças ainda não pagas
+        if(await FinanceiroController.getSaldo(cpf) > 0)
+            return { success: false, error: ErrorCodes.ERR_PACIENTE_COM_SALDO };
 
         // Remove o paciente e seus agendamentos
-        paciente.destroy();
+        await paciente.destroy();
+        await AuditoriaController.registrar(AcaoAuditoria.PACIENTE_REMOVIDO, paciente.cpf, paciente.toJSON(), null);
 
         return { success: true};
     }
@@ -164,7 +432,7 @@ class PacienteController{
     async geraListaPacientes(lista_pacientes){
         // Cabeçalho da tabela
         let resultado = '------------------------------------------------------------\n';
-        resultado +=    'CPF         Nome                           Dt.Nasc.    Idade\n';
+        resultado +=    `${Idioma.texto("listagens.pacientes.cabecalho")}\n`;
         resultado +=    '------------------------------------------------------------\n';
 
         // Iterar sobre os pacientes
@@ -174,15 +442,17 @@ class PacienteController{
             const idade = Math.floor(hoje.diff(paciente.data_nasc, 'years').years);
 
             // Adicionar as informações do paciente
-            resultado += `${paciente.cpf} ${paciente.nome.padEnd(30, ' ')} ${paciente.data_nasc.toFormat('dd/MM/yyyy')} ${String(idade).padStart(6)}\n`;
+            resultado += `${paciente.cpf} ${paciente.nome.padEnd(30, ' ')} ${Idioma.formatarData(paciente.data_nasc)} ${String(idade).padStart(6)}\n`;
 
             // Verificar se o paciente tem agendamento futuro
             const agendamento = await ConsultaController.getAgendamentosFuturos(paciente.cpf);            
             if (agendamento.success) {
                 // Adicionar informações de agendamento futuro
                 agendamento.consultas.forEach((consulta) => {
-                    resultado += "".padEnd(12) +`Agendado para: ${consulta.data_consulta.toFormat('dd/MM/yyyy')}\n`
-                    resultado += "".padEnd(12)+`${consulta.hora_inicial.toFormat('HH:mm')} às ${consulta.hora_final.toFormat('HH:mm')}\n`;
+                    resultado += "".padEnd(12) + Idioma.texto("listagens.pacientes.agendado_para", { data: Idioma.formatarData(consulta.data_consulta) }) + "\n";
+                    resultado += "".padEnd(12) + Idioma.texto("listagens.pacientes.horario", {
+                        hora_inicial: consulta.hora_inicial.toFormat('HH:mm'), hora_final: consulta.hora_final.toFormat('HH:mm')
+                    }) + "\n";
                 });
             }
         };
@@ -192,27 +462,82 @@ class PacienteController{
         return resultado;
     }
 
+    /**
+    * Monta o filtro da busca de pacientes. Termos só com dígitos (aceitando pontos e traço) buscam pelo início do CPF,
+    * os demais buscam por parte do nome, sem diferenciar acentos, maiúsculas e minúsculas.
+    * 
+    * @param {string} busca - Termo buscado, vazio para todos os pacientes.
+    * @returns {Object} Condição a ser incluída no `where` da busca.
+    */
+    #filtroBusca(busca){
+        const termo = String(busca ?? "").trim();
+        if(termo === "")
+            return {};
+
+        if(/^[\d.\-\s]+$/.test(termo))
+            return {cpf: {[Op.like]: `${termo.replace(/\D/g, "")}%`}};
+
+        // Os curingas do LIKE não fazem parte de nomes, então são descartados do termo
+        return {nome_busca: {[Op.like]: `%${Paciente.normalizarNome(termo).replace(/[%_\\]/g, "")}%`}};
+    }
+
+    /**
+    * Retorna os pacientes cadastrados ordenados por CPF ou por nome, opcionalmente filtrados e paginados.
+    * 
+    * @async
+    * @param {"cpf"|"nome"} [ordem="cpf"] - Campo usado na ordenação.
+    * @param {Object} [opcoes]
+    * @param {string} [opcoes.busca=""] - Parte do nome ou início do CPF, vazio para todos os pacientes.
+    * @param {number|null} [opcoes.limite=null] - Quantidade máxima de pacientes, nulo para todos.
+    * @param {number} [opcoes.deslocamento=0] - Quantidade de pacientes a pular, para obter as páginas seguintes.
+    * @returns {Paciente[]} - Lista de pacientes ordenada.
+    */
+    async getPacientes(ordem = "cpf", {busca = "", limite = null, deslocamento = 0} = {}){
+        // Ordenar os pacientes pelo CPF, o tipo inteiro de 64 bits tem nome diferente em cada dialeto
+        const tipo_inteiro = Paciente.sequelize.getDialect() === "sqlite" ? 'INTEGER' : 'BIGINT';
+        // Por nome a ordem usa a versão sem acentos, para que "Ângela" não fique depois de "Zilda"
+        const order = (ordem === "nome")
+            ? ['nome_busca', 'nome']
+            : [[Sequelize.cast(Sequelize.col('cpf'), tipo_inteiro), 'ASC']];
+
+        return await Paciente.findAll({
+            where: this.#filtroBusca(busca),
+            order,
+            ...(limite === null ? {} : {limit: limite}),
+            offset: deslocamento,
+        });
+    }
+
+    /**
+    * Conta os pacientes cadastrados, opcionalmente apenas os encontrados por uma busca.
+    * 
+    * @async
+    * @param {string} [busca=""] - Parte do nome ou início do CPF, vazio para todos os pacientes.
+    * @returns {number} - Quantidade de pacientes.
+    */
+    async contarPacientes(busca = ""){
+        return await Paciente.count({where: this.#filtroBusca(busca)});
+    }
+
     /**
     * Retorna uma lista formatada de pacientes ordenados por CPF.
     * 
+    * @param {{busca?: string, limite?: number|null, deslocamento?: number}} [opcoes] - Busca e paginação, como em `getPacientes`.
     * @returns {string} - A lista formatada.
     */
-    async getPacientesOrdenadosPorCpf(){
-        // Ordenar os pacientes pelo CPF
-        const pacientesOrdenados = await Paciente.findAll({
-            order: [[Sequelize.cast(Sequelize.col('cpf'), 'BIGINT'), 'ASC']]
-        });
+    async getPacientesOrdenadosPorCpf(opcoes = {}){
+        const pacientesOrdenados = await this.getPacientes("cpf", opcoes);
         return await this.geraListaPacientes(pacientesOrdenados);
     }
 
     /**
     * Retorna uma lista formatada de pacientes ordenados por Nome.
     * 
+    * @param {{busca?: string, limite?: number|null, deslocamento?: number}} [opcoes] - Busca e paginação, como em `getPacientes`.
     * @returns {string} - A lista formatada.
     */
-    async getPacientesOrdenadosPorNome(){
-        // Ordenar os pacientes pelo nome
-        const pacientesOrdenados = await Paciente.findAll({order: ['nome']});
+    async getPacientesOrdenadosPorNome(opcoes = {}){
+        const pacientesOrdenados = await this.getPacientes("nome", opcoes);
         return await this.geraListaPacientes(pacientesOrdenados);
     }
 
@@ -0,0 +1,179 @@
+import { ErrorCodes } from "../utils/Error.js";
+import { Procedimento } from "../models/Procedimento.js";
+import { paraCentavos } from "../utils/Moeda.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+* Controlador Singleton responsável pela tabela de preços dos procedimentos da clínica.
+* Os procedimentos não são excluídos, apenas desativados, para manter o nome nas cobranças já lançadas.
+*/
+class ProcedimentoController{
+
+    /**
+    * Construtor da classe ProcedimentoController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (ProcedimentoController.instance)
+            return ProcedimentoController.instance; // Retorna a instância existente
+
+        ProcedimentoController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o nome de um procedimento.
+    *
+    * @param {string} nome - Nome a ser validado.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaNome(nome){
+        const tamanho = String(nome ?? "").trim().length;
+
+        if(tamanho < 3 || tamanho > 100)
+            return { success: false, error: ErrorCodes.ERR_NOME_PROCEDIMENTO_INVALIDO };
+
+        return { success: true };
+    }
+
+    /**
+    * Valida um preço em reais, ex.: "150,00".
+    *
+    * @param {string|number} preco - Preço a ser validado.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaPreco(preco){
+        if(paraCentavos(preco) === null)
+            return { success: false, error: ErrorCodes.ERR_VALOR_INVALIDO };
+
+        return { success: true };
+    }
+
+    /**
+    * Verifica se já existe outro procedimento com o mesmo nome.
+    *
+    * @async
+    * @param {string} nome - Nome do procedimento.
+    * @param {number|null} [id_ignorado=null] - Procedimento ignorado na busca, usado na alteração.
+    * @returns {boolean}
+    */
+    async #isDuplicado(nome, id_ignorado = null){
+        const existente = await Procedimento.findOne({where: {nome: nome}});
+        return existente !== null && existente.id !== id_ignorado;
+    }
+
+    /**
+    * Cadastra um procedimento na tabela de preços.
+    *
+    * @async
+    * @param {string} nome - Nome do procedimento.
+    * @param {string|number} preco - Preço em reais, ex.: "150,00".
+    * @returns {{success: boolean, error?: number, procedimento?: Procedimento}} Objeto contendo o status da operação e o procedimento criado.
+    */
+    async addProcedimento(nome, preco){
+        for(const validacao of [this.validaNome(nome), this.validaPreco(preco)])
+            if(!validacao.success)
+                return validacao;
+
+        nome = String(nome).trim();
+        if(await this.#isDuplicado(nome))
+            return { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_DUPLICADO };
+
+        try {
+            const procedimento = await Procedimento.create({nome: nome, preco: paraCentavos(preco)});
+            return { success: true, procedimento };
+        } catch (error) {
+            return { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO };
+        }
+    }
+
+    /**
+    * Altera o nome, o preço ou a situação de um procedimento. O novo preço vale apenas para as próximas cobranças.
+    *
+    * @async
+    * @param {number|string} id - Identificador do procedimento.
+    * @param {{nome?: string, preco?: string|number, ativo?: boolean}} alteracao - Campos a alterar.
+    * @returns {{success: boolean, error?: number, procedimento?: Procedimento}} Objeto contendo o status da operação e o procedimento alterado.
+    */
+    async alterarProcedimento(id, {nome, preco, ativo} = {}){
+        const procedimento = await this.getProcedimento(id);
+        if(!procedimento)
+            return { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO };
+
+        const validacoes = [
+            (nome === undefined) ? {success: true} : this.validaNome(nome),
+            (preco === undefined) ? {success: true} : this.validaPreco(preco),
+            (ativo === undefined || typeof ativo === "boolean") ? {success: true} : {success: false, error: ErrorCodes.ERR_REQUISICAO_INVALIDA},
+        ];
+        const invalida = validacoes.find((validacao) => !validacao.success);
+        if(invalida)
+            return invalida;
+
+        if(nome !== undefined && await this.#isDuplicado(String(nome).trim(), procedimento.id))
+            return { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_DUPLICADO };
+
+        try {
+            await procedimento.update({
+                ...(nome === undefined ? {} : {nome: String(nome).trim()}),
+                ...(preco === undefined ? {} : {preco: paraCentavos(preco)}),
+                ...(ativo === undefined ? {} : {ativo}),
+            });
+            return { success: true, procedimento };
+        } catch (error) {
+            return { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO };
+        }
+    }
+
+    /**
+    * Retorna um procedimento pelo identificador.
+    *
+    * @async
+    * @param {number|string} id - Identificador do procedimento.
+    * @returns {Procedimento|null} - O procedimento encontrado ou `null` se não existir.
+    */
+    async getProcedimento(id){
+        const id_numerico = Number(id);
+        if(!Number.isInteger(id_numerico) || id_numerico <= 0)
+            return null;
+
+        return await Procedimento.findByPk(id_numerico);
+    }
+
+    /**
+    * Retorna os procedimentos ordenados por nome.
+    *
+    * @async
+    * @param {{incluir_inativos?: boolean}} [opcoes={}] - Com `incluir_inativos`, retorna também os procedimentos desativados.
+    * @returns {Procedimento[]} - Lista de procedimentos.
+    */
+    async getProcedimentos({incluir_inativos = false} = {}){
+        return await Procedimento.findAll({
+            where: incluir_inativos ? {} : {ativo: true},
+            order: ['nome'],
+        });
+    }
+
+    /**
+    * Gera a tabela de preços formatada, com o número usado para escolher os procedimentos.
+    *
+    * @async
+    * @param {{incluir_inativos?: boolean}} [opcoes={}] - Com `incluir_inativos`, lista também os procedimentos desativados.
+    * @returns {string} - A tabela formatada.
+    */
+    async listarProcedimentos(opcoes = {}){
+        const procedimentos = await this.getProcedimentos(opcoes);
+        const inativo = Idioma.texto("listagens.procedimentos.inativo");
+
+        let resultado = '------------------------------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.procedimentos.cabecalho")}\n`;
+        resultado +=    '------------------------------------------------------------\n';
+
+        for(const procedimento of procedimentos){
+            resultado += `${String(procedimento.id).padStart(5)} ${procedimento.nome.padEnd(36).slice(0, 36)} `;
+            resultado += `${Idioma.formatarValor(procedimento.preco).padStart(14)}${procedimento.ativo ? "" : ` ${inativo}`}\n`;
+        }
+
+        resultado +=    '------------------------------------------------------------';
+        return resultado;
+    }
+}
+
+export default new ProcedimentoController();
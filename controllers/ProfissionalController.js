@@ -0,0 +1,117 @@
+import { ErrorCodes } from "../utils/Error.js";
+import { Profissional } from "../models/Profissional.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+* Controlador Singleton responsável por gerenciar os profissionais (dentistas) da clínica.
+*/
+class ProfissionalController{
+
+    /**
+    * Construtor da classe ProfissionalController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (ProfissionalController.instance) 
+            return ProfissionalController.instance; // Retorna a instância existente
+
+        ProfissionalController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o nome de um profissional.
+    * 
+    * @param {string} nome - Nome a ser validado.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaNome(nome){
+        if (!nome || nome.trim().length < 5)
+            return { success: false, error: ErrorCodes.ERR_NOME_PROFISSIONAL_INVALIDO };
+
+        return { success: true };
+    }
+
+    /**
+    * Cadastra um novo profissional.
+    * 
+    * @async
+    * @param {string} nome - Nome do profissional.
+    * @returns {{success: boolean, error?: number, profissional?: Profissional}} Objeto contendo o status da operação e o profissional criado.
+    */
+    async addProfissional(nome){
+        const validacao = this.validaNome(nome);
+        if(!validacao.success)
+            return validacao;
+
+        nome = nome.trim();
+        if(await Profissional.findOne({where: {nome: nome}}))
+            return { success: false, error: ErrorCodes.ERR_PROFISSIONAL_DUPLICADO };
+
+        try {
+            const profissional = await Profissional.create({nome: nome});
+            return { success: true, profissional };
+        } catch (error) {
+            return { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO };
+        }
+    }
+
+    /**
+    * Retorna um profissional pelo identificador.
+    * 
+    * @async
+    * @param {number|string} id - Identificador do profissional.
+    * @returns {Profissional|null} - O profissional encontrado ou `null` se não existir.
+    */
+    async getProfissional(id){
+        const id_numerico = Number(id);
+        if(!Number.isInteger(id_numerico) || id_numerico <= 0)
+            return null;
+
+        return await Profissional.findByPk(id_numerico);
+    }
+
+    /**
+    * Verifica se um profissional está cadastrado.
+    * 
+    * @async
+    * @param {number|string} id - Identificador do profissional.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async validaProfissional(id){
+        if(!(await this.getProfissional(id)))
+            return { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO };
+
+        return { success: true };
+    }
+
+    /**
+    * Retorna todos os profissionais ordenados por nome.
+    * 
+    * @async
+    * @returns {Profissional[]} - Lista de profissionais.
+    */
+    async getProfissionais(){
+        return await Profissional.findAll({order: ['nome']});
+    }
+
+    /**
+    * Gera uma lista formatada dos profissionais, com o número usado para escolhê-los.
+    * 
+    * @async
+    * @returns {string} - A lista formatada.
+    */
+    async listarProfissionais(){
+        const profissionais = await this.getProfissionais();
+
+        let resultado = '----------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.profissionais.cabecalho")}\n`;
+        resultado +=    '----------------------------------------\n';
+
+        for(const profissional of profissionais)
+            resultado += `${String(profissional.id).padStart(5)} ${profissional.nome}\n`;
+
+        resultado +=    '----------------------------------------';
+        return resultado;
+    }
+}
+
+export default new ProfissionalController();
@@ -0,0 +1,427 @@
+import { DateTime } from "luxon";
+import { Op } from "sequelize";
+import { Consulta, StatusConsulta } from "../models/Consulta.js";
+import { RegistroClinico } from "../models/RegistroClinico.js";
+import { ProcedimentoRealizado } from "../models/ProcedimentoRealizado.js";
+import { Prescricao } from "../models/Prescricao.js";
+import { Profissional } from "../models/Profissional.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+import Sessao from "../utils/Sessao.js";
+import ConsultaController from "./ConsultaController.js";
+import AuditoriaController from "./AuditoriaController.js";
+
+/**
+ * Tamanho máximo das anotações de um atendimento
+ */
+const TAMANHO_ANOTACOES = 4000;
+
+/**
+ * Itens do registro clínico carregados junto com ele
+ */
+const ITENS_REGISTRO = [
+    {model: ProcedimentoRealizado, as: "procedimentos"},
+    {model: Prescricao, as: "prescricoes"},
+];
+
+/**
+ * Ordem dos itens do registro clínico: a ordem em que foram registrados
+ */
+const ORDEM_ITENS = ITENS_REGISTRO.map((item) => [item, "id", "ASC"]);
+
+/**
+* Classe Singleton responsável pelo prontuário dos pacientes: o registro clínico de cada consulta atendida,
+* com as anotações, os procedimentos realizados e as prescrições.
+*
+* O registro pode ser feito a partir do início da consulta e fica bloqueado quando ela é encerrada,
+* ou seja, quando o comparecimento é registrado como realizada ou faltou.
+*/
+class ProntuarioController{
+
+    /**
+    * Construtor da classe ProntuarioController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (ProntuarioController.instance)
+            return ProntuarioController.instance; // Retorna a instância existente
+
+        ProntuarioController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida as anotações de um atendimento.
+    *
+    * @param {string} anotacoes - Texto das anotações, pode ser vazio.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaAnotacoes(anotacoes){
+        if(String(anotacoes ?? "").trim().length > TAMANHO_ANOTACOES)
+            return {success: false, error: ErrorCodes.ERR_ANOTACOES_INVALIDAS};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida a descrição de um procedimento realizado.
+    *
+    * @param {string} descricao - Descrição do procedimento.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaProcedimento(descricao){
+        const tamanho = String(descricao ?? "").trim().length;
+
+        if(tamanho < 3 || tamanho > 200)
+            return {success: false, error: ErrorCodes.ERR_PROCEDIMENTO_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida o medicamento de uma prescrição.
+    *
+    * @param {string} medicamento - Medicamento e concentração.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaMedicamento(medicamento){
+        const tamanho = String(medicamento ?? "").trim().length;
+
+        if(tamanho < 2 || tamanho > 200)
+            return {success: false, error: ErrorCodes.ERR_PRESCRICAO_INVALIDA};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida a posologia de uma prescrição.
+    *
+    * @param {string} posologia - Modo de usar.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaPosologia(posologia){
+        const tamanho = String(posologia ?? "").trim().length;
+
+        if(tamanho < 3 || tamanho > 500)
+            return {success: false, error: ErrorCodes.ERR_PRESCRICAO_INVALIDA};
+
+        return {success: true};
+    }
+
+    /**
+    * Busca uma consulta em atendimento, cujo prontuário ainda pode ser alterado:
+    * a consulta deve ter começado e não pode estar encerrada.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} A consulta ou um código de erro.
+    */
+    async getConsultaAberta(cpf, data_consulta, hora_inicial){
+        const resultado = await ConsultaController.getConsultaIniciada(String(cpf ?? ""), String(data_consulta ?? ""), String(hora_inicial ?? ""));
+        if(!resultado.success)
+            return resultado;
+
+        if(!resultado.consulta.isAtiva())
+            return {success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO};
+
+        return resultado;
+    }
+
+    /**
+    * Trava uma consulta encontrada por `getConsultaAberta` até o fim da transação e confere de novo que ela continua aberta,
+    * pois outro operador pode ter encerrado o atendimento ou cancelado a consulta depois da busca.
+    *
+    * @async
+    * @param {Consulta} consulta - Consulta em atendimento.
+    * @param {import("sequelize").Transaction} transaction - Transação em andamento.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async travarConsultaAberta(consulta, transaction){
+        const travada = await Consulta.findByPk(consulta.id, {transaction, lock: transaction.LOCK.UPDATE});
+        if(!travada?.isAtiva())
+            return {success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO};
+
+        return {success: true};
+    }
+
+    /**
+    * Busca o registro clínico de uma consulta que ainda pode ser alterado.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number, consulta?: Consulta, registro?: RegistroClinico|null}}
+    * A consulta com o profissional e o registro com os procedimentos e as prescrições (nulo se ainda não houver), ou um código de erro.
+    */
+    async abrirRegistro(cpf, data_consulta, hora_inicial){
+        const resultado = await this.getConsultaAberta(cpf, data_consulta, hora_inicial);
+        if(!resultado.success)
+            return resultado;
+
+        const consulta = resultado.consulta;
+        try {
+            await consulta.reload({include: [{model: Profissional, as: "profissional"}]});
+
+            const registro = await RegistroClinico.findOne({where: {id_consulta: consulta.id}, include: ITENS_REGISTRO, order: ORDEM_ITENS});
+            return {success: true, consulta, registro};
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Aplica uma alteração ao registro clínico de uma consulta aberta, criando o registro na primeira alteração,
+    * e a registra na auditoria.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {function(RegistroClinico, import("sequelize").Transaction): Promise<{success: boolean, error?: number}|void>} alteracao
+    * Altera o registro dentro da transação, podendo recusar a alteração com um código de erro.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async #alterarRegistro(cpf, data_consulta, hora_inicial, alteracao){
+        const abertura = await this.abrirRegistro(cpf, data_consulta, hora_inicial);
+        if(!abertura.success)
+            return abertura;
+
+        const { consulta } = abertura;
+        const alterado = {operador: Sessao.operador, data_alteracao: DateTime.now().toJSDate()};
+        let recusa = null;
+
+        try {
+            const registro = await ConsultaController.transacaoAgenda(async (transaction) => {
+                const travamento = await this.travarConsultaAberta(consulta, transaction);
+                if(!travamento.success){
+                    recusa = travamento;
+                    throw recusa;
+                }
+
+                // O registro é lido de novo com a consulta travada, outra alteração pode ter sido gravada desde a abertura
+                const atual = await RegistroClinico.findOne({where: {id_consulta: consulta.id}, include: ITENS_REGISTRO, order: ORDEM_ITENS, transaction});
+                const antes = atual ? atual.toJSON() : null;
+
+                const registro = atual ?? await RegistroClinico.create({id_consulta: consulta.id, ...alterado}, {transaction});
+
+                const resultado = await alteracao(registro, transaction);
+                if(resultado && !resultado.success){
+                    // Desfaz a criação do registro
+                    recusa = resultado;
+                    throw resultado;
+                }
+
+                await registro.update(alterado, {transaction});
+                await registro.reload({include: ITENS_REGISTRO, order: ORDEM_ITENS, transaction});
+
+                // O registro da auditoria é gravado junto com a alteração, ou nenhum dos dois é gravado
+                await AuditoriaController.registrar(AcaoAuditoria.ATENDIMENTO_REGISTRADO, consulta.cpf_paciente, antes, registro.toJSON(), transaction);
+                return registro;
+            });
+
+            return {success: true, registro};
+        } catch (error) {
+            return recusa ?? {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+    }
+
+    /**
+    * Substitui as anotações do atendimento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {string} anotacoes - Novas anotações, vazio para apagar.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async salvarAnotacoes(cpf, data_consulta, hora_inicial, anotacoes){
+        const validacao = this.validaAnotacoes(anotacoes);
+        if(!validacao.success)
+            return validacao;
+
+        return await this.#alterarRegistro(cpf, data_consulta, hora_inicial,
+            async (registro, transaction) => { await registro.update({anotacoes: String(anotacoes ?? "").trim()}, {transaction}); });
+    }
+
+    /**
+    * Inclui um procedimento realizado no atendimento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {string} descricao - Descrição do procedimento.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async addProcedimento(cpf, data_consulta, hora_inicial, descricao){
+        const validacao = this.validaProcedimento(descricao);
+        if(!validacao.success)
+            return validacao;
+
+        return await this.#alterarRegistro(cpf, data_consulta, hora_inicial, async (registro, transaction) => {
+            await ProcedimentoRealizado.create({id_registro: registro.id, descricao: String(descricao).trim()}, {transaction});
+        });
+    }
+
+    /**
+    * Inclui uma prescrição no atendimento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {{medicamento: string, posologia: string}} prescricao - Medicamento e modo de usar.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async addPrescricao(cpf, data_consulta, hora_inicial, {medicamento, posologia} = {}){
+        for(const validacao of [this.validaMedicamento(medicamento), this.validaPosologia(posologia)])
+            if(!validacao.success)
+                return validacao;
+
+        return await this.#alterarRegistro(cpf, data_consulta, hora_inicial, async (registro, transaction) => {
+            await Prescricao.create({id_registro: registro.id, medicamento: String(medicamento).trim(), posologia: String(posologia).trim()}, {transaction});
+        });
+    }
+
+    /**
+    * Remove um procedimento ou uma prescrição do atendimento de uma consulta.
+    *
+    * @async
+    * @param {typeof ProcedimentoRealizado|typeof Prescricao} modelo - Tipo do item.
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {number|string} id - Identificador do item.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async #removeItem(modelo, cpf, data_consulta, hora_inicial, id){
+        return await this.#alterarRegistro(cpf, data_consulta, hora_inicial, async (registro, transaction) => {
+            const removidos = Number.isInteger(Number(id))
+                ? await modelo.destroy({where: {id: Number(id), id_registro: registro.id}, transaction})
+                : 0;
+
+            if(removidos === 0)
+                return {success: false, error: ErrorCodes.ERR_ITEM_PRONTUARIO_NAO_ENCONTRADO};
+        });
+    }
+
+    /**
+    * Remove um procedimento registrado por engano no atendimento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {number|string} id - Identificador do procedimento.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async removeProcedimento(cpf, data_consulta, hora_inicial, id){
+        return await this.#removeItem(ProcedimentoRealizado, cpf, data_consulta, hora_inicial, id);
+    }
+
+    /**
+    * Remove uma prescrição registrada por engano no atendimento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @param {number|string} id - Identificador da prescrição.
+    * @returns {{success: boolean, error?: number, registro?: RegistroClinico}} O registro atualizado ou um código de erro.
+    */
+    async removePrescricao(cpf, data_consulta, hora_inicial, id){
+        return await this.#removeItem(Prescricao, cpf, data_consulta, hora_inicial, id);
+    }
+
+    /**
+    * Encerra o atendimento, registrando a consulta como realizada. A partir daí o registro clínico não pode mais ser alterado.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @param {string} data_consulta - Data da consulta no formato "dd/MM/yyyy".
+    * @param {string} hora_inicial - Hora inicial no formato "HHmm".
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    async encerrarAtendimento(cpf, data_consulta, hora_inicial){
+        return await ConsultaController.alterarStatus(cpf, data_consulta, hora_inicial, StatusConsulta.REALIZADA);
+    }
+
+    /**
+    * Retorna o histórico do paciente: as consultas já iniciadas e não canceladas, da mais antiga para a mais recente,
+    * com o profissional e o registro clínico de cada uma.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {Consulta[]}
+    */
+    async getHistorico(cpf){
+        const agora = DateTime.now();
+
+        const consultas = await Consulta.findAll({
+            where: {
+                cpf_paciente: cpf,
+                data_consulta: {[Op.lte]: agora.toSQLDate()},
+                status: {[Op.ne]: StatusConsulta.CANCELADA},
+            },
+            include: [
+                {model: Profissional, as: "profissional"},
+                {model: RegistroClinico, as: "registro", include: ITENS_REGISTRO},
+            ],
+            order: [
+                ["data_consulta", "ASC"], ["hora_inicial", "ASC"],
+                ...ORDEM_ITENS.map((ordem) => [{model: RegistroClinico, as: "registro"}, ...ordem]),
+            ],
+        });
+
+        // Consultas de hoje que ainda não começaram não fazem parte do histórico
+        return consultas.filter((consulta) => consulta.isConsultaPassada());
+    }
+
+    /**
+    * Formata o registro clínico de uma consulta, com o cabeçalho da consulta e os identificadores dos itens.
+    *
+    * @param {Consulta} consulta - Consulta com o profissional.
+    * @param {RegistroClinico|null} [registro=consulta.registro] - Registro clínico com os procedimentos e as prescrições.
+    * @returns {string}
+    */
+    formatarAtendimento(consulta, registro = consulta.registro){
+        const textos = Idioma.texto("listagens.prontuario");
+
+        let resultado = `${Idioma.formatarData(consulta.data_consulta)} ${consulta.hora_inicial.toFormat("HH:mm")}-${consulta.hora_final.toFormat("HH:mm")}`;
+        resultado += ` | ${consulta.profissional?.nome ?? ""} | ${Idioma.texto(`status.${consulta.status}`)}`;
+        resultado += consulta.isAtiva() ? "\n" : ` | ${textos.bloqueado}\n`;
+
+        if(!registro)
+            return resultado + `  ${textos.sem_registro}`;
+
+        resultado += `  ${textos.anotacoes}: ${registro.anotacoes || "-"}\n`;
+        resultado += `  ${textos.procedimentos}:`;
+        resultado += registro.procedimentos.length === 0 ? " -\n" : "\n" + registro.procedimentos.map((p) => `    [${p.id}] ${p.descricao}\n`).join("");
+        resultado += `  ${textos.prescricoes}:`;
+        resultado += registro.prescricoes.length === 0 ? " -\n" : "\n" + registro.prescricoes.map((p) => `    [${p.id}] ${p.medicamento} - ${p.posologia}\n`).join("");
+        resultado += `  ${Idioma.texto("listagens.prontuario.alteracao", {operador: registro.operador, data: Idioma.formatarDataHora(registro.data_alteracao)})}`;
+
+        return resultado;
+    }
+
+    /**
+    * Lista o histórico do paciente em ordem cronológica.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {string} - Atendimentos do paciente, ou o aviso de histórico vazio.
+    */
+    async listarHistorico(cpf){
+        const consultas = await this.getHistorico(cpf);
+        if(consultas.length === 0)
+            return Idioma.texto("listagens.prontuario.vazio");
+
+        const separador = '-------------------------------------------------------------------------------';
+        return separador + "\n" + consultas.map((consulta) => this.formatarAtendimento(consulta)).join(`\n${separador}\n`) + "\n" + separador;
+    }
+}
+
+export default new ProntuarioController();
@@ -0,0 +1,253 @@
+import { DateTime } from "luxon";
+import { Op } from "sequelize";
+import { Consulta, StatusConsulta } from "../models/Consulta.js";
+import { Paciente } from "../models/Paciente.js";
+import { ErrorCodes } from "../utils/Error.js";
+import { gerarCSV } from "../utils/CSV.js";
+import Expediente from "../utils/Expediente.js";
+import Idioma from "../utils/Idioma.js";
+import ConsultaController from "./ConsultaController.js";
+import ProfissionalController from "./ProfissionalController.js";
+
+/**
+ * Maior período aceito em um relatório, em dias
+ */
+const DIAS_MAXIMO = 366;
+
+/**
+ * Colunas do CSV do relatório, com uma linha por dia e uma de total
+ */
+const COLUNAS_CSV = [
+    "data", "minutos_expediente", "minutos_capacidade", "minutos_agendados", "ocupacao",
+    "consultas", "realizadas", "faltas", "canceladas", "novos_pacientes",
+];
+
+/**
+ * Calcula o percentual de uma parte do total, com uma casa decimal.
+ *
+ * @param {number} parte
+ * @param {number} total
+ * @returns {number|null} - Percentual de 0 a 100, ou nulo se o total for zero
+ */
+function percentual(parte, total){
+    return total > 0 ? Math.round(parte * 1000 / total) / 10 : null;
+}
+
+/**
+ * Formata uma quantidade de minutos como horas, ex.: 510 => "08:30".
+ *
+ * @param {number} minutos
+ * @returns {string}
+ */
+function emHoras(minutos){
+    return `${String(Math.floor(minutos / 60)).padStart(2, "0")}:${String(minutos % 60).padStart(2, "0")}`;
+}
+
+/**
+* Classe Singleton responsável pelo relatório da agenda de um período: ocupação dos horários, faltas,
+* cancelamentos, duração média das consultas, pacientes novos e horários mais procurados.
+*
+* A ocupação compara as horas agendadas com a capacidade da clínica, que é o expediente multiplicado pelo número de
+* profissionais (ou pelo próprio profissional, quando o relatório é de um só). A taxa de faltas considera apenas as consultas
+* já encerradas, realizadas ou com falta.
+*/
+class RelatorioController{
+
+    /**
+    * Construtor da classe RelatorioController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (RelatorioController.instance)
+            return RelatorioController.instance; // Retorna a instância existente
+
+        RelatorioController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o período do relatório: datas no formato "dd/MM/yyyy", a final depois da inicial e no máximo 366 dias.
+    *
+    * @param {string} data_inicial - Data inicial do período.
+    * @param {string} data_final - Data final do período.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaPeriodo(data_inicial, data_final){
+        const validacao_inicio = ConsultaController.validaData(String(data_inicial ?? ""));
+        if(!validacao_inicio.success)
+            return validacao_inicio;
+
+        const validacao_fim = ConsultaController.validaData(String(data_final ?? ""), data_inicial);
+        if(!validacao_fim.success)
+            return validacao_fim;
+
+        const inicio = DateTime.fromFormat(data_inicial, "dd/MM/yyyy");
+        const fim = DateTime.fromFormat(data_final, "dd/MM/yyyy");
+        if(fim.diff(inicio, "days").days >= DIAS_MAXIMO)
+            return {success: false, error: ErrorCodes.ERR_PERIODO_RELATORIO_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Gera o relatório da agenda de um período, com os números de cada dia e os totais.
+    * Aparecem apenas os dias com expediente ou com algum movimento (consultas ou pacientes novos).
+    *
+    * @async
+    * @param {string} data_inicial - Data inicial no formato "dd/MM/yyyy".
+    * @param {string} data_final - Data final no formato "dd/MM/yyyy".
+    * @param {number|string|null} [id_profissional=null] - Restringe as consultas a um profissional, ou nulo para todos.
+    * Os pacientes novos são sempre os da clínica inteira.
+    * @returns {{success: boolean, error?: number, relatorio?: Object}} O relatório ou um código de erro.
+    */
+    async gerarRelatorio(data_inicial, data_final, id_profissional = null){
+        const validacao = this.validaPeriodo(data_inicial, data_final);
+        if(!validacao.success)
+            return validacao;
+
+        const por_profissional = !(id_profissional === null || id_profissional === undefined || id_profissional === "");
+        if(por_profissional){
+            const validacao_profissional = await ProfissionalController.validaProfissional(id_profissional);
+            if(!validacao_profissional.success)
+                return validacao_profissional;
+        }
+
+        const inicio = DateTime.fromFormat(data_inicial, "dd/MM/yyyy");
+        const fim = DateTime.fromFormat(data_final, "dd/MM/yyyy");
+        const profissionais = por_profissional ? 1 : Math.max(1, (await ProfissionalController.getProfissionais()).length);
+
+        const consultas = await Consulta.findAll({
+            where: {
+                data_consulta: {[Op.between]: [inicio.toSQLDate(), fim.toSQLDate()]},
+                ...(por_profissional ? {id_profissional: Number(id_profissional)} : {}),
+            },
+        });
+
+        const pacientes = await Paciente.findAll({
+            where: {data_cadastro: {[Op.between]: [inicio.startOf("day").toJSDate(), fim.endOf("day").toJSDate()]}},
+        });
+
+        // Um registro por data do período, com o expediente já calculado
+        const dias = new Map();
+        for(let data = inicio; data <= fim; data = data.plus({days: 1})){
+            const expediente = Expediente.getIntervalos(data).reduce((soma, [abertura, fechamento]) => soma + fechamento - abertura, 0);
+            dias.set(data.toISODate(), {
+                data: data.toISODate(), minutos_expediente: expediente, minutos_capacidade: expediente * profissionais, minutos_agendados: 0,
+                ocupacao: null, consultas: 0, realizadas: 0, faltas: 0, canceladas: 0, novos_pacientes: 0,
+            });
+        }
+
+        const horarios = new Map();
+        for(const consulta of consultas){
+            const dia = dias.get(consulta.data_consulta.toISODate());
+
+            if(consulta.status === StatusConsulta.CANCELADA){
+                dia.canceladas++;
+                continue;
+            }
+
+            dia.consultas++;
+            dia.minutos_agendados += consulta.hora_final.diff(consulta.hora_inicial, "minutes").minutes;
+            if(consulta.status === StatusConsulta.REALIZADA)
+                dia.realizadas++;
+            if(consulta.status === StatusConsulta.FALTOU)
+                dia.faltas++;
+
+            const hora = consulta.hora_inicial.toFormat("HH:00");
+            horarios.set(hora, (horarios.get(hora) ?? 0) + 1);
+        }
+
+        for(const paciente of pacientes){
+            const dia = dias.get(paciente.data_cadastro.toISODate());
+            if(dia)
+                dia.novos_pacientes++;
+        }
+
+        const total = {
+            minutos_expediente: 0, minutos_capacidade: 0, minutos_agendados: 0, ocupacao: null,
+            consultas: 0, realizadas: 0, faltas: 0, canceladas: 0, novos_pacientes: 0,
+        };
+
+        const movimentados = [...dias.values()].filter((dia) => dia.minutos_expediente > 0 || dia.consultas > 0 || dia.canceladas > 0 || dia.novos_pacientes > 0);
+        for(const dia of movimentados){
+            dia.ocupacao = percentual(dia.minutos_agendados, dia.minutos_capacidade);
+
+            for(const campo of Object.keys(total))
+                if(campo !== "ocupacao")
+                    total[campo] += dia[campo];
+        }
+        total.ocupacao = percentual(total.minutos_agendados, total.minutos_capacidade);
+
+        return {success: true, relatorio: {
+            inicio:             inicio.toISODate(),
+            fim:                fim.toISODate(),
+            id_profissional:    por_profissional ? Number(id_profissional) : null,
+            profissionais,
+            dias:               movimentados,
+            total,
+            duracao_media:      total.consultas > 0 ? Math.round(total.minutos_agendados / total.consultas) : null,
+            taxa_faltas:        percentual(total.faltas, total.realizadas + total.faltas),
+            // Do horário com mais consultas para o com menos, e pela hora em caso de empate
+            horarios:           [...horarios.entries()]
+                .map(([hora, quantidade]) => ({hora, consultas: quantidade}))
+                .sort((a, b) => b.consultas - a.consultas || a.hora.localeCompare(b.hora)),
+        }};
+    }
+
+    /**
+    * Formata o relatório para o terminal: a tabela dos dias, os totais e os horários mais procurados.
+    *
+    * @param {Object} relatorio - Relatório retornado por `gerarRelatorio`.
+    * @param {number} [horarios=5] - Quantidade de horários mais procurados exibidos.
+    * @returns {string}
+    */
+    formatarRelatorio(relatorio, horarios = 5){
+        const textos = Idioma.texto("listagens.relatorio");
+        const percentual = (valor) => valor === null ? "-" : Idioma.formatarPercentual(valor);
+        const data = (iso) => Idioma.formatarData(DateTime.fromISO(iso));
+        const linha = (rotulo, dia) => [
+            rotulo.padEnd(10), emHoras(dia.minutos_expediente).padStart(10), emHoras(dia.minutos_capacidade).padStart(10),
+            emHoras(dia.minutos_agendados).padStart(10), percentual(dia.ocupacao).padStart(9), String(dia.consultas).padStart(9),
+            String(dia.realizadas).padStart(10), String(dia.faltas).padStart(7), String(dia.canceladas).padStart(10), String(dia.novos_pacientes).padStart(6),
+        ].join(" ");
+
+        const separador = "-".repeat(100);
+        let resultado = Idioma.texto("listagens.relatorio.titulo", {inicio: data(relatorio.inicio), fim: data(relatorio.fim), profissionais: relatorio.profissionais}) + "\n";
+        resultado += separador + "\n";
+        resultado += textos.cabecalho + "\n";
+        resultado += separador + "\n";
+
+        for(const dia of relatorio.dias)
+            resultado += linha(data(dia.data), dia) + "\n";
+
+        resultado += separador + "\n";
+        resultado += linha(textos.total, relatorio.total) + "\n";
+        resultado += separador + "\n";
+
+        resultado += `${textos.duracao_media}: ${relatorio.duracao_media === null ? "-" : emHoras(relatorio.duracao_media)}\n`;
+        resultado += `${textos.taxa_faltas}: ${percentual(relatorio.taxa_faltas)}\n`;
+        resultado += `${textos.horarios}: `;
+
+        if(relatorio.horarios.length === 0)
+            return resultado + "-";
+
+        return resultado + relatorio.horarios.slice(0, horarios)
+            .map((horario) => Idioma.texto("listagens.relatorio.horario", {hora: horario.hora, consultas: horario.consultas}))
+            .join(", ");
+    }
+
+    /**
+    * Exporta os números de cada dia do relatório em CSV, com uma linha final de total.
+    * Os tempos são em minutos e a ocupação em percentual, para facilitar o uso em planilhas.
+    *
+    * @param {Object} relatorio - Relatório retornado por `gerarRelatorio`.
+    * @returns {string}
+    */
+    exportarRelatorioCSV(relatorio){
+        return gerarCSV([
+            COLUNAS_CSV,
+            ...relatorio.dias.map((dia) => COLUNAS_CSV.map((coluna) => dia[coluna] ?? "")),
+            COLUNAS_CSV.map((coluna) => coluna === "data" ? "total" : (relatorio.total[coluna] ?? "")),
+        ]);
+    }
+}
+
+export default new RelatorioController();
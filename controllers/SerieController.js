@@ -0,0 +1,347 @@
+import { DateTime } from "luxon";
+import { Op } from "sequelize";
+import { ConsultaBuilder } from "../models/ConsultaBuilder.js";
+import { Consulta, StatusConsulta, STATUS_ATIVOS } from "../models/Consulta.js";
+import { Serie } from "../models/Serie.js";
+import { Profissional } from "../models/Profissional.js";
+import { AcaoAuditoria } from "../models/Auditoria.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+import PacienteController from "./PacienteController.js";
+import ConsultaController from "./ConsultaController.js";
+import ProfissionalController from "./ProfissionalController.js";
+import AuditoriaController from "./AuditoriaController.js";
+import EsperaController from "./EsperaController.js";
+
+/**
+ * Quantidade mínima e máxima de consultas de uma série
+ */
+const MINIMO_OCORRENCIAS = 2;
+const MAXIMO_OCORRENCIAS = 60;
+
+/**
+ * Maior intervalo permitido entre duas consultas da série, em dias
+ */
+const MAXIMO_INTERVALO = 365;
+
+/**
+* Classe Singleton responsável pelas séries de consultas recorrentes.
+* Todas as ocorrências passam pelas mesmas validações do agendamento avulso e só são salvas se nenhuma tiver conflito.
+*/
+class SerieController{
+
+    /**
+    * Construtor da classe SerieController, caso já exista uma instância retorna a mesma.
+    */
+    constructor(){
+        if (SerieController.instance)
+            return SerieController.instance; // Retorna a instância existente
+
+        SerieController.instance = this; // Salva a instância
+    }
+
+    /**
+    * Valida o intervalo entre as consultas da série.
+    *
+    * @param {string|number} intervalo - Intervalo em dias.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaIntervalo(intervalo){
+        const dias = Number(intervalo);
+        if(intervalo === "" || !Number.isInteger(dias) || dias < 1 || dias > MAXIMO_INTERVALO)
+            return {success: false, error: ErrorCodes.ERR_INTERVALO_SERIE_INVALIDO};
+
+        return {success: true};
+    }
+
+    /**
+    * Valida a quantidade de consultas da série.
+    *
+    * @param {string|number} ocorrencias - Quantidade de consultas.
+    * @returns {{success: boolean, error?: number}} Objeto contendo o status da operação e, em caso de erro, um código de erro.
+    */
+    validaOcorrencias(ocorrencias){
+        const quantidade = Number(ocorrencias);
+        if(ocorrencias === "" || !Number.isInteger(quantidade) || quantidade < MINIMO_OCORRENCIAS || quantidade > MAXIMO_OCORRENCIAS)
+            return {success: false, error: ErrorCodes.ERR_OCORRENCIAS_SERIE_INVALIDAS};
+
+        return {success: true};
+    }
+
+    /**
+    * Calcula as datas das consultas da série, terminando pela quantidade de ocorrências ou pela data final.
+    *
+    * @param {DateTime} inicio - Data da primeira consulta.
+    * @param {number} intervalo - Intervalo em dias.
+    * @param {{ocorrencias?: string|number|null, data_final?: string|null}} fim - Quantidade de consultas ou data final no formato "dd/MM/yyyy".
+    * @returns {{success: boolean, error?: number, datas?: DateTime[]}} As datas da série ou um código de erro.
+    */
+    #calcularDatas(inicio, intervalo, {ocorrencias = null, data_final = null}){
+        // A série termina por apenas um dos critérios
+        if((ocorrencias === null) === (data_final === null))
+            return {success: false, error: ErrorCodes.ERR_OCORRENCIAS_SERIE_INVALIDAS};
+
+        var quantidade;
+        if(ocorrencias !== null){
+            const validacao = this.validaOcorrencias(String(ocorrencias));
+            if(!validacao.success)
+                return validacao;
+
+            quantidade = Number(ocorrencias);
+        } else {
+            const fim = DateTime.fromFormat(String(data_final), "dd/MM/yyyy");
+            if(!fim.isValid)
+                return {success: false, error: ErrorCodes.ERR_DATA_CONSULTA_INVALIDA};
+
+            if(fim < inicio)
+                return {success: false, error: ErrorCodes.ERR_DATA_FINAL_MENOR_INICIAL};
+
+            quantidade = Math.floor(fim.diff(inicio, "days").days / intervalo) + 1;
+            if(quantidade < MINIMO_OCORRENCIAS || quantidade > MAXIMO_OCORRENCIAS)
+                return {success: false, error: ErrorCodes.ERR_OCORRENCIAS_SERIE_INVALIDAS};
+        }
+
+        return {success: true, datas: Array.from({length: quantidade}, (_, i) => inicio.plus({days: i * intervalo}))};
+    }
+
+    /**
+    * Monta e valida uma ocorrência da série, com as mesmas regras do agendamento avulso.
+    *
+    * @async
+    * @param {{cpf: string, id_profissional: number, hora_inicial: string, hora_final: string}} dados - Dados comuns às ocorrências.
+    * @param {DateTime} data - Data da ocorrência.
+    * @returns {{success: boolean, error?: number, consulta?: Consulta}} A consulta ainda não salva ou o código do conflito.
+    */
+    async #montarOcorrencia({cpf, id_profissional, hora_inicial, hora_final}, data){
+        const builder = new ConsultaBuilder();
+        builder.setCpf(cpf);
+        builder.setProfissional(id_profissional);
+
+        const etapas = [
+            () => builder.setDataConsulta(data.toFormat("dd/MM/yyyy")),
+            () => builder.setHoraInicial(hora_inicial),
+            () => builder.setHoraFinal(hora_final),
+        ];
+
+        for(const etapa of etapas){
+            const resultado = etapa();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        const { consulta } = await builder.build();
+
+        if(await ConsultaController.isSobreposta(consulta) || await ConsultaController.isPacienteOcupado(consulta))
+            return {success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA};
+
+        return {success: true, consulta};
+    }
+
+    /**
+    * Agenda uma série de consultas recorrentes, ou apenas verifica as ocorrências quando `simular` for verdadeiro.
+    * Se alguma ocorrência tiver conflito (dia fechado, horário fora do expediente ou ocupado), nenhuma consulta é salva
+    * e as ocorrências são retornadas com o conflito de cada uma.
+    *
+    * @async
+    * @param {Object} dados
+    * @param {string} dados.cpf - CPF do paciente.
+    * @param {number|string} dados.id_profissional - Identificador do profissional.
+    * @param {string} dados.data_inicial - Data da primeira consulta no formato "dd/MM/yyyy".
+    * @param {string} dados.hora_inicial - Hora inicial das consultas no formato "HHmm".
+    * @param {string} dados.hora_final - Hora final das consultas no formato "HHmm".
+    * @param {number|string} dados.intervalo_dias - Dias entre duas consultas.
+    * @param {number|string|null} [dados.ocorrencias=null] - Quantidade de consultas, ou nulo para usar a data final.
+    * @param {string|null} [dados.data_final=null] - Data limite da série no formato "dd/MM/yyyy", ou nulo para usar a quantidade.
+    * @param {boolean} [simular=false] - Apenas verifica as ocorrências, sem salvar.
+    * @returns {{success: boolean, error?: number, ocorrencias?: {data_consulta: string, error?: number}[], serie?: Serie}}
+    * As ocorrências com a data no formato "dd/MM/yyyy" e o conflito de cada uma, e a série criada.
+    */
+    async agendarSerie({cpf, id_profissional, data_inicial, hora_inicial, hora_final, intervalo_dias, ocorrencias = null, data_final = null} = {}, simular = false){
+        cpf = String(cpf ?? "");
+        hora_inicial = String(hora_inicial ?? "");
+        hora_final = String(hora_final ?? "");
+
+        const validacoes = [
+            async () => PacienteController.validaCpf(cpf),
+            async () => ProfissionalController.validaProfissional(id_profissional),
+            async () => ConsultaController.validaData(String(data_inicial ?? "")),
+            async () => ConsultaController.validaHoraInicial(hora_inicial),
+            async () => ConsultaController.validaHoraInicial(hora_final),
+            async () => this.validaIntervalo(String(intervalo_dias ?? "")),
+        ];
+
+        for(const validacao of validacoes){
+            const resultado = await validacao();
+            if(!resultado.success)
+                return resultado;
+        }
+
+        const inicio = DateTime.fromFormat(String(data_inicial), "dd/MM/yyyy");
+        const calculo = this.#calcularDatas(inicio, Number(intervalo_dias), {ocorrencias, data_final});
+        if(!calculo.success)
+            return calculo;
+
+        const dados = {cpf, id_profissional: Number(id_profissional), hora_inicial, hora_final};
+        const montadas = [];
+        for(const data of calculo.datas)
+            montadas.push({data, ...(await this.#montarOcorrencia(dados, data))});
+
+        const lista_ocorrencias = montadas.map(({data, success, error}) =>
+            success ? {data_consulta: data.toFormat("dd/MM/yyyy")} : {data_consulta: data.toFormat("dd/MM/yyyy"), error});
+
+        if(montadas.some((ocorrencia) => !ocorrencia.success))
+            return {success: false, error: ErrorCodes.ERR_SERIE_CONFLITO, ocorrencias: lista_ocorrencias};
+
+        if(simular)
+            return {success: true, ocorrencias: lista_ocorrencias};
+
+        const consultas = montadas.map((ocorrencia) => ocorrencia.consulta);
+        let recusa = null;
+        var serie;
+        try {
+            // A série e todas as consultas são salvas juntas, ou nenhuma é salva
+            serie = await ConsultaController.transacaoAgenda(async (transaction) => {
+                // As ocorrências são verificadas de novo com a agenda travada, outro agendamento pode ter ocupado algum horário
+                await ConsultaController.travarAgenda(consultas[0], transaction);
+
+                const ocupadas = [];
+                for(const consulta of consultas)
+                    ocupadas.push(await ConsultaController.isSobreposta(consulta, null, transaction) || await ConsultaController.isPacienteOcupado(consulta, null, transaction));
+
+                if(ocupadas.some((ocupada) => ocupada)){
+                    recusa = {success: false, error: ErrorCodes.ERR_SERIE_CONFLITO, ocorrencias: lista_ocorrencias.map((ocorrencia, i) =>
+                        ocupadas[i] ? {...ocorrencia, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA} : ocorrencia)};
+                    throw recusa;
+                }
+
+                const nova = await Serie.create({
+                    cpf_paciente:       cpf,
+                    id_profissional:    dados.id_profissional,
+                    intervalo_dias:     Number(intervalo_dias),
+                    data_inicial:       calculo.datas[0].toFormat("yyyy-MM-dd"),
+                    data_final:         calculo.datas.at(-1).toFormat("yyyy-MM-dd"),
+                    ocorrencias:        consultas.length,
+                    hora_inicial:       consultas[0].getDataValue("hora_inicial"),
+                    hora_final:         consultas[0].getDataValue("hora_final"),
+                }, {transaction});
+
+                for(const consulta of consultas){
+                    consulta.id_serie = nova.id;
+                    await consulta.save({transaction});
+                    await AuditoriaController.registrar(AcaoAuditoria.CONSULTA_AGENDADA, cpf, null, ConsultaController.registroAuditoria(consulta), transaction);
+                }
+
+                return nova;
+            });
+        } catch (error) {
+            return recusa ?? ConsultaController.erroGravacao(error);
+        }
+
+        return {success: true, ocorrencias: lista_ocorrencias, serie};
+    }
+
+    /**
+    * Retorna as séries de um paciente, da mais recente para a mais antiga.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {Serie[]}
+    */
+    async getSeries(cpf){
+        return await Serie.findAll({
+            where: {cpf_paciente: cpf},
+            include: [{model: Profissional, as: "profissional"}],
+            order: [["id", "DESC"]],
+        });
+    }
+
+    /**
+    * Retorna as consultas futuras e ativas de uma série, em ordem.
+    *
+    * @async
+    * @param {number|string} id_serie - Identificador da série.
+    * @returns {Consulta[]}
+    */
+    async getOcorrenciasFuturas(id_serie){
+        const consultas = await Consulta.findAll({
+            where: {id_serie: Number(id_serie), status: STATUS_ATIVOS},
+            order: [["data_consulta", "ASC"], ["hora_inicial", "ASC"]],
+        });
+
+        return consultas.filter((consulta) => !consulta.isConsultaPassada());
+    }
+
+    /**
+    * Cancela todas as consultas futuras de uma série. As consultas que já passaram não são alteradas.
+    * O resultado traz os pedidos da lista de espera que aceitam cada horário liberado, como no cancelamento de uma consulta.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente, para conferir que a série é dele.
+    * @param {number|string} id_serie - Identificador da série.
+    * @returns {{success: boolean, error?: number, canceladas?: number, interessados?: Object[]}} Quantidade de consultas canceladas
+    * e os interessados nos horários (ver `EsperaController.getInteressados`) ou um código de erro.
+    */
+    async cancelarSerie(cpf, id_serie){
+        const serie = Number.isInteger(Number(id_serie)) ? await Serie.findByPk(Number(id_serie)) : null;
+        if(!serie || serie.cpf_paciente !== cpf)
+            return {success: false, error: ErrorCodes.ERR_SERIE_NAO_ENCONTRADA};
+
+        const canceladas = [];
+        try {
+            const consultas = await this.getOcorrenciasFuturas(serie.id);
+
+            // As consultas e os registros da auditoria são gravados juntos, ou nenhum é gravado
+            await ConsultaController.transacaoAgenda(async (transaction) => {
+                for(const consulta of consultas){
+                    // A situação é lida de novo com a consulta travada, outro operador pode tê-la alterado desde a busca
+                    await consulta.reload({transaction, lock: transaction.LOCK.UPDATE});
+                    if(!consulta.podeMudarPara(StatusConsulta.CANCELADA))
+                        continue;
+
+                    const antes = ConsultaController.registroAuditoria(consulta);
+                    await consulta.update({status: StatusConsulta.CANCELADA}, {transaction});
+                    await AuditoriaController.registrar(AcaoAuditoria.CONSULTA_CANCELADA, cpf, antes, ConsultaController.registroAuditoria(consulta), transaction);
+                    canceladas.push(consulta);
+                }
+            });
+        } catch (error) {
+            return {success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO};
+        }
+
+        // O cancelamento já está gravado, uma falha ao buscar os interessados apenas deixa a lista vazia
+        const interessados = [];
+        for(const consulta of canceladas)
+            interessados.push(...await EsperaController.getInteressados(consulta).catch(() => []));
+
+        return {success: true, canceladas: canceladas.length, interessados};
+    }
+
+    /**
+    * Lista as séries de um paciente com a quantidade de consultas futuras de cada uma.
+    *
+    * @async
+    * @param {string} cpf - CPF do paciente.
+    * @returns {string} - Tabela com as séries.
+    */
+    async listarSeries(cpf){
+        const series = await this.getSeries(cpf);
+
+        let resultado = '------------------------------------------------------------------------------\n';
+        resultado +=    `${Idioma.texto("listagens.series.cabecalho")}\n`;
+        resultado +=    '------------------------------------------------------------------------------\n';
+
+        for(const serie of series){
+            const futuras = (await this.getOcorrenciasFuturas(serie.id)).length;
+            resultado += `${String(serie.id).padStart(5)} `;
+            resultado += `${Idioma.texto("listagens.series.intervalo", { dias: serie.intervalo_dias }).padEnd(14)} `;
+            resultado += `${serie.hora_inicial.toFormat("HH:mm")}-${serie.hora_final.toFormat("HH:mm")} `;
+            resultado += `${Idioma.formatarData(serie.data_inicial)} ${Idioma.formatarData(serie.data_final)} `;
+            resultado += `${String(futuras).padStart(3)}/${String(serie.ocorrencias).padEnd(3)} ${serie.profissional?.nome ?? ""}\n`;
+        }
+
+        resultado +=    '------------------------------------------------------------------------------';
+        return resultado;
+    }
+}
+
+export default new SerieController();
@@ -1,6 +1,19 @@
 import { Sequelize } from "sequelize";
 import { Paciente } from "../models/Paciente.js";
 import { Consulta } from "../models/Consulta.js";
+import { Profissional } from "../models/Profissional.js";
+import { Auditoria } from "../models/Auditoria.js";
+import { Operador } from "../models/Operador.js";
+import { Serie } from "../models/Serie.js";
+import { Espera } from "../models/Espera.js";
+import { Lembrete } from "../models/Lembrete.js";
+import { RegistroClinico } from "../models/RegistroClinico.js";
+import { ProcedimentoRealizado } from "../models/ProcedimentoRealizado.js";
+import { Prescricao } from "../models/Prescricao.js";
+import { RegistroDente } from "../models/RegistroDente.js";
+import { Procedimento } from "../models/Procedimento.js";
+import { Cobranca } from "../models/Cobranca.js";
+import { Pagamento } from "../models/Pagamento.js";
 
 import { ErrorCodes } from "../utils/Error.js";
 
@@ -8,7 +21,23 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 /**
- * Classe Singleton para conexão com o banco de dados postgresql e tratamento de erros
+ * Códigos de erro de conexão de cada dialeto, associados aos erros da aplicação
+ */
+const ErrosConexao = {
+    postgres: {
+        '28P01':            ErrorCodes.ERR_BD_LOGIN_INVALIDO,   // Login inválido
+        'EAI_AGAIN':        ErrorCodes.ERR_BD_HOST_INVALIDO,    // Host desconhecido
+        '3D000':            ErrorCodes.ERR_BD_INEXISTENTE,      // Banco de dados não existe
+    },
+    sqlite: {
+        'SQLITE_AUTH':      ErrorCodes.ERR_BD_LOGIN_INVALIDO,   // Acesso negado
+        'SQLITE_CANTOPEN':  ErrorCodes.ERR_BD_INEXISTENTE,      // Arquivo não pode ser aberto
+        'SQLITE_NOTADB':    ErrorCodes.ERR_BD_INEXISTENTE,      // Arquivo não é um banco SQLite
+    },
+};
+
+/**
+ * Classe Singleton para conexão com o banco de dados (postgresql ou sqlite) e tratamento de erros
  */
 class Database {
     /**
@@ -25,11 +54,22 @@ class Database {
             return Database.instance; // Retorna a instância existente
         
         const env = process.env;
-        this.#conexao = new Sequelize(env.DATABASE, env.DB_USER, env.DB_PASSWORD, {
-            dialect: "postgres",
-            host: process.env.DB_HOST,
-            logging: false,
-        });
+        const dialeto = env.DB_DIALECT || "postgres";
+
+        if (dialeto === "sqlite") {
+            // Sem DB_STORAGE o banco é criado apenas em memória
+            this.#conexao = new Sequelize({
+                dialect: "sqlite",
+                storage: env.DB_STORAGE || ":memory:",
+                logging: false,
+            });
+        } else {
+            this.#conexao = new Sequelize(env.DATABASE, env.DB_USER, env.DB_PASSWORD, {
+                dialect: dialeto,
+                host: env.DB_HOST,
+                logging: false,
+            });
+        }
 
         this.init();
         Database.instance = this; // Salva a instância
@@ -42,6 +82,19 @@ class Database {
         
         Paciente.init(this.#conexao);
         Consulta.init(this.#conexao);
+        Profissional.init(this.#conexao);
+        Auditoria.init(this.#conexao);
+        Operador.init(this.#conexao);
+        Serie.init(this.#conexao);
+        Espera.init(this.#conexao);
+        Lembrete.init(this.#conexao);
+        RegistroClinico.init(this.#conexao);
+        ProcedimentoRealizado.init(this.#conexao);
+        Prescricao.init(this.#conexao);
+        RegistroDente.init(this.#conexao);
+        Procedimento.init(this.#conexao);
+        Cobranca.init(this.#conexao);
+        Pagamento.init(this.#conexao);
 
         Paciente.hasMany(Consulta, {
             foreignKey: "cpf_paciente", // Define que a chave estrangeira é cpf_paciente
@@ -54,6 +107,92 @@ class Database {
             targetKey: "cpf",           // Indica que a referência no Paciente é cpf
             as: "paciente",             // Alias para a relação
         });
+
+        Profissional.hasMany(Consulta, {
+            foreignKey: "id_profissional",
+            as: "consultas",
+        });
+
+        Consulta.belongsTo(Profissional, {
+            foreignKey: "id_profissional",
+            as: "profissional",
+        });
+
+        Serie.hasMany(Consulta, {
+            foreignKey: "id_serie",
+            as: "consultas",
+        });
+
+        Consulta.belongsTo(Serie, {
+            foreignKey: "id_serie",
+            as: "serie",
+        });
+
+        Serie.belongsTo(Profissional, {
+            foreignKey: "id_profissional",
+            as: "profissional",
+        });
+
+        Espera.belongsTo(Paciente, {
+            foreignKey: "cpf_paciente",
+            targetKey: "cpf",
+            as: "paciente",
+        });
+
+        Espera.belongsTo(Profissional, {
+            foreignKey: "id_profissional",
+            as: "profissional",
+        });
+
+        Lembrete.belongsTo(Consulta, {
+            foreignKey: "id_consulta",
+            as: "consulta",
+        });
+
+        Consulta.hasOne(RegistroClinico, {
+            foreignKey: "id_consulta",
+            as: "registro",
+        });
+
+        RegistroClinico.belongsTo(Consulta, {
+            foreignKey: "id_consulta",
+            as: "consulta",
+        });
+
+        RegistroClinico.hasMany(ProcedimentoRealizado, {
+            foreignKey: "id_registro",
+            as: "procedimentos",
+        });
+
+        RegistroClinico.hasMany(Prescricao, {
+            foreignKey: "id_registro",
+            as: "prescricoes",
+        });
+
+        RegistroDente.belongsTo(Consulta, {
+            foreignKey: "id_consulta",
+            as: "consulta",
+        });
+
+        Consulta.hasMany(Cobranca, {
+            foreignKey: "id_consulta",
+            as: "cobrancas",
+        });
+
+        Consulta.hasMany(Pagamento, {
+            foreignKey: "id_consulta",
+            as: "pagamentos",
+        });
+
+        Cobranca.belongsTo(Consulta, {
+            foreignKey: "id_consulta",
+            as: "consulta",
+        });
+
+        Cobranca.belongsTo(Procedimento, {
+            foreignKey: "id_procedimento",
+            as: "procedimento",
+        });
     }
 
     /**
@@ -71,21 +210,12 @@ class Database {
         } catch (error) {
 
             //console.log("Erro ao se conectar ao banco de dados: ");
-            
-            // Futuramente retornar o tipo de erro em um objeto
-            switch (error.original.code) {
-                case '28P01': // Login inválido
-                    return {sucess: false, error: ErrorCodes.ERR_BD_LOGIN_INVALIDO};
-            
-                case 'EAI_AGAIN': // Host desconhecido
-                    return {sucess: false, error: ErrorCodes.ERR_BD_HOST_INVALIDO};
-            
-                case '3D000': // Banco de dados não existe
-                    return {sucess: false, error: ErrorCodes.ERR_BD_INEXISTENTE};
-            
-                default: // Outros erros
-                    return {sucess: false, error: ErrorCodes.ERR_BD_DESCONHECIDO};
-            }
+
+            const erros = ErrosConexao[this.#conexao.getDialect()] ?? {};
+            const codigo = error.original?.code;
+
+            // Outros erros são tratados como desconhecidos
+            return {sucess: false, error: erros[codigo] ?? ErrorCodes.ERR_BD_DESCONHECIDO};
         };
     }
 
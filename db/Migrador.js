@@ -0,0 +1,162 @@
+import { DataTypes, QueryTypes } from "sequelize";
+import { readdir } from "fs/promises";
+import Database from "./Database.js";
+
+/**
+ * Nome da tabela que registra as migrações já executadas
+ */
+const TABELA_MIGRACOES = "migracoes";
+
+/**
+ * Remove uma coluna no `down` de uma migração com `ALTER TABLE ... DROP COLUMN`, aceito pelo SQLite e pelo PostgreSQL.
+ *
+ * O `removeColumn` do Sequelize no SQLite recria a tabela: copia os dados para uma tabela nova e apaga a antiga.
+ * Em tabelas referenciadas por outras, como `pacientes`, apagar a tabela antiga removeria as linhas dependentes em cascata.
+ *
+ * @async
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ * @param {string} tabela - Nome da tabela
+ * @param {string} coluna - Nome da coluna removida
+ */
+export async function removerColuna({ queryInterface, transaction }, tabela, coluna){
+    await queryInterface.sequelize.query(`ALTER TABLE ${tabela} DROP COLUMN ${coluna}`, { transaction });
+}
+
+/**
+ * Classe Singleton responsável por aplicar e reverter as migrações numeradas de `db/migracoes`.
+ *
+ * Cada migração é um módulo `NNN-descricao.js` que exporta as funções `up` e `down`, recebendo
+ * `{queryInterface, transaction}`. Cada migração roda em uma transação própria e é registrada na tabela `migracoes`.
+ */
+class Migrador {
+    /**
+     * @property {URL} pasta - Pasta onde ficam as migrações
+     */
+    #pasta = new URL("./migracoes/", import.meta.url);
+
+    /**
+     * Construtor da classe Migrador, caso já exista uma instância retorna a mesma.
+     */
+    constructor(){
+        if (Migrador.instance)
+            return Migrador.instance; // Retorna a instância existente
+
+        Migrador.instance = this; // Salva a instância
+    }
+
+    /**
+     * Cria a tabela de controle das migrações, caso não exista.
+     * @async
+     */
+    async #criarTabela(){
+        const queryInterface = Database.conexao.getQueryInterface();
+        if(await queryInterface.tableExists(TABELA_MIGRACOES))
+            return;
+
+        await queryInterface.createTable(TABELA_MIGRACOES, {
+            nome:           { type: DataTypes.STRING, primaryKey: true },
+            executada_em:   { type: DataTypes.DATE, allowNull: false },
+        });
+    }
+
+    /**
+     * Lista os arquivos de migração disponíveis, em ordem.
+     * @async
+     * @returns {string[]} - Nomes das migrações, sem a extensão
+     */
+    async #listarMigracoes(){
+        const arquivos = await readdir(this.#pasta);
+        return arquivos
+            .filter((arquivo) => /^\d+-.+\.js$/.test(arquivo))
+            .map((arquivo) => arquivo.slice(0, -3))
+            .sort();
+    }
+
+    /**
+     * Retorna as migrações já executadas, em ordem.
+     * @async
+     * @returns {{nome: string, executada_em: Date}[]}
+     */
+    async #getExecutadas(){
+        await this.#criarTabela();
+        return await Database.conexao.query(
+            `SELECT nome, executada_em FROM ${TABELA_MIGRACOES} ORDER BY nome`,
+            { type: QueryTypes.SELECT }
+        );
+    }
+
+    /**
+     * Executa a função `up` ou `down` de uma migração dentro de uma transação e atualiza o registro.
+     * @async
+     * @param {string} nome - Nome da migração
+     * @param {"up"|"down"} direcao - Direção da migração
+     */
+    async #executar(nome, direcao){
+        const migracao = await import(new URL(`${nome}.js`, this.#pasta).href);
+        const queryInterface = Database.conexao.getQueryInterface();
+
+        await Database.conexao.transaction(async (transaction) => {
+            await migracao[direcao]({ queryInterface, transaction });
+
+            if(direcao === "up")
+                await queryInterface.bulkInsert(TABELA_MIGRACOES, [{ nome, executada_em: new Date() }], { transaction });
+            else
+                await queryInterface.bulkDelete(TABELA_MIGRACOES, { nome }, { transaction });
+        });
+    }
+
+    /**
+     * Aplica todas as migrações pendentes, em ordem.
+     * @async
+     * @returns {string[]} - Nomes das migrações aplicadas
+     */
+    async migrar(){
+        const executadas = new Set((await this.#getExecutadas()).map((m) => m.nome));
+        const pendentes = (await this.#listarMigracoes()).filter((nome) => !executadas.has(nome));
+
+        for(const nome of pendentes)
+            await this.#executar(nome, "up");
+
+        return pendentes;
+    }
+
+    /**
+     * Reverte as últimas migrações executadas.
+     * @async
+     * @param {number} [passos=1] - Quantidade de migrações a reverter
+     * @returns {string[]} - Nomes das migrações revertidas
+     * @throws {Error} - Lança um erro se uma migração executada não tiver mais o arquivo correspondente
+     */
+    async reverter(passos = 1){
+        const disponiveis = new Set(await this.#listarMigracoes());
+        const revertidas = (await this.#getExecutadas()).map((m) => m.nome).reverse().slice(0, passos);
+
+        for(const nome of revertidas){
+            if(!disponiveis.has(nome))
+                throw new Error(`Arquivo da migração "${nome}" não encontrado`);
+
+            await this.#executar(nome, "down");
+        }
+
+        return revertidas;
+    }
+
+    /**
+     * Retorna a situação de cada migração conhecida.
+     * @async
+     * @returns {{nome: string, executada: boolean, executada_em: Date|null}[]}
+     */
+    async status(){
+        const executadas = new Map((await this.#getExecutadas()).map((m) => [m.nome, m.executada_em]));
+        const nomes = new Set([...await this.#listarMigracoes(), ...executadas.keys()]);
+
+        return [...nomes].sort().map((nome) => ({
+            nome,
+            executada: executadas.has(nome),
+            executada_em: executadas.has(nome) ? new Date(executadas.get(nome)) : null,
+        }));
+    }
+}
+
+// Exporta uma única instância do Migrador
+export default new Migrador();
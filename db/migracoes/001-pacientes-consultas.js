@@ -0,0 +1,44 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Migração base: esquema de pacientes e consultas como era criado pelo `sync` antes das migrações.
+ * Bancos que já possuem as tabelas são mantidos como estão.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    if(!(await queryInterface.tableExists("pacientes", { transaction }))){
+        await queryInterface.createTable("pacientes", {
+            id:         { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            cpf:        { type: DataTypes.STRING(11), allowNull: false, unique: true },
+            nome:       { type: DataTypes.STRING, allowNull: false, unique: true },
+            data_nasc:  { type: DataTypes.DATEONLY },
+        }, { transaction });
+    }
+
+    if(!(await queryInterface.tableExists("consultas", { transaction }))){
+        await queryInterface.createTable("consultas", {
+            id:             { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            cpf_paciente:   {
+                type: DataTypes.STRING,
+                allowNull: false,
+                references: { model: "pacientes", key: "cpf" },
+                onDelete: "CASCADE",
+                onUpdate: "CASCADE",
+            },
+            data_consulta:  { type: DataTypes.DATEONLY },
+            hora_inicial:   { type: DataTypes.TIME },
+            hora_final:     { type: DataTypes.TIME },
+        }, { transaction });
+    }
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("consultas", { transaction });
+    await queryInterface.dropTable("pacientes", { transaction });
+}
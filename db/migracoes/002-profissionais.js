@@ -0,0 +1,38 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Cadastro de profissionais e o profissional responsável por cada consulta.
+ * A coluna aceita nulo no banco para não invalidar consultas anteriores a essa migração,
+ * a obrigatoriedade para novas consultas é garantida pelo modelo.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    if(!(await queryInterface.tableExists("profissionais", { transaction }))){
+        await queryInterface.createTable("profissionais", {
+            id:     { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            nome:   { type: DataTypes.STRING, allowNull: false, unique: true },
+        }, { transaction });
+    }
+
+    const colunas = await queryInterface.describeTable("consultas", { transaction });
+    if(!colunas.id_profissional){
+        await queryInterface.addColumn("consultas", "id_profissional", {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: { model: "profissionais", key: "id" },
+            onDelete: "CASCADE",
+            onUpdate: "CASCADE",
+        }, { transaction });
+    }
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.removeColumn("consultas", "id_profissional", { transaction });
+    await queryInterface.dropTable("profissionais", { transaction });
+}
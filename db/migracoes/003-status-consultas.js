@@ -0,0 +1,26 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Situação de cada consulta (agendada, confirmada, realizada, faltou, cancelada).
+ * Consultas existentes passam a ser consideradas agendadas.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.addColumn("consultas", "status", {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "agendada",
+    }, { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    // As consultas canceladas deixariam de existir sem a coluna, então são removidas
+    await queryInterface.bulkDelete("consultas", { status: "cancelada" }, { transaction });
+    await queryInterface.removeColumn("consultas", "status", { transaction });
+}
@@ -0,0 +1,38 @@
+import { DataTypes, QueryTypes } from "sequelize";
+import { removerColuna } from "../Migrador.js";
+
+/**
+ * Nome do paciente sem acentos e em minúsculas, usado na busca por nome em qualquer dialeto.
+ * Os pacientes existentes são preenchidos a partir do nome atual.
+ */
+
+/**
+ * Mesma normalização de `Paciente.normalizarNome`, repetida aqui para que a migração não dependa do modelo.
+ *
+ * @param {string} nome
+ * @returns {string}
+ */
+function normalizarNome(nome){
+    return nome.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.addColumn("pacientes", "nome_busca", {
+        type: DataTypes.STRING,
+        allowNull: true,
+    }, { transaction });
+
+    const pacientes = await queryInterface.sequelize.query("SELECT cpf, nome FROM pacientes", { type: QueryTypes.SELECT, transaction });
+    for(const { cpf, nome } of pacientes)
+        await queryInterface.bulkUpdate("pacientes", { nome_busca: normalizarNome(nome) }, { cpf }, { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await removerColuna({ queryInterface, transaction }, "pacientes", "nome_busca");
+}
@@ -0,0 +1,31 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Registro de auditoria das alterações em pacientes e consultas.
+ * O CPF não referencia a tabela de pacientes para que o histórico continue existindo depois da remoção do paciente.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("auditoria", {
+        id:             { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        data_hora:      { type: DataTypes.DATE, allowNull: false },
+        operador:       { type: DataTypes.STRING, allowNull: false },
+        acao:           { type: DataTypes.STRING, allowNull: false },
+        cpf_paciente:   { type: DataTypes.STRING(11), allowNull: false },
+        antes:          { type: DataTypes.JSON },
+        depois:         { type: DataTypes.JSON },
+    }, { transaction });
+
+    await queryInterface.addIndex("auditoria", ["cpf_paciente"], { transaction });
+    await queryInterface.addIndex("auditoria", ["data_hora"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("auditoria", { transaction });
+}
@@ -0,0 +1,25 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Operadores da interface de terminal, com o hash da senha e o papel que define as opções disponíveis.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("operadores", {
+        id:         { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        login:      { type: DataTypes.STRING(30), allowNull: false, unique: true },
+        senha_hash: { type: DataTypes.STRING, allowNull: false },
+        papel:      { type: DataTypes.STRING, allowNull: false },
+        ativo:      { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    }, { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("operadores", { transaction });
+}
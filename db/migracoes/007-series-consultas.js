@@ -0,0 +1,45 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Séries de consultas recorrentes e a série a que cada consulta pertence.
+ * Consultas avulsas, inclusive as anteriores a essa migração, ficam sem série.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("series", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        cpf_paciente:       {
+            type: DataTypes.STRING, allowNull: false,
+            references: { model: "pacientes", key: "cpf" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        id_profissional:    {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "profissionais", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        intervalo_dias:     { type: DataTypes.INTEGER, allowNull: false },
+        data_inicial:       { type: DataTypes.DATEONLY, allowNull: false },
+        data_final:         { type: DataTypes.DATEONLY, allowNull: false },
+        ocorrencias:        { type: DataTypes.INTEGER, allowNull: false },
+        hora_inicial:       { type: DataTypes.TIME, allowNull: false },
+        hora_final:         { type: DataTypes.TIME, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addColumn("consultas", "id_serie", {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "series", key: "id" },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+    }, { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.removeColumn("consultas", "id_serie", { transaction });
+    await queryInterface.dropTable("series", { transaction });
+}
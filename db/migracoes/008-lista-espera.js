@@ -0,0 +1,38 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Lista de espera de pacientes por horários já ocupados.
+ * Cada pedido guarda o período e a faixa de horário aceitos pelo paciente, e opcionalmente o profissional desejado.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("lista_espera", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        cpf_paciente:       {
+            type: DataTypes.STRING, allowNull: false,
+            references: { model: "pacientes", key: "cpf" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        id_profissional:    {
+            type: DataTypes.INTEGER, allowNull: true,
+            references: { model: "profissionais", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        data_inicial:       { type: DataTypes.DATEONLY, allowNull: false },
+        data_final:         { type: DataTypes.DATEONLY, allowNull: false },
+        hora_inicial:       { type: DataTypes.TIME, allowNull: false },
+        hora_final:         { type: DataTypes.TIME, allowNull: false },
+        duracao:            { type: DataTypes.INTEGER, allowNull: false },
+        data_cadastro:      { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex("lista_espera", ["data_inicial", "data_final"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("lista_espera", { transaction });
+}
@@ -0,0 +1,40 @@
+import { DataTypes } from "sequelize";
+import { removerColuna } from "../Migrador.js";
+
+/**
+ * Contato dos pacientes e registro dos lembretes de consulta enviados.
+ * Cada consulta recebe no máximo um lembrete por canal, garantido pelo índice único, mesmo com dois envios simultâneos.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.addColumn("pacientes", "email", { type: DataTypes.STRING, allowNull: true }, { transaction });
+    await queryInterface.addColumn("pacientes", "telefone", { type: DataTypes.STRING(14), allowNull: true }, { transaction });
+
+    await queryInterface.createTable("lembretes", {
+        id:             { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_consulta:    {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "consultas", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        canal:          { type: DataTypes.STRING, allowNull: false },
+        destinatario:   { type: DataTypes.STRING, allowNull: false },
+        status:         { type: DataTypes.STRING, allowNull: false },
+        data_hora:      { type: DataTypes.DATE, allowNull: false },
+        erro:           { type: DataTypes.TEXT },
+    }, { transaction });
+
+    await queryInterface.addIndex("lembretes", ["id_consulta", "canal"], { unique: true, transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("lembretes", { transaction });
+
+    await removerColuna({ queryInterface, transaction }, "pacientes", "telefone");
+    await removerColuna({ queryInterface, transaction }, "pacientes", "email");
+}
@@ -0,0 +1,53 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Prontuário dos pacientes: um registro por consulta atendida, com as anotações do profissional,
+ * os procedimentos realizados e as prescrições.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("registros_clinicos", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_consulta:        {
+            type: DataTypes.INTEGER, allowNull: false, unique: true,
+            references: { model: "consultas", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        anotacoes:          { type: DataTypes.TEXT, allowNull: false, defaultValue: "" },
+        operador:           { type: DataTypes.STRING, allowNull: false },
+        data_alteracao:     { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.createTable("procedimentos_realizados", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_registro:        {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "registros_clinicos", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        descricao:          { type: DataTypes.STRING(200), allowNull: false },
+    }, { transaction });
+
+    await queryInterface.createTable("prescricoes", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_registro:        {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "registros_clinicos", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        medicamento:        { type: DataTypes.STRING(200), allowNull: false },
+        posologia:          { type: DataTypes.STRING(500), allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex("procedimentos_realizados", ["id_registro"], { transaction });
+    await queryInterface.addIndex("prescricoes", ["id_registro"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("prescricoes", { transaction });
+    await queryInterface.dropTable("procedimentos_realizados", { transaction });
+    await queryInterface.dropTable("registros_clinicos", { transaction });
+}
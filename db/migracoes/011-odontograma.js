@@ -0,0 +1,36 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Odontograma dos pacientes: cada alteração do estado de um dente, registrada na consulta em que foi observada.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("odontograma", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        cpf_paciente:       {
+            type: DataTypes.STRING, allowNull: false,
+            references: { model: "pacientes", key: "cpf" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        dente:              { type: DataTypes.INTEGER, allowNull: false },
+        estado:             { type: DataTypes.STRING, allowNull: false },
+        observacao:         { type: DataTypes.STRING(200), allowNull: true },
+        id_consulta:        {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "consultas", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        operador:           { type: DataTypes.STRING, allowNull: false },
+        data_hora:          { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex("odontograma", ["cpf_paciente", "dente"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("odontograma", { transaction });
+}
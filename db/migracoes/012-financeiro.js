@@ -0,0 +1,59 @@
+import { DataTypes } from "sequelize";
+
+/**
+ * Financeiro: a tabela de preços dos procedimentos, as cobranças lançadas em cada consulta e os pagamentos recebidos.
+ * Os valores são guardados em centavos.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.createTable("procedimentos", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        nome:               { type: DataTypes.STRING(100), allowNull: false, unique: true },
+        preco:              { type: DataTypes.INTEGER, allowNull: false },
+        ativo:              { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    }, { transaction });
+
+    await queryInterface.createTable("cobrancas", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_consulta:        {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "consultas", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        id_procedimento:    {
+            type: DataTypes.INTEGER, allowNull: true,
+            references: { model: "procedimentos", key: "id" }, onDelete: "SET NULL", onUpdate: "CASCADE",
+        },
+        descricao:          { type: DataTypes.STRING(100), allowNull: false },
+        valor:              { type: DataTypes.INTEGER, allowNull: false },
+        operador:           { type: DataTypes.STRING, allowNull: false },
+        data_hora:          { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.createTable("pagamentos", {
+        id:                 { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        id_consulta:        {
+            type: DataTypes.INTEGER, allowNull: false,
+            references: { model: "consultas", key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE",
+        },
+        valor:              { type: DataTypes.INTEGER, allowNull: false },
+        forma:              { type: DataTypes.STRING, allowNull: false },
+        parcelas:           { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+        operador:           { type: DataTypes.STRING, allowNull: false },
+        data_hora:          { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex("cobrancas", ["id_consulta"], { transaction });
+    await queryInterface.addIndex("pagamentos", ["id_consulta"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.dropTable("pagamentos", { transaction });
+    await queryInterface.dropTable("cobrancas", { transaction });
+    await queryInterface.dropTable("procedimentos", { transaction });
+}
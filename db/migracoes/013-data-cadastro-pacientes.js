@@ -0,0 +1,36 @@
+import { DataTypes, QueryTypes } from "sequelize";
+import { removerColuna } from "../Migrador.js";
+
+/**
+ * Data e hora do cadastro dos pacientes, usada no relatório da agenda para contar os pacientes novos de um período.
+ * Os pacientes existentes são preenchidos pelo registro de cadastro na auditoria, quando houver.
+ */
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    await queryInterface.addColumn("pacientes", "data_cadastro", {
+        type: DataTypes.DATE,
+        allowNull: true,
+    }, { transaction });
+
+    const cadastros = await queryInterface.sequelize.query(
+        "SELECT cpf_paciente, MIN(data_hora) AS data_hora FROM auditoria WHERE acao = 'paciente_cadastrado' GROUP BY cpf_paciente",
+        { type: QueryTypes.SELECT, transaction },
+    );
+
+    // O valor é copiado como veio do banco, para ficar no mesmo formato da coluna da auditoria
+    for(const { cpf_paciente, data_hora } of cadastros)
+        await queryInterface.bulkUpdate("pacientes", { data_cadastro: data_hora }, { cpf: cpf_paciente }, { transaction });
+
+    await queryInterface.addIndex("pacientes", ["data_cadastro"], { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    await queryInterface.removeIndex("pacientes", ["data_cadastro"], { transaction });
+    await removerColuna({ queryInterface, transaction }, "pacientes", "data_cadastro");
+}
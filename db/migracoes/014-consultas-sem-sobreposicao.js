@@ -0,0 +1,108 @@
+/**
+ * Impede no próprio banco que duas consultas não canceladas do mesmo profissional se sobreponham,
+ * mesmo quando dois agendamentos são gravados ao mesmo tempo.
+ *
+ * No Postgres é uma restrição de exclusão sobre o intervalo da consulta, que precisa da extensão `btree_gist`
+ * para comparar o profissional no mesmo índice. O SQLite não tem restrições de exclusão, então a mesma regra
+ * é feita por gatilhos que abortam a gravação. Nos dois casos o erro leva o nome `consultas_sem_sobreposicao`,
+ * usado pela aplicação para reconhecê-lo.
+ *
+ * Sobreposições gravadas antes desta migração não são resolvidas automaticamente, pois não há como saber qual
+ * das consultas vale. Nesse caso a migração falha listando os pares, para que sejam cancelados ou remarcados antes.
+ */
+
+/**
+ * Nome da restrição no Postgres e mensagem dos gatilhos no SQLite
+ */
+const RESTRICAO = "consultas_sem_sobreposicao";
+
+/**
+ * Condição dos gatilhos do SQLite: outra consulta ativa do mesmo profissional no mesmo dia com horários que se cruzam.
+ * As datas e horas são gravadas como texto (yyyy-MM-dd e HH:mm:ss), então a comparação de texto segue a ordem do tempo.
+ */
+const SOBREPOSTA_SQLITE = `
+    SELECT RAISE(ABORT, '${RESTRICAO}') WHERE EXISTS (
+        SELECT 1 FROM consultas
+        WHERE id_profissional = NEW.id_profissional AND data_consulta = NEW.data_consulta AND status <> 'cancelada'
+            AND hora_inicial < NEW.hora_final AND hora_final > NEW.hora_inicial AND id IS NOT NEW.id
+    );`;
+
+/**
+ * Pares de consultas ativas do mesmo profissional que já se sobrepõem, com as datas e horas como texto nos dois bancos.
+ */
+const SOBREPOSTAS_EXISTENTES = `
+    SELECT a.id AS id, b.id AS outra, a.id_profissional AS id_profissional, CAST(a.data_consulta AS TEXT) AS data_consulta,
+        CAST(a.hora_inicial AS TEXT) AS hora_inicial, CAST(a.hora_final AS TEXT) AS hora_final,
+        CAST(b.hora_inicial AS TEXT) AS outra_inicial, CAST(b.hora_final AS TEXT) AS outra_final
+    FROM consultas a
+    JOIN consultas b ON b.id_profissional = a.id_profissional AND b.data_consulta = a.data_consulta AND b.id > a.id
+        AND b.hora_inicial < a.hora_final AND b.hora_final > a.hora_inicial
+    WHERE a.status <> 'cancelada' AND b.status <> 'cancelada'
+    ORDER BY a.data_consulta, a.hora_inicial, a.id, b.id`;
+
+/**
+ * Confere que não há consultas sobrepostas antes de criar a regra, que no Postgres falharia com um erro pouco claro
+ * e no SQLite deixaria as sobreposições existentes no banco.
+ *
+ * @param {import("sequelize").Sequelize} sequelize
+ * @param {import("sequelize").Transaction} transaction
+ * @throws {Error} - Lança um erro com os pares de consultas sobrepostas, se houver algum.
+ */
+async function verificarSobrepostas(sequelize, transaction){
+    const [pares] = await sequelize.query(SOBREPOSTAS_EXISTENTES, { transaction });
+    if(pares.length === 0)
+        return;
+
+    const hora = (texto) => texto.slice(0, 5);
+    const lista = pares.map((par) => `consultas ${par.id} (${hora(par.hora_inicial)}-${hora(par.hora_final)}) e ${par.outra} `
+        + `(${hora(par.outra_inicial)}-${hora(par.outra_final)}) do profissional ${par.id_profissional} em ${par.data_consulta}`);
+
+    throw new Error(`Existem consultas ativas sobrepostas do mesmo profissional, cancele ou remarque uma de cada par `
+        + `e execute a migração novamente: ${lista.join("; ")}`);
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function up({ queryInterface, transaction }){
+    const sequelize = queryInterface.sequelize;
+    await verificarSobrepostas(sequelize, transaction);
+
+    if(sequelize.getDialect() === "postgres"){
+        await sequelize.query("CREATE EXTENSION IF NOT EXISTS btree_gist", { transaction });
+        await sequelize.query(`
+            ALTER TABLE consultas ADD CONSTRAINT ${RESTRICAO} EXCLUDE USING gist (
+                id_profissional WITH =,
+                tsrange(data_consulta + hora_inicial, data_consulta + hora_final) WITH &&
+            ) WHERE (status <> 'cancelada')`, { transaction });
+        return;
+    }
+
+    await sequelize.query(`
+        CREATE TRIGGER ${RESTRICAO}_insert BEFORE INSERT ON consultas
+        WHEN NEW.status <> 'cancelada'
+        BEGIN ${SOBREPOSTA_SQLITE}
+        END`, { transaction });
+
+    await sequelize.query(`
+        CREATE TRIGGER ${RESTRICAO}_update BEFORE UPDATE OF id_profissional, data_consulta, hora_inicial, hora_final, status ON consultas
+        WHEN NEW.status <> 'cancelada'
+        BEGIN ${SOBREPOSTA_SQLITE}
+        END`, { transaction });
+}
+
+/**
+ * @param {{queryInterface: import("sequelize").QueryInterface, transaction: import("sequelize").Transaction}} contexto
+ */
+export async function down({ queryInterface, transaction }){
+    const sequelize = queryInterface.sequelize;
+
+    // A extensão btree_gist é mantida, outras tabelas podem depender dela
+    if(sequelize.getDialect() === "postgres"){
+        await sequelize.query(`ALTER TABLE consultas DROP CONSTRAINT ${RESTRICAO}`, { transaction });
+        return;
+    }
+
+    await sequelize.query(`DROP TRIGGER ${RESTRICAO}_insert`, { transaction });
+    await sequelize.query(`DROP TRIGGER ${RESTRICAO}_update`, { transaction });
+}
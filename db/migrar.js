@@ -0,0 +1,55 @@
+import Database from "./Database.js";
+import Migrador from "./Migrador.js";
+
+/**
+ * Linha de comando das migrações:
+ *   node db/migrar.js up          Aplica as migrações pendentes
+ *   node db/migrar.js down [n]    Reverte as últimas n migrações (padrão 1)
+ *   node db/migrar.js status      Mostra as migrações executadas e pendentes
+ */
+async function migrar(comando = "up", argumento){
+
+    const autenticacao = await Database.autenticacao();
+    if(!autenticacao.sucess){
+        console.error(`Falha ao conectar com o banco de dados (erro ${autenticacao.error})`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        switch (comando) {
+            case "up": {
+                const aplicadas = await Migrador.migrar();
+                console.log(aplicadas.length ? aplicadas.map((nome) => `Aplicada: ${nome}`).join("\n") : "Nenhuma migração pendente.");
+                break;
+            }
+
+            case "down": {
+                const passos = argumento === undefined ? 1 : parseInt(argumento);
+                if(!(passos > 0))
+                    throw new Error("A quantidade de migrações a reverter deve ser um número positivo");
+
+                const revertidas = await Migrador.reverter(passos);
+                console.log(revertidas.length ? revertidas.map((nome) => `Revertida: ${nome}`).join("\n") : "Nenhuma migração para reverter.");
+                break;
+            }
+
+            case "status":
+                for(const migracao of await Migrador.status()){
+                    const situacao = migracao.executada ? `executada em ${migracao.executada_em.toLocaleString()}` : "pendente";
+                    console.log(`${migracao.nome.padEnd(40, ' ')} ${situacao}`);
+                }
+                break;
+
+            default:
+                throw new Error(`Comando desconhecido "${comando}", use up, down ou status`);
+        }
+    } catch (error) {
+        console.error(`Erro: ${error.message}`);
+        process.exitCode = 1;
+    }
+
+    await Database.close();
+}
+
+await migrar(process.argv[2], process.argv[3]);
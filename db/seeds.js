@@ -1,9 +1,16 @@
 import Database from "./Database.js";
+import Migrador from "./Migrador.js";
 import ConsultaController from "../controllers/ConsultaController.js";
 import PacienteController from "../controllers/PacienteController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
 
 await Database.autenticacao();
-await Database.conexao.sync({ force: true });
+await Migrador.migrar();
+
+// Criação dos profissionais
+const { profissional: ana } = await ProfissionalController.addProfissional("Dra. Ana Souza");
+const { profissional: bruno } = await ProfissionalController.addProfissional("Dr. Bruno Lima");
+console.log(await ProfissionalController.addProfissional("Dra. Carla Mendes"));
 
 // Criação dos pacientes
 PacienteController.iniciarNovoPaciente();
@@ -26,6 +33,7 @@ console.log(await PacienteController.addPaciente());
 
 ConsultaController.iniciarNovaConsulta();
 await ConsultaController.setCpf("71089185014");
+await ConsultaController.setProfissional(ana.id);
 ConsultaController.setDataConsulta("06/12/2024")
 ConsultaController.setHoraInicial("0900");
 ConsultaController.setHoraFinal("0930");
@@ -33,6 +41,7 @@ console.log(await ConsultaController.addConsulta());
 
 ConsultaController.iniciarNovaConsulta();
 await ConsultaController.setCpf("57219947038");
+await ConsultaController.setProfissional(ana.id);
 console.log(ConsultaController.setDataConsulta("10/12/2024"))
 console.log(ConsultaController.setHoraInicial("0930"));
 console.log(ConsultaController.setHoraFinal("1045"));
@@ -40,6 +49,7 @@ console.log(await ConsultaController.addConsulta());
 
 ConsultaController.iniciarNovaConsulta();
 await ConsultaController.setCpf("19086839703");
+await ConsultaController.setProfissional(bruno.id);
 console.log(ConsultaController.setDataConsulta("06/12/2024"))
 console.log(ConsultaController.setHoraInicial("1100"));
 console.log(ConsultaController.setHoraFinal("1200"));
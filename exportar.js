@@ -0,0 +1,61 @@
+import { parseArgs } from "util";
+import { writeFile } from "fs/promises";
+import Database from "./db/Database.js";
+import ConsultaController from "./controllers/ConsultaController.js";
+import ProfissionalController from "./controllers/ProfissionalController.js";
+
+/**
+ * Linha de comando da exportação da agenda no formato iCalendar (.ics):
+ *   node exportar.js [--inicio dd/MM/yyyy --fim dd/MM/yyyy] [--profissional id] [--saida arquivo]
+ *
+ * Sem período exporta as consultas futuras, sem `--saida` escreve o calendário na saída padrão.
+ */
+async function exportar(argumentos){
+
+    const autenticacao = await Database.autenticacao();
+    if(!autenticacao.sucess){
+        console.error(`Falha ao conectar com o banco de dados (erro ${autenticacao.error})`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const { values } = parseArgs({
+            args: argumentos,
+            options: {
+                inicio:         { type: "string" },
+                fim:            { type: "string" },
+                profissional:   { type: "string" },
+                saida:          { type: "string" },
+            },
+        });
+
+        const profissional = values.profissional ?? null;
+        if(profissional !== null && !(await ProfissionalController.validaProfissional(profissional)).success)
+            throw new Error(`Profissional "${profissional}" não cadastrado`);
+
+        var conteudo;
+        if(values.inicio === undefined && values.fim === undefined){
+            conteudo = await ConsultaController.exportarConsultas(profissional);
+        } else {
+            if(!ConsultaController.validaData(values.inicio ?? "").success || !ConsultaController.validaData(values.fim ?? "", values.inicio).success)
+                throw new Error("Informe --inicio e --fim no formato dd/MM/yyyy, com o fim depois do início");
+
+            conteudo = await ConsultaController.exportarConsultasPeriodo(values.inicio, values.fim, profissional);
+        }
+
+        if(values.saida){
+            await writeFile(values.saida, conteudo, "utf-8");
+            console.log(`Agenda exportada para ${values.saida}`);
+        } else {
+            process.stdout.write(conteudo);
+        }
+    } catch (error) {
+        console.error(`Erro: ${error.message}`);
+        process.exitCode = 1;
+    }
+
+    await Database.close();
+}
+
+await exportar(process.argv.slice(2));
@@ -0,0 +1,63 @@
+import { CanalArquivo } from "./CanalArquivo.js";
+import { CanalSmtp } from "./CanalSmtp.js";
+import { CanalSms } from "./CanalSms.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+/**
+ * Fábricas dos canais de envio, pelo nome do canal. Cada fábrica recebe as variáveis de ambiente
+ * e retorna o canal, ou nulo se faltar alguma variável obrigatória.
+ *
+ * Um canal é qualquer objeto com os métodos:
+ * - `destinatario(paciente)`: contato do paciente usado pelo canal, ou nulo se o paciente não tiver;
+ * - `enviar({id, destinatario, assunto, mensagem})`: entrega o lembrete, lançando um erro em caso de falha.
+ */
+const Fabricas = {
+    arquivo: (env) => env.LEMBRETE_PASTA ? new CanalArquivo(env.LEMBRETE_PASTA) : null,
+
+    smtp: (env) => (env.SMTP_HOST && env.SMTP_REMETENTE) ? new CanalSmtp({
+        host:       env.SMTP_HOST,
+        porta:      env.SMTP_PORTA ? Number(env.SMTP_PORTA) : undefined,
+        seguro:     env.SMTP_SEGURO === "true",
+        usuario:    env.SMTP_USUARIO || null,
+        senha:      env.SMTP_SENHA || null,
+        remetente:  env.SMTP_REMETENTE,
+    }) : null,
+
+    sms: (env) => env.SMS_URL ? new CanalSms({
+        url:        env.SMS_URL,
+        token:      env.SMS_TOKEN || null,
+        remetente:  env.SMS_REMETENTE || null,
+        campos:     {
+            ...(env.SMS_CAMPO_PARA ? { para: env.SMS_CAMPO_PARA } : {}),
+            ...(env.SMS_CAMPO_MENSAGEM ? { mensagem: env.SMS_CAMPO_MENSAGEM } : {}),
+        },
+    }) : null,
+};
+
+/**
+ * Registra um novo canal de envio, ou substitui um existente.
+ *
+ * @param {string} nome - Nome do canal, usado na opção `--canal` e na variável `LEMBRETE_CANAIS`
+ * @param {function(Object<string, string>): (Object|null)} fabrica - Cria o canal a partir das variáveis de ambiente
+ */
+export function registrarCanal(nome, fabrica){
+    Fabricas[nome] = fabrica;
+}
+
+/**
+ * Cria um canal de envio pelo nome.
+ *
+ * @param {string} nome - Nome do canal
+ * @param {Object<string, string>} [env=process.env] - Variáveis de ambiente com a configuração do canal
+ * @returns {{success: boolean, error?: number, canal?: Object}} - O canal ou o código de erro
+ */
+export function criarCanal(nome, env = process.env){
+    if(!Object.hasOwn(Fabricas, nome))
+        return {success: false, error: ErrorCodes.ERR_CANAL_DESCONHECIDO};
+
+    const canal = Fabricas[nome](env);
+    if(!canal)
+        return {success: false, error: ErrorCodes.ERR_CANAL_NAO_CONFIGURADO};
+
+    return {success: true, canal};
+}
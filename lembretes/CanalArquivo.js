@@ -0,0 +1,44 @@
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { DateTime } from "luxon";
+
+/**
+ * Canal que grava cada lembrete como um arquivo de texto em uma pasta, em vez de entregá-lo ao paciente.
+ * Serve para testar os lembretes e os modelos de mensagem sem servidor de e-mail ou gateway de SMS.
+ */
+export class CanalArquivo {
+    /**
+     * @property {string} pasta - Pasta onde os lembretes são gravados
+     */
+    #pasta;
+
+    /**
+     * @param {string} pasta - Pasta onde os lembretes são gravados, criada se não existir
+     */
+    constructor(pasta){
+        this.#pasta = pasta;
+    }
+
+    /**
+     * Contato usado pelo canal: o e-mail do paciente ou, na falta dele, o telefone.
+     *
+     * @param {Paciente} paciente
+     * @returns {string|null} - Nulo se o paciente não tiver contato
+     */
+    destinatario(paciente){
+        return paciente.email ?? paciente.telefone ?? null;
+    }
+
+    /**
+     * Grava o lembrete em um arquivo com o destinatário, o assunto e a mensagem.
+     *
+     * @async
+     * @param {{id: number, destinatario: string, assunto: string, mensagem: string}} lembrete
+     */
+    async enviar({id, destinatario, assunto, mensagem}){
+        await mkdir(this.#pasta, { recursive: true });
+
+        const nome = `${DateTime.now().toFormat("yyyyMMdd-HHmmss")}-${id}.txt`;
+        await writeFile(join(this.#pasta, nome), `Para: ${destinatario}\nAssunto: ${assunto}\n\n${mensagem}\n`, "utf-8");
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Tempo máximo de espera pela resposta do gateway, em milissegundos
+ */
+const TEMPO_LIMITE = 30000;
+
+/**
+ * Canal que envia os lembretes por SMS através de um gateway HTTP genérico.
+ *
+ * Cada lembrete é um POST com um corpo JSON no formato `{"para": "+5511999990000", "mensagem": "..."}`,
+ * com o token no cabeçalho `Authorization: Bearer <token>` quando configurado. Os nomes dos campos podem
+ * ser trocados para se adequar ao gateway usado. Qualquer resposta fora da faixa 2xx é considerada uma falha.
+ */
+export class CanalSms {
+    /**
+     * @property {string} url - Endereço do gateway
+     */
+    #url;
+
+    /**
+     * @property {string|null} token - Token de acesso ao gateway
+     */
+    #token;
+
+    /**
+     * @property {string|null} remetente - Remetente exibido no SMS, se o gateway permitir
+     */
+    #remetente;
+
+    /**
+     * @property {{para: string, mensagem: string, remetente: string}} campos - Nomes dos campos do corpo da requisição
+     */
+    #campos;
+
+    /**
+     * @param {Object} configuracao
+     * @param {string} configuracao.url - Endereço do gateway
+     * @param {string|null} [configuracao.token=null] - Token de acesso ao gateway
+     * @param {string|null} [configuracao.remetente=null] - Remetente exibido no SMS
+     * @param {{para?: string, mensagem?: string, remetente?: string}} [configuracao.campos={}] - Nomes dos campos do corpo
+     */
+    constructor({url, token = null, remetente = null, campos = {}}){
+        this.#url = url;
+        this.#token = token;
+        this.#remetente = remetente;
+        this.#campos = { para: "para", mensagem: "mensagem", remetente: "remetente", ...campos };
+    }
+
+    /**
+     * Contato usado pelo canal: o telefone do paciente.
+     *
+     * @param {Paciente} paciente
+     * @returns {string|null} - Nulo se o paciente não tiver telefone
+     */
+    destinatario(paciente){
+        return paciente.telefone ?? null;
+    }
+
+    /**
+     * Envia a mensagem ao gateway. O assunto não é usado no SMS.
+     *
+     * @async
+     * @param {{destinatario: string, mensagem: string}} lembrete
+     * @throws {Error} - Lança um erro se o gateway não responder ou recusar a mensagem
+     */
+    async enviar({destinatario, mensagem}){
+        const corpo = { [this.#campos.para]: destinatario, [this.#campos.mensagem]: mensagem };
+        if(this.#remetente)
+            corpo[this.#campos.remetente] = this.#remetente;
+
+        const resposta = await fetch(this.#url, {
+            method:     "POST",
+            headers:    {
+                "Content-Type": "application/json",
+                ...(this.#token ? { Authorization: `Bearer ${this.#token}` } : {}),
+            },
+            body:       JSON.stringify(corpo),
+            signal:     AbortSignal.timeout(TEMPO_LIMITE),
+        });
+
+        if(!resposta.ok)
+            throw new Error(`HTTP ${resposta.status}: ${(await resposta.text()).slice(0, 200)}`);
+    }
+}
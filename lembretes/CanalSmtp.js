@@ -0,0 +1,75 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Tempo máximo sem resposta do servidor, em milissegundos
+ */
+const TEMPO_LIMITE = 30000;
+
+/**
+ * Canal que envia os lembretes por e-mail através de um servidor SMTP, usando o nodemailer.
+ *
+ * Com `seguro` a conexão já começa criptografada (normalmente na porta 465); sem ele a conexão passa a TLS
+ * pelo STARTTLS quando o servidor oferecer. Com usuário configurado o STARTTLS é obrigatório, então a senha
+ * só é enviada por conexões criptografadas.
+ */
+export class CanalSmtp {
+    /**
+     * @property {import("nodemailer").Transporter} transporte - Conexão com o servidor, aberta a cada envio
+     */
+    #transporte;
+
+    /**
+     * @property {string} remetente - E-mail do remetente
+     */
+    #remetente;
+
+    /**
+     * @param {Object} configuracao
+     * @param {string} configuracao.host - Endereço do servidor
+     * @param {number} [configuracao.porta] - Porta do servidor, 465 com `seguro` e 587 sem
+     * @param {boolean} [configuracao.seguro=false] - Se a conexão começa criptografada
+     * @param {string|null} [configuracao.usuario=null] - Usuário para autenticação, nulo para servidores sem autenticação
+     * @param {string|null} [configuracao.senha=null] - Senha do usuário
+     * @param {string} configuracao.remetente - E-mail do remetente
+     */
+    constructor({host, porta, seguro = false, usuario = null, senha = null, remetente}){
+        this.#remetente = remetente;
+        this.#transporte = nodemailer.createTransport({
+            host,
+            port:               porta ?? (seguro ? 465 : 587),
+            secure:             seguro,
+            requireTLS:         !seguro && usuario !== null,
+            auth:               usuario ? { user: usuario, pass: senha ?? "" } : undefined,
+            connectionTimeout:  TEMPO_LIMITE,
+            greetingTimeout:    TEMPO_LIMITE,
+            socketTimeout:      TEMPO_LIMITE,
+        });
+    }
+
+    /**
+     * Contato usado pelo canal: o e-mail do paciente.
+     *
+     * @param {Paciente} paciente
+     * @returns {string|null} - Nulo se o paciente não tiver e-mail
+     */
+    destinatario(paciente){
+        return paciente.email ?? null;
+    }
+
+    /**
+     * Envia o lembrete por e-mail, com o corpo em base64.
+     *
+     * @async
+     * @param {{destinatario: string, assunto: string, mensagem: string}} lembrete
+     * @throws {Error} - Lança um erro se a conexão falhar ou o servidor recusar algum comando
+     */
+    async enviar({destinatario, assunto, mensagem}){
+        await this.#transporte.sendMail({
+            from:           this.#remetente,
+            to:             destinatario,
+            subject:        assunto,
+            text:           mensagem,
+            textEncoding:   "base64",
+        });
+    }
+}
@@ -1,25 +1,47 @@
 import { Menu } from './views/Menu.js';
 import { CadastroPacientes } from './views/CadastroPacientes.js';
 import { Agendamento } from './views/Agendamento.js';
+import { CadastroProfissionais } from './views/CadastroProfissionais.js';
+import { Auditoria } from './views/Auditoria.js';
+import { Login } from './views/Login.js';
+import { Operadores } from './views/Operadores.js';
+import { ListaEspera } from './views/ListaEspera.js';
+import { Prontuario } from './views/Prontuario.js';
+import { Financeiro } from './views/Financeiro.js';
 
 import Database from './db/Database.js';
+import Migrador from './db/Migrador.js';
+import { executarCli } from './cli/Cli.js';
 
 async function main(){
 
+    // Com argumentos executa um comando da linha de comando, sem abrir o menu
+    if(process.argv.length > 2){
+        process.exitCode = await executarCli(process.argv.slice(2));
+        return;
+    }
     
     const Telas = { 
-        "Menu":               new Menu(),
-        "CadastroPacientes":  new CadastroPacientes(),
-        "Agendamento":        new Agendamento(),
-        "Fim":                false
+        "Login":                  new Login(),
+        "Menu":                   new Menu(),
+        "CadastroPacientes":      new CadastroPacientes(),
+        "Agendamento":            new Agendamento(),
+        "CadastroProfissionais":  new CadastroProfissionais(),
+        "Auditoria":              new Auditoria(),
+        "Operadores":             new Operadores(),
+        "ListaEspera":            new ListaEspera(),
+        "Prontuario":             new Prontuario(),
+        "Financeiro":             new Financeiro(),
+        "Fim":                    false
     };
     
     if(!(await Telas.Menu.autenticar()))
         return;
 
-    await Database.conexao.sync({ force: false });
+    // Aplica as migrações pendentes antes de abrir o sistema
+    await Migrador.migrar();
 
-    var tela_atual = Telas.Menu;
+    var tela_atual = Telas.Login;
 
     while(tela_atual){
         let proxima_tela= await tela_atual.main()
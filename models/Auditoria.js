@@ -0,0 +1,90 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Ações registradas na auditoria
+ */
+export const AcaoAuditoria = Object.freeze({
+    PACIENTE_CADASTRADO:    "paciente_cadastrado",
+    PACIENTE_ALTERADO:      "paciente_alterado",
+    PACIENTE_REMOVIDO:      "paciente_removido",
+    CONSULTA_AGENDADA:      "consulta_agendada",
+    CONSULTA_REMARCADA:     "consulta_remarcada",
+    CONSULTA_CANCELADA:     "consulta_cancelada",
+    CONSULTA_SITUACAO:      "consulta_situacao",
+    ATENDIMENTO_REGISTRADO: "atendimento_registrado",
+    ODONTOGRAMA_ALTERADO:   "odontograma_alterado",
+    COBRANCA_LANCADA:       "cobranca_lancada",
+    COBRANCA_REMOVIDA:      "cobranca_removida",
+    PAGAMENTO_REGISTRADO:   "pagamento_registrado",
+});
+
+/**
+ * Classe que representa um registro da auditoria: quem fez qual alteração, quando e os valores antes e depois dela.
+ */
+export class Auditoria extends Model{
+    /**
+     * @property {DateTime} data_hora - Momento da alteração.
+     * @property {string} operador - Operador que fez a alteração.
+     * @property {string} acao - Ação realizada, um dos valores de `AcaoAuditoria`.
+     * @property {string} cpf_paciente - CPF do paciente afetado, mantido mesmo depois que o paciente é removido.
+     * @property {Object|null} antes - Valores antes da alteração, nulo em cadastros e agendamentos.
+     * @property {Object|null} depois - Valores depois da alteração, nulo em remoções.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            data_hora: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_hora");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+            operador: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            acao: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [Object.values(AcaoAuditoria)],
+                },
+            },
+
+            cpf_paciente: {
+                type: DataTypes.STRING(11),
+                allowNull: false,
+            },
+
+            antes: {
+                type: DataTypes.JSON,
+            },
+
+            depois: {
+                type: DataTypes.JSON,
+            },
+
+        }, {sequelize, modelName: "auditoria", tableName: "auditoria", timestamps: false,})
+    }
+
+    /**
+    * Representação do registro usada nas respostas JSON, com a data e hora no formato ISO.
+    * @returns {{data_hora: string, operador: string, acao: string, cpf_paciente: string, antes: Object|null, depois: Object|null}}
+    */
+    toJSON(){
+        return {
+            data_hora:      this.data_hora ? this.data_hora.toISO() : null,
+            operador:       this.operador,
+            acao:           this.acao,
+            cpf_paciente:   this.cpf_paciente,
+            antes:          this.antes ?? null,
+            depois:         this.depois ?? null,
+        };
+    }
+};
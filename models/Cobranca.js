@@ -0,0 +1,76 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa a cobrança de um procedimento realizado em uma consulta.
+ * O nome e o valor são copiados da tabela de preços no lançamento, para que mudanças de preço não alterem cobranças anteriores.
+ */
+export class Cobranca extends Model{
+    /**
+     * @property {number} id_consulta - Consulta em que o procedimento foi realizado.
+     * @property {number|null} id_procedimento - Procedimento da tabela de preços.
+     * @property {string} descricao - Nome do procedimento no lançamento.
+     * @property {number} valor - Valor cobrado em centavos.
+     * @property {string} operador - Operador que lançou a cobrança.
+     * @property {DateTime} data_hora - Momento do lançamento.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_consulta: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            id_procedimento: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+            },
+
+            descricao: {
+                type: DataTypes.STRING(100),
+                allowNull: false,
+            },
+
+            valor: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                validate: {
+                    min: 1,
+                },
+            },
+
+            operador: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            data_hora: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_hora");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "cobranca", tableName: "cobrancas", timestamps: false,})
+    }
+
+    /**
+    * Representação da cobrança usada nas respostas JSON e na auditoria.
+    * @returns {{id: number, id_consulta: number, id_procedimento: number|null, descricao: string, valor: number, operador: string, data_hora: string}}
+    */
+    toJSON(){
+        return {
+            id:                 this.id,
+            id_consulta:        this.id_consulta,
+            id_procedimento:    this.id_procedimento,
+            descricao:          this.descricao,
+            valor:              this.valor,
+            operador:           this.operador,
+            data_hora:          this.data_hora ? this.data_hora.toISO() : null,
+        };
+    }
+}
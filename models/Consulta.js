@@ -1,15 +1,45 @@
 import { DateTime } from "luxon";
 import { Model, DataTypes } from "sequelize";
 
+/**
+ * Situações possíveis de uma consulta
+ */
+export const StatusConsulta = Object.freeze({
+    AGENDADA:   "agendada",
+    CONFIRMADA: "confirmada",
+    REALIZADA:  "realizada",
+    FALTOU:     "faltou",
+    CANCELADA:  "cancelada",
+});
+
+/**
+ * Situações de consultas que ainda ocupam a agenda do paciente
+ */
+export const STATUS_ATIVOS = [StatusConsulta.AGENDADA, StatusConsulta.CONFIRMADA];
+
+/**
+ * Transições permitidas a partir de cada situação, realizada, faltou e cancelada são finais
+ */
+const Transicoes = {
+    [StatusConsulta.AGENDADA]:   [StatusConsulta.CONFIRMADA, StatusConsulta.REALIZADA, StatusConsulta.FALTOU, StatusConsulta.CANCELADA],
+    [StatusConsulta.CONFIRMADA]: [StatusConsulta.REALIZADA, StatusConsulta.FALTOU, StatusConsulta.CANCELADA],
+    [StatusConsulta.REALIZADA]:  [],
+    [StatusConsulta.FALTOU]:     [],
+    [StatusConsulta.CANCELADA]:  [],
+};
+
 /**
  * Classe que representa uma Consulta no banco de dados
  */
 export class Consulta extends Model{
     /**
      * @property {string} cpf_paciente - CPF do paciente associado à consulta.
+     * @property {number} id_profissional - Identificador do profissional que realiza a consulta.
      * @property {DateTime} data_consulta - Data da consulta no formato YYYY-MM-DD.
      * @property {DateTime} hora_inicial - Hora de início da consulta no formato HH:mm:ss.
      * @property {DateTime} hora_final - Hora de término da consulta no formato HH:mm:ss.
+     * @property {string} status - Situação da consulta, um dos valores de `StatusConsulta`.
+     * @property {number|null} id_serie - Série recorrente a que a consulta pertence, ou nulo para consultas avulsas.
      */
 
     static init(sequelize){
@@ -20,6 +50,11 @@ export class Consulta extends Model{
                 allowNull: false,
             },
 
+            id_profissional:{
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
             data_consulta: {
                 type: DataTypes.DATEONLY,
                 /*Esse getter é utilizado para ser compativel com as outras partes do código que utilizam o luxon, 
@@ -46,6 +81,20 @@ export class Consulta extends Model{
                 }
             },
 
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: StatusConsulta.AGENDADA,
+                validate: {
+                    isIn: [Object.values(StatusConsulta)],
+                },
+            },
+
+            id_serie: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+            },
+
         }, {sequelize, modelName: "consulta", tableName: "consultas", timestamps: false,})
     }
 
@@ -67,6 +116,43 @@ export class Consulta extends Model{
         return true
     }
 
+    /**
+    * Representação da consulta usada nas respostas JSON, com a data no formato ISO (yyyy-MM-dd) e as horas em HH:mm.
+    * @returns {{cpf_paciente: string, id_profissional: number, data_consulta: string, hora_inicial: string, hora_final: string, status: string,
+    * id_serie?: number}}
+    */
+    toJSON(){
+        return {
+            cpf_paciente:   this.cpf_paciente,
+            id_profissional: this.id_profissional,
+            data_consulta:  this.data_consulta ? this.data_consulta.toISODate() : null,
+            hora_inicial:   this.hora_inicial ? this.hora_inicial.toFormat("HH:mm") : null,
+            hora_final:     this.hora_final ? this.hora_final.toFormat("HH:mm") : null,
+            status:         this.status,
+            // Só as ocorrências de séries recorrentes informam a série
+            ...(this.id_serie ? { id_serie: this.id_serie } : {}),
+        };
+    }
+
+    /**
+    * Verifica se a consulta ainda ocupa a agenda, ou seja, está agendada ou confirmada.
+    *
+    * @returns {boolean} Retorna `true` se a consulta estiver ativa, caso contrário, `false`.
+    */
+    isAtiva(){
+        return STATUS_ATIVOS.includes(this.status);
+    }
+
+    /**
+    * Verifica se a consulta pode passar da situação atual para outra.
+    *
+    * @param {string} status - Nova situação, um dos valores de `StatusConsulta`.
+    * @returns {boolean} Retorna `true` se a transição for permitida, caso contrário, `false`.
+    */
+    podeMudarPara(status){
+        return (Transicoes[this.status] ?? []).includes(status);
+    }
+
     /**
     * Verifica se a consulta já passou.
     *
@@ -1,6 +1,7 @@
 import { DateTime } from 'luxon';
 import { Consulta } from './Consulta.js';
 import { ErrorCodes } from "../utils/Error.js";
+import Expediente from "../utils/Expediente.js";
 
 /*
  * Classe responsável por construir objetos do tipo Consulta de forma controlada.
@@ -12,6 +13,11 @@ export class ConsultaBuilder {
      */
     #cpf_paciente;
 
+    /**
+     * @property {number} id_profissional
+     */
+    #id_profissional;
+
     /**
      * @property {DateTime} data_consulta
      */
@@ -37,6 +43,16 @@ export class ConsultaBuilder {
         return {success: true}
     }
 
+    /**
+    * Define o profissional que realizará a consulta.
+    * @param {number|string} id - O identificador do profissional.
+    * @returns {{success: boolean}} Um objeto indicando sucesso ou erro.
+    */
+    setProfissional(id){
+        this.#id_profissional = Number(id);
+        return {success: true}
+    }
+
     /**
     * Define a data da consulta.
     * @param {string} data - A data da consulta no formato "dd/MM/yyyy".
@@ -54,10 +70,14 @@ export class ConsultaBuilder {
             return { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR };
         }
 
-        if (novaData.diff(hoje.startOf('day'), 'days').days === 0 && !this.#isAberto(hoje)) {
+        if (novaData.diff(hoje.startOf('day'), 'days').days === 0 && Expediente.isEncerrado(hoje)) {
             return { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_HOJE_FECHADO };
         }
 
+        if (!Expediente.isDiaAberto(novaData)) {
+            return { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_FECHADA };
+        }
+
         this.#data_consulta = novaData;
         return { success: true };
     }
@@ -82,7 +102,7 @@ export class ConsultaBuilder {
             return { success: false, error: ErrorCodes.ERR_HORA_HORARIO_INVALIDO };
         }
 
-        if (!this.#isAberto(novaHoraInicial) || novaHoraInicial.hour >= 19) {
+        if (!Expediente.isHoraInicialAberta(this.#data_consulta, novaHoraInicial)) {
             return { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO };
         }
 
@@ -118,7 +138,7 @@ export class ConsultaBuilder {
             return { success: false, error: ErrorCodes.ERR_HORA_HORARIO_INVALIDO };
         }
 
-        if (!this.#isAberto(novaHoraFinal)) {
+        if (!Expediente.isHoraFinalAberta(this.#data_consulta, novaHoraFinal)) {
             return { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO };
         }
 
@@ -126,6 +146,11 @@ export class ConsultaBuilder {
             return { success: false, error: ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL};
         }
 
+        // A consulta não pode atravessar uma pausa do expediente, como o horário de almoço
+        if (!Expediente.contem(this.#data_consulta, this.#hora_inicial, novaHoraFinal)) {
+            return { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO };
+        }
+
         this.#hora_final = novaHoraFinal;
         return { success: true };
     }
@@ -134,6 +159,7 @@ export class ConsultaBuilder {
     * Limpa todos os dados da consulta.
     */
     clear(){
+        this.#id_profissional = null;
         this.#data_consulta = null;
         this.#hora_inicial = null;
         this.#hora_final = null;
@@ -145,12 +171,13 @@ export class ConsultaBuilder {
     * @returns {{success: boolean, error?: Number , consulta?: Consulta}} Um objeto contendo a consulta criada ou um erro, caso os dados estejam incompletos.
     */
     async build() {
-        if (!this.#cpf_paciente || !this.#data_consulta || !this.#hora_inicial || !this.#hora_final) {
+        if (!this.#cpf_paciente || !this.#id_profissional || !this.#data_consulta || !this.#hora_inicial || !this.#hora_final) {
             return { success: false, error: ErrorCodes.ERR_CONSULTA_INCOMPLETA };
         }
 
         const consulta = new Consulta({
             cpf_paciente:   this.#cpf_paciente,
+            id_profissional: this.#id_profissional,
             data_consulta:  this.#data_consulta.toFormat("yyyy-MM-dd"),
             hora_inicial:   this.#hora_inicial.toFormat("HH:mm:00"),
             hora_final:     this.#hora_final.toFormat("HH:mm:00"),
@@ -159,15 +186,4 @@ export class ConsultaBuilder {
         this.clear();
         return { success: true, consulta };
     }
-
-    /**
-    * Verifica se o horário fornecido está dentro do período de funcionamento.
-    * @param {DateTime} data - O horário a ser verificado.
-    * @returns {boolean} Retorna `true` se o horário está dentro do expediente, `false` caso contrário.
-    * @private
-    */
-    #isAberto(data) {
-        const [hora_aberto, hora_fechado] = [8, 19];
-        return data.hour >= hora_aberto && data.hour <= hora_fechado;
-    }
 }
@@ -0,0 +1,122 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa um pedido da lista de espera: o paciente aceita qualquer horário livre dentro do período
+ * e da faixa de horário informados, com o profissional escolhido ou com qualquer um.
+ */
+export class Espera extends Model{
+    /**
+     * @property {string} cpf_paciente - CPF do paciente.
+     * @property {number|null} id_profissional - Profissional desejado, nulo para qualquer profissional.
+     * @property {DateTime} data_inicial - Primeiro dia aceito.
+     * @property {DateTime} data_final - Último dia aceito.
+     * @property {DateTime} hora_inicial - Início da faixa de horário aceita.
+     * @property {DateTime} hora_final - Fim da faixa de horário aceita.
+     * @property {number} duracao - Duração da consulta em minutos.
+     * @property {DateTime} data_cadastro - Momento do pedido, que define a prioridade na lista.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            cpf_paciente: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            id_profissional: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+            },
+
+            data_inicial: {
+                type: DataTypes.DATEONLY,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_inicial");
+                    return rawValue ? DateTime.fromFormat(rawValue, "yyyy-MM-dd") : null;
+                }
+            },
+
+            data_final: {
+                type: DataTypes.DATEONLY,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_final");
+                    return rawValue ? DateTime.fromFormat(rawValue, "yyyy-MM-dd") : null;
+                }
+            },
+
+            hora_inicial: {
+                type: DataTypes.TIME,
+                allowNull: false,
+                get(){
+                    const rawValue = this.getDataValue("hora_inicial");
+                    return rawValue ? DateTime.fromFormat(rawValue, "HH:mm:ss", { zone: "local" }) : null;
+                }
+            },
+
+            hora_final: {
+                type: DataTypes.TIME,
+                allowNull: false,
+                get(){
+                    const rawValue = this.getDataValue("hora_final");
+                    return rawValue ? DateTime.fromFormat(rawValue, "HH:mm:ss", { zone: "local" }) : null;
+                }
+            },
+
+            duracao: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            data_cadastro: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_cadastro");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "espera", tableName: "lista_espera", timestamps: false,})
+    }
+
+    /**
+    * Calcula o horário que pode ser oferecido ao paciente dentro de um horário liberado na agenda.
+    * O horário começa o mais cedo possível, respeitando a faixa pedida e a duração da consulta.
+    *
+    * @param {DateTime} hora_inicial - Início do horário liberado.
+    * @param {DateTime} hora_final - Fim do horário liberado.
+    * @returns {{hora_inicial: DateTime, hora_final: DateTime}|null} Horário oferecido, ou nulo se a consulta não couber.
+    */
+    encaixar(hora_inicial, hora_final){
+        const inicio = DateTime.max(hora_inicial, this.hora_inicial);
+        const fim = inicio.plus({minutes: this.duracao});
+
+        if(fim > hora_final || fim > this.hora_final)
+            return null;
+
+        return {hora_inicial: inicio, hora_final: fim};
+    }
+
+    /**
+    * Representação do pedido usada nas respostas JSON, com as datas no formato ISO (yyyy-MM-dd) e as horas em HH:mm.
+    * @returns {{id: number, cpf_paciente: string, id_profissional: number|null, data_inicial: string, data_final: string,
+    * hora_inicial: string, hora_final: string, duracao: number, data_cadastro: string}}
+    */
+    toJSON(){
+        return {
+            id:                 this.id,
+            cpf_paciente:       this.cpf_paciente,
+            id_profissional:    this.id_profissional,
+            data_inicial:       this.data_inicial ? this.data_inicial.toISODate() : null,
+            data_final:         this.data_final ? this.data_final.toISODate() : null,
+            hora_inicial:       this.hora_inicial ? this.hora_inicial.toFormat("HH:mm") : null,
+            hora_final:         this.hora_final ? this.hora_final.toFormat("HH:mm") : null,
+            duracao:            this.duracao,
+            data_cadastro:      this.data_cadastro ? this.data_cadastro.toISO() : null,
+        };
+    }
+}
@@ -0,0 +1,85 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Situações possíveis de um lembrete
+ */
+export const StatusLembrete = Object.freeze({
+    PENDENTE:   "pendente", // Reservado para envio, ainda sem resposta do canal
+    ENVIADO:    "enviado",
+    FALHOU:     "falhou",   // Será tentado novamente no próximo envio
+});
+
+/**
+ * Classe que representa o lembrete de uma consulta enviado por um canal (e-mail, SMS, arquivo).
+ * Cada consulta tem no máximo um lembrete por canal.
+ */
+export class Lembrete extends Model{
+    /**
+     * @property {number} id_consulta - Identificador da consulta lembrada.
+     * @property {string} canal - Nome do canal de envio.
+     * @property {string} destinatario - E-mail ou telefone para o qual o lembrete foi enviado.
+     * @property {string} status - Situação do lembrete, um dos valores de `StatusLembrete`.
+     * @property {DateTime} data_hora - Momento da última tentativa de envio.
+     * @property {string|null} erro - Motivo da última falha de envio.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_consulta: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            canal: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            destinatario: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: StatusLembrete.PENDENTE,
+                validate: {
+                    isIn: [Object.values(StatusLembrete)],
+                },
+            },
+
+            data_hora: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_hora");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+            erro: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+
+        }, {sequelize, modelName: "lembrete", tableName: "lembretes", timestamps: false,})
+    }
+
+    /**
+    * Representação do lembrete usada nas respostas JSON, com a data e hora no formato ISO.
+    * @returns {{id_consulta: number, canal: string, destinatario: string, status: string, data_hora: string, erro?: string}}
+    */
+    toJSON(){
+        return {
+            id_consulta:    this.id_consulta,
+            canal:          this.canal,
+            destinatario:   this.destinatario,
+            status:         this.status,
+            data_hora:      this.data_hora ? this.data_hora.toISO() : null,
+            ...(this.erro ? { erro: this.erro } : {}),
+        };
+    }
+}
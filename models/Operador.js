@@ -0,0 +1,107 @@
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Papéis dos operadores do sistema
+ */
+export const PapelOperador = Object.freeze({
+    RECEPCAO:   "recepcao",
+    DENTISTA:   "dentista",
+    ADMIN:      "admin",
+});
+
+/**
+ * Opções da interface de terminal que dependem do papel do operador.
+ * As opções sem permissão associada ficam disponíveis para todos os operadores.
+ */
+export const Permissao = Object.freeze({
+    CADASTRAR_PACIENTE:         "cadastrar_paciente",
+    EXCLUIR_PACIENTE:           "excluir_paciente",
+    IMPORTAR_PACIENTES:         "importar_pacientes",
+    EXPORTAR_PACIENTES:         "exportar_pacientes",
+    AGENDAR_CONSULTA:           "agendar_consulta",
+    REGISTRAR_COMPARECIMENTO:   "registrar_comparecimento",
+    CONSULTAR_PRONTUARIO:       "consultar_prontuario",
+    REGISTRAR_ATENDIMENTO:      "registrar_atendimento",
+    LANCAR_COBRANCA:            "lancar_cobranca",
+    REGISTRAR_PAGAMENTO:        "registrar_pagamento",
+    CADASTRAR_PROCEDIMENTO:     "cadastrar_procedimento",
+    CADASTRAR_PROFISSIONAL:     "cadastrar_profissional",
+    CONSULTAR_AUDITORIA:        "consultar_auditoria",
+    CONSULTAR_RELATORIOS:       "consultar_relatorios",
+    GERENCIAR_OPERADORES:       "gerenciar_operadores",
+});
+
+/**
+ * Permissões de cada papel
+ */
+export const PermissoesPapel = Object.freeze({
+    [PapelOperador.RECEPCAO]: [
+        Permissao.CADASTRAR_PACIENTE,
+        Permissao.EXPORTAR_PACIENTES,
+        Permissao.AGENDAR_CONSULTA,
+        Permissao.REGISTRAR_COMPARECIMENTO,
+        Permissao.LANCAR_COBRANCA,
+        Permissao.REGISTRAR_PAGAMENTO,
+    ],
+    [PapelOperador.DENTISTA]: [
+        Permissao.REGISTRAR_COMPARECIMENTO,
+        Permissao.CONSULTAR_PRONTUARIO,
+        Permissao.REGISTRAR_ATENDIMENTO,
+        Permissao.LANCAR_COBRANCA,
+    ],
+    [PapelOperador.ADMIN]: Object.values(Permissao),
+});
+
+/**
+* Classe que representa um operador do sistema, identificado pelo login usado na auditoria.
+* @property {number} id - Identificador do operador.
+* @property {string} login - Login do operador.
+* @property {string} senha_hash - Hash da senha, gerado por `utils/Senha.js`.
+* @property {string} papel - Papel do operador, um dos valores de `PapelOperador`.
+* @property {boolean} ativo - Operadores desativados não conseguem entrar, mas continuam no histórico.
+*/
+export class Operador extends Model{
+
+    static init(sequelize){
+        super.init({
+            login: {
+                type: DataTypes.STRING(30),
+                allowNull: false,
+                unique: true,
+            },
+
+            senha_hash: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            papel: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [Object.values(PapelOperador)],
+                },
+            },
+
+            ativo: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: true,
+            },
+
+        }, {sequelize, modelName: "operador", tableName: "operadores", timestamps: false,})
+    }
+
+    /**
+    * Representação do operador usada nas respostas JSON, sem o hash da senha.
+    * @returns {{id: number, login: string, papel: string, ativo: boolean}}
+    */
+    toJSON(){
+        return {
+            id:     this.id,
+            login:  this.login,
+            papel:  this.papel,
+            ativo:  this.ativo,
+        };
+    }
+};
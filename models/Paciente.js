@@ -6,6 +6,10 @@ import { DateTime } from "luxon";
 * @property {string} cpf - CPF do paciente.
 * @property {string} nome - Nome do paciente.
 * @property {DateTime} data_nasc - Data de nascimento do paciente no formato ISO (yyyy-MM-dd).
+* @property {string} nome_busca - Nome sem acentos e em minúsculas, usado na busca.
+* @property {string|null} email - E-mail do paciente, usado nos lembretes de consulta.
+* @property {string|null} telefone - Telefone celular do paciente, apenas dígitos com DDD, usado nos lembretes por SMS.
+* @property {DateTime|null} data_cadastro - Momento do cadastro, nulo para pacientes cadastrados antes desse campo existir.
 */
 export class Paciente extends Model{
   
@@ -21,6 +25,15 @@ export class Paciente extends Model{
                 type: DataTypes.STRING,
                 allowNull: false,
                 unique: true,
+                // Mantém a versão usada na busca sempre igual ao nome
+                set(valor) {
+                    this.setDataValue("nome", valor);
+                    this.setDataValue("nome_busca", Paciente.normalizarNome(valor));
+                },
+            },
+
+            nome_busca: {
+                type: DataTypes.STRING,
             },
 
             data_nasc: {
@@ -33,6 +46,50 @@ export class Paciente extends Model{
                 },
             },
 
+            email: {
+                type: DataTypes.STRING,
+                allowNull: true,
+            },
+
+            telefone: {
+                type: DataTypes.STRING(14),
+                allowNull: true,
+            },
+
+            data_cadastro: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                get() {
+                    const rawValue = this.getDataValue("data_cadastro");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                },
+            },
+
         }, {sequelize, modelName: "paciente", tableName: "pacientes", timestamps: false,})
     }
+
+    /**
+    * Normaliza um nome para a busca, removendo acentos e diferenças entre maiúsculas e minúsculas.
+    * 
+    * @param {string} nome - Nome a ser normalizado.
+    * @returns {string} - Ex.: "João Conceição" => "joao conceicao"
+    */
+    static normalizarNome(nome){
+        return String(nome ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    }
+
+    /**
+    * Representação do paciente usada nas respostas JSON, com a data de nascimento no formato ISO (yyyy-MM-dd).
+    * @returns {{cpf: string, nome: string, data_nasc: string|null, email?: string, telefone?: string}}
+    */
+    toJSON(){
+        return {
+            cpf:        this.cpf,
+            nome:       this.nome,
+            data_nasc:  this.data_nasc ? this.data_nasc.toISODate() : null,
+            // Os contatos são opcionais e só aparecem quando informados
+            ...(this.email ? { email: this.email } : {}),
+            ...(this.telefone ? { telefone: this.telefone } : {}),
+        };
+    }
 };
\ No newline at end of file
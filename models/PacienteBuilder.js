@@ -7,11 +7,15 @@ import { ErrorCodes } from '../utils/Error.js';
  * @property {string} cpf
  * @property {string} nome
  * @property {DateTime} data_nasc
+ * @property {string|null} email
+ * @property {string|null} telefone
  */
 export class PacienteBuilder {
     #cpf;
     #nome;
     #data_nasc;
+    #email = null;
+    #telefone = null;
 
     /**
     * Valida se o CPF fornecido é válido.
@@ -92,6 +96,38 @@ export class PacienteBuilder {
         return { success: true };
     }
 
+    /**
+    * Define o e-mail do paciente, que é opcional.
+    * 
+    * @param {string} novoEmail - E-mail do paciente, ou vazio para não informar.
+    * @returns {{sucess: boolean, error?: number}} Objeto com a propriedade `success` indicando sucesso ou falha.
+    */
+    setEmail(novoEmail){
+        novoEmail = novoEmail.trim();
+
+        if (novoEmail !== "" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(novoEmail))
+            return { success: false, error: ErrorCodes.ERR_EMAIL_INVALIDO };
+
+        this.#email = novoEmail || null;
+        return { success: true };
+    }
+
+    /**
+    * Define o telefone do paciente, que é opcional. Espaços, parênteses, pontos e hífens são descartados.
+    * 
+    * @param {string} novoTelefone - Telefone com DDD, opcionalmente com o código do país (+55), ou vazio para não informar.
+    * @returns {{sucess: boolean, error?: number}} Objeto com a propriedade `success` indicando sucesso ou falha.
+    */
+    setTelefone(novoTelefone){
+        novoTelefone = novoTelefone.replace(/[\s().\-]/g, "");
+
+        if (novoTelefone !== "" && !/^\+?\d{10,13}$/.test(novoTelefone))
+            return { success: false, error: ErrorCodes.ERR_TELEFONE_INVALIDO };
+
+        this.#telefone = novoTelefone || null;
+        return { success: true };
+    }
+
     /**
     * Limpa os dados armazenados no builder.
     */
@@ -99,6 +135,8 @@ export class PacienteBuilder {
         this.#cpf = null;
         this.#nome = null;
         this.#data_nasc = null;
+        this.#email = null;
+        this.#telefone = null;
     }
 
     /**
@@ -119,6 +157,8 @@ export class PacienteBuilder {
             cpf:        this.#cpf,
             nome:       this.#nome,
             data_nasc:  this.#data_nasc.toFormat("yyyy-MM-dd"),
+            email:      this.#email,
+            telefone:   this.#telefone,
         });
 
         this.clear();
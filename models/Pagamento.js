@@ -0,0 +1,99 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Formas de pagamento aceitas
+ */
+export const FormaPagamento = Object.freeze({
+    DINHEIRO:       "dinheiro",
+    CARTAO_DEBITO:  "cartao_debito",
+    CARTAO_CREDITO: "cartao_credito", // Único que aceita parcelamento
+    PIX:            "pix",
+});
+
+/**
+ * Situação do pagamento de uma consulta, conforme o total cobrado e o total pago
+ */
+export const SituacaoPagamento = Object.freeze({
+    SEM_COBRANCA:   "sem_cobranca",
+    PENDENTE:       "pendente",
+    PARCIAL:        "parcial",
+    PAGO:           "pago",
+});
+
+/**
+ * Classe que representa um pagamento recebido por uma consulta. Um saldo pode ser quitado em vários pagamentos.
+ */
+export class Pagamento extends Model{
+    /**
+     * @property {number} id_consulta - Consulta paga.
+     * @property {number} valor - Valor recebido em centavos.
+     * @property {string} forma - Forma de pagamento, um dos valores de `FormaPagamento`.
+     * @property {number} parcelas - Número de parcelas no cartão de crédito, 1 nas demais formas.
+     * @property {string} operador - Operador que registrou o pagamento.
+     * @property {DateTime} data_hora - Momento do pagamento.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_consulta: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            valor: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                validate: {
+                    min: 1,
+                },
+            },
+
+            forma: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [Object.values(FormaPagamento)],
+                },
+            },
+
+            parcelas: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1,
+            },
+
+            operador: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            data_hora: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_hora");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "pagamento", tableName: "pagamentos", timestamps: false,})
+    }
+
+    /**
+    * Representação do pagamento usada nas respostas JSON e na auditoria.
+    * @returns {{id: number, id_consulta: number, valor: number, forma: string, parcelas: number, operador: string, data_hora: string}}
+    */
+    toJSON(){
+        return {
+            id:             this.id,
+            id_consulta:    this.id_consulta,
+            valor:          this.valor,
+            forma:          this.forma,
+            parcelas:       this.parcelas,
+            operador:       this.operador,
+            data_hora:      this.data_hora ? this.data_hora.toISO() : null,
+        };
+    }
+}
@@ -0,0 +1,45 @@
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa uma prescrição feita em um atendimento, registrada no prontuário.
+ */
+export class Prescricao extends Model{
+    /**
+     * @property {number} id_registro - Identificador do registro clínico do atendimento.
+     * @property {string} medicamento - Medicamento e concentração, ex.: "Amoxicilina 500 mg".
+     * @property {string} posologia - Modo de usar, ex.: "1 cápsula a cada 8 horas por 7 dias".
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_registro: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            medicamento: {
+                type: DataTypes.STRING(200),
+                allowNull: false,
+            },
+
+            posologia: {
+                type: DataTypes.STRING(500),
+                allowNull: false,
+            },
+
+        }, {sequelize, modelName: "prescricao", tableName: "prescricoes", timestamps: false,})
+    }
+
+    /**
+    * Representação da prescrição usada nas respostas JSON.
+    * @returns {{id: number, medicamento: string, posologia: string}}
+    */
+    toJSON(){
+        return {
+            id:             this.id,
+            medicamento:    this.medicamento,
+            posologia:      this.posologia,
+        };
+    }
+}
@@ -0,0 +1,50 @@
+import { Model, DataTypes } from "sequelize";
+
+/**
+* Classe que representa um procedimento da tabela de preços da clínica.
+* Procedimentos desativados continuam nas cobranças já lançadas, mas não podem mais ser cobrados.
+* @property {number} id - Identificador do procedimento.
+* @property {string} nome - Nome do procedimento, ex.: "Restauração em resina".
+* @property {number} preco - Preço atual em centavos.
+* @property {boolean} ativo - Se o procedimento ainda pode ser cobrado.
+*/
+export class Procedimento extends Model{
+
+    static init(sequelize){
+        super.init({
+            nome: {
+                type: DataTypes.STRING(100),
+                allowNull: false,
+                unique: true,
+            },
+
+            preco: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                validate: {
+                    min: 1,
+                },
+            },
+
+            ativo: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: true,
+            },
+
+        }, {sequelize, modelName: "procedimento", tableName: "procedimentos", timestamps: false,})
+    }
+
+    /**
+    * Representação do procedimento usada nas respostas JSON.
+    * @returns {{id: number, nome: string, preco: number, ativo: boolean}}
+    */
+    toJSON(){
+        return {
+            id:     this.id,
+            nome:   this.nome,
+            preco:  this.preco,
+            ativo:  this.ativo,
+        };
+    }
+};
@@ -0,0 +1,38 @@
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa um procedimento realizado em um atendimento, registrado no prontuário.
+ */
+export class ProcedimentoRealizado extends Model{
+    /**
+     * @property {number} id_registro - Identificador do registro clínico do atendimento.
+     * @property {string} descricao - Descrição do procedimento, ex.: "Restauração em resina no dente 36".
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_registro: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            descricao: {
+                type: DataTypes.STRING(200),
+                allowNull: false,
+            },
+
+        }, {sequelize, modelName: "procedimento_realizado", tableName: "procedimentos_realizados", timestamps: false,})
+    }
+
+    /**
+    * Representação do procedimento usada nas respostas JSON.
+    * @returns {{id: number, descricao: string}}
+    */
+    toJSON(){
+        return {
+            id:         this.id,
+            descricao:  this.descricao,
+        };
+    }
+}
@@ -0,0 +1,31 @@
+import { Model, DataTypes } from "sequelize";
+
+/**
+* Classe que representa um Profissional (dentista) da clínica.
+* @property {number} id - Identificador do profissional.
+* @property {string} nome - Nome do profissional.
+*/
+export class Profissional extends Model{
+
+    static init(sequelize){
+        super.init({
+            nome: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                unique: true,
+            },
+
+        }, {sequelize, modelName: "profissional", tableName: "profissionais", timestamps: false,})
+    }
+
+    /**
+    * Representação do profissional usada nas respostas JSON.
+    * @returns {{id: number, nome: string}}
+    */
+    toJSON(){
+        return {
+            id:     this.id,
+            nome:   this.nome,
+        };
+    }
+};
@@ -0,0 +1,65 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa o registro clínico de uma consulta no prontuário do paciente: as anotações do profissional,
+ * os procedimentos realizados e as prescrições. O registro só pode ser alterado enquanto a consulta não for encerrada.
+ */
+export class RegistroClinico extends Model{
+    /**
+     * @property {number} id_consulta - Identificador da consulta atendida.
+     * @property {string} anotacoes - Anotações do profissional sobre o atendimento.
+     * @property {string} operador - Operador que fez a última alteração.
+     * @property {DateTime} data_alteracao - Momento da última alteração.
+     * @property {ProcedimentoRealizado[]} [procedimentos] - Procedimentos realizados, quando incluídos na busca.
+     * @property {Prescricao[]} [prescricoes] - Prescrições, quando incluídas na busca.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            id_consulta: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                unique: true,
+            },
+
+            anotacoes: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                defaultValue: "",
+            },
+
+            operador: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            data_alteracao: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_alteracao");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "registro_clinico", tableName: "registros_clinicos", timestamps: false,})
+    }
+
+    /**
+    * Representação do registro usada nas respostas JSON e na auditoria.
+    * @returns {{id_consulta: number, anotacoes: string, operador: string, data_alteracao: string,
+    * procedimentos: {id: number, descricao: string}[], prescricoes: {id: number, medicamento: string, posologia: string}[]}}
+    */
+    toJSON(){
+        return {
+            id_consulta:    this.id_consulta,
+            anotacoes:      this.anotacoes,
+            operador:       this.operador,
+            data_alteracao: this.data_alteracao ? this.data_alteracao.toISO() : null,
+            procedimentos:  (this.procedimentos ?? []).map((procedimento) => procedimento.toJSON()),
+            prescricoes:    (this.prescricoes ?? []).map((prescricao) => prescricao.toJSON()),
+        };
+    }
+}
@@ -0,0 +1,97 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Estados de um dente no odontograma
+ */
+export const EstadoDente = Object.freeze({
+    HIGIDO:         "higido",
+    CARIE:          "carie",
+    RESTAURACAO:    "restauracao",
+    CANAL:          "canal",        // Tratamento de canal
+    COROA:          "coroa",
+    FRATURA:        "fratura",
+    EXTRAIDO:       "extraido",
+    IMPLANTE:       "implante",
+});
+
+/**
+ * Classe que representa uma alteração no odontograma do paciente: o estado de um dente, pela numeração FDI,
+ * registrado na consulta em que foi observado. O estado atual de cada dente é o da alteração mais recente.
+ */
+export class RegistroDente extends Model{
+    /**
+     * @property {string} cpf_paciente - CPF do paciente.
+     * @property {number} dente - Número do dente na numeração FDI, ex.: 36.
+     * @property {string} estado - Estado do dente, um dos valores de `EstadoDente`.
+     * @property {string|null} observacao - Observação do profissional, ex.: "face oclusal".
+     * @property {number} id_consulta - Consulta em que a alteração foi registrada.
+     * @property {string} operador - Operador que registrou a alteração.
+     * @property {DateTime} data_hora - Momento da alteração.
+     * @property {Consulta} [consulta] - Consulta, quando incluída na busca.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            cpf_paciente: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            dente: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            estado: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [Object.values(EstadoDente)],
+                },
+            },
+
+            observacao: {
+                type: DataTypes.STRING(200),
+                allowNull: true,
+            },
+
+            id_consulta: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            operador: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            data_hora: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_hora");
+                    return rawValue ? DateTime.fromJSDate(rawValue) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "registro_dente", tableName: "odontograma", timestamps: false,})
+    }
+
+    /**
+    * Representação da alteração usada nas respostas JSON e na auditoria, com a data da consulta quando ela foi incluída na busca.
+    * @returns {{dente: number, estado: string, observacao: string|null, id_consulta: number, data_consulta?: string, operador: string, data_hora: string}}
+    */
+    toJSON(){
+        return {
+            dente:          this.dente,
+            estado:         this.estado,
+            observacao:     this.observacao,
+            id_consulta:    this.id_consulta,
+            ...(this.consulta ? { data_consulta: this.consulta.data_consulta.toISODate() } : {}),
+            operador:       this.operador,
+            data_hora:      this.data_hora ? this.data_hora.toISO() : null,
+        };
+    }
+}
@@ -0,0 +1,100 @@
+import { DateTime } from "luxon";
+import { Model, DataTypes } from "sequelize";
+
+/**
+ * Classe que representa uma série de consultas recorrentes, como as manutenções de um tratamento ortodôntico.
+ * Cada ocorrência é uma consulta comum que referencia a série, e pode ser remarcada ou cancelada individualmente.
+ */
+export class Serie extends Model{
+    /**
+     * @property {string} cpf_paciente - CPF do paciente.
+     * @property {number} id_profissional - Identificador do profissional.
+     * @property {number} intervalo_dias - Quantidade de dias entre duas ocorrências.
+     * @property {DateTime} data_inicial - Data da primeira ocorrência.
+     * @property {DateTime} data_final - Data da última ocorrência.
+     * @property {number} ocorrencias - Quantidade de consultas criadas com a série.
+     * @property {DateTime} hora_inicial - Hora de início das consultas.
+     * @property {DateTime} hora_final - Hora de término das consultas.
+     */
+
+    static init(sequelize){
+        super.init({
+
+            cpf_paciente: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+
+            id_profissional: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            intervalo_dias: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            data_inicial: {
+                type: DataTypes.DATEONLY,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_inicial");
+                    return rawValue ? DateTime.fromFormat(rawValue, "yyyy-MM-dd") : null;
+                }
+            },
+
+            data_final: {
+                type: DataTypes.DATEONLY,
+                allowNull: false,
+                get() {
+                    const rawValue = this.getDataValue("data_final");
+                    return rawValue ? DateTime.fromFormat(rawValue, "yyyy-MM-dd") : null;
+                }
+            },
+
+            ocorrencias: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+            },
+
+            hora_inicial: {
+                type: DataTypes.TIME,
+                allowNull: false,
+                get(){
+                    const rawValue = this.getDataValue("hora_inicial");
+                    return rawValue ? DateTime.fromFormat(rawValue, "HH:mm:ss", { zone: "local" }) : null;
+                }
+            },
+
+            hora_final: {
+                type: DataTypes.TIME,
+                allowNull: false,
+                get(){
+                    const rawValue = this.getDataValue("hora_final");
+                    return rawValue ? DateTime.fromFormat(rawValue, "HH:mm:ss", { zone: "local" }) : null;
+                }
+            },
+
+        }, {sequelize, modelName: "serie", tableName: "series", timestamps: false,})
+    }
+
+    /**
+    * Representação da série usada nas respostas JSON, com as datas no formato ISO (yyyy-MM-dd) e as horas em HH:mm.
+    * @returns {{id: number, cpf_paciente: string, id_profissional: number, intervalo_dias: number, data_inicial: string,
+    * data_final: string, ocorrencias: number, hora_inicial: string, hora_final: string}}
+    */
+    toJSON(){
+        return {
+            id:                 this.id,
+            cpf_paciente:       this.cpf_paciente,
+            id_profissional:    this.id_profissional,
+            intervalo_dias:     this.intervalo_dias,
+            data_inicial:       this.data_inicial ? this.data_inicial.toISODate() : null,
+            data_final:         this.data_final ? this.data_final.toISODate() : null,
+            ocorrencias:        this.ocorrencias,
+            hora_inicial:       this.hora_inicial ? this.hora_inicial.toFormat("HH:mm") : null,
+            hora_final:         this.hora_final ? this.hora_final.toFormat("HH:mm") : null,
+        };
+    }
+}
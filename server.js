@@ -0,0 +1,26 @@
+import Database from './db/Database.js';
+import Migrador from './db/Migrador.js';
+import { criarApp } from './api/App.js';
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+async function server(){
+
+    const autenticacao = await Database.autenticacao();
+    if(!autenticacao.sucess){
+        console.error(`Falha ao conectar com o banco de dados (erro ${autenticacao.error})`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Aplica as migrações pendentes antes de aceitar requisições
+    await Migrador.migrar();
+
+    const porta = process.env.API_PORT || 3000;
+    criarApp().listen(porta, () => {
+        console.log(`API escutando na porta ${porta}`);
+    });
+}
+
+await server();
@@ -0,0 +1,97 @@
+import { AGORA_PADRAO, EXPEDIENTE_TESTE, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { criarApp } from "../api/App.js";
+import PacienteController from "../controllers/PacienteController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import OperadorController from "../controllers/OperadorController.js";
+import { PapelOperador } from "../models/Operador.js";
+import Expediente from "../utils/Expediente.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+const MATHEUS = { cpf: "57219947038", nome: "Matheus Lima", data_nasc: "30/12/2001" };
+
+describe("API REST", () => {
+    let servidor, endereco, ana;
+
+    /**
+     * Faz uma requisição à API com o token de um operador.
+     *
+     * @param {string} metodo
+     * @param {string} caminho
+     * @param {{token?: string, corpo?: Object}} [opcoes={}]
+     * @returns {Promise<{status: number, corpo: Object}>}
+     */
+    const requisitar = async (metodo, caminho, { token, corpo } = {}) => {
+        const resposta = await fetch(`${endereco}${caminho}`, {
+            method: metodo,
+            headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: corpo === undefined ? undefined : JSON.stringify(corpo),
+        });
+
+        return { status: resposta.status, corpo: await resposta.json() };
+    };
+
+    const entrar = async (login, senha) => (await requisitar("POST", "/sessao", { corpo: { login, senha } })).corpo.token;
+
+    before(async () => {
+        Expediente.configurar(EXPEDIENTE_TESTE);
+
+        servidor = http.createServer(criarApp());
+        await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+        endereco = `http://127.0.0.1:${servidor.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => servidor.close(resolve));
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    beforeEach(async () => {
+        definirAgora(AGORA_PADRAO);
+        await reiniciarBanco();
+
+        ana = (await ProfissionalController.addProfissional("Dra. Ana Souza")).profissional;
+        await PacienteController.cadastrarPaciente(MATHEUS);
+
+        await OperadorController.addOperador("admin", "segredo123", PapelOperador.ADMIN);
+        await OperadorController.addOperador("maria", "senhamaria", PapelOperador.RECEPCAO);
+        await OperadorController.addOperador("ana", "senhadaana", PapelOperador.DENTISTA);
+    });
+
+    it("exige o token de um operador", async () => {
+        assert.deepEqual(await requisitar("GET", "/pacientes"), { status: 401, corpo: { success: false, error: ErrorCodes.ERR_NAO_AUTENTICADO } });
+        assert.equal((await requisitar("GET", "/pacientes", { token: await entrar("maria", "senhamaria") })).status, 200);
+    });
+
+    it("recusa as rotas que o papel do operador não permite", async () => {
+        const recepcao = await entrar("maria", "senhamaria");
+        const negada = { success: false, error: ErrorCodes.ERR_PERMISSAO_NEGADA };
+
+        assert.deepEqual(await requisitar("DELETE", `/pacientes/${MATHEUS.cpf}`, { token: recepcao }), { status: 403, corpo: negada });
+        assert.deepEqual(await requisitar("GET", "/auditoria", { token: recepcao }), { status: 403, corpo: negada });
+        assert.deepEqual(await requisitar("GET", `/pacientes/${MATHEUS.cpf}/odontograma`, { token: recepcao }), { status: 403, corpo: negada });
+        assert.deepEqual(await requisitar("POST", "/procedimentos", { token: recepcao, corpo: { nome: "Limpeza", preco: "150" } }), { status: 403, corpo: negada });
+        assert.equal(await PacienteController.exists(MATHEUS.cpf), true);
+
+        const admin = await entrar("admin", "segredo123");
+        assert.equal((await requisitar("GET", "/auditoria", { token: admin })).status, 200);
+        assert.equal((await requisitar("DELETE", `/pacientes/${MATHEUS.cpf}`, { token: admin })).status, 200);
+    });
+
+    it("exige a permissão de comparecimento apenas para registrar presença ou falta", async () => {
+        await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "11/03/2030", hora_inicial: "1030", hora_final: "1100" });
+        const dentista = await entrar("ana", "senhadaana");
+        const consulta = `/consultas/status?cpf=${MATHEUS.cpf}&data_consulta=11/03/2030&hora_inicial=1030`;
+
+        assert.equal((await requisitar("PATCH", consulta, { token: dentista, corpo: { status: "confirmada" } })).status, 403);
+
+        definirAgora("2030-03-11T10:40:00");
+        assert.deepEqual(await requisitar("PATCH", consulta, { token: dentista, corpo: { status: "realizada" } }), { status: 200, corpo: { success: true } });
+    });
+});
@@ -0,0 +1,40 @@
+import "./ambiente.js";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { lerCSV, gerarCSV } from "../utils/CSV.js";
+
+describe("CSV", () => {
+    describe("lerCSV", () => {
+        it("detecta vírgula ou ponto e vírgula pelo cabeçalho", () => {
+            assert.deepEqual(lerCSV("a,b\nc,d").map((r) => r.campos), [["a", "b"], ["c", "d"]]);
+            assert.deepEqual(lerCSV("a;b\r\nc,1;d").map((r) => r.campos), [["a", "b"], ["c,1", "d"]]);
+        });
+
+        it("aceita aspas, aspas duplicadas e quebras de linha dentro de campos", () => {
+            const registros = lerCSV('nome,obs\n"Silva, Ana","diz ""oi""\nduas linhas"\nfim,x\n');
+
+            assert.deepEqual(registros, [
+                { numero: 1, campos: ["nome", "obs"] },
+                { numero: 2, campos: ["Silva, Ana", 'diz "oi"\nduas linhas'] },
+                { numero: 4, campos: ["fim", "x"] },
+            ]);
+        });
+
+        it("ignora a marca de ordem de bytes e linhas em branco, mantendo a numeração", () => {
+            assert.deepEqual(lerCSV("\uFEFFa,b\n\n1,2\n"), [
+                { numero: 1, campos: ["a", "b"] },
+                { numero: 3, campos: ["1", "2"] },
+            ]);
+        });
+    });
+
+    it("gerarCSV escapa apenas os campos que precisam e volta a ser lido igual", () => {
+        const linhas = [["cpf", "nome"], ["1", 'Ana "Aninha", Silva'], ["2", "Bia"]];
+        const texto = gerarCSV(linhas);
+
+        assert.equal(texto, 'cpf,nome\r\n1,"Ana ""Aninha"", Silva"\r\n2,Bia\r\n');
+        assert.deepEqual(lerCSV(texto).map((r) => r.campos), linhas);
+    });
+});
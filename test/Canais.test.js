@@ -0,0 +1,177 @@
+import "./ambiente.js";
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import http from "http";
+
+import { criarCanal } from "../lembretes/Canais.js";
+import { CanalSmtp } from "../lembretes/CanalSmtp.js";
+import { CanalSms } from "../lembretes/CanalSms.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+/**
+ * Servidor SMTP mínimo, sem TLS, que guarda os comandos e o conteúdo dos e-mails recebidos.
+ *
+ * @param {Object<string, string>} [respostas={}] - Respostas que substituem as padrão, pelo comando, ex.: { RCPT: "550 Usuário inexistente" }
+ */
+function servidorSmtp(respostas = {}){
+    const recebidos = { comandos: [], emails: [] };
+
+    const servidor = net.createServer((socket) => {
+        let pendente = "";
+        let dados = null;
+
+        socket.setEncoding("utf-8");
+        socket.write("220 teste ESMTP\r\n");
+
+        socket.on("data", (texto) => {
+            const linhas = (pendente + texto).split("\r\n");
+            pendente = linhas.pop();
+
+            for(const linha of linhas){
+                if(dados !== null){
+                    if(linha === "."){
+                        recebidos.emails.push(dados.join("\r\n"));
+                        dados = null;
+                        socket.write("250 OK\r\n");
+                    } else {
+                        dados.push(linha);
+                    }
+                    continue;
+                }
+
+                const comando = linha.split(/[ :]/)[0].toUpperCase();
+                recebidos.comandos.push(linha);
+
+                if(respostas[comando])
+                    socket.write(`${respostas[comando]}\r\n`);
+                else if(comando === "EHLO")
+                    socket.write("250-teste\r\n250 8BITMIME\r\n");
+                else if(comando === "STARTTLS")
+                    socket.write("502 Comando não suportado\r\n");
+                else if(comando === "DATA"){
+                    dados = [];
+                    socket.write("354 Continue\r\n");
+                } else if(comando === "QUIT"){
+                    socket.end("221 Tchau\r\n");
+                } else {
+                    socket.write("250 OK\r\n");
+                }
+            }
+        });
+    });
+
+    return { servidor, recebidos };
+}
+
+/**
+ * Inicia um servidor em uma porta livre.
+ *
+ * @param {net.Server|http.Server} servidor
+ * @returns {Promise<number>} - Porta do servidor
+ */
+function ouvir(servidor){
+    return new Promise((resolve) => servidor.listen(0, "127.0.0.1", () => resolve(servidor.address().port)));
+}
+
+const LEMBRETE = { id: 1, destinatario: "matheus@exemplo.com", assunto: "Lembrete de consulta às 09:00", mensagem: "Olá, Matheus!\n.Até amanhã." };
+
+describe("Canais de envio dos lembretes", () => {
+    describe("criarCanal", () => {
+        it("exige as variáveis de ambiente de cada canal", () => {
+            assert.deepEqual(criarCanal("pombo", {}), { success: false, error: ErrorCodes.ERR_CANAL_DESCONHECIDO });
+            assert.deepEqual(criarCanal("smtp", { SMTP_HOST: "localhost" }), { success: false, error: ErrorCodes.ERR_CANAL_NAO_CONFIGURADO });
+            assert.deepEqual(criarCanal("sms", {}), { success: false, error: ErrorCodes.ERR_CANAL_NAO_CONFIGURADO });
+
+            assert.ok(criarCanal("smtp", { SMTP_HOST: "localhost", SMTP_REMETENTE: "clinica@exemplo.com" }).canal instanceof CanalSmtp);
+            assert.ok(criarCanal("sms", { SMS_URL: "http://localhost/sms" }).canal instanceof CanalSms);
+        });
+    });
+
+    describe("CanalSmtp", () => {
+        it("entrega o e-mail com o assunto codificado e o corpo em base64", async () => {
+            const { servidor, recebidos } = servidorSmtp();
+            const porta = await ouvir(servidor);
+
+            try {
+                const canal = new CanalSmtp({ host: "127.0.0.1", porta, remetente: "clinica@exemplo.com" });
+                assert.equal(canal.destinatario({ email: null, telefone: "11999990000" }), null);
+
+                await canal.enviar(LEMBRETE);
+
+                assert.deepEqual(recebidos.comandos.filter((c) => /^(MAIL|RCPT)/.test(c)), ["MAIL FROM:<clinica@exemplo.com>", "RCPT TO:<matheus@exemplo.com>"]);
+
+                const [cabecalhos, corpo] = recebidos.emails[0].split("\r\n\r\n");
+                assert.match(cabecalhos, /^To: matheus@exemplo\.com$/m);
+                assert.match(cabecalhos, new RegExp(`^Subject: =\\?UTF-8\\?B\\?${Buffer.from(LEMBRETE.assunto).toString("base64")}\\?=$`, "m"));
+                assert.equal(Buffer.from(corpo, "base64").toString("utf-8"), LEMBRETE.mensagem);
+            } finally {
+                servidor.close();
+            }
+        });
+
+        it("falha com a resposta do servidor quando o destinatário é recusado", async () => {
+            const { servidor, recebidos } = servidorSmtp({ RCPT: "550 Usuário inexistente" });
+            const porta = await ouvir(servidor);
+
+            try {
+                await assert.rejects(new CanalSmtp({ host: "127.0.0.1", porta, remetente: "clinica@exemplo.com" }).enviar(LEMBRETE), /550 Usuário inexistente/);
+                assert.equal(recebidos.emails.length, 0);
+            } finally {
+                servidor.close();
+            }
+        });
+
+        it("não envia a senha por conexão sem criptografia", async () => {
+            const { servidor, recebidos } = servidorSmtp();
+            const porta = await ouvir(servidor);
+
+            try {
+                const canal = new CanalSmtp({ host: "127.0.0.1", porta, usuario: "clinica", senha: "segredo", remetente: "clinica@exemplo.com" });
+                await assert.rejects(canal.enviar(LEMBRETE), /STARTTLS/);
+                assert.equal(recebidos.comandos.some((c) => c.startsWith("AUTH")), false);
+            } finally {
+                servidor.close();
+            }
+        });
+    });
+
+    describe("CanalSms", () => {
+        let servidor, porta, requisicoes, status;
+
+        before(async () => {
+            requisicoes = [];
+            servidor = http.createServer((requisicao, resposta) => {
+                let corpo = "";
+                requisicao.on("data", (parte) => corpo += parte);
+                requisicao.on("end", () => {
+                    requisicoes.push({ autorizacao: requisicao.headers.authorization, corpo: JSON.parse(corpo) });
+                    resposta.writeHead(status).end(status === 200 ? "{}" : "saldo insuficiente");
+                });
+            });
+            porta = await ouvir(servidor);
+        });
+
+        after(() => {
+            servidor.close();
+        });
+
+        it("envia o telefone e a mensagem ao gateway com o token", async () => {
+            status = 200;
+            const { canal } = criarCanal("sms", { SMS_URL: `http://127.0.0.1:${porta}/sms`, SMS_TOKEN: "abc", SMS_CAMPO_PARA: "to" });
+
+            assert.equal(canal.destinatario({ email: "matheus@exemplo.com", telefone: null }), null);
+            await canal.enviar({ ...LEMBRETE, destinatario: "+5511999990000" });
+
+            assert.deepEqual(requisicoes.at(-1), { autorizacao: "Bearer abc", corpo: { to: "+5511999990000", mensagem: LEMBRETE.mensagem } });
+        });
+
+        it("falha quando o gateway recusa a mensagem", async () => {
+            status = 402;
+            const canal = new CanalSms({ url: `http://127.0.0.1:${porta}/sms` });
+
+            await assert.rejects(canal.enviar({ ...LEMBRETE, destinatario: "+5511999990000" }), /HTTP 402: saldo insuficiente/);
+        });
+    });
+});
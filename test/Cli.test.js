@@ -0,0 +1,162 @@
+import { AGORA_PADRAO, EXPEDIENTE_TESTE, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { executarComando } from "../cli/Cli.js";
+import { CodigoSaida } from "../cli/Saida.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import OperadorController from "../controllers/OperadorController.js";
+import AuditoriaController from "../controllers/AuditoriaController.js";
+import { PapelOperador } from "../models/Operador.js";
+import OdontogramaController from "../controllers/OdontogramaController.js";
+import Expediente from "../utils/Expediente.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+const MATHEUS = ["--cpf", "57219947038", "--nome", "Matheus Lima", "--nasc", "30/12/2001"];
+
+describe("Linha de comando", () => {
+    let ana;
+
+    before(() => {
+        Expediente.configurar(EXPEDIENTE_TESTE);
+    });
+
+    after(async () => {
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    beforeEach(async () => {
+        definirAgora(AGORA_PADRAO);
+        await reiniciarBanco();
+
+        ana = (await ProfissionalController.addProfissional("Dra. Ana Souza")).profissional;
+
+        // Os comandos rodam em nome do administrador, exceto quando o teste informa outro --login
+        await OperadorController.addOperador("admin", "segredo123", PapelOperador.ADMIN);
+        await OperadorController.addOperador("maria", "senhamaria", PapelOperador.RECEPCAO);
+        process.env.OPERADOR_LOGIN = "admin";
+        process.env.OPERADOR_SENHA = "segredo123";
+    });
+
+    afterEach(() => {
+        delete process.env.OPERADOR_LOGIN;
+        delete process.env.OPERADOR_SENHA;
+    });
+
+    it("cadastra e lista pacientes, com saída em JSON", async () => {
+        assert.equal((await executarComando(["paciente", "add", ...MATHEUS])).codigo, CodigoSaida.SUCESSO);
+
+        const lista = await executarComando(["paciente", "list", "--ordem", "nome", "--json"]);
+        assert.equal(lista.codigo, CodigoSaida.SUCESSO);
+        assert.deepEqual(JSON.parse(lista.saida), {
+            success: true, total: 1, pacientes: [{ cpf: "57219947038", nome: "Matheus Lima", data_nasc: "2001-12-30" }],
+        });
+    });
+
+    it("retorna o código do erro e a mensagem quando a operação é recusada", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS]);
+
+        const duplicado = await executarComando(["paciente", "add", ...MATHEUS, "--json"]);
+        assert.equal(duplicado.codigo, CodigoSaida.ERRO);
+        assert.equal(JSON.parse(duplicado.saida).error, ErrorCodes.ERR_CPF_DUPLICADO);
+
+        const inexistente = await executarComando(["paciente", "remove", "--cpf", "71089185014"]);
+        assert.equal(inexistente.codigo, CodigoSaida.NAO_ENCONTRADO);
+        assert.equal(inexistente.saida, "");
+        assert.match(inexistente.erro, /não cadastrado/);
+    });
+
+    it("agenda, lista e cancela consultas", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS]);
+
+        const consulta = ["--cpf", "57219947038", "--data", "12/03/2030", "--inicio", "0900"];
+        const agendamento = await executarComando(["consulta", "agendar", ...consulta, "--fim", "0930", "--profissional", String(ana.id)]);
+        assert.equal(agendamento.codigo, CodigoSaida.SUCESSO);
+
+        const agenda = await executarComando(["agenda", "--de", "11/03/2030", "--ate", "15/03/2030", "--json"]);
+        assert.deepEqual(JSON.parse(agenda.saida).consultas.map((c) => [c.data_consulta, c.hora_inicial]), [["2030-03-12", "09:00"]]);
+
+        assert.equal((await executarComando(["consulta", "cancelar", ...consulta])).codigo, CodigoSaida.SUCESSO);
+        assert.deepEqual(JSON.parse((await executarComando(["agenda", "--json"])).saida).consultas, []);
+    });
+
+    it("envia os lembretes e informa o canal sem configuração", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS, "--telefone", "(11) 99999-0000"]);
+        await executarComando(["consulta", "agendar", "--cpf", "57219947038", "--data", "12/03/2030", "--inicio", "0900", "--fim", "0930", "--profissional", String(ana.id)]);
+
+        const sem_configuracao = await executarComando(["lembretes", "enviar", "--canal", "sms"]);
+        assert.equal(sem_configuracao.codigo, CodigoSaida.ERRO);
+        assert.match(sem_configuracao.erro, /variáveis de ambiente/);
+
+        process.env.SMS_URL = "http://127.0.0.1:9/sms";
+        try {
+            const falha = JSON.parse((await executarComando(["lembretes", "enviar", "--horas", "24", "--canal", "sms", "--json"])).saida);
+            assert.equal(falha.error, ErrorCodes.ERR_ENVIO_LEMBRETE);
+            assert.deepEqual(falha.falhas.map((f) => f.destinatario), ["11999990000"]);
+        } finally {
+            delete process.env.SMS_URL;
+        }
+    });
+
+    it("exibe o odontograma do paciente", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS]);
+        await executarComando(["consulta", "agendar", "--cpf", "57219947038", "--data", "12/03/2030", "--inicio", "0900", "--fim", "0930", "--profissional", String(ana.id)]);
+
+        definirAgora("2030-03-12T09:10:00");
+        await OdontogramaController.registrarDente("57219947038", "12/03/2030", "0900", { dente: 36, estado: "carie", observacao: "face oclusal" });
+
+        const texto = await executarComando(["paciente", "odontograma", "--cpf", "57219947038"]);
+        assert.equal(texto.codigo, CodigoSaida.SUCESSO);
+        assert.match(texto.saida, /36 Cárie \(face oclusal\) - 12\/03\/2030/);
+
+        const json = JSON.parse((await executarComando(["paciente", "odontograma", "--cpf", "57219947038", "--json"])).saida);
+        assert.deepEqual(json.dentes.map((d) => [d.dente, d.estado, d.data_consulta]), [[36, "carie", "2030-03-12"]]);
+
+        assert.equal((await executarComando(["paciente", "odontograma", "--cpf", "71089185014"])).codigo, CodigoSaida.NAO_ENCONTRADO);
+    });
+
+    it("gera o relatório da agenda em texto, JSON e CSV", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS]);
+        await executarComando(["consulta", "agendar", "--cpf", "57219947038", "--data", "12/03/2030", "--inicio", "0900", "--fim", "1000", "--profissional", String(ana.id)]);
+
+        const periodo = ["relatorio", "--de", "11/03/2030", "--ate", "12/03/2030"];
+        assert.match((await executarComando(periodo)).saida, /Taxa de faltas: -/);
+        assert.deepEqual(JSON.parse((await executarComando([...periodo, "--json"])).saida).relatorio.total.minutos_agendados, 60);
+        assert.match((await executarComando([...periodo, "--csv"])).saida, /^data,minutos_expediente,.*\r\ntotal,1200,1200,60,5,1,0,0,0,1\r\n$/s);
+
+        assert.equal((await executarComando(["relatorio", "--de", "11/03/2030"])).codigo, CodigoSaida.USO);
+    });
+
+    it("exige o login do operador e respeita as permissões do seu papel", async () => {
+        await executarComando(["paciente", "add", ...MATHEUS]);
+
+        delete process.env.OPERADOR_LOGIN;
+        assert.equal((await executarComando(["paciente", "remove", "--cpf", "57219947038"])).codigo, CodigoSaida.USO);
+
+        const senha_errada = await executarComando(["paciente", "remove", "--cpf", "57219947038", "--login", "maria", "--json"]);
+        assert.equal(senha_errada.codigo, CodigoSaida.ACESSO_NEGADO);
+        assert.equal(JSON.parse(senha_errada.saida).error, ErrorCodes.ERR_CREDENCIAIS_INVALIDAS);
+
+        // A recepção agenda consultas, mas não exclui pacientes
+        const recepcao = (argumentos) => executarComando([...argumentos, "--login", "maria", "--json"], () => "senhamaria");
+        const exclusao = await recepcao(["paciente", "remove", "--cpf", "57219947038"]);
+        assert.equal(exclusao.codigo, CodigoSaida.ACESSO_NEGADO);
+        assert.equal(JSON.parse(exclusao.saida).error, ErrorCodes.ERR_PERMISSAO_NEGADA);
+
+        const agendamento = await recepcao(["consulta", "agendar", "--cpf", "57219947038", "--data", "12/03/2030", "--inicio", "0900", "--fim", "0930", "--profissional", String(ana.id)]);
+        assert.equal(agendamento.codigo, CodigoSaida.SUCESSO);
+        assert.deepEqual((await AuditoriaController.getRegistros({ cpf: "57219947038" })).map((registro) => registro.operador), ["admin", "maria"]);
+    });
+
+    it("recusa comandos desconhecidos, opções inválidas e opções obrigatórias ausentes", async () => {
+        assert.equal((await executarComando(["paciente", "apagar"])).codigo, CodigoSaida.USO);
+        assert.equal((await executarComando(["paciente", "list", "--ordem", "idade"])).codigo, CodigoSaida.USO);
+        assert.equal((await executarComando(["paciente", "list", "--pagina", "2"])).codigo, CodigoSaida.USO);
+
+        const ausente = await executarComando(["paciente", "add", "--cpf", "57219947038", "--json"]);
+        assert.equal(ausente.codigo, CodigoSaida.USO);
+        assert.equal(JSON.parse(ausente.saida).error, ErrorCodes.ERR_REQUISICAO_INVALIDA);
+    });
+});
@@ -0,0 +1,91 @@
+import { AGORA_PADRAO, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { Consulta, StatusConsulta } from "../models/Consulta.js";
+
+/**
+ * Cria uma consulta sem salvá-la no banco.
+ *
+ * @param {string} data - Data no formato "yyyy-MM-dd"
+ * @param {string} inicio - Hora inicial no formato "HH:mm"
+ * @param {string} fim - Hora final no formato "HH:mm"
+ * @returns {Consulta}
+ */
+function consulta(data, inicio, fim){
+    return new Consulta({
+        cpf_paciente:    "57219947038",
+        id_profissional: 1,
+        data_consulta:   data,
+        hora_inicial:    `${inicio}:00`,
+        hora_final:      `${fim}:00`,
+    });
+}
+
+describe("Consulta", () => {
+    before(async () => {
+        definirAgora(AGORA_PADRAO);
+        await reiniciarBanco();
+    });
+
+    after(async () => {
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    describe("isSobreposta", () => {
+        let base;
+
+        before(() => {
+            base = consulta("2030-03-12", "09:00", "10:00");
+        });
+
+        it("detecta intervalos que se cruzam", () => {
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "09:30", "10:30")), true);
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "08:30", "09:15")), true);
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "09:15", "09:45")), true);
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "08:00", "11:00")), true);
+        });
+
+        it("permite consultas encostadas", () => {
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "10:00", "10:30")), false);
+            assert.equal(base.isSobreposta(consulta("2030-03-12", "08:30", "09:00")), false);
+        });
+
+        it("ignora consultas em outras datas", () => {
+            assert.equal(base.isSobreposta(consulta("2030-03-13", "09:00", "10:00")), false);
+        });
+    });
+
+    describe("podeMudarPara", () => {
+        it("segue as transições permitidas de cada situação", () => {
+            const agendada = consulta("2030-03-12", "09:00", "10:00");
+            assert.equal(agendada.status, StatusConsulta.AGENDADA);
+            assert.equal(agendada.isAtiva(), true);
+
+            for (const status of [StatusConsulta.CONFIRMADA, StatusConsulta.REALIZADA, StatusConsulta.FALTOU, StatusConsulta.CANCELADA])
+                assert.equal(agendada.podeMudarPara(status), true);
+
+            agendada.status = StatusConsulta.CONFIRMADA;
+            assert.equal(agendada.podeMudarPara(StatusConsulta.AGENDADA), false);
+            assert.equal(agendada.podeMudarPara(StatusConsulta.REALIZADA), true);
+
+            for (const final of [StatusConsulta.REALIZADA, StatusConsulta.FALTOU, StatusConsulta.CANCELADA]) {
+                agendada.status = final;
+                assert.equal(agendada.isAtiva(), false);
+                assert.equal(Object.values(StatusConsulta).some((status) => agendada.podeMudarPara(status)), false);
+            }
+        });
+    });
+
+    describe("isConsultaPassada", () => {
+        it("compara a data e a hora inicial com o momento atual", () => {
+            assert.equal(consulta("2030-03-10", "15:00", "16:00").isConsultaPassada(), true);
+            assert.equal(consulta("2030-03-11", "09:45", "10:30").isConsultaPassada(), true);
+            assert.equal(consulta("2030-03-11", "10:00", "10:30").isConsultaPassada(), true);
+            assert.equal(consulta("2030-03-11", "10:15", "10:30").isConsultaPassada(), false);
+            assert.equal(consulta("2030-03-12", "08:00", "08:30").isConsultaPassada(), false);
+        });
+    });
+});
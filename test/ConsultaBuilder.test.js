@@ -0,0 +1,135 @@
+import { AGORA_PADRAO, EXPEDIENTE_TESTE, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ConsultaBuilder } from "../models/ConsultaBuilder.js";
+import Expediente from "../utils/Expediente.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+/** Data da próxima terça-feira em relação a AGORA_PADRAO */
+const AMANHA = "12/03/2030";
+
+describe("ConsultaBuilder", () => {
+    let builder;
+
+    before(async () => {
+        Expediente.configurar(EXPEDIENTE_TESTE);
+        await reiniciarBanco();
+    });
+
+    after(async () => {
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    beforeEach(() => {
+        definirAgora(AGORA_PADRAO);
+        builder = new ConsultaBuilder();
+    });
+
+    describe("setDataConsulta", () => {
+        it("rejeita datas em formato inválido", () => {
+            assert.deepEqual(builder.setDataConsulta("2030-03-12"), { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_INVALIDA });
+        });
+
+        it("rejeita datas anteriores a hoje", () => {
+            assert.deepEqual(builder.setDataConsulta("10/03/2030"), { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR });
+        });
+
+        it("aceita hoje enquanto houver expediente", () => {
+            assert.deepEqual(builder.setDataConsulta("11/03/2030"), { success: true });
+        });
+
+        it("rejeita hoje depois do fim do expediente", () => {
+            definirAgora("2030-03-11T19:00:00");
+            assert.deepEqual(builder.setDataConsulta("11/03/2030"), { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_HOJE_FECHADO });
+        });
+
+        it("rejeita dias sem expediente e feriados", () => {
+            assert.deepEqual(builder.setDataConsulta("17/03/2030"), { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_FECHADA });
+            assert.deepEqual(builder.setDataConsulta("25/12/2030"), { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_FECHADA });
+        });
+    });
+
+    describe("setHoraInicial", () => {
+        it("exige a data da consulta antes", () => {
+            assert.deepEqual(builder.setHoraInicial("0900"), { success: false, error: ErrorCodes.ERR_HORA_SEM_DATA_CONSULTA });
+        });
+
+        it("valida o formato HHmm e os intervalos de 15 minutos", () => {
+            builder.setDataConsulta(AMANHA);
+            assert.deepEqual(builder.setHoraInicial("9h"), { success: false, error: ErrorCodes.ERR_HORA_INVALIDA });
+            assert.deepEqual(builder.setHoraInicial("0910"), { success: false, error: ErrorCodes.ERR_HORA_HORARIO_INVALIDO });
+            assert.deepEqual(builder.setHoraInicial("0915"), { success: true });
+        });
+
+        it("rejeita horários fora do expediente ou no almoço", () => {
+            builder.setDataConsulta(AMANHA);
+            for (const hora of ["0745", "1200", "1245", "1900"])
+                assert.deepEqual(builder.setHoraInicial(hora), { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO });
+        });
+
+        it("segue o expediente reduzido do sábado", () => {
+            builder.setDataConsulta("16/03/2030");
+            assert.deepEqual(builder.setHoraInicial("1400"), { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO });
+            assert.deepEqual(builder.setHoraInicial("1100"), { success: true });
+        });
+
+        it("rejeita horários que já passaram hoje", () => {
+            builder.setDataConsulta("11/03/2030");
+            assert.deepEqual(builder.setHoraInicial("0900"), { success: false, error: ErrorCodes.ERR_HORA_PASSADA });
+            assert.deepEqual(builder.setHoraInicial("1030"), { success: true });
+        });
+    });
+
+    describe("setHoraFinal", () => {
+        it("exige a hora inicial antes", () => {
+            builder.setDataConsulta(AMANHA);
+            assert.deepEqual(builder.setHoraFinal("1000"), { success: false, error: ErrorCodes.ERR_HORA_SEM_HORA_INICIAL });
+        });
+
+        it("deve ser posterior à hora inicial", () => {
+            builder.setDataConsulta(AMANHA);
+            builder.setHoraInicial("0900");
+            assert.deepEqual(builder.setHoraFinal("0900"), { success: false, error: ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL });
+            assert.deepEqual(builder.setHoraFinal("0845"), { success: false, error: ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL });
+        });
+
+        it("não pode passar do fim do expediente nem atravessar o almoço", () => {
+            builder.setDataConsulta(AMANHA);
+            builder.setHoraInicial("1130");
+            assert.deepEqual(builder.setHoraFinal("1315"), { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO });
+            assert.deepEqual(builder.setHoraFinal("1200"), { success: true });
+
+            builder.setHoraInicial("1830");
+            assert.deepEqual(builder.setHoraFinal("1915"), { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO });
+            assert.deepEqual(builder.setHoraFinal("1900"), { success: true });
+        });
+    });
+
+    describe("build", () => {
+        it("falha se faltar algum dado", async () => {
+            builder.setCpf("57219947038");
+            builder.setDataConsulta(AMANHA);
+            builder.setHoraInicial("0900");
+            builder.setHoraFinal("0930");
+
+            assert.deepEqual(await builder.build(), { success: false, error: ErrorCodes.ERR_CONSULTA_INCOMPLETA });
+        });
+
+        it("cria a consulta com os dados informados", async () => {
+            builder.setCpf("57219947038");
+            builder.setProfissional(1);
+            builder.setDataConsulta(AMANHA);
+            builder.setHoraInicial("0900");
+            builder.setHoraFinal("0930");
+
+            const resultado = await builder.build();
+            assert.equal(resultado.success, true);
+            assert.equal(resultado.consulta.toJSON().data_consulta, "2030-03-12");
+            assert.equal(resultado.consulta.toJSON().hora_inicial, "09:00");
+            assert.equal(resultado.consulta.toJSON().hora_final, "09:30");
+        });
+    });
+});
@@ -0,0 +1,1420 @@
+import { AGORA_PADRAO, EXPEDIENTE_TESTE, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import PacienteController from "../controllers/PacienteController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import AuditoriaController from "../controllers/AuditoriaController.js";
+import SerieController from "../controllers/SerieController.js";
+import EsperaController from "../controllers/EsperaController.js";
+import OperadorController from "../controllers/OperadorController.js";
+import LembreteController from "../controllers/LembreteController.js";
+import ProntuarioController from "../controllers/ProntuarioController.js";
+import OdontogramaController from "../controllers/OdontogramaController.js";
+import ProcedimentoController from "../controllers/ProcedimentoController.js";
+import FinanceiroController from "../controllers/FinanceiroController.js";
+import RelatorioController from "../controllers/RelatorioController.js";
+import { registrarCanal } from "../lembretes/Canais.js";
+import { Auditoria, AcaoAuditoria } from "../models/Auditoria.js";
+import { PapelOperador, Permissao } from "../models/Operador.js";
+import { Consulta, StatusConsulta } from "../models/Consulta.js";
+import { Paciente } from "../models/Paciente.js";
+import { Lembrete, StatusLembrete } from "../models/Lembrete.js";
+import Expediente from "../utils/Expediente.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Sessao from "../utils/Sessao.js";
+
+const MATHEUS = { cpf: "57219947038", nome: "Matheus", data_nasc: "30/12/2001" };
+const JUCAA   = { cpf: "71089185014", nome: "Jucaa",   data_nasc: "22/09/1999" };
+
+describe("Controladores", () => {
+    let ana, bruno;
+
+    before(() => {
+        Expediente.configurar(EXPEDIENTE_TESTE);
+    });
+
+    after(async () => {
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    beforeEach(async () => {
+        definirAgora(AGORA_PADRAO);
+        await reiniciarBanco();
+
+        ana   = (await ProfissionalController.addProfissional("Dra. Ana Souza")).profissional;
+        bruno = (await ProfissionalController.addProfissional("Dr. Bruno Lima")).profissional;
+
+        assert.deepEqual(await PacienteController.cadastrarPaciente(MATHEUS), { success: true });
+        assert.deepEqual(await PacienteController.cadastrarPaciente(JUCAA), { success: true });
+    });
+
+    describe("PacienteController", () => {
+        it("não cadastra o mesmo CPF duas vezes", async () => {
+            assert.deepEqual(await PacienteController.cadastrarPaciente(MATHEUS), { success: false, error: ErrorCodes.ERR_CPF_DUPLICADO });
+        });
+
+        it("lista os pacientes ordenados por CPF e por nome", async () => {
+            assert.deepEqual((await PacienteController.getPacientes("cpf")).map((p) => p.cpf), [MATHEUS.cpf, JUCAA.cpf]);
+            assert.deepEqual((await PacienteController.getPacientes("nome")).map((p) => p.nome), [JUCAA.nome, MATHEUS.nome]);
+        });
+
+        it("não remove paciente com consulta agendada até que ela seja cancelada", async () => {
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+
+            assert.deepEqual(await PacienteController.removePaciente(MATHEUS.cpf), { success: false, error: ErrorCodes.ERR_PACIENTE_AGENDADO });
+
+            assert.deepEqual(await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "0900"), { success: true, interessados: [] });
+            assert.deepEqual(await PacienteController.removePaciente(MATHEUS.cpf), { success: true });
+        });
+
+        it("remove paciente cuja consulta já passou", async () => {
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+
+            definirAgora("2030-03-13T10:00:00");
+            assert.deepEqual(await PacienteController.removePaciente(MATHEUS.cpf), { success: true });
+        });
+
+        it("não cadastra dois pacientes com o mesmo nome", async () => {
+            assert.deepEqual(await PacienteController.cadastrarPaciente({ cpf: "24832111000", nome: MATHEUS.nome, data_nasc: "10/12/1999" }),
+                { success: false, error: ErrorCodes.ERR_NOME_DUPLICADO });
+        });
+
+        describe("busca e paginação", () => {
+            beforeEach(async () => {
+                assert.deepEqual(await PacienteController.cadastrarPaciente({ cpf: "24832111000", nome: "João Conceição", data_nasc: "10/12/1999" }), { success: true });
+                assert.deepEqual(await PacienteController.cadastrarPaciente({ cpf: "80802808000", nome: "Ângela Brandão", data_nasc: "10/12/1999" }), { success: true });
+            });
+
+            const nomes = async (ordem, opcoes) => (await PacienteController.getPacientes(ordem, opcoes)).map((p) => p.nome);
+
+            it("busca por parte do nome sem diferenciar acentos e maiúsculas", async () => {
+                assert.deepEqual(await nomes("nome", { busca: "joao" }), ["João Conceição"]);
+                assert.deepEqual(await nomes("nome", { busca: "CONCEIÇÃO" }), ["João Conceição"]);
+                assert.deepEqual(await nomes("nome", { busca: "an" }), ["Ângela Brandão"]);
+                assert.deepEqual(await nomes("nome", { busca: "%" }), ["Ângela Brandão", "João Conceição", JUCAA.nome, MATHEUS.nome]);
+                assert.equal(await PacienteController.contarPacientes("ão"), 2);
+            });
+
+            it("busca pelo início do CPF, aceitando pontos e traço", async () => {
+                assert.deepEqual(await nomes("cpf", { busca: "2" }), ["João Conceição"]);
+                assert.deepEqual(await nomes("cpf", { busca: "572.199" }), [MATHEUS.nome]);
+                assert.deepEqual(await nomes("cpf", { busca: "99470" }), []);
+                assert.equal(await PacienteController.contarPacientes("8"), 1);
+            });
+
+            it("pagina a listagem com limite e deslocamento", async () => {
+                assert.deepEqual(await nomes("nome"), ["Ângela Brandão", "João Conceição", JUCAA.nome, MATHEUS.nome]);
+                assert.deepEqual(await nomes("nome", { limite: 3 }), ["Ângela Brandão", "João Conceição", JUCAA.nome]);
+                assert.deepEqual(await nomes("nome", { limite: 3, deslocamento: 3 }), [MATHEUS.nome]);
+                assert.deepEqual(await nomes("cpf", { limite: 2, deslocamento: 1 }), [MATHEUS.nome, JUCAA.nome]);
+                assert.equal(await PacienteController.contarPacientes(), 4);
+            });
+
+            it("encontra o paciente pelo nome novo depois de uma alteração", async () => {
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Ávila" }), { success: true });
+
+                assert.deepEqual(await nomes("nome", { busca: "avila" }), ["Matheus Ávila"]);
+                assert.equal(await PacienteController.contarPacientes(MATHEUS.nome.toLowerCase()), 1);
+            });
+        });
+
+        describe("alteração", () => {
+            it("altera nome e data de nascimento mantendo as consultas", async () => {
+                await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Silva", data_nasc: "01/01/2000" }), { success: true });
+
+                const paciente = await PacienteController.getPaciente(MATHEUS.cpf);
+                assert.equal(paciente.nome, "Matheus Silva");
+                assert.equal(paciente.data_nasc.toFormat("dd/MM/yyyy"), "01/01/2000");
+                assert.equal((await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf)).consultas.length, 1);
+            });
+
+            it("mantém os campos não informados, inclusive o próprio nome", async () => {
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { data_nasc: "01/01/2000" }), { success: true });
+                assert.equal((await PacienteController.getPaciente(MATHEUS.cpf)).nome, MATHEUS.nome);
+
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: MATHEUS.nome }), { success: true });
+                assert.equal((await PacienteController.getPaciente(MATHEUS.cpf)).data_nasc.toFormat("dd/MM/yyyy"), "01/01/2000");
+            });
+
+            it("aplica as validações do cadastro sem alterar o paciente", async () => {
+                assert.deepEqual(await PacienteController.atualizarPaciente("24832111000", { nome: "Julia Souza" }), { success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO });
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Ana" }), { success: false, error: ErrorCodes.ERR_NOME_INVALIDO });
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { data_nasc: "31/02/2000" }), { success: false, error: ErrorCodes.ERR_DATA_PACIENTE_INVALIDA });
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { data_nasc: "01/01/2020" }), { success: false, error: ErrorCodes.ERR_IDADE_INSUFICIENTE });
+                assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: JUCAA.nome }), { success: false, error: ErrorCodes.ERR_NOME_DUPLICADO });
+
+                const paciente = await PacienteController.getPaciente(MATHEUS.cpf);
+                assert.equal(paciente.nome, MATHEUS.nome);
+                assert.equal(paciente.data_nasc.toFormat("dd/MM/yyyy"), MATHEUS.data_nasc);
+            });
+
+            it("não altera o paciente se a gravação falhar", async () => {
+                Paciente.prototype.save = async () => { throw new Error("banco indisponível"); };
+                try {
+                    assert.deepEqual(await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Silva" }), { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO });
+                } finally {
+                    delete Paciente.prototype.save;
+                }
+
+                assert.equal((await PacienteController.getPaciente(MATHEUS.cpf)).nome, MATHEUS.nome);
+            });
+        });
+
+        describe("importação e exportação em CSV", () => {
+            const CSV = [
+                "data_nasc;CPF;nome",
+                "10/12/1999;248.321.110-00;\"Souza; Julia\"",
+                "01/01/1990;12345678900;Fulano de Tal",
+                "01/01/1997;80802808000;joab",
+                "12/12/2020;87872194090;Menor de Idade",
+                "01/01/1980;24832111000;Julia Repetida",
+                `01/01/1980;${MATHEUS.cpf};Matheus Repetido`,
+                `01/01/1980;19086839703;${JUCAA.nome}`,
+            ].join("\r\n");
+
+            const ERROS_CSV = [
+                { linha: 3, cpf: "12345678900", error: ErrorCodes.ERR_CPF_INVALIDO },
+                { linha: 4, cpf: "80802808000", error: ErrorCodes.ERR_NOME_INVALIDO },
+                { linha: 5, cpf: "87872194090", error: ErrorCodes.ERR_IDADE_INSUFICIENTE },
+                { linha: 6, cpf: "24832111000", error: ErrorCodes.ERR_CPF_DUPLICADO },
+                { linha: 7, cpf: MATHEUS.cpf, error: ErrorCodes.ERR_CPF_DUPLICADO },
+                { linha: 8, cpf: "19086839703", error: ErrorCodes.ERR_NOME_DUPLICADO },
+            ];
+
+            it("simula a importação sem cadastrar ninguém", async () => {
+                assert.deepEqual(await PacienteController.importarPacientes(CSV, true), { success: true, total: 7, aceitos: 1, erros: ERROS_CSV });
+                assert.equal((await PacienteController.getPacientes()).length, 2);
+            });
+
+            it("importa as linhas válidas e relata as demais", async () => {
+                assert.deepEqual(await PacienteController.importarPacientes(CSV), { success: true, total: 7, aceitos: 1, erros: ERROS_CSV });
+
+                const julia = await PacienteController.getPaciente("24832111000");
+                assert.equal(julia.nome, "Souza; Julia");
+                assert.equal(julia.data_nasc.toFormat("dd/MM/yyyy"), "10/12/1999");
+            });
+
+            it("exige as colunas obrigatórias no cabeçalho", async () => {
+                assert.deepEqual(await PacienteController.importarPacientes("cpf,nome\r\n24832111000,Julia Souza"), { success: false, error: ErrorCodes.ERR_CSV_CABECALHO_INVALIDO });
+                assert.deepEqual(await PacienteController.importarPacientes(""), { success: false, error: ErrorCodes.ERR_CSV_CABECALHO_INVALIDO });
+            });
+
+            it("exporta no mesmo formato aceito pela importação", async () => {
+                const csv = await PacienteController.exportarPacientes();
+                assert.equal(csv, `cpf,nome,data_nasc\r\n${MATHEUS.cpf},${MATHEUS.nome},${MATHEUS.data_nasc}\r\n${JUCAA.cpf},${JUCAA.nome},${JUCAA.data_nasc}\r\n`);
+
+                await reiniciarBanco();
+                assert.deepEqual(await PacienteController.importarPacientes(csv), { success: true, total: 2, aceitos: 2, erros: [] });
+                assert.deepEqual((await PacienteController.getPacientes("nome")).map((p) => p.nome), [JUCAA.nome, MATHEUS.nome]);
+            });
+        });
+    });
+
+    describe("ConsultaController", () => {
+        const consulta = (cpf, id_profissional, hora_inicial, hora_final) =>
+            ({ cpf, id_profissional, data_consulta: "12/03/2030", hora_inicial, hora_final });
+
+        it("agenda uma consulta para paciente cadastrado", async () => {
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "0930")), { success: true });
+
+            const agendamentos = await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf);
+            assert.equal(agendamentos.consultas.length, 1);
+        });
+
+        it("não agenda para paciente não cadastrado", async () => {
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta("19086839703", ana.id, "0900", "0930")),
+                { success: false, error: ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO });
+        });
+
+        it("não permite uma segunda consulta futura para o mesmo paciente", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "0930"));
+
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, bruno.id, "1400", "1430")),
+                { success: false, error: ErrorCodes.ERR_PACIENTE_AGENDADO });
+        });
+
+        it("recusa a consulta se outra for agendada para o paciente durante o preenchimento", async () => {
+            ConsultaController.iniciarNovaConsulta();
+            assert.deepEqual(await ConsultaController.setCpf(MATHEUS.cpf), { success: true });
+            await ConsultaController.setProfissional(ana.id);
+            ConsultaController.setDataConsulta("12/03/2030");
+            ConsultaController.setHoraInicial("0900");
+            ConsultaController.setHoraFinal("0930");
+
+            await Consulta.create({ cpf_paciente: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "2030-03-13", hora_inicial: "09:00:00", hora_final: "09:30:00" });
+
+            assert.deepEqual(await ConsultaController.addConsulta(), { success: false, error: ErrorCodes.ERR_CONSULTA_DUPLA });
+        });
+
+        it("permite nova consulta depois que a anterior passou", async () => {
+            const hoje = (hora_inicial, hora_final) =>
+                ({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "11/03/2030", hora_inicial, hora_final });
+
+            assert.deepEqual(await ConsultaController.agendarConsulta(hoje("1030", "1100")), { success: true });
+
+            definirAgora("2030-03-11T10:45:00");
+            assert.deepEqual(await ConsultaController.agendarConsulta(hoje("1100", "1130")), { success: true });
+        });
+
+        it("não sobrepõe consultas do mesmo profissional", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, ana.id, "0930", "1030")),
+                { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+        });
+
+        it("permite o mesmo horário com profissionais diferentes", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, bruno.id, "0900", "1000")), { success: true });
+        });
+
+        it("recusa a consulta se o horário for ocupado durante o preenchimento", async () => {
+            ConsultaController.iniciarNovaConsulta();
+            await ConsultaController.setCpf(MATHEUS.cpf);
+            await ConsultaController.setProfissional(ana.id);
+            ConsultaController.setDataConsulta("12/03/2030");
+            ConsultaController.setHoraInicial("0900");
+            ConsultaController.setHoraFinal("0930");
+
+            await Consulta.create({ cpf_paciente: JUCAA.cpf, id_profissional: ana.id, data_consulta: "2030-03-12", hora_inicial: "09:15:00", hora_final: "09:45:00" });
+
+            assert.deepEqual(await ConsultaController.addConsulta(), { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+        });
+
+        it("o banco recusa consultas sobrepostas gravadas sem as verificações", async () => {
+            const gravar = (cpf_paciente, hora_inicial, hora_final, status = StatusConsulta.AGENDADA) =>
+                Consulta.create({ cpf_paciente, id_profissional: ana.id, data_consulta: "2030-03-12", hora_inicial, hora_final, status });
+
+            await gravar(MATHEUS.cpf, "09:00:00", "10:00:00");
+            await gravar(JUCAA.cpf, "10:00:00", "10:30:00");
+            await gravar(JUCAA.cpf, "09:30:00", "10:30:00", StatusConsulta.CANCELADA);
+
+            const erro = await gravar(JUCAA.cpf, "09:30:00", "10:30:00").catch((error) => error);
+            assert.deepEqual(ConsultaController.erroGravacao(erro), { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+
+            // Reativar uma consulta cancelada também passa pela restrição
+            const cancelada = await Consulta.findOne({ where: { status: StatusConsulta.CANCELADA } });
+            await assert.rejects(cancelada.update({ status: StatusConsulta.AGENDADA }));
+        });
+
+        it("exige um profissional cadastrado", async () => {
+            assert.deepEqual(await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, 99, "0900", "1000")),
+                { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO });
+        });
+
+        it("não cancela consulta inexistente ou passada", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+
+            assert.deepEqual(await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "1000"),
+                { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA });
+
+            definirAgora("2030-03-12T09:30:00");
+            assert.deepEqual(await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "0900"),
+                { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA });
+        });
+
+        describe("remarcação", () => {
+            const atual = { cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" };
+
+            beforeEach(async () => {
+                await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+            });
+
+            it("move a consulta mantendo um único agendamento", async () => {
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { data_consulta: "13/03/2030", hora_inicial: "1400", hora_final: "1500" }),
+                    { success: true, interessados: [] });
+
+                const { consultas } = await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf);
+                assert.deepEqual(consultas.map((c) => c.toJSON()), [
+                    { cpf_paciente: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "2030-03-13", hora_inicial: "14:00", hora_final: "15:00", status: StatusConsulta.AGENDADA },
+                ]);
+            });
+
+            it("ignora a própria consulta na verificação de sobreposição", async () => {
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { data_consulta: "12/03/2030", hora_inicial: "0930", hora_final: "1030" }),
+                    { success: true, interessados: [] });
+            });
+
+            it("não remarca para horário ocupado e mantém o original", async () => {
+                await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, ana.id, "1400", "1500"));
+
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { data_consulta: "12/03/2030", hora_inicial: "1430", hora_final: "1530" }),
+                    { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+
+                const { consultas } = await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf);
+                assert.equal(consultas[0].toJSON().hora_inicial, "09:00");
+            });
+
+            it("permite trocar de profissional", async () => {
+                await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, ana.id, "1400", "1500"));
+
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual,
+                    { id_profissional: bruno.id, data_consulta: "12/03/2030", hora_inicial: "1430", hora_final: "1530" }), { success: true, interessados: [] });
+            });
+
+            it("exige um profissional para remarcar consultas agendadas antes do cadastro de profissionais", async () => {
+                await Consulta.update({ id_profissional: null }, { where: { cpf_paciente: MATHEUS.cpf }, validate: false });
+                const nova = { data_consulta: "13/03/2030", hora_inicial: "1400", hora_final: "1500" };
+
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, nova), { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO });
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { ...nova, id_profissional: bruno.id }), { success: true, interessados: [] });
+
+                const { consultas } = await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf);
+                assert.equal(consultas[0].id_profissional, bruno.id);
+            });
+
+            it("aplica as regras de horário do agendamento", async () => {
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { data_consulta: "12/03/2030", hora_inicial: "1130", hora_final: "1330" }),
+                    { success: false, error: ErrorCodes.ERR_HORA_HORARIO_FECHADO });
+                assert.deepEqual(await ConsultaController.remarcarConsulta(atual, { data_consulta: "10/03/2030", hora_inicial: "0900", hora_final: "1000" }),
+                    { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR });
+            });
+
+            it("não encontra consulta inexistente", async () => {
+                assert.deepEqual(await ConsultaController.remarcarConsulta({ ...atual, hora_inicial: "1000" },
+                    { data_consulta: "13/03/2030", hora_inicial: "1400", hora_final: "1500" }),
+                    { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA });
+            });
+        });
+
+        describe("situação da consulta", () => {
+            const atual = [MATHEUS.cpf, "12/03/2030", "0900"];
+
+            beforeEach(async () => {
+                await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+            });
+
+            it("mantém a consulta cancelada no histórico e libera o horário", async () => {
+                assert.deepEqual(await ConsultaController.removeConsulta(...atual), { success: true, interessados: [] });
+
+                const cancelada = await Consulta.findOne({ where: { cpf_paciente: MATHEUS.cpf } });
+                assert.equal(cancelada.status, StatusConsulta.CANCELADA);
+
+                assert.equal(await ConsultaController.hasAgendamentosFuturos(MATHEUS.cpf), false);
+                assert.equal((await ConsultaController.getConsultas()).length, 0);
+                assert.deepEqual(await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, ana.id, "0900", "1000")), { success: true });
+            });
+
+            it("não cancela duas vezes", async () => {
+                await ConsultaController.removeConsulta(...atual);
+                assert.deepEqual(await ConsultaController.removeConsulta(...atual), { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA });
+            });
+
+            it("confirma consultas futuras uma única vez", async () => {
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.CONFIRMADA), { success: true });
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.CONFIRMADA),
+                    { success: false, error: ErrorCodes.ERR_STATUS_INVALIDO });
+                assert.equal(await ConsultaController.hasAgendamentosFuturos(MATHEUS.cpf), true);
+            });
+
+            it("registra comparecimento apenas depois do início da consulta", async () => {
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.REALIZADA),
+                    { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_INICIADA });
+
+                definirAgora("2030-03-12T09:05:00");
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.FALTOU), { success: true });
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.REALIZADA),
+                    { success: false, error: ErrorCodes.ERR_STATUS_INVALIDO });
+                assert.deepEqual(await ConsultaController.alterarStatus(...atual, StatusConsulta.CANCELADA),
+                    { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA });
+            });
+
+            it("não volta uma consulta para agendada nem aceita situações desconhecidas", async () => {
+                for (const status of [StatusConsulta.AGENDADA, "adiada", undefined])
+                    assert.deepEqual(await ConsultaController.alterarStatus(...atual, status), { success: false, error: ErrorCodes.ERR_STATUS_INVALIDO });
+            });
+
+            it("volta para agendada ao remarcar uma consulta confirmada", async () => {
+                await ConsultaController.alterarStatus(...atual, StatusConsulta.CONFIRMADA);
+                await ConsultaController.remarcarConsulta({ cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" },
+                    { data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "1000" });
+
+                const { consultas } = await ConsultaController.getAgendamentosFuturos(MATHEUS.cpf);
+                assert.equal(consultas[0].status, StatusConsulta.AGENDADA);
+            });
+        });
+
+        describe("horários livres", () => {
+            const livres = async (busca) => (await ConsultaController.getHorariosLivres({ id_profissional: ana.id, ...busca })).horarios;
+
+            it("valida a duração e o profissional", async () => {
+                for (const duracao of ["", "0", "20", "abc", -15])
+                    assert.deepEqual(await ConsultaController.getHorariosLivres({ duracao, id_profissional: ana.id }),
+                        { success: false, error: ErrorCodes.ERR_DURACAO_INVALIDA });
+
+                assert.deepEqual(await ConsultaController.getHorariosLivres({ duracao: 30, id_profissional: 99 }),
+                    { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO });
+            });
+
+            it("começa no próximo horário de hoje e respeita o almoço", async () => {
+                const horarios = await livres({ duracao: 60, limite: 4 });
+                assert.deepEqual(horarios.map((h) => `${h.data_consulta} ${h.hora_inicial}-${h.hora_final}`), [
+                    "11/03/2030 1000-1100", "11/03/2030 1015-1115", "11/03/2030 1030-1130", "11/03/2030 1045-1145",
+                ]);
+
+                const depois_das_onze = (await livres({ duracao: 60, data_inicial: "12/03/2030", data_final: "12/03/2030", limite: 100 }))
+                    .map((h) => h.hora_inicial);
+                assert.equal(depois_das_onze.includes("1100"), true);
+                assert.equal(depois_das_onze.includes("1115"), false);
+                assert.equal(depois_das_onze.includes("1300"), true);
+                assert.equal(depois_das_onze.at(-1), "1800");
+            });
+
+            it("pula os horários ocupados do profissional, mas não os de outros", async () => {
+                await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0800", "0900"));
+                await ConsultaController.agendarConsulta(consulta(JUCAA.cpf, bruno.id, "0900", "1000"));
+
+                const horarios = await livres({ duracao: 30, data_inicial: "12/03/2030", limite: 2 });
+                assert.deepEqual(horarios.map((h) => h.hora_inicial), ["0900", "0915"]);
+            });
+
+            it("volta a oferecer horários de consultas canceladas", async () => {
+                await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0800", "0900"));
+                await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "0800");
+
+                const horarios = await livres({ duracao: 30, data_inicial: "12/03/2030", limite: 1 });
+                assert.equal(horarios[0].hora_inicial, "0800");
+            });
+
+            it("ignora dias fechados", async () => {
+                const horarios = await livres({ duracao: 15, data_inicial: "17/03/2030", data_final: "17/03/2030" });
+                assert.deepEqual(horarios, []);
+            });
+
+            it("oferece horários aceitos pelo agendamento", async () => {
+                const [horario] = await livres({ duracao: 45, data_inicial: "16/03/2030", limite: 1 });
+                assert.deepEqual(await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, ...horario }), { success: true });
+            });
+        });
+
+        it("filtra a agenda por período e por profissional", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "14/03/2030", hora_inicial: "0900", hora_final: "1000" });
+
+            assert.equal((await ConsultaController.getConsultas()).length, 2);
+            assert.equal((await ConsultaController.getConsultas(bruno.id)).length, 1);
+            assert.equal((await ConsultaController.getConsultasPeriodo("12/03/2030", "13/03/2030")).length, 1);
+            assert.equal((await ConsultaController.getConsultasPeriodo("12/03/2030", "14/03/2030", ana.id)).length, 1);
+        });
+
+        it("exporta a agenda em iCalendar com UID estável por consulta", async () => {
+            await ConsultaController.agendarConsulta(consulta(MATHEUS.cpf, ana.id, "0900", "1000"));
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "14/03/2030", hora_inicial: "0900", hora_final: "1000" });
+            const [primeira] = await ConsultaController.getConsultas();
+
+            const agenda = await ConsultaController.exportarConsultas();
+            assert.equal(agenda.match(/BEGIN:VEVENT/g).length, 2);
+            assert.ok(agenda.includes(`UID:consulta-${primeira.id}@consultorio-odontologico\r\n`));
+            assert.ok(agenda.includes(`SUMMARY:Consulta: ${MATHEUS.nome}\r\n`));
+            assert.ok(agenda.includes("STATUS:TENTATIVE\r\n"));
+
+            definirAgora("2030-03-11T11:00:00");
+            assert.equal((await ConsultaController.exportarConsultas()).replace(/DTSTAMP:.*\r\n/g, ""), agenda.replace(/DTSTAMP:.*\r\n/g, ""));
+
+            const periodo = await ConsultaController.exportarConsultasPeriodo("14/03/2030", "14/03/2030", bruno.id);
+            assert.equal(periodo.match(/BEGIN:VEVENT/g).length, 1);
+            assert.ok(periodo.includes(`SUMMARY:Consulta: ${JUCAA.nome}\r\n`));
+        });
+    });
+
+    describe("SerieController", () => {
+        const serie = (dados = {}) => ({
+            cpf: MATHEUS.cpf, id_profissional: ana.id, data_inicial: "12/03/2030", hora_inicial: "0900", hora_final: "0930",
+            intervalo_dias: 21, ocorrencias: 3, ...dados,
+        });
+
+        it("agenda todas as ocorrências a cada intervalo", async () => {
+            const resultado = await SerieController.agendarSerie(serie());
+            assert.equal(resultado.success, true);
+            assert.deepEqual(resultado.ocorrencias, [{ data_consulta: "12/03/2030" }, { data_consulta: "02/04/2030" }, { data_consulta: "23/04/2030" }]);
+
+            const consultas = await Consulta.findAll({ where: { cpf_paciente: MATHEUS.cpf }, order: [["data_consulta", "ASC"]] });
+            assert.deepEqual(consultas.map((c) => [c.toJSON().data_consulta, c.id_serie]),
+                [["2030-03-12", resultado.serie.id], ["2030-04-02", resultado.serie.id], ["2030-04-23", resultado.serie.id]]);
+        });
+
+        it("termina a série pela data final", async () => {
+            const resultado = await SerieController.agendarSerie(serie({ ocorrencias: null, data_final: "22/04/2030" }));
+            assert.deepEqual(resultado.ocorrencias.map((o) => o.data_consulta), ["12/03/2030", "02/04/2030"]);
+            assert.equal(resultado.serie.ocorrencias, 2);
+        });
+
+        it("exige apenas um critério de término e limita o intervalo e a quantidade", async () => {
+            assert.deepEqual(await SerieController.agendarSerie(serie({ data_final: "22/04/2030" })),
+                { success: false, error: ErrorCodes.ERR_OCORRENCIAS_SERIE_INVALIDAS });
+            assert.deepEqual(await SerieController.agendarSerie(serie({ ocorrencias: 61 })),
+                { success: false, error: ErrorCodes.ERR_OCORRENCIAS_SERIE_INVALIDAS });
+            assert.deepEqual(await SerieController.agendarSerie(serie({ intervalo_dias: 0 })),
+                { success: false, error: ErrorCodes.ERR_INTERVALO_SERIE_INVALIDO });
+        });
+
+        it("relata os conflitos de cada ocorrência sem salvar nenhuma", async () => {
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: ana.id, data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "1000" });
+
+            const resultado = await SerieController.agendarSerie(serie({ intervalo_dias: 1, ocorrencias: 6 }));
+            assert.equal(resultado.error, ErrorCodes.ERR_SERIE_CONFLITO);
+            assert.deepEqual(resultado.ocorrencias.filter((o) => o.error), [
+                { data_consulta: "13/03/2030", error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA },
+                { data_consulta: "17/03/2030", error: ErrorCodes.ERR_DATA_CONSULTA_FECHADA },
+            ]);
+
+            assert.equal(await Consulta.count({ where: { cpf_paciente: MATHEUS.cpf } }), 0);
+        });
+
+        it("simula a série sem salvar", async () => {
+            assert.equal((await SerieController.agendarSerie(serie(), true)).success, true);
+            assert.equal(await Consulta.count(), 0);
+        });
+
+        it("permite uma consulta avulsa junto da série, mas não no mesmo horário", async () => {
+            await SerieController.agendarSerie(serie());
+
+            assert.deepEqual(await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "14/03/2030", hora_inicial: "1400", hora_final: "1430" }),
+                { success: true });
+
+            const sobreposta = await SerieController.agendarSerie(serie({ id_profissional: bruno.id, data_inicial: "14/03/2030", hora_inicial: "1400", hora_final: "1430" }));
+            assert.deepEqual(sobreposta.ocorrencias[0], { data_consulta: "14/03/2030", error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+        });
+
+        it("não agenda nem remarca uma consulta avulsa do paciente no horário de uma ocorrência, mesmo com outro profissional", async () => {
+            await SerieController.agendarSerie(serie());
+
+            assert.deepEqual(await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "02/04/2030", hora_inicial: "0915", hora_final: "0945" }),
+                { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+
+            assert.deepEqual(await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "14/03/2030", hora_inicial: "0900", hora_final: "0930" }),
+                { success: true });
+            assert.deepEqual(await ConsultaController.remarcarConsulta({ cpf: MATHEUS.cpf, data_consulta: "14/03/2030", hora_inicial: "0900" },
+                { data_consulta: "23/04/2030", hora_inicial: "0900", hora_final: "0930" }), { success: false, error: ErrorCodes.ERR_CONSULTA_SOBREPOSTA });
+        });
+
+        it("cancela uma ocorrência ou todas as futuras", async () => {
+            const { serie: criada } = await SerieController.agendarSerie(serie());
+
+            assert.deepEqual(await ConsultaController.removeConsulta(MATHEUS.cpf, "02/04/2030", "0900"), { success: true, interessados: [] });
+            assert.equal((await SerieController.getOcorrenciasFuturas(criada.id)).length, 2);
+
+            definirAgora("2030-03-12T10:00:00");
+            assert.deepEqual(await SerieController.cancelarSerie(JUCAA.cpf, criada.id), { success: false, error: ErrorCodes.ERR_SERIE_NAO_ENCONTRADA });
+            assert.deepEqual(await SerieController.cancelarSerie(MATHEUS.cpf, criada.id), { success: true, canceladas: 1, interessados: [] });
+
+            const consultas = await Consulta.findAll({ where: { id_serie: criada.id }, order: [["data_consulta", "ASC"]] });
+            assert.deepEqual(consultas.map((c) => c.status), [StatusConsulta.AGENDADA, StatusConsulta.CANCELADA, StatusConsulta.CANCELADA]);
+        });
+    });
+
+    describe("EsperaController", () => {
+        const CARLA = { cpf: "19086839703", nome: "Carla Dias", data_nasc: "05/05/1990" };
+        const pedido = (cpf, dados = {}) => ({
+            cpf, id_profissional: "", data_inicial: "12/03/2030", data_final: "14/03/2030", hora_inicial: "0800", hora_final: "1200", duracao: 30, ...dados,
+        });
+        const cancelar = async (cpf, data_consulta, hora_inicial) => {
+            const { consulta } = await ConsultaController.getConsultaFutura(cpf, data_consulta, hora_inicial);
+            assert.equal((await ConsultaController.removeConsulta(cpf, data_consulta, hora_inicial)).success, true);
+            return consulta;
+        };
+
+        beforeEach(async () => {
+            await PacienteController.cadastrarPaciente(CARLA);
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "1000" });
+        });
+
+        it("valida o período, o profissional e a faixa de horário", async () => {
+            assert.deepEqual(await EsperaController.addEspera(pedido(JUCAA.cpf, { hora_final: "0815" })), { success: false, error: ErrorCodes.ERR_FAIXA_ESPERA_CURTA });
+            assert.deepEqual(await EsperaController.addEspera(pedido(JUCAA.cpf, { hora_final: "0700" })), { success: false, error: ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL });
+            assert.deepEqual(await EsperaController.addEspera(pedido(JUCAA.cpf, { id_profissional: 99 })), { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO });
+            assert.deepEqual(await EsperaController.addEspera(pedido(JUCAA.cpf, { data_inicial: "01/03/2030", data_final: "10/03/2030" })),
+                { success: false, error: ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR });
+        });
+
+        it("lista por ordem de chegada quem aceita o horário cancelado, com o horário a oferecer", async () => {
+            await EsperaController.addEspera(pedido(JUCAA.cpf, { hora_inicial: "0930" }));
+            definirAgora("2030-03-11T10:05:00");
+            await EsperaController.addEspera(pedido(CARLA.cpf, { id_profissional: ana.id, duracao: 60 }));
+
+            const interessados = await EsperaController.getInteressados(await cancelar(MATHEUS.cpf, "12/03/2030", "0900"));
+            assert.deepEqual(interessados.map((i) => [i.espera.cpf_paciente, i.data_consulta, i.hora_inicial, i.hora_final]), [
+                [JUCAA.cpf, "12/03/2030", "0930", "1000"],
+                [CARLA.cpf, "12/03/2030", "0900", "1000"],
+            ]);
+        });
+
+        it("devolve os interessados no cancelamento e na remarcação", async () => {
+            await EsperaController.addEspera(pedido(JUCAA.cpf));
+            await ConsultaController.agendarConsulta({ cpf: CARLA.cpf, id_profissional: ana.id, data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "0930" });
+
+            const cancelamento = await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "0900");
+            assert.deepEqual(cancelamento.interessados.map((i) => [i.espera.cpf_paciente, i.data_consulta, i.hora_inicial, i.hora_final]), [
+                [JUCAA.cpf, "12/03/2030", "0900", "0930"],
+            ]);
+
+            const remarcacao = await ConsultaController.remarcarConsulta({ cpf: CARLA.cpf, data_consulta: "13/03/2030", hora_inicial: "0900" },
+                { data_consulta: "14/03/2030", hora_inicial: "1400", hora_final: "1430" });
+            assert.deepEqual(remarcacao.interessados.map((i) => [i.espera.cpf_paciente, i.data_consulta, i.hora_inicial, i.hora_final]), [
+                [JUCAA.cpf, "13/03/2030", "0900", "0930"],
+            ]);
+            assert.match(EsperaController.formatarInteressados(remarcacao.interessados), /71089185014 .* 13\/03\/2030 09:00 {2}09:30/);
+        });
+
+        it("ignora pedidos de outro profissional, de outro período ou que não cabem no horário", async () => {
+            await EsperaController.addEspera(pedido(JUCAA.cpf, { id_profissional: bruno.id }));
+            await EsperaController.addEspera(pedido(JUCAA.cpf, { data_inicial: "13/03/2030" }));
+            await EsperaController.addEspera(pedido(CARLA.cpf, { duracao: 90 }));
+            await EsperaController.addEspera(pedido(MATHEUS.cpf));
+
+            assert.deepEqual(await EsperaController.getInteressados(await cancelar(MATHEUS.cpf, "12/03/2030", "0900")), []);
+        });
+
+        it("confirma o agendamento já gravado mesmo se a lista de espera falhar", async () => {
+            EsperaController.removeAtendidas = async () => { throw new Error("banco indisponível"); };
+            try {
+                assert.deepEqual(await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "13/03/2030", hora_inicial: "1000", hora_final: "1030" }),
+                    { success: true });
+            } finally {
+                delete EsperaController.removeAtendidas;
+            }
+
+            assert.equal((await ConsultaController.getAgendamentosFuturos(JUCAA.cpf)).consultas.length, 1);
+        });
+
+        it("retira o paciente da lista quando ele é agendado dentro do pedido", async () => {
+            await EsperaController.addEspera(pedido(JUCAA.cpf));
+            await EsperaController.addEspera(pedido(JUCAA.cpf, { data_inicial: "20/03/2030", data_final: "21/03/2030" }));
+
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "13/03/2030", hora_inicial: "1000", hora_final: "1030" });
+
+            const esperas = await EsperaController.getEsperas(JUCAA.cpf);
+            assert.deepEqual(esperas.map((e) => e.toJSON().data_inicial), ["2030-03-20"]);
+        });
+
+        it("retira um pedido apenas do próprio paciente e esconde os vencidos", async () => {
+            const { espera } = await EsperaController.addEspera(pedido(JUCAA.cpf));
+
+            assert.deepEqual(await EsperaController.removeEspera(CARLA.cpf, espera.id), { success: false, error: ErrorCodes.ERR_ESPERA_NAO_ENCONTRADA });
+
+            definirAgora("2030-03-15T08:00:00");
+            assert.deepEqual(await EsperaController.getEsperas(), []);
+            assert.deepEqual(await EsperaController.removeEspera(JUCAA.cpf, espera.id), { success: true });
+        });
+    });
+
+    describe("AuditoriaController", () => {
+        const consulta = { cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" };
+
+        it("registra cadastro, alteração e remoção do paciente com os valores antes e depois", async () => {
+            await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Souza" });
+            await PacienteController.removePaciente(MATHEUS.cpf);
+
+            const registros = await AuditoriaController.getRegistros({ cpf: MATHEUS.cpf });
+            assert.deepEqual(registros.map((registro) => registro.acao),
+                [AcaoAuditoria.PACIENTE_CADASTRADO, AcaoAuditoria.PACIENTE_ALTERADO, AcaoAuditoria.PACIENTE_REMOVIDO]);
+
+            const [cadastro, alteracao, remocao] = registros;
+            assert.equal(cadastro.antes, null);
+            assert.equal(cadastro.depois.nome, "Matheus");
+            assert.equal(alteracao.antes.nome, "Matheus");
+            assert.equal(alteracao.depois.nome, "Matheus Souza");
+            assert.equal(remocao.antes.nome, "Matheus Souza");
+            assert.equal(remocao.depois, null);
+        });
+
+        it("registra agendamento, remarcação e cancelamento da consulta", async () => {
+            await ConsultaController.agendarConsulta({ ...consulta, id_profissional: ana.id, hora_final: "0930" });
+            await ConsultaController.remarcarConsulta(consulta, { data_consulta: "13/03/2030", hora_inicial: "1000", hora_final: "1030" });
+            await ConsultaController.removeConsulta(MATHEUS.cpf, "13/03/2030", "1000");
+
+            const registros = (await AuditoriaController.getRegistros({ cpf: MATHEUS.cpf })).slice(1);
+            assert.deepEqual(registros.map((registro) => registro.acao),
+                [AcaoAuditoria.CONSULTA_AGENDADA, AcaoAuditoria.CONSULTA_REMARCADA, AcaoAuditoria.CONSULTA_CANCELADA]);
+
+            const [, remarcacao, cancelamento] = registros;
+            assert.equal(remarcacao.antes.hora_inicial, "09:00");
+            assert.equal(remarcacao.depois.hora_inicial, "10:00");
+            assert.equal(cancelamento.antes.status, StatusConsulta.AGENDADA);
+            assert.equal(cancelamento.depois.status, StatusConsulta.CANCELADA);
+
+            const listagem = await AuditoriaController.listarRegistros({ cpf: MATHEUS.cpf });
+            assert.ok(listagem.includes("Consulta cancelada"));
+            assert.ok(listagem.includes(`status: ${StatusConsulta.AGENDADA} => ${StatusConsulta.CANCELADA}`));
+        });
+
+        it("desfaz a alteração da consulta se o registro da auditoria falhar", async () => {
+            await ConsultaController.agendarConsulta({ ...consulta, id_profissional: ana.id, hora_final: "1000" });
+
+            Auditoria.create = async () => { throw new Error("banco indisponível"); };
+            try {
+                assert.deepEqual(await ConsultaController.removeConsulta(consulta.cpf, consulta.data_consulta, consulta.hora_inicial),
+                    { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO });
+                assert.equal((await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "1000" })).success, false);
+            } finally {
+                delete Auditoria.create;
+            }
+
+            assert.deepEqual((await Consulta.findAll()).map((c) => [c.cpf_paciente, c.status]), [[MATHEUS.cpf, StatusConsulta.AGENDADA]]);
+        });
+
+        it("identifica o operador de cada execução", async () => {
+            await Sessao.executarComo("recepcao", () => PacienteController.atualizarPaciente(JUCAA.cpf, { nome: "Jucaa Silva" }));
+            await Promise.all([
+                Sessao.executarComo("ana", () => PacienteController.atualizarPaciente(JUCAA.cpf, { data_nasc: "21/09/1999" })),
+                Sessao.executarComo("bruno", () => PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Souza" })),
+            ]);
+
+            const operadores = async (cpf) => (await AuditoriaController.getRegistros({ cpf })).slice(1).map((registro) => registro.operador);
+            assert.deepEqual(await operadores(JUCAA.cpf), ["recepcao", "ana"]);
+            assert.deepEqual(await operadores(MATHEUS.cpf), ["bruno"]);
+        });
+
+        it("filtra os registros por período", async () => {
+            definirAgora("2030-03-12T15:00:00");
+            await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Souza" });
+            definirAgora("2030-03-14T09:00:00");
+            await PacienteController.removePaciente(JUCAA.cpf);
+
+            const acoes = async (filtros) => (await AuditoriaController.getRegistros(filtros)).map((registro) => registro.acao);
+            assert.deepEqual(await acoes({ data_inicial: "12/03/2030", data_final: "13/03/2030" }), [AcaoAuditoria.PACIENTE_ALTERADO]);
+            assert.deepEqual(await acoes({ data_inicial: "14/03/2030" }), [AcaoAuditoria.PACIENTE_REMOVIDO]);
+            assert.equal((await acoes({ data_final: "11/03/2030" })).length, 2);
+        });
+
+        it("valida apenas o formato do CPF, já que pacientes removidos continuam no histórico", async () => {
+            assert.deepEqual(AuditoriaController.validaCpf("19086839703"), { success: true });
+            assert.deepEqual(AuditoriaController.validaCpf("12345678900"), { success: false, error: ErrorCodes.ERR_CPF_INVALIDO });
+        });
+    });
+
+    describe("OperadorController", () => {
+        beforeEach(async () => {
+            assert.equal((await OperadorController.addOperador("admin", "segredo123", PapelOperador.ADMIN)).success, true);
+            assert.equal((await OperadorController.addOperador("maria", "senhamaria", PapelOperador.RECEPCAO)).success, true);
+        });
+
+        afterEach(() => {
+            OperadorController.encerrarSessao();
+        });
+
+        it("valida login, senha e papel e não repete o login", async () => {
+            assert.deepEqual(await OperadorController.addOperador("Maria Silva", "senhamaria", PapelOperador.DENTISTA),
+                { success: false, error: ErrorCodes.ERR_LOGIN_OPERADOR_INVALIDO });
+            assert.deepEqual(await OperadorController.addOperador("joao", "curta", PapelOperador.DENTISTA),
+                { success: false, error: ErrorCodes.ERR_SENHA_INVALIDA });
+            assert.deepEqual(await OperadorController.addOperador("joao", "senhajoao", "gerente"),
+                { success: false, error: ErrorCodes.ERR_PAPEL_INVALIDO });
+            assert.deepEqual(await OperadorController.addOperador("maria", "outrasenha", PapelOperador.DENTISTA),
+                { success: false, error: ErrorCodes.ERR_OPERADOR_DUPLICADO });
+        });
+
+        it("entra com a senha correta e passa a registrar as alterações em nome do operador", async () => {
+            assert.deepEqual(await OperadorController.autenticar("maria", "senhaerrada"), { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS });
+            assert.deepEqual(await OperadorController.autenticar("joao", "senhamaria"), { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS });
+            assert.equal((await OperadorController.autenticar("maria", "senhamaria")).success, true);
+
+            assert.equal(Sessao.operador, "maria");
+            assert.equal(Sessao.papel, PapelOperador.RECEPCAO);
+
+            await PacienteController.atualizarPaciente(MATHEUS.cpf, { nome: "Matheus Souza" });
+            const [, alteracao] = await AuditoriaController.getRegistros({ cpf: MATHEUS.cpf });
+            assert.equal(alteracao.operador, "maria");
+
+            OperadorController.encerrarSessao();
+            assert.equal(Sessao.papel, null);
+        });
+
+        it("libera as opções de acordo com o papel", async () => {
+            assert.equal(OperadorController.temPermissao(Permissao.EXCLUIR_PACIENTE), false);
+
+            await OperadorController.autenticar("maria", "senhamaria");
+            assert.equal(OperadorController.temPermissao(Permissao.AGENDAR_CONSULTA), true);
+            assert.equal(OperadorController.temPermissao(Permissao.EXCLUIR_PACIENTE), false);
+
+            await OperadorController.autenticar("admin", "segredo123");
+            assert.equal(OperadorController.temPermissao(Permissao.EXCLUIR_PACIENTE), true);
+            assert.equal(OperadorController.temPermissao(Permissao.GERENCIAR_OPERADORES), true);
+        });
+
+        it("não deixa o sistema sem administrador ativo", async () => {
+            assert.deepEqual(await OperadorController.alterarPapel("admin", PapelOperador.DENTISTA), { success: false, error: ErrorCodes.ERR_ULTIMO_ADMIN });
+            assert.deepEqual(await OperadorController.desativarOperador("admin"), { success: false, error: ErrorCodes.ERR_ULTIMO_ADMIN });
+
+            assert.deepEqual(await OperadorController.alterarPapel("maria", PapelOperador.ADMIN), { success: true });
+            assert.deepEqual(await OperadorController.desativarOperador("admin"), { success: true });
+            assert.deepEqual(await OperadorController.autenticar("admin", "segredo123"), { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS });
+        });
+
+        it("altera a própria senha conferindo a atual", async () => {
+            await OperadorController.autenticar("maria", "senhamaria");
+
+            assert.deepEqual(await OperadorController.alterarSenha("senhaerrada", "novasenha1"), { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS });
+            assert.deepEqual(await OperadorController.alterarSenha("senhamaria", "novasenha1"), { success: true });
+            assert.equal((await OperadorController.autenticar("maria", "novasenha1")).success, true);
+            assert.equal((await OperadorController.autenticar("maria", "senhamaria")).success, false);
+        });
+
+        it("gera tokens de acesso à API sem alterar a sessão do terminal", async () => {
+            assert.deepEqual(await OperadorController.gerarToken("maria", "senhaerrada"), { success: false, error: ErrorCodes.ERR_CREDENCIAIS_INVALIDAS });
+
+            const { token } = await OperadorController.gerarToken("maria", "senhamaria");
+            assert.equal(Sessao.papel, null);
+            assert.equal((await OperadorController.getOperadorToken(token)).login, "maria");
+            assert.equal(await OperadorController.getOperadorToken("inventado"), null);
+
+            // Vence depois de 8 horas
+            definirAgora("2030-03-11T18:00:00");
+            assert.equal(await OperadorController.getOperadorToken(token), null);
+            definirAgora(AGORA_PADRAO);
+
+            // Perde o acesso ao ser revogado ou quando o operador é desativado
+            const { token: revogado } = await OperadorController.gerarToken("maria", "senhamaria");
+            OperadorController.revogarToken(revogado);
+            assert.equal(await OperadorController.getOperadorToken(revogado), null);
+
+            const { token: desativado } = await OperadorController.gerarToken("maria", "senhamaria");
+            await OperadorController.desativarOperador("maria");
+            assert.equal(await OperadorController.getOperadorToken(desativado), null);
+        });
+    });
+
+    describe("LembreteController", () => {
+        const CARLA = { cpf: "19086839703", nome: "Carla Dias", data_nasc: "05/05/1990" };
+        let pasta, tentativas;
+
+        beforeEach(async () => {
+            pasta = mkdtempSync(join(tmpdir(), "lembretes-"));
+            process.env.LEMBRETE_PASTA = pasta;
+
+            // Canal que recusa o primeiro envio de cada destinatário
+            tentativas = {};
+            registrarCanal("instavel", () => ({
+                destinatario: (paciente) => paciente.email,
+                enviar: async ({destinatario}) => {
+                    tentativas[destinatario] = (tentativas[destinatario] ?? 0) + 1;
+                    if(tentativas[destinatario] === 1)
+                        throw new Error("gateway indisponível");
+                },
+            }));
+
+            await PacienteController.atualizarPaciente(MATHEUS.cpf, { email: "matheus@exemplo.com" });
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+            await PacienteController.cadastrarPaciente({ ...CARLA, email: "carla@exemplo.com" });
+            await ConsultaController.agendarConsulta({ cpf: CARLA.cpf, id_profissional: ana.id, data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "0930" });
+        });
+
+        afterEach(() => {
+            delete process.env.LEMBRETE_PASTA;
+            rmSync(pasta, { recursive: true, force: true });
+        });
+
+        it("valida a antecedência e os canais", async () => {
+            for (const horas of ["0", "169", "1.5", "abc"])
+                assert.deepEqual(await LembreteController.enviarLembretes({ horas, canais: "arquivo" }), { success: false, error: ErrorCodes.ERR_ANTECEDENCIA_INVALIDA });
+
+            assert.deepEqual(await LembreteController.enviarLembretes({ horas: 24, canais: "pombo" }), { success: false, error: ErrorCodes.ERR_CANAL_DESCONHECIDO });
+            assert.deepEqual(await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo,sms" }), { success: false, error: ErrorCodes.ERR_CANAL_NAO_CONFIGURADO });
+        });
+
+        it("envia apenas as consultas dentro da antecedência, sem repetir os lembretes já enviados", async () => {
+            const resultado = await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" });
+            assert.equal(resultado.success, true);
+            assert.deepEqual(resultado.enviados.map((e) => [e.cpf_paciente, e.data_consulta, e.destinatario]), [[MATHEUS.cpf, "2030-03-12", "matheus@exemplo.com"]]);
+            assert.deepEqual(resultado.sem_contato.map((e) => e.cpf_paciente), [JUCAA.cpf]);
+
+            const [arquivo] = readdirSync(pasta);
+            const conteudo = readFileSync(join(pasta, arquivo), "utf-8");
+            assert.match(conteudo, /^Para: matheus@exemplo\.com\nAssunto: Lembrete de consulta em 12\/03\/2030 às 09:00\n/);
+            assert.match(conteudo, /Olá, Matheus! .* com Dra\. Ana Souza .* das 09:00 às 09:30\./);
+
+            const repetido = await LembreteController.enviarLembretes({ horas: 48, canais: "arquivo" });
+            assert.equal(repetido.repetidos, 1);
+            assert.deepEqual(repetido.enviados.map((e) => e.data_consulta), ["2030-03-13"]);
+            assert.equal(readdirSync(pasta).length, 2);
+        });
+
+        it("ignora consultas que já começaram ou foram canceladas", async () => {
+            assert.deepEqual(await ConsultaController.removeConsulta(MATHEUS.cpf, "12/03/2030", "0900"), { success: true, interessados: [] });
+            assert.deepEqual((await LembreteController.getConsultasParaLembrete(48)).map((c) => c.data_consulta.toISODate()), ["2030-03-12", "2030-03-13"]);
+
+            definirAgora("2030-03-12T09:00:00");
+            assert.deepEqual((await LembreteController.getConsultasParaLembrete(24)).map((c) => c.cpf_paciente), [CARLA.cpf]);
+        });
+
+        it("registra as falhas e tenta novamente apenas os lembretes que falharam", async () => {
+            const falha = await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo,instavel" });
+            assert.equal(falha.success, false);
+            assert.equal(falha.error, ErrorCodes.ERR_ENVIO_LEMBRETE);
+            assert.deepEqual(falha.enviados.map((e) => e.canal), ["arquivo"]);
+            assert.deepEqual(falha.falhas.map((e) => [e.canal, e.erro]), [["instavel", "gateway indisponível"]]);
+
+            const [consulta] = await LembreteController.getConsultasParaLembrete(24);
+            assert.deepEqual((await LembreteController.getLembretes(consulta.id)).map((l) => [l.canal, l.status]), [["arquivo", "enviado"], ["instavel", "falhou"]]);
+
+            const nova_tentativa = await LembreteController.enviarLembretes({ horas: 24, canais: ["arquivo", "instavel"] });
+            assert.equal(nova_tentativa.success, true);
+            assert.deepEqual(nova_tentativa.enviados.map((e) => e.canal), ["instavel"]);
+            assert.equal(nova_tentativa.repetidos, 1);
+            assert.equal(tentativas["matheus@exemplo.com"], 2);
+        });
+
+        it("envia um novo lembrete quando a consulta é remarcada", async () => {
+            await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" });
+
+            await ConsultaController.remarcarConsulta({ cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" },
+                { data_consulta: "12/03/2030", hora_inicial: "0800", hora_final: "0830" });
+
+            const reenvio = await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" });
+            assert.deepEqual([reenvio.enviados.map((e) => e.hora_inicial), reenvio.repetidos], [["08:00"], 0]);
+            assert.equal(readdirSync(pasta).length, 2);
+        });
+
+        it("tenta novamente os lembretes que ficaram pendentes além do tempo de reserva", async () => {
+            await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" });
+            await Lembrete.update({ status: StatusLembrete.PENDENTE }, { where: {} });
+
+            definirAgora("2030-03-11T10:20:00");
+            assert.equal((await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" })).repetidos, 1);
+
+            definirAgora("2030-03-11T10:40:00");
+            const nova_tentativa = await LembreteController.enviarLembretes({ horas: 24, canais: "arquivo" });
+            assert.deepEqual(nova_tentativa.enviados.map((e) => e.cpf_paciente), [MATHEUS.cpf]);
+            assert.deepEqual((await Lembrete.findAll()).map((l) => l.status), [StatusLembrete.ENVIADO]);
+        });
+
+        it("informa como falha o lembrete entregue cuja situação não foi gravada", async () => {
+            registrarCanal("sem_registro", () => ({
+                destinatario: (paciente) => paciente.email,
+                enviar: async () => {
+                    Lembrete.prototype.update = async () => { throw new Error("banco indisponível"); };
+                },
+            }));
+
+            try {
+                const resultado = await LembreteController.enviarLembretes({ horas: 24, canais: "sem_registro" });
+                assert.equal(resultado.error, ErrorCodes.ERR_ENVIO_LEMBRETE);
+                assert.deepEqual(resultado.falhas.map((e) => [e.canal, e.erro]), [["sem_registro", "banco indisponível"]]);
+            } finally {
+                delete Lembrete.prototype.update;
+            }
+
+            assert.deepEqual((await Lembrete.findAll()).map((l) => l.status), [StatusLembrete.PENDENTE]);
+        });
+    });
+
+    describe("ProntuarioController", () => {
+        const consulta = { cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" };
+        const abrir = () => ProntuarioController.abrirRegistro(consulta.cpf, consulta.data_consulta, consulta.hora_inicial);
+
+        beforeEach(async () => {
+            await ConsultaController.agendarConsulta({ ...consulta, id_profissional: ana.id, hora_final: "0930" });
+        });
+
+        it("só abre o registro depois do início da consulta, sem criá-lo", async () => {
+            assert.deepEqual(await abrir(), { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_INICIADA });
+
+            definirAgora("2030-03-12T09:10:00");
+            const abertura = await abrir();
+            assert.equal(abertura.success, true);
+            assert.equal(abertura.consulta.profissional.nome, "Dra. Ana Souza");
+            assert.equal(abertura.registro, null);
+        });
+
+        it("registra anotações, procedimentos e prescrições com auditoria", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const { cpf, data_consulta, hora_inicial } = consulta;
+
+            assert.equal((await ProntuarioController.salvarAnotacoes(cpf, data_consulta, hora_inicial, "  Dor no dente 36. ")).success, true);
+            await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, "Restauração em resina no dente 36");
+            await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, "Profilaxia");
+            const resultado = await Sessao.executarComo("ana", () =>
+                ProntuarioController.addPrescricao(cpf, data_consulta, hora_inicial, { medicamento: "Ibuprofeno 600 mg", posologia: "1 comprimido a cada 8 horas" }));
+
+            const registro = resultado.registro.toJSON();
+            assert.equal(registro.anotacoes, "Dor no dente 36.");
+            assert.deepEqual(registro.procedimentos.map((p) => p.descricao), ["Restauração em resina no dente 36", "Profilaxia"]);
+            assert.deepEqual(registro.prescricoes.map((p) => p.medicamento), ["Ibuprofeno 600 mg"]);
+            assert.equal(registro.operador, "ana");
+
+            const auditoria = (await AuditoriaController.getRegistros({ cpf })).filter((r) => r.acao === AcaoAuditoria.ATENDIMENTO_REGISTRADO);
+            assert.equal(auditoria.length, 4);
+            assert.equal(auditoria[0].antes, null);
+            assert.equal(auditoria[3].antes.prescricoes.length, 0);
+            assert.equal(auditoria[3].depois.prescricoes.length, 1);
+        });
+
+        it("valida os dados e remove apenas itens do próprio registro", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const { cpf, data_consulta, hora_inicial } = consulta;
+
+            assert.deepEqual(await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, "ab"), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_INVALIDO });
+            assert.deepEqual(await ProntuarioController.addPrescricao(cpf, data_consulta, hora_inicial, { medicamento: "Dipirona", posologia: "" }), { success: false, error: ErrorCodes.ERR_PRESCRICAO_INVALIDA });
+            assert.deepEqual(await ProntuarioController.salvarAnotacoes(cpf, data_consulta, hora_inicial, "x".repeat(4001)), { success: false, error: ErrorCodes.ERR_ANOTACOES_INVALIDAS });
+
+            // Uma remoção recusada não deixa registro vazio para trás
+            assert.deepEqual(await ProntuarioController.removeProcedimento(cpf, data_consulta, hora_inicial, 1), { success: false, error: ErrorCodes.ERR_ITEM_PRONTUARIO_NAO_ENCONTRADO });
+            assert.equal((await abrir()).registro, null);
+
+            const { registro } = await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, "Profilaxia");
+            const [procedimento] = registro.procedimentos;
+            assert.deepEqual(await ProntuarioController.removePrescricao(cpf, data_consulta, hora_inicial, procedimento.id), { success: false, error: ErrorCodes.ERR_ITEM_PRONTUARIO_NAO_ENCONTRADO });
+            assert.deepEqual(await ProntuarioController.removeProcedimento(cpf, data_consulta, hora_inicial, "abc"), { success: false, error: ErrorCodes.ERR_ITEM_PRONTUARIO_NAO_ENCONTRADO });
+
+            const remocao = await ProntuarioController.removeProcedimento(cpf, data_consulta, hora_inicial, procedimento.id);
+            assert.deepEqual(remocao.registro.procedimentos, []);
+        });
+
+        it("bloqueia o registro depois de encerrado o atendimento", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const { cpf, data_consulta, hora_inicial } = consulta;
+
+            await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, "Profilaxia");
+            assert.deepEqual(await ProntuarioController.encerrarAtendimento(cpf, data_consulta, hora_inicial), { success: true });
+
+            assert.deepEqual(await ProntuarioController.salvarAnotacoes(cpf, data_consulta, hora_inicial, "Retorno em 6 meses"), { success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO });
+            assert.deepEqual(await ProntuarioController.removeProcedimento(cpf, data_consulta, hora_inicial, 1), { success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO });
+        });
+
+        it("desfaz a alteração do prontuário se o registro da auditoria falhar", async () => {
+            definirAgora("2030-03-12T09:10:00");
+
+            Auditoria.create = async () => { throw new Error("banco indisponível"); };
+            try {
+                assert.deepEqual(await ProntuarioController.salvarAnotacoes(consulta.cpf, consulta.data_consulta, consulta.hora_inicial, "Dor no dente 36."),
+                    { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO });
+            } finally {
+                delete Auditoria.create;
+            }
+
+            assert.equal((await abrir()).registro, null);
+        });
+
+        it("confere de novo na gravação que o atendimento não foi encerrado depois da abertura", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const { cpf, data_consulta, hora_inicial } = consulta;
+
+            // A consulta é encontrada ainda aberta e encerrada por outro operador antes da gravação
+            const abertura = await ProntuarioController.getConsultaAberta(cpf, data_consulta, hora_inicial);
+            await ProntuarioController.encerrarAtendimento(cpf, data_consulta, hora_inicial);
+            ProntuarioController.getConsultaAberta = async () => abertura;
+
+            try {
+                assert.deepEqual(await ProntuarioController.salvarAnotacoes(cpf, data_consulta, hora_inicial, "Dor no dente 36."), { success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO });
+                assert.deepEqual(await OdontogramaController.registrarDente(cpf, data_consulta, hora_inicial, { dente: 36, estado: "carie" }),
+                    { success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO });
+            } finally {
+                delete ProntuarioController.getConsultaAberta;
+            }
+
+            assert.equal((await ProntuarioController.getHistorico(cpf))[0].registro, null);
+            assert.deepEqual(await OdontogramaController.getHistoricoDente(cpf, 36), []);
+        });
+
+        it("lista o histórico em ordem cronológica, sem consultas canceladas ou que ainda não começaram", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            await ProntuarioController.salvarAnotacoes(consulta.cpf, consulta.data_consulta, consulta.hora_inicial, "Dor no dente 36.");
+            await ProntuarioController.encerrarAtendimento(consulta.cpf, consulta.data_consulta, consulta.hora_inicial);
+
+            definirAgora("2030-03-12T10:00:00");
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "0930" });
+            await ConsultaController.removeConsulta(MATHEUS.cpf, "13/03/2030", "0900");
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: bruno.id, data_consulta: "13/03/2030", hora_inicial: "1000", hora_final: "1030" });
+
+            definirAgora("2030-03-13T09:30:00");
+            assert.deepEqual((await ProntuarioController.getHistorico(MATHEUS.cpf)).map((c) => c.data_consulta.toISODate()), ["2030-03-12"]);
+
+            definirAgora("2030-03-13T10:10:00");
+            const historico = await ProntuarioController.getHistorico(MATHEUS.cpf);
+            assert.deepEqual(historico.map((c) => [c.data_consulta.toISODate(), c.profissional.nome]), [["2030-03-12", "Dra. Ana Souza"], ["2030-03-13", "Dr. Bruno Lima"]]);
+            assert.equal(historico[1].registro, null);
+
+            const listagem = await ProntuarioController.listarHistorico(MATHEUS.cpf);
+            assert.ok(listagem.indexOf("12/03/2030") < listagem.indexOf("13/03/2030"));
+            assert.ok(listagem.includes("Dor no dente 36."));
+            assert.equal(await ProntuarioController.listarHistorico(JUCAA.cpf), "Nenhum atendimento no histórico do paciente.");
+        });
+    });
+
+    describe("OdontogramaController", () => {
+        const consulta = { cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" };
+        const registrar = (alteracao, { cpf, data_consulta, hora_inicial } = consulta) =>
+            OdontogramaController.registrarDente(cpf, data_consulta, hora_inicial, alteracao);
+
+        beforeEach(async () => {
+            await ConsultaController.agendarConsulta({ ...consulta, id_profissional: ana.id, hora_final: "0930" });
+        });
+
+        it("desfaz a alteração do dente se o registro da auditoria falhar", async () => {
+            definirAgora("2030-03-12T09:10:00");
+
+            Auditoria.create = async () => { throw new Error("banco indisponível"); };
+            try {
+                assert.deepEqual(await registrar({ dente: 36, estado: "carie" }), { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO });
+            } finally {
+                delete Auditoria.create;
+            }
+
+            assert.deepEqual(await OdontogramaController.getHistoricoDente(MATHEUS.cpf, 36), []);
+        });
+
+        it("valida os dentes pela numeração FDI", () => {
+            for (const dente of ["11", "18", "48", 36, "51", "55", "85"])
+                assert.deepEqual(OdontogramaController.validaDente(dente), { success: true });
+
+            for (const dente of ["10", "19", "49", "56", "86", "91", "3", "361", "", null])
+                assert.deepEqual(OdontogramaController.validaDente(dente), { success: false, error: ErrorCodes.ERR_DENTE_INVALIDO });
+        });
+
+        it("registra os dentes apenas durante o atendimento", async () => {
+            assert.deepEqual(await registrar({ dente: 36, estado: "carie" }), { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_INICIADA });
+
+            definirAgora("2030-03-12T09:10:00");
+            assert.deepEqual(await registrar({ dente: 36, estado: "quebrado" }), { success: false, error: ErrorCodes.ERR_ESTADO_DENTE_INVALIDO });
+            assert.deepEqual(await registrar({ dente: 36, estado: "carie", observacao: "x".repeat(201) }), { success: false, error: ErrorCodes.ERR_OBSERVACAO_DENTE_INVALIDA });
+            assert.equal((await registrar({ dente: 36, estado: "carie" })).success, true);
+
+            await ProntuarioController.encerrarAtendimento(consulta.cpf, consulta.data_consulta, consulta.hora_inicial);
+            assert.deepEqual(await registrar({ dente: 36, estado: "restauracao" }), { success: false, error: ErrorCodes.ERR_PRONTUARIO_BLOQUEADO });
+        });
+
+        it("mantém o estado mais recente de cada dente e o histórico por consulta", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            await registrar({ dente: 36, estado: "carie", observacao: " face oclusal " });
+            await registrar({ dente: 11, estado: "fratura" });
+            await ProntuarioController.encerrarAtendimento(consulta.cpf, consulta.data_consulta, consulta.hora_inicial);
+
+            const retorno = { cpf: MATHEUS.cpf, data_consulta: "19/03/2030", hora_inicial: "0900" };
+            await ConsultaController.agendarConsulta({ ...retorno, id_profissional: ana.id, hora_final: "0930" });
+            definirAgora("2030-03-19T09:15:00");
+            await registrar({ dente: 36, estado: "restauracao" }, retorno);
+
+            const odontograma = (await OdontogramaController.getOdontograma(MATHEUS.cpf)).map((r) => r.toJSON());
+            assert.deepEqual(odontograma.map((r) => [r.dente, r.estado, r.data_consulta]), [[11, "fratura", "2030-03-12"], [36, "restauracao", "2030-03-19"]]);
+
+            const historico = await OdontogramaController.getHistoricoDente(MATHEUS.cpf, "36");
+            assert.deepEqual(historico.map((r) => [r.estado, r.observacao]), [["carie", "face oclusal"], ["restauracao", null]]);
+
+            const auditoria = (await AuditoriaController.getRegistros({ cpf: MATHEUS.cpf })).filter((r) => r.acao === AcaoAuditoria.ODONTOGRAMA_ALTERADO);
+            assert.deepEqual(auditoria.map((r) => [r.antes?.estado ?? null, r.depois.estado]), [[null, "carie"], [null, "fratura"], ["carie", "restauracao"]]);
+        });
+
+        it("desenha o odontograma em modo texto", async () => {
+            const paciente = await PacienteController.getPaciente(MATHEUS.cpf);
+            const vazio = OdontogramaController.formatarOdontograma(paciente, []);
+            assert.ok(vazio.includes("18 17 16 15 14 13 12 11 | 21 22 23 24 25 26 27 28"));
+            assert.ok(vazio.includes("48 47 46 45 44 43 42 41 | 31 32 33 34 35 36 37 38"));
+            assert.ok(!vazio.includes("55 54 53 52 51"));
+            assert.ok(vazio.endsWith("Todos os dentes hígidos."));
+
+            definirAgora("2030-03-12T09:10:00");
+            await registrar({ dente: 16, estado: "canal" });
+            await registrar({ dente: 75, estado: "extraido" });
+
+            const linhas = OdontogramaController.formatarOdontograma(paciente, await OdontogramaController.getOdontograma(MATHEUS.cpf)).split("\n");
+            assert.equal(linhas[3], "  .. .. Tc .. .. .. .. .. | .. .. .. .. .. .. .. ..");
+            assert.ok(linhas.includes("  55 54 53 52 51 | 61 62 63 64 65"));
+            assert.ok(linhas.includes("  .. .. .. .. .. | .. .. .. .. Ex"));
+            assert.ok(linhas.includes("  75 Extraído - 12/03/2030"));
+        });
+    });
+
+    describe("ProcedimentoController", () => {
+        it("cadastra e altera os procedimentos da tabela de preços", async () => {
+            const { procedimento } = await ProcedimentoController.addProcedimento(" Limpeza ", "150,00");
+            assert.deepEqual(procedimento.toJSON(), { id: procedimento.id, nome: "Limpeza", preco: 15000, ativo: true });
+
+            assert.deepEqual(await ProcedimentoController.addProcedimento("Limpeza", "90"), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_DUPLICADO });
+            assert.deepEqual(await ProcedimentoController.addProcedimento("Rx", "90"), { success: false, error: ErrorCodes.ERR_NOME_PROCEDIMENTO_INVALIDO });
+            assert.deepEqual(await ProcedimentoController.addProcedimento("Restauração", "-90"), { success: false, error: ErrorCodes.ERR_VALOR_INVALIDO });
+
+            await ProcedimentoController.addProcedimento("Restauração", "220.5");
+            assert.deepEqual(await ProcedimentoController.alterarProcedimento(procedimento.id, { nome: "Restauração" }), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_DUPLICADO });
+            assert.deepEqual(await ProcedimentoController.alterarProcedimento(999, { ativo: false }), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO });
+            assert.equal((await ProcedimentoController.alterarProcedimento(procedimento.id, { preco: "180", ativo: false })).success, true);
+
+            assert.deepEqual((await ProcedimentoController.getProcedimentos()).map((p) => [p.nome, p.preco]), [["Restauração", 22050]]);
+            assert.deepEqual((await ProcedimentoController.getProcedimentos({ incluir_inativos: true })).map((p) => [p.nome, p.preco]), [["Limpeza", 18000], ["Restauração", 22050]]);
+
+            const tabela = await ProcedimentoController.listarProcedimentos({ incluir_inativos: true });
+            assert.ok(tabela.includes("Limpeza"));
+            assert.ok(tabela.includes("R$ 180,00 (desativado)"));
+        });
+    });
+
+    describe("FinanceiroController", () => {
+        const consulta = { cpf: MATHEUS.cpf, data_consulta: "12/03/2030", hora_inicial: "0900" };
+        const { cpf, data_consulta, hora_inicial } = consulta;
+        let limpeza, restauracao;
+
+        beforeEach(async () => {
+            await ConsultaController.agendarConsulta({ ...consulta, id_profissional: ana.id, hora_final: "0930" });
+            limpeza     = (await ProcedimentoController.addProcedimento("Limpeza", "150")).procedimento;
+            restauracao = (await ProcedimentoController.addProcedimento("Restauração", "220,50")).procedimento;
+        });
+
+        it("lança cobranças apenas a partir do início de uma consulta em que o paciente compareceu", async () => {
+            assert.deepEqual(await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id), { success: false, error: ErrorCodes.ERR_CONSULTA_NAO_INICIADA });
+
+            definirAgora("2030-03-12T09:10:00");
+            assert.deepEqual(await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, 999), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO });
+
+            await ProcedimentoController.alterarProcedimento(restauracao.id, { ativo: false });
+            assert.deepEqual(await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, restauracao.id), { success: false, error: ErrorCodes.ERR_PROCEDIMENTO_INATIVO });
+
+            const { cobranca } = await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id);
+            assert.deepEqual([cobranca.descricao, cobranca.valor], ["Limpeza", 15000]);
+
+            // O novo preço não altera a cobrança já lançada
+            await ProcedimentoController.alterarProcedimento(limpeza.id, { preco: "200" });
+            assert.equal(await FinanceiroController.getSaldo(cpf), 15000);
+
+            const auditoria = (await AuditoriaController.getRegistros({ cpf })).filter((r) => r.acao === AcaoAuditoria.COBRANCA_LANCADA);
+            assert.equal(auditoria.length, 1);
+
+            await ConsultaController.alterarStatus(cpf, data_consulta, hora_inicial, StatusConsulta.FALTOU);
+            assert.deepEqual(await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id), { success: false, error: ErrorCodes.ERR_CONSULTA_SEM_ATENDIMENTO });
+        });
+
+        it("registra pagamentos parciais e parcelados sem ultrapassar o saldo da consulta", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id);
+            await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, restauracao.id);
+
+            const pagar = (pagamento) => FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, pagamento);
+            assert.deepEqual(await pagar({ valor: "100", forma: "cheque" }), { success: false, error: ErrorCodes.ERR_FORMA_PAGAMENTO_INVALIDA });
+            assert.deepEqual(await pagar({ valor: "100", forma: "pix", parcelas: 2 }), { success: false, error: ErrorCodes.ERR_PARCELAS_INVALIDAS });
+            assert.deepEqual(await pagar({ valor: "100", forma: "cartao_credito", parcelas: 13 }), { success: false, error: ErrorCodes.ERR_PARCELAS_INVALIDAS });
+            assert.deepEqual(await pagar({ valor: "400", forma: "dinheiro" }), { success: false, error: ErrorCodes.ERR_PAGAMENTO_EXCEDE_SALDO });
+
+            const parcial = await pagar({ valor: "100,50", forma: "pix" });
+            assert.equal(parcial.saldo, 27000);
+            assert.equal((await FinanceiroController.getExtrato(cpf)).consultas[0].situacao, "parcial");
+
+            const quitado = await pagar({ valor: "270", forma: "cartao_credito", parcelas: 3 });
+            assert.deepEqual([quitado.saldo, quitado.pagamento.parcelas], [0, 3]);
+
+            const extrato = await FinanceiroController.getExtrato(cpf);
+            assert.deepEqual([extrato.cobrado, extrato.pago, extrato.saldo], [37050, 37050, 0]);
+            assert.deepEqual(extrato.consultas.map((item) => [item.cobrancas.length, item.pagamentos.length, item.situacao]), [[2, 2, "pago"]]);
+
+            const texto = FinanceiroController.formatarExtrato(extrato);
+            assert.ok(texto.includes("Cartão de crédito 3x"));
+            assert.ok(texto.includes("R$ 370,50"));
+        });
+
+        it("não remove cobranças já pagas", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const primeira = (await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id)).cobranca;
+            const segunda  = (await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, restauracao.id)).cobranca;
+            await FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, { valor: "200", forma: "dinheiro" });
+
+            assert.deepEqual(await FinanceiroController.removeCobranca(segunda.id), { success: false, error: ErrorCodes.ERR_COBRANCA_PAGA });
+            assert.deepEqual(await FinanceiroController.removeCobranca(999), { success: false, error: ErrorCodes.ERR_COBRANCA_NAO_ENCONTRADA });
+
+            await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id);
+            assert.deepEqual(await FinanceiroController.removeCobranca(primeira.id), { success: true });
+            assert.equal(await FinanceiroController.getSaldo(cpf), 17050);
+        });
+
+        it("desfaz cobranças e pagamentos se o registro da auditoria falhar", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            const { cobranca } = await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id);
+            const falha = { success: false, error: ErrorCodes.ERR_BD_FALHA_CONEXAO };
+
+            Auditoria.create = async () => { throw new Error("banco indisponível"); };
+            try {
+                assert.deepEqual(await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, restauracao.id), falha);
+                assert.deepEqual(await FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, { valor: "50", forma: "pix" }), falha);
+                assert.deepEqual(await FinanceiroController.removeCobranca(cobranca.id), falha);
+            } finally {
+                delete Auditoria.create;
+            }
+
+            const extrato = await FinanceiroController.getExtrato(cpf);
+            assert.deepEqual([extrato.cobrado, extrato.pago], [15000, 0]);
+            assert.deepEqual(extrato.consultas[0].cobrancas.map((item) => item.id), [cobranca.id]);
+        });
+
+        it("mostra a situação do pagamento na agenda e impede a exclusão do paciente com saldo", async () => {
+            definirAgora("2030-03-12T09:10:00");
+            assert.ok((await ConsultaController.listarConsultasPeriodo(data_consulta, data_consulta)).includes("agendada   -          Dra. Ana Souza"));
+
+            await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, limpeza.id);
+            assert.ok((await ConsultaController.listarConsultasPeriodo(data_consulta, data_consulta)).includes("agendada   pendente   Dra. Ana Souza"));
+
+            definirAgora("2030-03-13T10:00:00");
+            assert.deepEqual(await PacienteController.removePaciente(cpf), { success: false, error: ErrorCodes.ERR_PACIENTE_COM_SALDO });
+
+            await FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, { valor: "150", forma: "cartao_debito" });
+            assert.deepEqual(await PacienteController.removePaciente(cpf), { success: true });
+        });
+    });
+
+    describe("RelatorioController", () => {
+        beforeEach(async () => {
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "0930" });
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "12/03/2030", hora_inicial: "0900", hora_final: "1000" });
+
+            definirAgora("2030-03-12T10:30:00");
+            await ConsultaController.alterarStatus(MATHEUS.cpf, "12/03/2030", "0900", StatusConsulta.REALIZADA);
+            await ConsultaController.alterarStatus(JUCAA.cpf, "12/03/2030", "0900", StatusConsulta.FALTOU);
+            await PacienteController.cadastrarPaciente({ cpf: "24832111000", nome: "Carla Dias", data_nasc: "10/12/1999" });
+
+            await ConsultaController.agendarConsulta({ cpf: MATHEUS.cpf, id_profissional: ana.id, data_consulta: "13/03/2030", hora_inicial: "1400", hora_final: "1445" });
+            await ConsultaController.agendarConsulta({ cpf: JUCAA.cpf, id_profissional: bruno.id, data_consulta: "13/03/2030", hora_inicial: "0900", hora_final: "0930" });
+            await ConsultaController.removeConsulta(JUCAA.cpf, "13/03/2030", "0900");
+        });
+
+        it("valida o período do relatório", async () => {
+            assert.deepEqual(RelatorioController.validaPeriodo("01/03/2030", "01/03/2031"), { success: true });
+            assert.deepEqual(RelatorioController.validaPeriodo("01/03/2030", "02/03/2031"), { success: false, error: ErrorCodes.ERR_PERIODO_RELATORIO_INVALIDO });
+            assert.deepEqual(RelatorioController.validaPeriodo("14/03/2030", "10/03/2030"), { success: false, error: ErrorCodes.ERR_DATA_FINAL_MENOR_INICIAL });
+            assert.deepEqual(await RelatorioController.gerarRelatorio("10/03/2030", "14/03/2030", 999), { success: false, error: ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO });
+        });
+
+        it("calcula a ocupação, as faltas, os cancelamentos e os pacientes novos de cada dia", async () => {
+            const { relatorio } = await RelatorioController.gerarRelatorio("10/03/2030", "14/03/2030");
+
+            // O domingo não tem expediente nem movimento
+            assert.deepEqual(relatorio.dias.map((dia) => dia.data), ["2030-03-11", "2030-03-12", "2030-03-13", "2030-03-14"]);
+            assert.deepEqual(relatorio.dias[1], {
+                data: "2030-03-12", minutos_expediente: 600, minutos_capacidade: 1200, minutos_agendados: 90,
+                ocupacao: 7.5, consultas: 2, realizadas: 1, faltas: 1, canceladas: 0, novos_pacientes: 1,
+            });
+            assert.deepEqual(relatorio.total, {
+                minutos_expediente: 2400, minutos_capacidade: 4800, minutos_agendados: 135, ocupacao: 2.8,
+                consultas: 3, realizadas: 1, faltas: 1, canceladas: 1, novos_pacientes: 3,
+            });
+            assert.deepEqual([relatorio.profissionais, relatorio.duracao_media, relatorio.taxa_faltas], [2, 45, 50]);
+            assert.deepEqual(relatorio.horarios, [{ hora: "09:00", consultas: 2 }, { hora: "14:00", consultas: 1 }]);
+        });
+
+        it("restringe as consultas e a capacidade a um profissional", async () => {
+            const { relatorio } = await RelatorioController.gerarRelatorio("11/03/2030", "13/03/2030", ana.id);
+
+            assert.deepEqual([relatorio.profissionais, relatorio.total.minutos_capacidade, relatorio.total.minutos_agendados], [1, 1800, 75]);
+            assert.deepEqual([relatorio.total.faltas, relatorio.total.canceladas, relatorio.taxa_faltas, relatorio.total.novos_pacientes], [0, 0, 0, 3]);
+        });
+
+        it("formata o relatório para o terminal e exporta os dias em CSV", async () => {
+            const { relatorio } = await RelatorioController.gerarRelatorio("10/03/2030", "14/03/2030");
+
+            const texto = RelatorioController.formatarRelatorio(relatorio);
+            assert.ok(texto.includes("12/03/2030      10:00      20:00      01:30      7,5%         2          1       1          0      1"));
+            assert.ok(texto.includes("Taxa de faltas: 50%"));
+            assert.ok(texto.endsWith("Horários mais procurados: 09:00 (2), 14:00 (1)"));
+
+            const linhas = RelatorioController.exportarRelatorioCSV(relatorio).split("\r\n");
+            assert.equal(linhas[0], "data,minutos_expediente,minutos_capacidade,minutos_agendados,ocupacao,consultas,realizadas,faltas,canceladas,novos_pacientes");
+            assert.equal(linhas[2], "2030-03-12,600,1200,90,7.5,2,1,1,0,1");
+            assert.equal(linhas[5], "total,2400,4800,135,2.8,3,1,1,1,3");
+        });
+    });
+});
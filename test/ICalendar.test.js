@@ -0,0 +1,41 @@
+import "./ambiente.js";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+
+import { ICalendar } from "../utils/ICalendar.js";
+
+describe("ICalendar", () => {
+    it("gera um VEVENT com datas em UTC e linhas terminadas em CRLF", () => {
+        const calendario = new ICalendar();
+        const inicio = DateTime.fromISO("2030-03-12T09:00:00");
+
+        calendario.adicionarEvento({ uid: "consulta-1@teste", inicio, fim: inicio.plus({ minutes: 30 }), resumo: "Consulta", status: "CONFIRMED" });
+        const linhas = calendario.toString().split("\r\n");
+
+        assert.deepEqual(linhas.slice(0, 2), ["BEGIN:VCALENDAR", "VERSION:2.0"]);
+        assert.ok(linhas.includes("UID:consulta-1@teste"));
+        assert.ok(linhas.includes(`DTSTART:${inicio.toUTC().toFormat("yyyyMMdd'T'HHmmss")}Z`));
+        assert.ok(linhas.includes(`DTEND:${inicio.plus({ minutes: 30 }).toUTC().toFormat("yyyyMMdd'T'HHmmss")}Z`));
+        assert.ok(linhas.includes("STATUS:CONFIRMED"));
+        assert.deepEqual(linhas.slice(-3), ["END:VEVENT", "END:VCALENDAR", ""]);
+    });
+
+    it("escapa textos e dobra linhas longas sem quebrar caracteres", () => {
+        const calendario = new ICalendar();
+        const inicio = DateTime.fromISO("2030-03-12T09:00:00");
+        const descricao = "Situação: agendada; retorno, avaliação\n" + "ã".repeat(60);
+
+        calendario.adicionarEvento({ uid: "1", inicio, fim: inicio, resumo: "a\\b", descricao });
+        const conteudo = calendario.toString();
+
+        assert.ok(conteudo.includes("SUMMARY:a\\\\b\r\n"));
+        for(const linha of conteudo.split("\r\n"))
+            assert.ok(Buffer.byteLength(linha) <= 75);
+
+        // Desfaz a dobra das linhas para recuperar o valor original
+        const desdobrado = conteudo.replace(/\r\n /g, "");
+        assert.ok(desdobrado.includes(`DESCRIPTION:Situação: agendada\\; retorno\\, avaliação\\n${"ã".repeat(60)}\r\n`));
+    });
+});
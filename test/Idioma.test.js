@@ -0,0 +1,45 @@
+import "./ambiente.js";
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+
+import Idioma from "../utils/Idioma.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+describe("Idioma", () => {
+    afterEach(() => {
+        Idioma.configurar("pt-BR");
+    });
+
+    it("usa o português por padrão", () => {
+        assert.equal(Idioma.idioma, "pt-BR");
+        assert.equal(Idioma.erro(ErrorCodes.ERR_CPF_INVALIDO), "Erro: CPF inválido.");
+        assert.equal(Idioma.formatarData(DateTime.fromISO("2024-03-05")), "05/03/2024");
+        assert.equal(Idioma.texto("comum.opcao_invalida", { maximo: 7 }), "Opção inválida! Por favor, escolha uma opção de 1 a 7.");
+        assert.equal(Idioma.formatarValor(123456), "R$ 1.234,56");
+        assert.equal(Idioma.formatarPercentual(7.5), "7,5%");
+    });
+
+    it("troca mensagens e formato das datas ao configurar o inglês", () => {
+        Idioma.configurar("en");
+
+        assert.equal(Idioma.erro(ErrorCodes.ERR_CPF_INVALIDO), "Error: Invalid CPF.");
+        assert.equal(Idioma.texto("telas.Menu.opcoes")[0], "Patients");
+        assert.equal(Idioma.formatarData(DateTime.fromISO("2024-03-05")), "03/05/2024");
+        assert.equal(Idioma.dataInterna("03/05/2024"), "05/03/2024");
+        assert.equal(Idioma.dataInterna("31/12/2024"), "31/12/2024");
+        assert.equal(Idioma.formatarValor(123456), "R$1,234.56");
+        assert.equal(Idioma.formatarPercentual(7.5), "7.5%");
+    });
+
+    it("retorna a chave quando a mensagem não existe e a mensagem genérica para códigos desconhecidos", () => {
+        assert.equal(Idioma.texto("telas.Inexistente.titulo"), "telas.Inexistente.titulo");
+        assert.equal(Idioma.erro(99999), Idioma.texto("erros.desconhecido"));
+    });
+
+    it("recusa idiomas sem catálogo", () => {
+        assert.throws(() => Idioma.configurar("fr"));
+        assert.equal(Idioma.idioma, "pt-BR");
+    });
+});
@@ -0,0 +1,22 @@
+import "./ambiente.js";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { paraCentavos, VALOR_MAXIMO } from "../utils/Moeda.js";
+
+describe("Moeda", () => {
+    it("converte valores em reais para centavos", () => {
+        assert.equal(paraCentavos("150"), 15000);
+        assert.equal(paraCentavos("150,5"), 15050);
+        assert.equal(paraCentavos("150.50"), 15050);
+        assert.equal(paraCentavos(" R$ 0,99 "), 99);
+        assert.equal(paraCentavos(80), 8000);
+        assert.equal(paraCentavos(String(VALOR_MAXIMO / 100)), VALOR_MAXIMO);
+    });
+
+    it("recusa valores mal formatados, nulos ou acima do máximo", () => {
+        for (const valor of ["", "abc", "1.500,00", "10,001", "-5", "0", "0,00", null, undefined, String(VALOR_MAXIMO / 100 + 1)])
+            assert.equal(paraCentavos(valor), null, String(valor));
+    });
+});
@@ -0,0 +1,106 @@
+import { AGORA_PADRAO, definirAgora, restaurarRelogio, reiniciarBanco, fecharBanco } from "./ambiente.js";
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { PacienteBuilder } from "../models/PacienteBuilder.js";
+import { ErrorCodes } from "../utils/Error.js";
+
+describe("PacienteBuilder", () => {
+    let builder;
+
+    before(async () => {
+        definirAgora(AGORA_PADRAO);
+        await reiniciarBanco();
+    });
+
+    after(async () => {
+        restaurarRelogio();
+        await fecharBanco();
+    });
+
+    beforeEach(() => {
+        builder = new PacienteBuilder();
+    });
+
+    describe("setCpf", () => {
+        it("aceita CPFs com dígitos verificadores corretos", () => {
+            for (const cpf of ["57219947038", "71089185014", "19086839703"])
+                assert.deepEqual(builder.setCpf(cpf), { success: true });
+        });
+
+        it("rejeita dígitos verificadores incorretos", () => {
+            assert.deepEqual(builder.setCpf("57219947039"), { success: false, error: ErrorCodes.ERR_CPF_INVALIDO });
+            assert.deepEqual(builder.setCpf("57219947028"), { success: false, error: ErrorCodes.ERR_CPF_INVALIDO });
+        });
+
+        it("rejeita CPFs com tamanho errado ou caracteres não numéricos", () => {
+            for (const cpf of ["", "1920312", "572199470380", "572.199.470-38", "5721994703a"])
+                assert.deepEqual(builder.setCpf(cpf), { success: false, error: ErrorCodes.ERR_CPF_INVALIDO });
+        });
+    });
+
+    describe("setNome", () => {
+        it("exige pelo menos 5 caracteres", () => {
+            assert.deepEqual(builder.setNome("joab"), { success: false, error: ErrorCodes.ERR_NOME_INVALIDO });
+            assert.deepEqual(builder.setNome("Julia"), { success: true });
+        });
+    });
+
+    describe("setData_nasc", () => {
+        it("rejeita datas fora do formato dd/MM/yyyy", () => {
+            for (const data of ["1999-12-10", "31/02/1999", "abc"])
+                assert.deepEqual(builder.setData_nasc(data), { success: false, error: ErrorCodes.ERR_DATA_PACIENTE_INVALIDA });
+        });
+
+        it("exige idade mínima de 13 anos na data atual", () => {
+            assert.deepEqual(builder.setData_nasc("12/03/2017"), { success: false, error: ErrorCodes.ERR_IDADE_INSUFICIENTE });
+            assert.deepEqual(builder.setData_nasc("11/03/2017"), { success: true });
+        });
+    });
+
+    describe("setEmail e setTelefone", () => {
+        it("aceitam contatos vazios e rejeitam formatos inválidos", () => {
+            assert.deepEqual(builder.setEmail(""), { success: true });
+            assert.deepEqual(builder.setEmail("matheus@exemplo"), { success: false, error: ErrorCodes.ERR_EMAIL_INVALIDO });
+            assert.deepEqual(builder.setEmail(" matheus@exemplo.com "), { success: true });
+
+            assert.deepEqual(builder.setTelefone("(11) 9999"), { success: false, error: ErrorCodes.ERR_TELEFONE_INVALIDO });
+            assert.deepEqual(builder.setTelefone("(11) 99999-0000"), { success: true });
+        });
+    });
+
+    describe("build", () => {
+        it("falha se faltar algum dado", async () => {
+            builder.setCpf("57219947038");
+            builder.setNome("Matheus");
+
+            assert.deepEqual(await builder.build(), { success: false, error: ErrorCodes.ERR_PACIENTE_INCOMPLETO });
+        });
+
+        it("cria o paciente e limpa o builder", async () => {
+            builder.setCpf("57219947038");
+            builder.setNome("Matheus");
+            builder.setData_nasc("30/12/2001");
+
+            const resultado = await builder.build();
+            assert.equal(resultado.success, true);
+            assert.deepEqual(resultado.paciente.toJSON(), { cpf: "57219947038", nome: "Matheus", data_nasc: "2001-12-30" });
+
+            assert.deepEqual(await builder.build(), { success: false, error: ErrorCodes.ERR_PACIENTE_INCOMPLETO });
+        });
+
+        it("inclui os contatos normalizados quando informados", async () => {
+            builder.setCpf("57219947038");
+            builder.setNome("Matheus");
+            builder.setData_nasc("30/12/2001");
+            builder.setEmail(" matheus@exemplo.com ");
+            builder.setTelefone("+55 (11) 99999-0000");
+
+            const { paciente } = await builder.build();
+            assert.deepEqual(paciente.toJSON(), {
+                cpf: "57219947038", nome: "Matheus", data_nasc: "2001-12-30", email: "matheus@exemplo.com", telefone: "+5511999990000",
+            });
+        });
+    });
+});
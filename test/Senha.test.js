@@ -0,0 +1,22 @@
+import "./ambiente.js";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { gerarHash, verificarSenha } from "../utils/Senha.js";
+
+describe("Senha", () => {
+    it("gera hashes diferentes para a mesma senha e confere a senha correta", async () => {
+        const hash = await gerarHash("segredo123");
+
+        assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.notEqual(await gerarHash("segredo123"), hash);
+        assert.equal(await verificarSenha("segredo123", hash), true);
+        assert.equal(await verificarSenha("segredo124", hash), false);
+    });
+
+    it("recusa hashes em formato desconhecido", async () => {
+        assert.equal(await verificarSenha("segredo123", "segredo123"), false);
+        assert.equal(await verificarSenha("segredo123", null), false);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Ambiente isolado para os testes automatizados.
+ *
+ * Deve ser o primeiro import de cada arquivo de teste: define o banco SQLite em memória antes
+ * que `db/Database.js` seja carregado e oferece um relógio controlável para as regras de data e hora.
+ */
+import { DateTime, Settings } from "luxon";
+
+process.env.DB_DIALECT = "sqlite";
+process.env.DB_STORAGE = ":memory:";
+
+/**
+ * Momento padrão dos testes: segunda-feira, 11/03/2030 às 10:00.
+ */
+export const AGORA_PADRAO = "2030-03-11T10:00:00";
+
+/**
+ * Expediente usado nos testes: dias úteis com almoço, sábado de manhã, domingo e natal fechados.
+ */
+export const EXPEDIENTE_TESTE = {
+    dias: {
+        seg: [["08:00", "12:00"], ["13:00", "19:00"]],
+        ter: [["08:00", "12:00"], ["13:00", "19:00"]],
+        qua: [["08:00", "12:00"], ["13:00", "19:00"]],
+        qui: [["08:00", "12:00"], ["13:00", "19:00"]],
+        sex: [["08:00", "12:00"], ["13:00", "19:00"]],
+        sab: [["08:00", "12:00"]],
+        dom: [],
+    },
+    fechamentos: ["12-25"],
+};
+
+/**
+ * Congela o relógio do luxon em um momento.
+ *
+ * @param {string} iso - Data e hora no formato ISO, no fuso local
+ */
+export function definirAgora(iso){
+    const instante = DateTime.fromISO(iso).toMillis();
+    Settings.now = () => instante;
+}
+
+/**
+ * Devolve o relógio do luxon ao horário do sistema.
+ */
+export function restaurarRelogio(){
+    Settings.now = () => Date.now();
+}
+
+/**
+ * Apaga o banco em memória e o recria aplicando todas as migrações.
+ *
+ * @async
+ */
+export async function reiniciarBanco(){
+    // Import dinâmico para que as variáveis de ambiente acima já estejam definidas
+    const { default: Database } = await import("../db/Database.js");
+    const { default: Migrador } = await import("../db/Migrador.js");
+
+    await Database.conexao.getQueryInterface().dropAllTables();
+    await Migrador.migrar();
+}
+
+/**
+ * Fecha a conexão com o banco em memória.
+ *
+ * @async
+ */
+export async function fecharBanco(){
+    const { default: Database } = await import("../db/Database.js");
+    await Database.close();
+}
@@ -0,0 +1,100 @@
+/**
+ * Separadores aceitos na leitura: planilhas em português costumam exportar com ponto e vírgula
+ */
+const SEPARADORES = [",", ";"];
+
+/**
+ * Descobre o separador de um arquivo pelo cabeçalho, escolhendo o que aparece mais vezes.
+ *
+ * @param {string} cabecalho - Primeira linha do arquivo
+ * @returns {string}
+ */
+function detectarSeparador(cabecalho){
+    const contagem = (separador) => cabecalho.split(separador).length;
+    return SEPARADORES.reduce((melhor, separador) => contagem(separador) > contagem(melhor) ? separador : melhor);
+}
+
+/**
+ * Lê um texto no formato CSV (RFC 4180), aceitando campos entre aspas com separadores, aspas duplicadas
+ * e quebras de linha. Linhas em branco são ignoradas.
+ *
+ * @param {string} texto - Conteúdo do arquivo
+ * @param {string} [separador] - Separador de campos, detectado pelo cabeçalho se não for informado
+ * @returns {{numero: number, campos: string[]}[]} - Registros com o número da linha onde começam no arquivo
+ */
+export function lerCSV(texto, separador){
+    // Remove a marca de ordem de bytes que o Excel coloca no início de arquivos UTF-8
+    texto = texto.replace(/^\uFEFF/, "");
+    separador ??= detectarSeparador(texto.split(/\r?\n/, 1)[0]);
+
+    const registros = [];
+    let campos = [], campo = "", aspas = false, linha = 1, inicio = 1;
+
+    const fecharRegistro = () => {
+        campos.push(campo);
+        if(campos.length > 1 || campos[0].trim() !== "")
+            registros.push({numero: inicio, campos});
+
+        campos = [];
+        campo = "";
+    };
+
+    for(let i = 0; i < texto.length; i++){
+        const caractere = texto[i];
+
+        if(aspas){
+            if(caractere === '"' && texto[i + 1] === '"'){
+                campo += '"';
+                i++;
+            } else if(caractere === '"'){
+                aspas = false;
+            } else {
+                if(caractere === "\n")
+                    linha++;
+                campo += caractere;
+            }
+        } else if(caractere === '"'){
+            aspas = true;
+        } else if(caractere === separador){
+            campos.push(campo);
+            campo = "";
+        } else if(caractere === "\n" || caractere === "\r"){
+            if(caractere === "\r" && texto[i + 1] === "\n")
+                i++;
+
+            fecharRegistro();
+            inicio = ++linha;
+        } else {
+            campo += caractere;
+        }
+    }
+
+    fecharRegistro();
+    return registros;
+}
+
+/**
+ * Escapa um campo para o CSV, colocando entre aspas os que contêm separador, aspas ou quebras de linha.
+ *
+ * @param {*} valor - Valor do campo
+ * @param {string} separador - Separador de campos
+ * @returns {string}
+ */
+function escaparCampo(valor, separador){
+    const texto = String(valor ?? "");
+    if(texto.includes(separador) || /["\r\n]/.test(texto))
+        return `"${texto.replace(/"/g, '""')}"`;
+
+    return texto;
+}
+
+/**
+ * Gera um texto no formato CSV (RFC 4180) com quebras de linha CRLF.
+ *
+ * @param {Array<Array<*>>} linhas - Linhas do arquivo, a primeira normalmente é o cabeçalho
+ * @param {string} [separador=","] - Separador de campos
+ * @returns {string}
+ */
+export function gerarCSV(linhas, separador = ","){
+    return linhas.map((campos) => campos.map((valor) => escaparCampo(valor, separador)).join(separador)).join("\r\n") + "\r\n";
+}
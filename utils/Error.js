@@ -27,6 +27,15 @@ export const ErrorCodes = {
     /** Dados obrigatórios do paciente estão ausentes ou incompletos. */
     ERR_PACIENTE_INCOMPLETO:        107, 
 
+    /** Já existe outro paciente cadastrado com o mesmo nome. */
+    ERR_NOME_DUPLICADO:             108,
+
+    /** O e-mail do paciente não está em um formato válido. */
+    ERR_EMAIL_INVALIDO:             109,
+
+    /** O telefone do paciente deve ter de 10 a 13 dígitos, com DDD. */
+    ERR_TELEFONE_INVALIDO:          110,
+
     // Erros relacionados à consulta
 
     /** A data informada para a consulta é inválida ou está fora do formato esperado.*/
@@ -71,6 +80,160 @@ export const ErrorCodes = {
     /**Não é possivel ter mais de uma consulta futura atrelada a um paciente */
     ERR_CONSULTA_DUPLA:             213,
 
+    /** A clínica não abre na data informada (dia da semana sem expediente ou feriado). */
+    ERR_DATA_CONSULTA_FECHADA:      214,
+
+    /** A consulta não pode passar da situação atual para a situação pedida. */
+    ERR_STATUS_INVALIDO:            215,
+
+    /** Tentativa de registrar o comparecimento de uma consulta que ainda não começou. */
+    ERR_CONSULTA_NAO_INICIADA:      216,
+
+    /** A duração da consulta deve ser um múltiplo positivo de 15 minutos. */
+    ERR_DURACAO_INVALIDA:           217,
+
+    /** O intervalo entre as consultas de uma série deve ser um número inteiro de 1 a 365 dias. */
+    ERR_INTERVALO_SERIE_INVALIDO:   218,
+
+    /** A série deve terminar por quantidade de ocorrências ou por data final, resultando em 2 a 60 consultas. */
+    ERR_OCORRENCIAS_SERIE_INVALIDAS: 219,
+
+    /** Uma ou mais ocorrências da série não podem ser agendadas, então nenhuma foi salva. */
+    ERR_SERIE_CONFLITO:             220,
+
+    /** A série informada não existe ou não pertence ao paciente. */
+    ERR_SERIE_NAO_ENCONTRADA:       221,
+
+    /** O pedido da lista de espera informado não existe ou não pertence ao paciente. */
+    ERR_ESPERA_NAO_ENCONTRADA:      222,
+
+    /** A faixa de horário da lista de espera é menor que a duração da consulta. */
+    ERR_FAIXA_ESPERA_CURTA:         223,
+
+    /** O período do relatório da agenda deve ter no máximo 366 dias. */
+    ERR_PERIODO_RELATORIO_INVALIDO: 224,
+
+    // Erros relacionados ao profissional
+
+    /** O profissional informado não está cadastrado. */
+    ERR_PROFISSIONAL_NAO_CADASTRADO: 500,
+
+    /** O nome do profissional possui menos de 5 caracteres. */
+    ERR_NOME_PROFISSIONAL_INVALIDO: 501,
+
+    /** Já existe um profissional cadastrado com esse nome. */
+    ERR_PROFISSIONAL_DUPLICADO:     502,
+
+    // Erros relacionados aos operadores
+
+    /** O login deve ter de 3 a 30 letras minúsculas, números, ponto, hífen ou sublinhado. */
+    ERR_LOGIN_OPERADOR_INVALIDO:    600,
+
+    /** A senha deve ter pelo menos 8 caracteres. */
+    ERR_SENHA_INVALIDA:             601,
+
+    /** O papel informado não é recepção, dentista nem admin. */
+    ERR_PAPEL_INVALIDO:             602,
+
+    /** Já existe um operador com esse login. */
+    ERR_OPERADOR_DUPLICADO:         603,
+
+    /** O operador informado não está cadastrado. */
+    ERR_OPERADOR_NAO_CADASTRADO:    604,
+
+    /** Login ou senha incorretos, ou operador desativado. */
+    ERR_CREDENCIAIS_INVALIDAS:      605,
+
+    /** O papel do operador não permite a opção escolhida. */
+    ERR_PERMISSAO_NEGADA:           606,
+
+    /** A operação deixaria o sistema sem nenhum administrador ativo. */
+    ERR_ULTIMO_ADMIN:               607,
+
+    /** A confirmação da nova senha não confere com a senha digitada. */
+    ERR_SENHA_CONFIRMACAO:          608,
+
+    /** A requisição à API não informou um token de acesso válido. */
+    ERR_NAO_AUTENTICADO:            609,
+
+    // Erros relacionados aos lembretes
+
+    /** A antecedência dos lembretes deve ser um número inteiro de 1 a 168 horas. */
+    ERR_ANTECEDENCIA_INVALIDA:      700,
+
+    /** O canal de envio informado não existe. */
+    ERR_CANAL_DESCONHECIDO:         701,
+
+    /** Faltam variáveis de ambiente obrigatórias do canal de envio. */
+    ERR_CANAL_NAO_CONFIGURADO:      702,
+
+    /** O canal de envio recusou ou não conseguiu entregar o lembrete. */
+    ERR_ENVIO_LEMBRETE:             703,
+
+    // Erros relacionados ao prontuário
+
+    /** O atendimento não pode mais ser alterado porque a consulta já foi encerrada. */
+    ERR_PRONTUARIO_BLOQUEADO:       800,
+
+    /** As anotações do atendimento passam de 4000 caracteres. */
+    ERR_ANOTACOES_INVALIDAS:        801,
+
+    /** A descrição do procedimento deve ter de 3 a 200 caracteres. */
+    ERR_PROCEDIMENTO_INVALIDO:      802,
+
+    /** A prescrição deve ter o medicamento (até 200 caracteres) e a posologia (até 500 caracteres). */
+    ERR_PRESCRICAO_INVALIDA:        803,
+
+    /** O procedimento ou a prescrição não pertence ao atendimento informado. */
+    ERR_ITEM_PRONTUARIO_NAO_ENCONTRADO: 804,
+
+    /** O dente não existe na numeração FDI (11 a 48 nos permanentes, 51 a 85 nos decíduos). */
+    ERR_DENTE_INVALIDO:             805,
+
+    /** O estado do dente não está entre os estados do odontograma. */
+    ERR_ESTADO_DENTE_INVALIDO:      806,
+
+    /** A observação sobre o dente passa de 200 caracteres. */
+    ERR_OBSERVACAO_DENTE_INVALIDA:  807,
+
+    // Erros relacionados ao financeiro
+
+    /** O nome do procedimento deve ter de 3 a 100 caracteres. */
+    ERR_NOME_PROCEDIMENTO_INVALIDO: 900,
+
+    /** O valor deve ser positivo, com no máximo duas casas decimais, ex.: "150,00". */
+    ERR_VALOR_INVALIDO:             901,
+
+    /** Já existe um procedimento com esse nome na tabela de preços. */
+    ERR_PROCEDIMENTO_DUPLICADO:     902,
+
+    /** O procedimento não está na tabela de preços. */
+    ERR_PROCEDIMENTO_NAO_CADASTRADO: 903,
+
+    /** O procedimento foi desativado e não pode mais ser cobrado. */
+    ERR_PROCEDIMENTO_INATIVO:       904,
+
+    /** O paciente faltou à consulta, não há procedimentos a cobrar. */
+    ERR_CONSULTA_SEM_ATENDIMENTO:   905,
+
+    /** A cobrança não existe. */
+    ERR_COBRANCA_NAO_ENCONTRADA:    906,
+
+    /** A cobrança não pode ser removida porque o valor já pago passaria do total cobrado na consulta. */
+    ERR_COBRANCA_PAGA:              907,
+
+    /** A forma de pagamento não está entre as aceitas. */
+    ERR_FORMA_PAGAMENTO_INVALIDA:   908,
+
+    /** O parcelamento só é aceito no cartão de crédito, de 1 a 12 parcelas. */
+    ERR_PARCELAS_INVALIDAS:         909,
+
+    /** O pagamento é maior que o saldo em aberto da consulta. */
+    ERR_PAGAMENTO_EXCEDE_SALDO:     910,
+
+    /** O paciente tem saldo em aberto, por isso não pode ser excluído. */
+    ERR_PACIENTE_COM_SALDO:         911,
+
     // Erros gerais ou específicos adicionais
     /** A data final fornecida é menor que a data inicial.*/
     ERR_DATA_FINAL_MENOR_INICIAL:   300,
@@ -78,6 +241,33 @@ export const ErrorCodes = {
     /**Entrada inválida ou fora do formato esperado ao manipular a agenda. */
     ERR_ENTRADA_INVALIDA_AGENDA:    301,
 
+    /** O corpo da requisição HTTP não é um JSON válido. */
+    ERR_REQUISICAO_INVALIDA:        302,
+
+    /** A rota HTTP requisitada não existe. */
+    ERR_ROTA_INEXISTENTE:           303,
+
+    /** Entrada inválida ao responder uma pergunta de sim ou não. */
+    ERR_ENTRADA_INVALIDA_SIM_NAO:   304,
+
+    /** A opção escolhida não está entre os horários listados. */
+    ERR_ENTRADA_INVALIDA_HORARIO:   305,
+
+    /** Não foi possível gravar o arquivo no caminho informado. */
+    ERR_ARQUIVO_ESCRITA:            306,
+
+    /** Não foi possível ler o arquivo no caminho informado. */
+    ERR_ARQUIVO_LEITURA:            307,
+
+    /** O cabeçalho do CSV não tem as colunas obrigatórias. */
+    ERR_CSV_CABECALHO_INVALIDO:     308,
+
+    /** Entrada inválida ao navegar entre as páginas de uma listagem. */
+    ERR_ENTRADA_INVALIDA_PAGINA:    309,
+
+    /** Entrada deve ser J (JSON) ou C (CSV) na exportação do relatório da agenda. */
+    ERR_ENTRADA_INVALIDA_FORMATO:   310,
+
     // Erros referentes ao banco de dados
     /** Login inválido no banco de dados */
     ERR_BD_LOGIN_INVALIDO:          401,
@@ -0,0 +1,203 @@
+import { DateTime } from "luxon";
+import { readFileSync } from "fs";
+import Idioma from "./Idioma.js";
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Chaves dos dias da semana na configuração, na ordem do luxon (1 = segunda ... 7 = domingo).
+ */
+const DIAS_SEMANA = ["seg", "ter", "qua", "qui", "sex", "sab", "dom"];
+
+/**
+ * Converte um horário para minutos desde a meia-noite.
+ *
+ * @param {DateTime|string} hora - Horário como DateTime ou string no formato "HH:mm"
+ * @returns {number} - Minutos desde a meia-noite
+ */
+function emMinutos(hora){
+    if(typeof hora === "string"){
+        const [horas, minutos] = hora.split(":").map(Number);
+        return horas * 60 + minutos;
+    }
+
+    return hora.hour * 60 + hora.minute;
+}
+
+/**
+ * Classe que representa o horário de funcionamento da clínica: intervalos de atendimento por dia da semana
+ * (permitindo pausas como o almoço) e datas em que a clínica não abre (feriados, recessos).
+ *
+ * A configuração tem o formato:
+ * ```json
+ * {
+ *     "dias": { "seg": [["08:00", "12:00"], ["13:00", "19:00"]], "dom": [] },
+ *     "fechamentos": ["2024-12-24", "12-25"]
+ * }
+ * ```
+ * Fechamentos no formato "MM-dd" se repetem todo ano, os no formato "yyyy-MM-dd" valem apenas para a data informada.
+ */
+export class Expediente {
+    /**
+     * @property {Object<string, number[][]>} intervalos - Intervalos de cada dia da semana em minutos, ordenados
+     */
+    #intervalos;
+
+    /**
+     * @property {Set<string>} fechamentos - Datas sem expediente
+     */
+    #fechamentos;
+
+    /**
+     * @param {{dias: Object<string, string[][]>, fechamentos?: string[]}} config - Configuração do expediente
+     */
+    constructor(config){
+        this.configurar(config);
+    }
+
+    /**
+     * Substitui a configuração do expediente.
+     *
+     * @param {{dias: Object<string, string[][]>, fechamentos?: string[]}} config - Configuração do expediente
+     * @throws {Error} - Lança um erro se algum intervalo for inválido
+     */
+    configurar(config){
+        const intervalos = {};
+
+        for(const dia of DIAS_SEMANA){
+            intervalos[dia] = (config.dias?.[dia] ?? [])
+                .map(([inicio, fim]) => [emMinutos(inicio), emMinutos(fim)])
+                .sort((a, b) => a[0] - b[0]);
+
+            for(const [inicio, fim] of intervalos[dia])
+                if(!(inicio < fim))
+                    throw new Error(`Intervalo de expediente inválido para "${dia}"`);
+        }
+
+        this.#intervalos = intervalos;
+        this.#fechamentos = new Set(config.fechamentos ?? []);
+    }
+
+    /**
+     * Retorna os intervalos de atendimento de uma data, vazio se a clínica não abre nesse dia.
+     *
+     * @param {DateTime} data - Data a ser consultada
+     * @returns {number[][]} - Pares [inicio, fim] em minutos desde a meia-noite
+     */
+    getIntervalos(data){
+        if(this.#fechamentos.has(data.toFormat("yyyy-MM-dd")) || this.#fechamentos.has(data.toFormat("MM-dd")))
+            return [];
+
+        return this.#intervalos[DIAS_SEMANA[data.weekday - 1]];
+    }
+
+    /**
+     * Verifica se a clínica abre em uma data.
+     *
+     * @param {DateTime} data - Data a ser verificada
+     * @returns {boolean} - `true` se houver algum intervalo de atendimento na data
+     */
+    isDiaAberto(data){
+        return this.getIntervalos(data).length > 0;
+    }
+
+    /**
+     * Verifica se ainda há expediente a partir de um momento do dia.
+     *
+     * @param {DateTime} agora - Data e hora a serem verificadas
+     * @returns {boolean} - `true` se o expediente do dia já terminou ou a clínica não abre nesse dia
+     */
+    isEncerrado(agora){
+        const minutos = emMinutos(agora);
+        return !this.getIntervalos(agora).some(([, fim]) => minutos < fim);
+    }
+
+    /**
+     * Verifica se uma consulta pode começar em um horário.
+     *
+     * @param {DateTime} data - Data da consulta
+     * @param {DateTime} hora - Hora inicial da consulta
+     * @returns {boolean} - `true` se o horário estiver dentro de um intervalo e antes do seu fim
+     */
+    isHoraInicialAberta(data, hora){
+        const minutos = emMinutos(hora);
+        return this.getIntervalos(data).some(([inicio, fim]) => minutos >= inicio && minutos < fim);
+    }
+
+    /**
+     * Verifica se uma consulta pode terminar em um horário.
+     *
+     * @param {DateTime} data - Data da consulta
+     * @param {DateTime} hora - Hora final da consulta
+     * @returns {boolean} - `true` se o horário estiver depois do início de um intervalo e até o seu fim
+     */
+    isHoraFinalAberta(data, hora){
+        const minutos = emMinutos(hora);
+        return this.getIntervalos(data).some(([inicio, fim]) => minutos > inicio && minutos <= fim);
+    }
+
+    /**
+     * Verifica se uma consulta cabe inteira em um único intervalo de atendimento, sem atravessar pausas.
+     *
+     * @param {DateTime} data - Data da consulta
+     * @param {DateTime} hora_inicial - Hora inicial da consulta
+     * @param {DateTime} hora_final - Hora final da consulta
+     * @returns {boolean} - `true` se a consulta estiver contida em um intervalo
+     */
+    contem(data, hora_inicial, hora_final){
+        const [inicio_consulta, fim_consulta] = [emMinutos(hora_inicial), emMinutos(hora_final)];
+        return this.getIntervalos(data).some(([inicio, fim]) => inicio_consulta >= inicio && fim_consulta <= fim);
+    }
+
+    /**
+     * Descreve o horário de funcionamento no idioma da interface, agrupando dias consecutivos com os mesmos intervalos.
+     *
+     * @returns {string} - Ex.: "seg a sex 08:00h às 12:00h e 13:00h às 19:00h, sab 08:00h às 12:00h, dom fechado"
+     */
+    descricao(){
+        const formatar = (minutos) => Idioma.texto("expediente.hora", {
+            hora: `${String(Math.floor(minutos / 60)).padStart(2, "0")}:${String(minutos % 60).padStart(2, "0")}`,
+        });
+        const descreverDia = (dia) => this.#intervalos[dia].length === 0
+            ? Idioma.texto("expediente.fechado")
+            : this.#intervalos[dia]
+                .map(([inicio, fim]) => Idioma.texto("expediente.intervalo", {inicio: formatar(inicio), fim: formatar(fim)}))
+                .join(Idioma.texto("expediente.separador_intervalos"));
+
+        const grupos = [];
+        for(const dia of DIAS_SEMANA){
+            const horarios = descreverDia(dia);
+            const ultimo = grupos[grupos.length - 1];
+
+            if(ultimo && ultimo.horarios === horarios)
+                ultimo.fim = dia;
+            else
+                grupos.push({inicio: dia, fim: dia, horarios});
+        }
+
+        if(grupos.length === 1)
+            return Idioma.texto("expediente.todos_os_dias", {horarios: grupos[0].horarios});
+
+        const nomeDia = (dia) => Idioma.texto(`expediente.dias.${dia}`);
+        return grupos
+            .map(({inicio, fim, horarios}) => {
+                const dias = inicio === fim ? nomeDia(inicio) : Idioma.texto("expediente.dias_seguidos", {inicio: nomeDia(inicio), fim: nomeDia(fim)});
+                return `${dias} ${horarios}`;
+            })
+            .join(", ");
+    }
+}
+
+/**
+ * Carrega a configuração do arquivo indicado por `EXPEDIENTE` no .env, ou de `config/expediente.json`.
+ *
+ * @returns {{dias: Object<string, string[][]>, fechamentos?: string[]}}
+ */
+function carregarConfiguracao(){
+    const arquivo = process.env.EXPEDIENTE || new URL("../config/expediente.json", import.meta.url);
+    return JSON.parse(readFileSync(arquivo, "utf-8"));
+}
+
+// Exporta uma única instância do expediente
+export default new Expediente(carregarConfiguracao());
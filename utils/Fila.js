@@ -0,0 +1,27 @@
+/**
+ * Fila de execução que garante que apenas uma tarefa assíncrona rode por vez.
+ * 
+ * Os controladores são Singletons com um builder compartilhado, então duas requisições
+ * simultâneas não podem intercalar as etapas de criação de um paciente ou consulta.
+ */
+export class Fila {
+    /**
+     * @property {Promise} ultima - Promessa da última tarefa enfileirada
+     */
+    #ultima = Promise.resolve();
+
+    /**
+     * Enfileira uma tarefa, que só começa quando a anterior terminar.
+     * 
+     * @async
+     * @param {function(): Promise<*>} tarefa - Função assíncrona a ser executada
+     * @returns {Promise<*>} - Resultado da tarefa
+     */
+    executar(tarefa){
+        const resultado = this.#ultima.then(() => tarefa());
+
+        // Um erro em uma tarefa não deve travar as próximas
+        this.#ultima = resultado.catch(() => {});
+        return resultado;
+    }
+}
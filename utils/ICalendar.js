@@ -0,0 +1,125 @@
+import { DateTime } from "luxon";
+
+/**
+ * Identificador do produto que gera o calendário, exigido pela RFC 5545
+ */
+const PRODID = "-//Consultorio Odontologico//Agenda//PT-BR";
+
+/**
+ * Tamanho máximo de uma linha do arquivo, em bytes, sem contar a quebra de linha
+ */
+const TAMANHO_LINHA = 75;
+
+/**
+ * Escapa os caracteres especiais de um valor de texto (RFC 5545, seção 3.3.11).
+ *
+ * @param {string} texto - Texto a ser escapado
+ * @returns {string}
+ */
+function escaparTexto(texto){
+    return String(texto)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Formata um momento como data e hora em UTC, ex.: 20300311T130000Z.
+ *
+ * @param {DateTime} data - Momento a ser formatado
+ * @returns {string}
+ */
+function formatarDataHora(data){
+    return data.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Quebra uma linha em linhas de até 75 bytes, continuando as seguintes com um espaço (RFC 5545, seção 3.1).
+ * A quebra nunca separa os bytes de um mesmo caractere.
+ *
+ * @param {string} linha - Linha de conteúdo completa
+ * @returns {string[]}
+ */
+function dobrarLinha(linha){
+    const linhas = [];
+    let atual = "";
+    let tamanho = 0;
+
+    for(const caractere of linha){
+        const bytes = Buffer.byteLength(caractere);
+        // As linhas de continuação perdem um byte para o espaço inicial
+        const limite = linhas.length === 0 ? TAMANHO_LINHA : TAMANHO_LINHA - 1;
+
+        if(tamanho + bytes > limite){
+            linhas.push(atual);
+            atual = "";
+            tamanho = 0;
+        }
+
+        atual += caractere;
+        tamanho += bytes;
+    }
+
+    linhas.push(atual);
+    return linhas.map((parte, i) => i === 0 ? parte : ` ${parte}`);
+}
+
+/**
+ * Classe que monta um calendário no formato iCalendar (.ics), um VEVENT por evento adicionado.
+ */
+export class ICalendar {
+    /**
+     * @property {string[][]} eventos - Linhas de conteúdo de cada evento
+     */
+    #eventos = [];
+
+    /**
+     * Adiciona um evento ao calendário.
+     *
+     * @param {Object} evento
+     * @param {string} evento.uid - Identificador único e estável do evento, para que o mesmo evento seja atualizado ao reimportar
+     * @param {DateTime} evento.inicio - Início do evento
+     * @param {DateTime} evento.fim - Fim do evento
+     * @param {string} evento.resumo - Título do evento
+     * @param {string} [evento.descricao] - Descrição do evento
+     * @param {"TENTATIVE"|"CONFIRMED"|"CANCELLED"} [evento.status] - Situação do evento
+     */
+    adicionarEvento({uid, inicio, fim, resumo, descricao, status}){
+        const linhas = [
+            "BEGIN:VEVENT",
+            `UID:${uid}`,
+            `DTSTAMP:${formatarDataHora(DateTime.now())}`,
+            `DTSTART:${formatarDataHora(inicio)}`,
+            `DTEND:${formatarDataHora(fim)}`,
+            `SUMMARY:${escaparTexto(resumo)}`,
+        ];
+
+        if(descricao)
+            linhas.push(`DESCRIPTION:${escaparTexto(descricao)}`);
+
+        if(status)
+            linhas.push(`STATUS:${status}`);
+
+        linhas.push("END:VEVENT");
+        this.#eventos.push(linhas);
+    }
+
+    /**
+     * Gera o conteúdo do arquivo .ics, com quebras de linha CRLF.
+     *
+     * @returns {string}
+     */
+    toString(){
+        const linhas = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            `PRODID:${PRODID}`,
+            "CALSCALE:GREGORIAN",
+            ...this.#eventos.flat(),
+            "END:VCALENDAR",
+        ];
+
+        return linhas.flatMap(dobrarLinha).join("\r\n") + "\r\n";
+    }
+}
@@ -0,0 +1,176 @@
+import { DateTime } from "luxon";
+import { readFileSync } from "fs";
+import { ErrorCodes } from "./Error.js";
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Idiomas com catálogo em `config/idiomas`. O primeiro é o padrão e completa as mensagens que faltarem nos demais.
+ */
+export const IDIOMAS = ["pt-BR", "en"];
+
+/**
+ * Formato interno das datas digitadas, usado pelos controladores, pela API e pelos arquivos CSV
+ */
+const FORMATO_DATA_INTERNO = "dd/MM/yyyy";
+
+/**
+ * Carrega o catálogo de mensagens de um idioma.
+ *
+ * @param {string} idioma - Um dos valores de `IDIOMAS`
+ * @returns {Object}
+ */
+function carregarCatalogo(idioma){
+    return JSON.parse(readFileSync(new URL(`../config/idiomas/${idioma}.json`, import.meta.url), "utf-8"));
+}
+
+/**
+ * Classe que representa o idioma da interface: o catálogo de mensagens das telas e dos erros e o formato das datas.
+ *
+ * As mensagens são buscadas por chaves separadas por ponto, como "telas.Menu.titulo" ou "erros.ERR_CPF_INVALIDO",
+ * e podem ter parâmetros entre chaves, como "Página {pagina} de {paginas}".
+ */
+export class Idioma {
+    /**
+     * @property {string} idioma - Idioma atual
+     */
+    #idioma;
+
+    /**
+     * @property {Object} catalogo - Mensagens do idioma atual
+     */
+    #catalogo;
+
+    /**
+     * @property {Object} padrao - Mensagens do idioma padrão, usadas quando faltam no idioma atual
+     */
+    #padrao;
+
+    /**
+     * @param {string} idioma - Um dos valores de `IDIOMAS`
+     */
+    constructor(idioma){
+        this.#padrao = carregarCatalogo(IDIOMAS[0]);
+        this.configurar(idioma);
+    }
+
+    /**
+     * Troca o idioma da interface.
+     *
+     * @param {string} idioma - Um dos valores de `IDIOMAS`
+     * @throws {Error} - Lança um erro se o idioma não tiver catálogo
+     */
+    configurar(idioma){
+        if(!IDIOMAS.includes(idioma))
+            throw new Error(`Idioma "${idioma}" não suportado, use um destes: ${IDIOMAS.join(", ")}`);
+
+        this.#idioma = idioma;
+        this.#catalogo = idioma === IDIOMAS[0] ? this.#padrao : carregarCatalogo(idioma);
+    }
+
+    /**
+     * Idioma atual.
+     * @returns {string}
+     */
+    get idioma(){
+        return this.#idioma;
+    }
+
+    /**
+     * Retorna uma mensagem do catálogo, substituindo os parâmetros.
+     * Listas e grupos de mensagens são retornados sem alteração. Chaves inexistentes são retornadas como estão.
+     *
+     * @param {string} chave - Caminho da mensagem no catálogo, ex.: "telas.Menu.titulo"
+     * @param {Object<string, *>} [parametros={}] - Valores dos parâmetros da mensagem
+     * @returns {string|string[]|Object}
+     */
+    texto(chave, parametros = {}){
+        const buscar = (catalogo) => chave.split(".").reduce((grupo, parte) => grupo?.[parte], catalogo);
+        const mensagem = buscar(this.#catalogo) ?? buscar(this.#padrao) ?? chave;
+
+        if(typeof mensagem !== "string")
+            return mensagem;
+
+        return this.preencher(mensagem, parametros);
+    }
+
+    /**
+     * Substitui os parâmetros entre chaves de um texto. Parâmetros sem valor são mantidos como estão.
+     *
+     * @param {string} modelo - Texto com parâmetros, ex.: "Olá, {nome}"
+     * @param {Object<string, *>} [parametros={}] - Valores dos parâmetros
+     * @returns {string}
+     */
+    preencher(modelo, parametros = {}){
+        return modelo.replace(/\{(\w+)\}/g, (original, nome) => (nome in parametros) ? String(parametros[nome]) : original);
+    }
+
+    /**
+     * Retorna a mensagem de um código de erro.
+     *
+     * @param {number} codigo - Código de erro de `ErrorCodes`
+     * @param {Object<string, *>} [parametros={}] - Valores dos parâmetros da mensagem
+     * @returns {string}
+     */
+    erro(codigo, parametros = {}){
+        const nome = Object.keys(ErrorCodes).find((chave) => ErrorCodes[chave] === codigo);
+        return this.texto(nome ? `erros.${nome}` : "erros.desconhecido", parametros);
+    }
+
+    /**
+     * Formata uma data no formato do idioma.
+     *
+     * @param {DateTime} data
+     * @returns {string}
+     */
+    formatarData(data){
+        return data.toFormat(this.texto("formatos.data"));
+    }
+
+    /**
+     * Formata uma data e hora no formato do idioma.
+     *
+     * @param {DateTime} data_hora
+     * @returns {string}
+     */
+    formatarDataHora(data_hora){
+        return data_hora.toFormat(this.texto("formatos.data_hora"));
+    }
+
+    /**
+     * Formata um valor em centavos como reais no formato do idioma, ex.: "R$ 150,00".
+     *
+     * @param {number} centavos
+     * @returns {string}
+     */
+    formatarValor(centavos){
+        // O Intl separa o símbolo com um espaço não separável, que desalinha as listagens no terminal
+        return new Intl.NumberFormat(this.#idioma, {style: "currency", currency: "BRL"}).format(centavos / 100).replace(/\s/g, " ");
+    }
+
+    /**
+     * Formata um percentual no formato do idioma, com até uma casa decimal.
+     *
+     * @param {number} percentual - Valor de 0 a 100, ex.: 62.5
+     * @returns {string} - Ex.: "62,5%"
+     */
+    formatarPercentual(percentual){
+        return new Intl.NumberFormat(this.#idioma, {style: "percent", maximumFractionDigits: 1}).format(percentual / 100);
+    }
+
+    /**
+     * Converte uma data digitada no formato do idioma para o formato interno "dd/MM/yyyy".
+     * Textos que não são datas válidas são retornados sem alteração, para que a validação aponte o erro.
+     *
+     * @param {string} texto - Data digitada pelo usuário
+     * @returns {string}
+     */
+    dataInterna(texto){
+        const data = DateTime.fromFormat(texto ?? "", this.texto("formatos.data"));
+        return data.isValid ? data.toFormat(FORMATO_DATA_INTERNO) : texto;
+    }
+}
+
+// Exporta uma única instância com o idioma da variável `IDIOMA` do .env
+export default new Idioma(process.env.IDIOMA || IDIOMAS[0]);
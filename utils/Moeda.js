@@ -0,0 +1,20 @@
+/**
+ * Maior valor aceito em uma cobrança ou pagamento, em centavos
+ */
+export const VALOR_MAXIMO = 10000000;
+
+/**
+ * Converte um valor em reais para centavos. Aceita vírgula ou ponto antes dos centavos, sem separador de milhar,
+ * como "150", "150,5" ou "150.50", e também números.
+ *
+ * @param {string|number} valor - Valor em reais
+ * @returns {number|null} - Valor em centavos, ou nulo se o formato for inválido, o valor não for positivo ou passar de `VALOR_MAXIMO`
+ */
+export function paraCentavos(valor){
+    const texto = String(valor ?? "").trim().replace(/^R\$\s*/, "");
+    if(!/^\d+([.,]\d{1,2})?$/.test(texto))
+        return null;
+
+    const centavos = Math.round(Number(texto.replace(",", ".")) * 100);
+    return (centavos > 0 && centavos <= VALOR_MAXIMO) ? centavos : null;
+}
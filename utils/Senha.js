@@ -0,0 +1,44 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Tamanho em bytes do sal e do hash gerados
+ */
+const TAMANHO_SAL = 16;
+const TAMANHO_HASH = 64;
+
+/**
+ * Gera o hash de uma senha com o scrypt e um sal aleatório.
+ * O resultado tem o formato "scrypt$<sal>$<hash>", em hexadecimal, e pode ser guardado no banco.
+ *
+ * @async
+ * @param {string} senha - Senha em texto puro
+ * @returns {string}
+ */
+export async function gerarHash(senha){
+    const sal = randomBytes(TAMANHO_SAL);
+    const hash = await scryptAsync(senha, sal, TAMANHO_HASH);
+
+    return `scrypt$${sal.toString("hex")}$${hash.toString("hex")}`;
+}
+
+/**
+ * Verifica se uma senha corresponde a um hash gerado por `gerarHash`, comparando em tempo constante.
+ *
+ * @async
+ * @param {string} senha - Senha em texto puro
+ * @param {string} armazenado - Hash guardado no banco
+ * @returns {boolean}
+ */
+export async function verificarSenha(senha, armazenado){
+    const [algoritmo, sal, hash] = String(armazenado ?? "").split("$");
+    if(algoritmo !== "scrypt" || !sal || !hash)
+        return false;
+
+    const esperado = Buffer.from(hash, "hex");
+    const calculado = await scryptAsync(senha, Buffer.from(sal, "hex"), esperado.length);
+
+    return timingSafeEqual(esperado, calculado);
+}
@@ -0,0 +1,111 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { userInfo } from "os";
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Nome do usuário do sistema operacional, usado como operador quando nenhum outro é informado.
+ *
+ * @returns {string}
+ */
+function usuarioSistema(){
+    try {
+        return userInfo().username;
+    } catch {
+        return "desconhecido";
+    }
+}
+
+/**
+ * Classe Singleton que identifica o operador responsável pelas operações, registrado na auditoria.
+ *
+ * A interface de terminal usa um único operador, definido no login junto com o seu papel. Antes do login, ou fora da
+ * interface de terminal, o operador é o da variável `OPERADOR` no .env ou o usuário do sistema, sem papel.
+ * A API atende vários operadores ao mesmo tempo, então cada requisição roda com o seu próprio operador por meio de `executarComo`.
+ */
+class Sessao {
+    /**
+     * @property {AsyncLocalStorage<{operador: string}>} contexto - Operador de cada execução iniciada por `executarComo`
+     */
+    #contexto = new AsyncLocalStorage();
+
+    /**
+     * @property {string} operador - Operador usado fora de `executarComo`
+     */
+    #operador;
+
+    /**
+     * @property {string|null} papel - Papel do operador que entrou no sistema, nulo antes do login
+     */
+    #papel = null;
+
+    /**
+     * Construtor da classe Sessao, caso já exista uma instância retorna a mesma.
+     */
+    constructor(){
+        if (Sessao.instance)
+            return Sessao.instance; // Retorna a instância existente
+
+        this.#operador = Sessao.operadorPadrao();
+        Sessao.instance = this; // Salva a instância
+    }
+
+    /**
+     * Operador atual.
+     * @returns {string}
+     */
+    get operador(){
+        return this.#contexto.getStore()?.operador ?? this.#operador;
+    }
+
+    /**
+     * Papel do operador atual, ou nulo se nenhum operador entrou no sistema.
+     * @returns {string|null}
+     */
+    get papel(){
+        const contexto = this.#contexto.getStore();
+        return contexto ? (contexto.papel ?? null) : this.#papel;
+    }
+
+    /**
+     * Operador usado antes do login: a variável `OPERADOR` do .env ou o usuário do sistema.
+     * @returns {string}
+     */
+    static operadorPadrao(){
+        return process.env.OPERADOR || usuarioSistema();
+    }
+
+    /**
+     * Define o operador usado fora de `executarComo`.
+     *
+     * @param {string} operador - Nome do operador
+     * @param {string|null} [papel=null] - Papel do operador
+     */
+    definirOperador(operador, papel = null){
+        this.#operador = operador;
+        this.#papel = papel;
+    }
+
+    /**
+     * Encerra a sessão do operador, voltando ao operador padrão e sem papel.
+     */
+    encerrar(){
+        this.definirOperador(Sessao.operadorPadrao());
+    }
+
+    /**
+     * Executa uma função, e tudo o que ela iniciar de forma assíncrona, em nome de um operador.
+     *
+     * @param {string} operador - Nome do operador
+     * @param {function(): *} funcao - Função a ser executada
+     * @param {string|null} [papel=null] - Papel do operador
+     * @returns {*} - Retorno da função
+     */
+    executarComo(operador, funcao, papel = null){
+        return this.#contexto.run({operador, papel}, funcao);
+    }
+}
+
+// Exporta uma única instância da Sessao
+export default new Sessao();
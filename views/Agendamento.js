@@ -1,8 +1,21 @@
+import { writeFile } from "fs/promises";
+import { DateTime } from "luxon";
 import { View } from "./View.js";
 import PacienteController from "../controllers/PacienteController.js";
 import ConsultaController from "../controllers/ConsultaController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import SerieController from "../controllers/SerieController.js";
+import EsperaController from "../controllers/EsperaController.js";
+import RelatorioController from "../controllers/RelatorioController.js";
+import { ListaEspera } from "./ListaEspera.js";
 
 import { ErrorCodes } from "../utils/Error.js";
+import { StatusConsulta } from "../models/Consulta.js";
+import { Permissao } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
 
 /**
  * Classe `Agendamento` representa a interface para gerenciar as operações relacionadas ao agendamento de consultas.
@@ -15,63 +28,366 @@ export class Agendamento extends View{
      */
     constructor() {
         super();
+
+        // Usada para incluir na lista de espera quem não encontrou horário livre
+        this.lista_espera = new ListaEspera();
     }
 
     /**
      * Exibe o menu do módulo de agendamento de consultas.
      */
     show(){
-        console.log("\nAgenda \n1-Agendar consulta \n2-Cancelar agendamento \n3-Listar agenda \n4-Voltar p/ menu principal\n");
+        this.mostrarMenu("Agendamento");
     }
 
     /**
      * Realiza o agendamento de uma nova consulta.
-     * Solicita as informações necessárias do usuário e utiliza o controlador de consultas para validar e salvar os dados.
+     * Solicita o paciente, o profissional e a duração desejada, e oferece os próximos horários livres para escolha.
      * @async
      */
     async agendarConsulta(){
         ConsultaController.iniciarNovaConsulta();
 
         // Esse wrapper serve para conseguir passar o contexto da instância para o método
-        const cpf_valido = await super.validarEntrada("CPF: ", async (entrada) => ConsultaController.setCpf(entrada));
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Agendamento.cpf"), async (entrada) => ConsultaController.setCpf(entrada));
 
         // Se errar no cpf desistir da operação
         if(!cpf_valido.success)
             return;
 
-        await super.validarEntradaLoop("Data da consulta: ", (entrada) => ConsultaController.setDataConsulta(entrada));
-        await super.validarEntradaLoop("Hora inicial: ", (entrada) => ConsultaController.setHoraInicial(entrada));
-        await super.validarEntradaLoop("Hora final: ", (entrada) => ConsultaController.setHoraFinal(entrada));
+        // Sem profissionais cadastrados não há agenda para marcar a consulta
+        if((await ProfissionalController.getProfissionais()).length === 0){
+            this.processarErros(ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO);
+            return;
+        }
+
+        console.log(await ProfissionalController.listarProfissionais());
+        const id_profissional = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional"), async (entrada) => ConsultaController.setProfissional(entrada));
+
+        const horario = await this.#escolherHorarioLivre(cpf_valido.entrada, id_profissional);
+        if(!horario)
+            return;
+
+        // Os horários oferecidos passam pelas mesmas validações da digitação manual
+        for(const resultado of [
+            ConsultaController.setDataConsulta(horario.data_consulta),
+            ConsultaController.setHoraInicial(horario.hora_inicial),
+            ConsultaController.setHoraFinal(horario.hora_final),
+        ]){
+            if(!resultado.success){
+                this.processarErros(resultado.error);
+                return;
+            }
+        }
 
         const resultado = await ConsultaController.addConsulta();
         if (resultado.success) {
-            console.log("\nAgendamento realizado com sucesso!");
+            console.log("\n" + Idioma.texto("telas.Agendamento.agendado"));
         } else {
             this.processarErros(resultado.error);
+
+            // O horário escolhido foi ocupado por outro agendamento enquanto a consulta era preenchida
+            if(resultado.error === ErrorCodes.ERR_CONSULTA_SOBREPOSTA){
+                const duracao = DateTime.fromFormat(horario.hora_final, "HHmm").diff(DateTime.fromFormat(horario.hora_inicial, "HHmm"), "minutes").minutes;
+                await this.#oferecerListaEspera(cpf_valido.entrada, id_profissional, String(duracao));
+            }
         }
     }
 
+    /**
+     * Pergunta se o paciente quer entrar na lista de espera e, se quiser, o inclui com os dados já informados.
+     *
+     * @async
+     * @param {string} cpf - CPF do paciente
+     * @param {string} id_profissional - Identificador do profissional
+     * @param {string} duracao - Duração da consulta em minutos
+     */
+    async #oferecerListaEspera(cpf, id_profissional, duracao){
+        if(await this.lerSimNao(Idioma.texto("telas.Agendamento.oferecer_espera")))
+            await this.lista_espera.incluirPaciente({cpf, id_profissional, duracao});
+    }
+
+    /**
+     * Busca os horários livres de um profissional e pede para o usuário escolher um deles.
+     * 
+     * Sem horários livres no período, oferece a lista de espera.
+     * 
+     * @async
+     * @param {string} cpf - CPF do paciente
+     * @param {string} id_profissional - Identificador do profissional
+     * @returns {{data_consulta: string, hora_inicial: string, hora_final: string}|null} Horário escolhido, ou nulo se não houver horários livres
+     */
+    async #escolherHorarioLivre(cpf, id_profissional){
+        const duracao = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.duracao"), (entrada) => ConsultaController.validaDuracao(entrada));
+
+        const data_inicial = await super.validarDataLoop(Idioma.texto("telas.Agendamento.buscar_inicio"), (entrada) =>
+            entrada === "" ? {success: true} : ConsultaController.validaData(entrada));
+
+        const data_final = await super.validarDataLoop(Idioma.texto("telas.Agendamento.buscar_fim"), (entrada) =>
+            entrada === "" ? {success: true} : ConsultaController.validaData(entrada, data_inicial || null));
+
+        const busca = await ConsultaController.getHorariosLivres({
+            duracao, id_profissional, data_inicial: data_inicial || null, data_final: data_final || null,
+        });
+
+        if(!busca.success){
+            this.processarErros(busca.error);
+            return null;
+        }
+
+        if(busca.horarios.length === 0){
+            console.log("\n" + Idioma.texto("telas.Agendamento.nenhum_horario"));
+            await this.#oferecerListaEspera(cpf, id_profissional, duracao);
+            return null;
+        }
+
+        console.log("\n" + Idioma.texto("telas.Agendamento.horarios_livres"));
+        busca.horarios.forEach((horario, i) => {
+            const hora_inicial = `${horario.hora_inicial.slice(0, 2)}:${horario.hora_inicial.slice(2)}`;
+            const hora_final = `${horario.hora_final.slice(0, 2)}:${horario.hora_final.slice(2)}`;
+            const data = Idioma.formatarData(DateTime.fromFormat(horario.data_consulta, "dd/MM/yyyy"));
+            console.log(Idioma.texto("telas.Agendamento.horario_livre", { numero: String(i + 1).padStart(3), data, hora_inicial, hora_final }));
+        });
+
+        const escolha = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.horario"), (entrada) => {
+            const opcao = Number(entrada);
+            if(Number.isInteger(opcao) && opcao >= 1 && opcao <= busca.horarios.length)
+                return {success: true};
+
+            return {success: false, error: ErrorCodes.ERR_ENTRADA_INVALIDA_HORARIO};
+        });
+
+        return busca.horarios[Number(escolha) - 1];
+    }
+
+    /**
+     * Solicita o CPF, a data e a hora inicial que identificam uma consulta.
+     * 
+     * @async
+     * @param {string} [rotulo_data] - Mensagem exibida ao pedir a data, por padrão a de "telas.Agendamento.data_consulta"
+     * @param {string} [rotulo_hora] - Mensagem exibida ao pedir a hora inicial, por padrão a de "telas.Agendamento.hora_inicial"
+     * @returns {{cpf: string, data_consulta: string, hora_inicial: string}|null} Dados da consulta, ou nulo se o CPF for inválido
+     */
+    async #lerConsulta(rotulo_data = Idioma.texto("telas.Agendamento.data_consulta"), rotulo_hora = Idioma.texto("telas.Agendamento.hora_inicial")){
+
+        // Esse wrapper serve para conseguir passar o contexto da instância para o método
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Agendamento.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return null;
+
+        const data_consulta = await super.validarDataLoop(rotulo_data, (entrada) => ConsultaController.validaData(entrada));
+        const hora_inicial = await super.validarEntradaLoop(rotulo_hora, (entrada) => ConsultaController.validaHoraInicial(entrada));
+
+        return {cpf: cpf_valido.entrada, data_consulta, hora_inicial};
+    }
+
     /**
      * Cancela um agendamento existente.
      * Solicita o CPF, data e hora da consulta, validando as informações antes de cancelar.
+     * Depois do cancelamento lista os pacientes da lista de espera que aceitam o horário liberado.
      * @async
      */
     async cancelarAgendamento(){
+        const consulta = await this.#lerConsulta();
+        if(!consulta)
+            return;
 
-        // Esse wrapper serve para conseguir passar o contexto da instância para o método
-        const cpf_valido = await super.validarEntrada("CPF: ", async (entrada) => PacienteController.validaCpf(entrada));
+        const resultado = await ConsultaController.removeConsulta(consulta.cpf, consulta.data_consulta, consulta.hora_inicial);
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Agendamento.cancelado"));
+            this.#mostrarInteressados(resultado.interessados);
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Mostra os pacientes da lista de espera que aceitam os horários liberados, se houver algum.
+     * @param {Object[]} interessados - Interessados retornados pelo cancelamento ou remarcação.
+     */
+    #mostrarInteressados(interessados){
+        const tabela = EsperaController.formatarInteressados(interessados);
+        if(tabela){
+            console.log("\n" + Idioma.texto("telas.Agendamento.interessados"));
+            console.log(tabela);
+        }
+    }
+
+    /**
+     * Confirma a presença do paciente em uma consulta futura.
+     * @async
+     */
+    async confirmarConsulta(){
+        const consulta = await this.#lerConsulta();
+        if(!consulta)
+            return;
+
+        const resultado = await ConsultaController.alterarStatus(consulta.cpf, consulta.data_consulta, consulta.hora_inicial, StatusConsulta.CONFIRMADA);
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Agendamento.confirmada"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Registra se o paciente compareceu ou faltou a uma consulta que já começou.
+     * @async
+     */
+    async registrarComparecimento(){
+        const consulta = await this.#lerConsulta();
+        if(!consulta)
+            return;
+
+        const compareceu = await this.lerSimNao(Idioma.texto("telas.Agendamento.compareceu"));
+
+        const status = compareceu ? StatusConsulta.REALIZADA : StatusConsulta.FALTOU;
+        const resultado = await ConsultaController.alterarStatus(consulta.cpf, consulta.data_consulta, consulta.hora_inicial, status);
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Agendamento.comparecimento_registrado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Remarca uma consulta futura para outra data ou horário, e opcionalmente outro profissional.
+     * O horário antigo só é liberado quando o novo for confirmado, e então são listados os pacientes da lista de espera que o aceitam.
+     * @async
+     */
+    async remarcarConsulta(){
+        const atual = await this.#lerConsulta(Idioma.texto("telas.Agendamento.data_atual"), Idioma.texto("telas.Agendamento.hora_atual"));
+        if(!atual)
+            return;
+
+        const inicio = await ConsultaController.iniciarRemarcacao(atual.cpf, atual.data_consulta, atual.hora_inicial);
+        if(!inicio.success){
+            this.processarErros(inicio.error);
+            return;
+        }
+
+        console.log(await ProfissionalController.listarProfissionais());
+
+        // Uma consulta agendada antes do cadastro de profissionais não tem profissional para manter
+        if(inicio.consulta.id_profissional === null){
+            await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional"), (entrada) => ConsultaController.setProfissional(entrada));
+        } else {
+            await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional_manter"), async (entrada) => {
+                if(entrada === "")
+                    return {success: true};
+
+                return ConsultaController.setProfissional(entrada);
+            });
+        }
+
+        await super.validarDataLoop(Idioma.texto("telas.Agendamento.nova_data"), (entrada) => ConsultaController.setDataConsulta(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.nova_hora_inicial"), (entrada) => ConsultaController.setHoraInicial(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.nova_hora_final"), (entrada) => ConsultaController.setHoraFinal(entrada));
+
+        const resultado = await ConsultaController.alterarConsulta();
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Agendamento.remarcada"));
+            this.#mostrarInteressados(resultado.interessados);
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Agenda uma série de consultas recorrentes, terminando por quantidade de consultas ou por data final.
+     * Todas as ocorrências são verificadas antes de salvar; se alguma tiver conflito, as datas com problema são
+     * listadas e nada é agendado.
+     * @async
+     */
+    async agendarSerie(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Agendamento.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
 
         // Se errar no cpf desistir da operação
         if(!cpf_valido.success)
             return;
 
-        const data_consulta = await super.validarEntradaLoop("Data da consulta: ", (entrada) => ConsultaController.validaData(entrada));
-        const hora_inicial = await super.validarEntradaLoop("Hora inicial: ", (entrada) => ConsultaController.validaHoraInicial(entrada));
+        // Sem profissionais cadastrados não há agenda para marcar a série
+        if((await ProfissionalController.getProfissionais()).length === 0){
+            this.processarErros(ErrorCodes.ERR_PROFISSIONAL_NAO_CADASTRADO);
+            return;
+        }
+
+        console.log(await ProfissionalController.listarProfissionais());
+        const id_profissional = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional"), async (entrada) => ProfissionalController.validaProfissional(entrada));
 
-        const resultado = await ConsultaController.removeConsulta(cpf_valido.entrada, data_consulta, hora_inicial);
+        const data_inicial = await super.validarDataLoop(Idioma.texto("telas.Agendamento.serie_data_inicial"), (entrada) => ConsultaController.validaData(entrada));
+        const hora_inicial = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.hora_inicial"), (entrada) => ConsultaController.validaHoraInicial(entrada));
+        const hora_final = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.hora_final"), (entrada) => ConsultaController.validaHoraInicial(entrada));
+        const intervalo_dias = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.serie_intervalo"), (entrada) => SerieController.validaIntervalo(entrada));
 
+        const ocorrencias = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.serie_ocorrencias"), (entrada) =>
+            entrada === "" ? {success: true} : SerieController.validaOcorrencias(entrada));
+
+        // Sem quantidade de consultas a série termina na data final
+        const data_final = ocorrencias !== "" ? null : await super.validarDataLoop(Idioma.texto("telas.Agendamento.serie_data_final"), (entrada) =>
+            ConsultaController.validaData(entrada, data_inicial));
+
+        const dados = {
+            cpf: cpf_valido.entrada, id_profissional, data_inicial, hora_inicial, hora_final, intervalo_dias,
+            ocorrencias: ocorrencias || null, data_final,
+        };
+
+        const previa = await SerieController.agendarSerie(dados, true);
+        if(previa.ocorrencias){
+            console.log("\n" + Idioma.texto("telas.Agendamento.serie_previa"));
+            for(const ocorrencia of previa.ocorrencias){
+                const data = Idioma.formatarData(DateTime.fromFormat(ocorrencia.data_consulta, "dd/MM/yyyy"));
+                console.log(ocorrencia.error
+                    ? Idioma.texto("telas.Agendamento.serie_conflito", { data, motivo: this.mensagemErro(ocorrencia.error) })
+                    : Idioma.texto("telas.Agendamento.serie_livre", { data }));
+            }
+        }
+
+        if(!previa.success){
+            this.processarErros(previa.error);
+            return;
+        }
+
+        if(!(await this.lerSimNao(Idioma.texto("telas.Agendamento.serie_confirmar", { n: previa.ocorrencias.length }))))
+            return;
+
+        const resultado = await SerieController.agendarSerie(dados);
         if (resultado.success) {
-            console.log("\nAgendamento cancelado com sucesso!");
+            console.log("\n" + Idioma.texto("telas.Agendamento.serie_agendada", { n: resultado.ocorrencias.length }));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Cancela as consultas futuras de uma série recorrente.
+     * Para cancelar apenas uma ocorrência basta usar o cancelamento de agendamento comum.
+     * @async
+     */
+    async cancelarSerie(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Agendamento.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return;
+
+        if((await SerieController.getSeries(cpf_valido.entrada)).length === 0){
+            console.log("\n" + Idioma.texto("telas.Agendamento.nenhuma_serie"));
+            return;
+        }
+
+        console.log(await SerieController.listarSeries(cpf_valido.entrada));
+        const id_serie = prompt(Idioma.texto("telas.Agendamento.serie"));
+
+        const resultado = await SerieController.cancelarSerie(cpf_valido.entrada, id_serie);
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Agendamento.serie_cancelada", { n: resultado.canceladas }));
+            this.#mostrarInteressados(resultado.interessados);
         } else {
             this.processarErros(resultado.error);
         }
@@ -79,27 +395,127 @@ export class Agendamento extends View{
 
     /**
      * Lista as consultas agendadas.
-     * Permite listar todas as consultas ou filtrar por um período específico.
+     * Permite listar todas as consultas ou filtrar por um período específico e por profissional,
+     * e em seguida exportar a mesma listagem para um arquivo iCalendar (.ics).
      * 
      * @async
      */
     async listarAgenda(){
-        const opcao = await super.validarEntradaLoop("Apresentar a agenda T-Toda ou P-Periodo: ", (entrada) => {
-                if((entrada === 'T') || (entrada === 'P'))
+        const toda = Idioma.texto("telas.Agendamento.letra_toda");
+        const periodo = Idioma.texto("telas.Agendamento.letra_periodo");
+
+        const opcao = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.tipo_listagem"), (entrada) => {
+                if((entrada === toda) || (entrada === periodo))
                     return {success: true}
 
                 return {success: false, error: ErrorCodes.ERR_ENTRADA_INVALIDA_AGENDA};
         })
-        
-        if(opcao === 'T') {
-            console.log(await ConsultaController.listarConsultas());
+
+        var data_inicial, data_final;
+        if(opcao === periodo) {
+            data_inicial = await super.validarDataLoop(Idioma.texto("telas.Agendamento.data_inicial"), (entrada) => ConsultaController.validaData(entrada));
+            data_final = await super.validarDataLoop(Idioma.texto("telas.Agendamento.data_final"), (entrada) => ConsultaController.validaData(entrada, data_inicial));
+        }
+
+        console.log(await ProfissionalController.listarProfissionais());
+        const id_profissional = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional_todos"), async (entrada) => {
+            if(entrada === "")
+                return {success: true};
+
+            return ProfissionalController.validaProfissional(entrada);
+        });
+
+        if(opcao === toda) {
+            console.log(await ConsultaController.listarConsultas(id_profissional));
+        } else {
+            console.log(await ConsultaController.listarConsultasPeriodo(data_inicial, data_final, id_profissional));
+        }
+
+        const exportar = await this.lerSimNao(Idioma.texto("telas.Agendamento.exportar"));
+
+        if(!exportar)
+            return;
+
+        const arquivo = (await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.arquivo_exportacao"), () => ({success: true}))) || "agenda.ics";
+        const conteudo = (opcao === toda)
+            ? await ConsultaController.exportarConsultas(id_profissional)
+            : await ConsultaController.exportarConsultasPeriodo(data_inicial, data_final, id_profissional);
+
+        try {
+            await writeFile(arquivo, conteudo, "utf-8");
+            console.log("\n" + Idioma.texto("telas.Agendamento.exportada", { arquivo }));
+        } catch {
+            this.processarErros(ErrorCodes.ERR_ARQUIVO_ESCRITA);
+        }
+    }
+
+    /**
+     * Mostra o relatório da agenda de um período, opcionalmente de um só profissional,
+     * e em seguida permite exportá-lo em JSON ou CSV.
+     * 
+     * @async
+     */
+    async relatorioAgenda(){
+        const data_inicial = await super.validarDataLoop(Idioma.texto("telas.Agendamento.data_inicial"), (entrada) => ConsultaController.validaData(entrada));
+        const data_final = await super.validarDataLoop(Idioma.texto("telas.Agendamento.data_final"), (entrada) => RelatorioController.validaPeriodo(data_inicial, entrada));
+
+        console.log(await ProfissionalController.listarProfissionais());
+        const id_profissional = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.profissional_todos"), async (entrada) => {
+            if(entrada === "")
+                return {success: true};
+
+            return ProfissionalController.validaProfissional(entrada);
+        });
+
+        const resultado = await RelatorioController.gerarRelatorio(data_inicial, data_final, id_profissional);
+        if(!resultado.success){
+            this.processarErros(resultado.error);
             return;
         }
 
-        const data_inicial = await super.validarEntradaLoop("Data inicial: ", (entrada) => ConsultaController.validaData(entrada));
-        const data_final = await super.validarEntradaLoop("Data final: ", (entrada) => ConsultaController.validaData(entrada, data_inicial));
+        console.log("\n" + RelatorioController.formatarRelatorio(resultado.relatorio));
 
-        console.log(await ConsultaController.listarConsultasPeriodo(data_inicial, data_final));
+        if(!(await this.lerSimNao(Idioma.texto("telas.Agendamento.relatorio_exportar"))))
+            return;
+
+        const json = Idioma.texto("telas.Agendamento.letra_json");
+        const csv = Idioma.texto("telas.Agendamento.letra_csv");
+        const formato = await super.validarEntradaLoop(Idioma.texto("telas.Agendamento.relatorio_formato"), (entrada) => {
+            if((entrada === json) || (entrada === csv))
+                return {success: true};
+
+            return {success: false, error: ErrorCodes.ERR_ENTRADA_INVALIDA_FORMATO};
+        });
+
+        const padrao = (formato === json) ? "relatorio.json" : "relatorio.csv";
+        const arquivo = prompt(Idioma.texto("telas.Agendamento.relatorio_arquivo", { arquivo: padrao })) || padrao;
+        const conteudo = (formato === json)
+            ? JSON.stringify(resultado.relatorio, null, 2)
+            : RelatorioController.exportarRelatorioCSV(resultado.relatorio);
+
+        try {
+            await writeFile(arquivo, conteudo, "utf-8");
+            console.log("\n" + Idioma.texto("telas.Agendamento.relatorio_exportado", { arquivo }));
+        } catch {
+            this.processarErros(ErrorCodes.ERR_ARQUIVO_ESCRITA);
+        }
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.AGENDAR_CONSULTA,
+            2: Permissao.AGENDAR_CONSULTA,
+            4: Permissao.AGENDAR_CONSULTA,
+            5: Permissao.AGENDAR_CONSULTA,
+            6: Permissao.REGISTRAR_COMPARECIMENTO,
+            7: Permissao.AGENDAR_CONSULTA,
+            8: Permissao.AGENDAR_CONSULTA,
+            10: Permissao.CONSULTAR_RELATORIOS,
+        };
     }
 
     /**
@@ -122,11 +538,38 @@ export class Agendamento extends View{
                 return { tela: "Agendamento", sair: true };
             
             case 4:
+                await this.remarcarConsulta();
+                return { tela: "Agendamento", sair: true };
+
+            case 5:
+                await this.confirmarConsulta();
+                return { tela: "Agendamento", sair: true };
+
+            case 6:
+                await this.registrarComparecimento();
+                return { tela: "Agendamento", sair: true };
+
+            case 7:
+                await this.agendarSerie();
+                return { tela: "Agendamento", sair: true };
+
+            case 8:
+                await this.cancelarSerie();
+                return { tela: "Agendamento", sair: true };
+
+            case 9:
+                return { tela: "ListaEspera", sair: true };
+
+            case 10:
+                await this.relatorioAgenda();
+                return { tela: "Agendamento", sair: true };
+
+            case 11:
                 return { tela: "Menu", sair: true };
 
             default:
                 // Chama novamente se a opção for inválida
-                console.log("Opção inválida! Por favor, escolha uma opção de 1 a 4.");
+                this.opcaoInvalida(11);
                 return { sair: false };
         }
     }
@@ -0,0 +1,65 @@
+import { View } from "./View.js";
+import AuditoriaController from "../controllers/AuditoriaController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import Idioma from "../utils/Idioma.js";
+
+/**
+ * Classe `Auditoria` representa a interface de consulta ao registro de alterações em pacientes e consultas.
+ * Essa classe estende a classe `View` e interage com o controlador `AuditoriaController`.
+ */
+export class Auditoria extends View {
+
+    /**
+     * Exibe o menu do módulo de auditoria.
+     */
+    show() {
+        this.mostrarMenu("Auditoria");
+    }
+
+    /**
+     * Lista as alterações feitas em um paciente e em suas consultas, inclusive de pacientes já removidos.
+     * @async
+     */
+    async consultarPorCpf() {
+        const cpf = await super.validarEntrada(Idioma.texto("telas.Auditoria.cpf"), (entrada) => AuditoriaController.validaCpf(entrada));
+        if (!cpf.success)
+            return;
+
+        console.log(await AuditoriaController.listarRegistros({ cpf: cpf.entrada }));
+    }
+
+    /**
+     * Lista as alterações feitas em um intervalo de datas.
+     * @async
+     */
+    async consultarPorPeriodo() {
+        const data_inicial = await super.validarDataLoop(Idioma.texto("telas.Auditoria.data_inicial"), (entrada) => ConsultaController.validaData(entrada));
+        const data_final = await super.validarDataLoop(Idioma.texto("telas.Auditoria.data_final"), (entrada) => ConsultaController.validaData(entrada, data_inicial));
+
+        console.log(await AuditoriaController.listarRegistros({ data_inicial, data_final }));
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao) {
+        switch (opcao) {
+            case 1:
+                await this.consultarPorCpf();
+                return { tela: "Auditoria", sair: true };
+
+            case 2:
+                await this.consultarPorPeriodo();
+                return { tela: "Auditoria", sair: true };
+
+            case 3:
+                return { tela: "Menu", sair: true };
+
+            default:
+                this.opcaoInvalida(3);
+                return { tela: "Auditoria", sair: false };
+        }
+    }
+}
@@ -1,10 +1,19 @@
+import { readFile, writeFile } from 'fs/promises';
 import PacienteController from '../controllers/PacienteController.js';
 import ConsultaController from '../controllers/ConsultaController.js';
 import { View } from './View.js';
+import { ErrorCodes } from '../utils/Error.js';
+import { Permissao } from '../models/Operador.js';
+import Idioma from '../utils/Idioma.js';
 
 import promptSync from 'prompt-sync';
 const prompt = promptSync({ sigint: true });
 
+/**
+ * Quantidade de pacientes exibidos por página nas listagens
+ */
+const TAMANHO_PAGINA = 10;
+
 /**
  * Classe `CadastroPacientes` representa a interface para gerenciar as operações relacionadas ao cadastro de pacientes.
  * Essa classe estende a classe `View` e interage com os controladores `PacienteController` e `ConsultaController`.
@@ -24,10 +33,7 @@ export class CadastroPacientes extends View {
      * Exibe o menu do módulo de cadastro de pacientes.
      */
     show() {
-        console.log(
-            "\nMenu do Cadastro de Pacientes \n1 - Cadastrar novo paciente \n2 - Excluir paciente " +
-            "\n3 - Listar pacientes (ordenado por CPF) \n4 - Listar pacientes (ordenado por nome) \n5 - Voltar p/ menu principal"
-        );
+        this.mostrarMenu("CadastroPacientes");
     }
 
     /**
@@ -36,20 +42,52 @@ export class CadastroPacientes extends View {
      * @async
      */
     async cadastrarNovoPaciente() {
-        console.log("Cadastro de novo paciente:");
+        console.log(Idioma.texto("telas.CadastroPacientes.cadastro"));
         PacienteController.iniciarNovoPaciente();
 
         // Esse wrapper serve para conseguir passar o contexto da instância para o método
-        const resultado_cpf = await super.validarEntrada("CPF: ", async (entrada) => (PacienteController.setCpf(entrada)));
+        const resultado_cpf = await super.validarEntrada(Idioma.texto("telas.CadastroPacientes.cpf"), async (entrada) => (PacienteController.setCpf(entrada)));
         if(!resultado_cpf.success) 
             return;
             
-        await super.validarEntradaLoop("Nome: ", (entrada) => PacienteController.setNome(entrada));
-        await super.validarEntradaLoop("Data de nascimento: ", (entrada) => PacienteController.setData_nasc(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.nome"), (entrada) => PacienteController.setNome(entrada));
+        await super.validarDataLoop(Idioma.texto("telas.CadastroPacientes.data_nasc"), (entrada) => PacienteController.setData_nasc(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.email"), (entrada) => PacienteController.setEmail(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.telefone"), (entrada) => PacienteController.setTelefone(entrada));
 
         const resultado = await PacienteController.addPaciente();
         if (resultado.success) {
-            console.log("\nPaciente cadastrado com sucesso!");
+            console.log("\n" + Idioma.texto("telas.CadastroPacientes.cadastrado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Altera o nome, a data de nascimento e os contatos de um paciente, com as mesmas validações do cadastro.
+     * Deixar um campo vazio mantém o valor atual, e um hífen remove o contato.
+     * @async
+     */
+    async alterarPaciente() {
+        const inicio = await PacienteController.iniciarAlteracao(prompt(Idioma.texto("telas.CadastroPacientes.cpf")));
+        if (!inicio.success) {
+            this.processarErros(inicio.error);
+            return;
+        }
+
+        const { paciente } = inicio;
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.nome_manter", { nome: paciente.nome }), (entrada) =>
+            entrada === "" ? {success: true} : PacienteController.setNome(entrada));
+        await super.validarDataLoop(Idioma.texto("telas.CadastroPacientes.data_nasc_manter", { data_nasc: Idioma.formatarData(paciente.data_nasc) }), (entrada) =>
+            entrada === "" ? {success: true} : PacienteController.setData_nasc(entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.email_manter", { email: paciente.email ?? "-" }), (entrada) =>
+            entrada === "" ? {success: true} : PacienteController.setEmail(entrada === "-" ? "" : entrada));
+        await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.telefone_manter", { telefone: paciente.telefone ?? "-" }), (entrada) =>
+            entrada === "" ? {success: true} : PacienteController.setTelefone(entrada === "-" ? "" : entrada));
+
+        const resultado = await PacienteController.alterarPaciente();
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.CadastroPacientes.alterado"));
         } else {
             this.processarErros(resultado.error);
         }
@@ -61,11 +99,11 @@ export class CadastroPacientes extends View {
      * @throws {Error} Caso o CPF seja inválido ou o paciente não seja encontrado.
      */
     async excluirPaciente() {
-        const cpf = prompt("CPF: ");
+        const cpf = prompt(Idioma.texto("telas.CadastroPacientes.cpf"));
         const resultado = await PacienteController.removePaciente(cpf);
 
         if (resultado.success) {
-            console.log("\nPaciente excluído com sucesso.");
+            console.log("\n" + Idioma.texto("telas.CadastroPacientes.excluido"));
         } else {
             this.processarErros(resultado.error);
         }
@@ -75,16 +113,139 @@ export class CadastroPacientes extends View {
      * Lista os pacientes cadastrados, ordenados por CPF.
      */
     async listarPacientesOrdenadoPorCpf() {
-        const lista_pacientes = await PacienteController.getPacientesOrdenadosPorCpf();
-        console.log(lista_pacientes)
+        await this.#listarPaginado("cpf");
     }
 
     /**
      * Lista os pacientes cadastrados, ordenados por nome.
      */
     async listarPacientesOrdenadoPorNome() {
-        const lista_pacientes = await PacienteController.getPacientesOrdenadosPorNome();
-        console.log(lista_pacientes)
+        await this.#listarPaginado("nome");
+    }
+
+    /**
+     * Busca pacientes por parte do nome, sem diferenciar acentos e maiúsculas, ou pelo início do CPF.
+     */
+    async buscarPaciente() {
+        const busca = prompt(Idioma.texto("telas.CadastroPacientes.busca")).trim();
+        await this.#listarPaginado("nome", busca);
+    }
+
+    /**
+     * Exibe os pacientes página por página, permitindo avançar, voltar ou ir direto para uma página.
+     * 
+     * @param {"cpf"|"nome"} ordem - Campo usado na ordenação.
+     * @param {string} [busca=""] - Parte do nome ou início do CPF, vazio para todos os pacientes.
+     */
+    async #listarPaginado(ordem, busca = "") {
+        const total = await PacienteController.contarPacientes(busca);
+        if (total === 0) {
+            console.log("\n" + Idioma.texto("telas.CadastroPacientes.nenhum_encontrado"));
+            return;
+        }
+
+        const paginas = Math.ceil(total / TAMANHO_PAGINA);
+        let pagina = 1;
+
+        const proxima = Idioma.texto("telas.CadastroPacientes.letra_proxima");
+        const anterior = Idioma.texto("telas.CadastroPacientes.letra_anterior");
+        const voltar = Idioma.texto("telas.CadastroPacientes.letra_voltar");
+
+        while (true) {
+            const opcoes = { busca, limite: TAMANHO_PAGINA, deslocamento: (pagina - 1) * TAMANHO_PAGINA };
+            const lista_pacientes = (ordem === "nome")
+                ? await PacienteController.getPacientesOrdenadosPorNome(opcoes)
+                : await PacienteController.getPacientesOrdenadosPorCpf(opcoes);
+
+            console.log(lista_pacientes);
+            console.log(Idioma.texto("telas.CadastroPacientes.pagina", {
+                pagina, paginas, total, pacientes: Idioma.texto(`telas.CadastroPacientes.${total === 1 ? "paciente" : "pacientes"}`)
+            }));
+
+            if (paginas === 1)
+                return;
+
+            const navegacao = await super.validarEntradaLoop(Idioma.texto("telas.CadastroPacientes.navegacao"), (entrada) => {
+                const numero = Number(entrada);
+                if ([proxima, anterior, voltar].includes(entrada) || (Number.isInteger(numero) && numero >= 1 && numero <= paginas))
+                    return {success: true};
+
+                return {success: false, error: ErrorCodes.ERR_ENTRADA_INVALIDA_PAGINA};
+            });
+
+            if (navegacao === voltar)
+                return;
+
+            if (navegacao === proxima)
+                pagina = Math.min(pagina + 1, paginas);
+            else if (navegacao === anterior)
+                pagina = Math.max(pagina - 1, 1);
+            else
+                pagina = Number(navegacao);
+        }
+    }
+
+    /**
+     * Importa pacientes de um arquivo CSV, opcionalmente apenas simulando a importação,
+     * e exibe as linhas recusadas com o motivo.
+     * @async
+     */
+    async importarPacientes() {
+        const arquivo = prompt(Idioma.texto("telas.CadastroPacientes.arquivo_csv"));
+
+        var texto;
+        try {
+            texto = await readFile(arquivo, "utf-8");
+        } catch {
+            this.processarErros(ErrorCodes.ERR_ARQUIVO_LEITURA);
+            return;
+        }
+
+        const simular = await this.lerSimNao(Idioma.texto("telas.CadastroPacientes.simular"));
+
+        const relatorio = await PacienteController.importarPacientes(texto, simular);
+        if (!relatorio.success) {
+            this.processarErros(relatorio.error);
+            return;
+        }
+
+        for (const { linha, cpf, error } of relatorio.erros)
+            console.log(Idioma.texto("telas.CadastroPacientes.linha_recusada", {
+                linha: String(linha).padStart(5), cpf: cpf || Idioma.texto("telas.CadastroPacientes.cpf_vazio"), erro: this.mensagemErro(error)
+            }));
+
+        const { aceitos, total } = relatorio;
+        console.log("\n" + Idioma.texto(`telas.CadastroPacientes.${simular ? "simulacao" : "importados"}`, { aceitos, total }));
+    }
+
+    /**
+     * Exporta os pacientes cadastrados, ordenados por CPF, para um arquivo CSV.
+     * @async
+     */
+    async exportarPacientes() {
+        const arquivo = prompt(Idioma.texto("telas.CadastroPacientes.arquivo_exportacao")) || "pacientes.csv";
+
+        try {
+            await writeFile(arquivo, await PacienteController.exportarPacientes(), "utf-8");
+            console.log("\n" + Idioma.texto("telas.CadastroPacientes.exportados", { arquivo }));
+        } catch {
+            this.processarErros(ErrorCodes.ERR_ARQUIVO_ESCRITA);
+        }
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.CADASTRAR_PACIENTE,
+            2: Permissao.CADASTRAR_PACIENTE,
+            3: Permissao.EXCLUIR_PACIENTE,
+            7: Permissao.IMPORTAR_PACIENTES,
+            8: Permissao.EXPORTAR_PACIENTES,
+            9: Permissao.CONSULTAR_PRONTUARIO,
+        };
     }
 
     /**
@@ -99,22 +260,41 @@ export class CadastroPacientes extends View {
                 return { tela: "CadastroPacientes", sair: true};
 
             case 2:
-                await this.excluirPaciente();
+                await this.alterarPaciente();
                 return { tela: "CadastroPacientes", sair: true};
 
             case 3:
-                await this.listarPacientesOrdenadoPorCpf();
+                await this.excluirPaciente();
                 return { tela: "CadastroPacientes", sair: true};
 
             case 4:
-                await this.listarPacientesOrdenadoPorNome();
+                await this.listarPacientesOrdenadoPorCpf();
                 return { tela: "CadastroPacientes", sair: true};
 
             case 5:
+                await this.listarPacientesOrdenadoPorNome();
+                return { tela: "CadastroPacientes", sair: true};
+
+            case 6:
+                await this.buscarPaciente();
+                return { tela: "CadastroPacientes", sair: true};
+
+            case 7:
+                await this.importarPacientes();
+                return { tela: "CadastroPacientes", sair: true};
+
+            case 8:
+                await this.exportarPacientes();
+                return { tela: "CadastroPacientes", sair: true};
+
+            case 9:
+                return { tela: "Prontuario", sair: true};
+
+            case 10:
                 return { tela: "Menu", sair: true};
 
             default:
-                console.log("Opção inválida! Por favor, escolha uma opção de 1 a 5.");
+                this.opcaoInvalida(10);
                 return { tela: "CadastroPacientes", sair: false};
         }
     }
@@ -0,0 +1,78 @@
+import { View } from "./View.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import { Permissao } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Classe `CadastroProfissionais` representa a interface para gerenciar os profissionais (dentistas) da clínica.
+ * Essa classe estende a classe `View` e interage com o controlador `ProfissionalController`.
+ */
+export class CadastroProfissionais extends View {
+
+    /**
+     * Exibe o menu do módulo de cadastro de profissionais.
+     */
+    show() {
+        this.mostrarMenu("CadastroProfissionais");
+    }
+
+    /**
+     * Realiza o cadastro de um novo profissional.
+     * @async
+     */
+    async cadastrarNovoProfissional() {
+        const nome = prompt(Idioma.texto("telas.CadastroProfissionais.nome"));
+        const resultado = await ProfissionalController.addProfissional(nome);
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.CadastroProfissionais.cadastrado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Lista os profissionais cadastrados.
+     * @async
+     */
+    async listarProfissionais() {
+        console.log(await ProfissionalController.listarProfissionais());
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.CADASTRAR_PROFISSIONAL,
+        };
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao) {
+        switch (opcao) {
+            case 1:
+                await this.cadastrarNovoProfissional();
+                return { tela: "CadastroProfissionais", sair: true };
+
+            case 2:
+                await this.listarProfissionais();
+                return { tela: "CadastroProfissionais", sair: true };
+
+            case 3:
+                return { tela: "Menu", sair: true };
+
+            default:
+                this.opcaoInvalida(3);
+                return { tela: "CadastroProfissionais", sair: false };
+        }
+    }
+}
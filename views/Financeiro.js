@@ -0,0 +1,280 @@
+import { View } from "./View.js";
+import PacienteController from "../controllers/PacienteController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import ProcedimentoController from "../controllers/ProcedimentoController.js";
+import FinanceiroController from "../controllers/FinanceiroController.js";
+
+import { Permissao } from "../models/Operador.js";
+import { FormaPagamento } from "../models/Pagamento.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Classe `Financeiro` representa a interface do financeiro da clínica: a tabela de preços dos procedimentos,
+ * as cobranças lançadas nas consultas, os pagamentos e o extrato dos pacientes.
+ * Essa classe estende a classe `View` e interage com os controladores `ProcedimentoController` e `FinanceiroController`.
+ */
+export class Financeiro extends View{
+
+    /**
+     * Exibe o menu do financeiro.
+     */
+    show(){
+        this.mostrarMenu("Financeiro");
+    }
+
+    /**
+     * Solicita o CPF de um paciente.
+     *
+     * @async
+     * @returns {string|null} CPF válido, ou nulo se o usuário errar
+     */
+    async #lerCpf(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Financeiro.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+        return cpf_valido.success ? cpf_valido.entrada : null;
+    }
+
+    /**
+     * Solicita o CPF, a data e a hora inicial que identificam uma consulta.
+     *
+     * @async
+     * @returns {{cpf: string, data_consulta: string, hora_inicial: string}|null} Dados da consulta, ou nulo se o CPF for inválido
+     */
+    async #lerConsulta(){
+        const cpf = await this.#lerCpf();
+
+        // Se errar no cpf desistir da operação
+        if(!cpf)
+            return null;
+
+        const data_consulta = await super.validarDataLoop(Idioma.texto("telas.Financeiro.data_consulta"), (entrada) => ConsultaController.validaData(entrada));
+        const hora_inicial = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.hora_inicial"), (entrada) => ConsultaController.validaHoraInicial(entrada));
+
+        return {cpf, data_consulta, hora_inicial};
+    }
+
+    /**
+     * Exibe o extrato de um paciente.
+     *
+     * @async
+     * @param {string} cpf - CPF do paciente.
+     * @returns {boolean} Se o extrato foi exibido
+     */
+    async #mostrarExtrato(cpf){
+        const extrato = await FinanceiroController.getExtrato(cpf);
+        if(!extrato.success){
+            this.processarErros(extrato.error);
+            return false;
+        }
+
+        console.log("\n" + FinanceiroController.formatarExtrato(extrato));
+        return true;
+    }
+
+    /**
+     * Lista a tabela de preços, incluindo os procedimentos desativados.
+     * @async
+     */
+    async listarProcedimentos(){
+        console.log(await ProcedimentoController.listarProcedimentos({incluir_inativos: true}));
+    }
+
+    /**
+     * Cadastra um procedimento na tabela de preços.
+     * @async
+     */
+    async cadastrarProcedimento(){
+        const nome = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.nome"), (entrada) => ProcedimentoController.validaNome(entrada));
+        const preco = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.preco"), (entrada) => ProcedimentoController.validaPreco(entrada));
+
+        const resultado = await ProcedimentoController.addProcedimento(nome, preco);
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Financeiro.cadastrado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Altera o nome, o preço ou a situação de um procedimento. Campos deixados em branco não são alterados.
+     * @async
+     */
+    async alterarProcedimento(){
+        await this.listarProcedimentos();
+
+        const procedimento = await ProcedimentoController.getProcedimento(prompt(Idioma.texto("telas.Financeiro.procedimento")));
+        if(!procedimento){
+            this.processarErros(ErrorCodes.ERR_PROCEDIMENTO_NAO_CADASTRADO);
+            return;
+        }
+
+        const vazio_ou = (validacao) => (entrada) => (entrada === "") ? {success: true} : validacao(entrada);
+        const nome = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.novo_nome"), vazio_ou((entrada) => ProcedimentoController.validaNome(entrada)));
+        const preco = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.novo_preco"), vazio_ou((entrada) => ProcedimentoController.validaPreco(entrada)));
+        const ativo = await this.lerSimNao(Idioma.texto("telas.Financeiro.ativo"));
+
+        const resultado = await ProcedimentoController.alterarProcedimento(procedimento.id, {
+            ...(nome === "" ? {} : {nome}),
+            ...(preco === "" ? {} : {preco}),
+            ativo,
+        });
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Financeiro.alterado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Lança na consulta a cobrança dos procedimentos realizados, escolhidos na tabela de preços.
+     * @async
+     */
+    async lancarCobranca(){
+        const consulta = await this.#lerConsulta();
+        if(!consulta)
+            return;
+
+        const { cpf, data_consulta, hora_inicial } = consulta;
+        console.log(await ProcedimentoController.listarProcedimentos());
+
+        do {
+            const id_procedimento = prompt(Idioma.texto("telas.Financeiro.procedimento"));
+            const resultado = await FinanceiroController.lancarCobranca(cpf, data_consulta, hora_inicial, id_procedimento);
+
+            if(!resultado.success){
+                this.processarErros(resultado.error);
+                return;
+            }
+
+            console.log("\n" + Idioma.texto("telas.Financeiro.lancado", {
+                descricao: resultado.cobranca.descricao,
+                valor: Idioma.formatarValor(resultado.cobranca.valor),
+            }));
+        } while(await this.lerSimNao(Idioma.texto("telas.Financeiro.outro_procedimento")));
+
+        await this.#mostrarExtrato(cpf);
+    }
+
+    /**
+     * Remove uma cobrança lançada por engano, escolhida no extrato do paciente.
+     * @async
+     */
+    async removerCobranca(){
+        const cpf = await this.#lerCpf();
+        if(!cpf || !(await this.#mostrarExtrato(cpf)))
+            return;
+
+        const resultado = await FinanceiroController.removeCobranca(prompt(Idioma.texto("telas.Financeiro.cobranca")));
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Financeiro.removida"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Registra um pagamento de uma consulta, mostrando antes o extrato do paciente.
+     * @async
+     */
+    async registrarPagamento(){
+        const consulta = await this.#lerConsulta();
+        if(!consulta)
+            return;
+
+        const { cpf, data_consulta, hora_inicial } = consulta;
+        if(!(await this.#mostrarExtrato(cpf)))
+            return;
+
+        const valor = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.valor"), (entrada) => FinanceiroController.validaValor(entrada));
+
+        const formas = Object.values(FormaPagamento);
+        console.log(formas.map((forma, i) => `${i + 1} - ${Idioma.texto(`formas_pagamento.${forma}`)}`).join("\n"));
+        const opcao = await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.forma"), (entrada) => FinanceiroController.validaFormaPagamento(formas[Number(entrada) - 1]));
+        const forma = formas[Number(opcao) - 1];
+
+        const parcelas = (forma === FormaPagamento.CARTAO_CREDITO)
+            ? await super.validarEntradaLoop(Idioma.texto("telas.Financeiro.parcelas"), (entrada) => FinanceiroController.validaParcelas(forma, entrada))
+            : 1;
+
+        const resultado = await FinanceiroController.registrarPagamento(cpf, data_consulta, hora_inicial, {valor, forma, parcelas});
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Financeiro.pago", {saldo: Idioma.formatarValor(resultado.saldo)}));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Exibe o extrato de um paciente, com as cobranças, os pagamentos e o saldo em aberto.
+     * @async
+     */
+    async mostrarExtrato(){
+        const cpf = await this.#lerCpf();
+        if(cpf)
+            await this.#mostrarExtrato(cpf);
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            2: Permissao.CADASTRAR_PROCEDIMENTO,
+            3: Permissao.CADASTRAR_PROCEDIMENTO,
+            4: Permissao.LANCAR_COBRANCA,
+            5: Permissao.LANCAR_COBRANCA,
+            6: Permissao.REGISTRAR_PAGAMENTO,
+            7: Permissao.REGISTRAR_PAGAMENTO,
+        };
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao){
+        switch (opcao) {
+            case 1:
+                await this.listarProcedimentos();
+                return { tela: "Financeiro", sair: true };
+
+            case 2:
+                await this.cadastrarProcedimento();
+                return { tela: "Financeiro", sair: true };
+
+            case 3:
+                await this.alterarProcedimento();
+                return { tela: "Financeiro", sair: true };
+
+            case 4:
+                await this.lancarCobranca();
+                return { tela: "Financeiro", sair: true };
+
+            case 5:
+                await this.removerCobranca();
+                return { tela: "Financeiro", sair: true };
+
+            case 6:
+                await this.registrarPagamento();
+                return { tela: "Financeiro", sair: true };
+
+            case 7:
+                await this.mostrarExtrato();
+                return { tela: "Financeiro", sair: true };
+
+            case 8:
+                return { tela: "Menu", sair: true };
+
+            default:
+                // Chama novamente se a opção for inválida
+                this.opcaoInvalida(8);
+                return { sair: false };
+        }
+    }
+};
@@ -0,0 +1,141 @@
+import { View } from "./View.js";
+import PacienteController from "../controllers/PacienteController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import ProfissionalController from "../controllers/ProfissionalController.js";
+import EsperaController from "../controllers/EsperaController.js";
+
+import { Permissao } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Classe `ListaEspera` representa a interface da lista de espera por horários já ocupados.
+ * Essa classe estende a classe `View` e interage com o controlador `EsperaController`.
+ */
+export class ListaEspera extends View{
+
+    /**
+     * Exibe o menu da lista de espera.
+     */
+    show(){
+        this.mostrarMenu("ListaEspera");
+    }
+
+    /**
+     * Inclui um paciente na lista de espera.
+     * Os dados já conhecidos, como no agendamento sem horário livre, não são pedidos novamente.
+     *
+     * @async
+     * @param {{cpf?: string, id_profissional?: string, duracao?: string}} [conhecidos={}] - Dados já informados pelo usuário.
+     */
+    async incluirPaciente({cpf = null, id_profissional = null, duracao = null} = {}){
+        if(cpf === null){
+            const cpf_valido = await super.validarEntrada(Idioma.texto("telas.ListaEspera.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+            // Se errar no cpf desistir da operação
+            if(!cpf_valido.success)
+                return;
+
+            cpf = cpf_valido.entrada;
+        }
+
+        if(id_profissional === null){
+            console.log(await ProfissionalController.listarProfissionais());
+            id_profissional = await super.validarEntradaLoop(Idioma.texto("telas.ListaEspera.profissional"), async (entrada) =>
+                entrada === "" ? {success: true} : ProfissionalController.validaProfissional(entrada));
+        }
+
+        if(duracao === null)
+            duracao = await super.validarEntradaLoop(Idioma.texto("telas.ListaEspera.duracao"), (entrada) => ConsultaController.validaDuracao(entrada));
+
+        const data_inicial = await super.validarDataLoop(Idioma.texto("telas.ListaEspera.data_inicial"), (entrada) => ConsultaController.validaData(entrada));
+        const data_final = await super.validarDataLoop(Idioma.texto("telas.ListaEspera.data_final"), (entrada) => ConsultaController.validaData(entrada, data_inicial));
+
+        const hora_inicial = await super.validarEntradaLoop(Idioma.texto("telas.ListaEspera.hora_inicial"), (entrada) => ConsultaController.validaHoraInicial(entrada));
+        const hora_final = await super.validarEntradaLoop(Idioma.texto("telas.ListaEspera.hora_final"), (entrada) => EsperaController.validaFaixa(hora_inicial, entrada, duracao));
+
+        const resultado = await EsperaController.addEspera({cpf, id_profissional, data_inicial, data_final, hora_inicial, hora_final, duracao});
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.ListaEspera.incluido"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Lista os pedidos da lista de espera em ordem de prioridade.
+     * @async
+     */
+    async listarEspera(){
+        console.log(await EsperaController.listarEsperas());
+    }
+
+    /**
+     * Retira um pedido de um paciente da lista de espera.
+     * @async
+     */
+    async retirarPaciente(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.ListaEspera.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return;
+
+        const esperas = await EsperaController.getEsperas(cpf_valido.entrada);
+        if(esperas.length === 0){
+            console.log("\n" + Idioma.texto("telas.ListaEspera.nenhum_pedido"));
+            return;
+        }
+
+        console.log(EsperaController.formatarEsperas(esperas));
+        const resultado = await EsperaController.removeEspera(cpf_valido.entrada, prompt(Idioma.texto("telas.ListaEspera.pedido")));
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.ListaEspera.retirado"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.AGENDAR_CONSULTA,
+            3: Permissao.AGENDAR_CONSULTA,
+        };
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao){
+        switch (opcao) {
+            case 1:
+                await this.incluirPaciente();
+                return { tela: "ListaEspera", sair: true };
+
+            case 2:
+                await this.listarEspera();
+                return { tela: "ListaEspera", sair: true };
+
+            case 3:
+                await this.retirarPaciente();
+                return { tela: "ListaEspera", sair: true };
+
+            case 4:
+                return { tela: "Agendamento", sair: true };
+
+            default:
+                // Chama novamente se a opção for inválida
+                this.opcaoInvalida(4);
+                return { sair: false };
+        }
+    }
+};
@@ -0,0 +1,70 @@
+import { View } from "./View.js";
+import OperadorController from "../controllers/OperadorController.js";
+import { PapelOperador } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Número de tentativas de login antes de encerrar o sistema
+ */
+const MAXIMO_TENTATIVAS = 3;
+
+/**
+ * Classe `Login` representa a tela de entrada no sistema, onde o operador informa login e senha.
+ * Na primeira execução, sem nenhum operador cadastrado, pede o cadastro do administrador.
+ */
+export class Login extends View {
+
+    /**
+     * Exibe o título da tela de login.
+     */
+    show() {
+        console.log(`\n${Idioma.texto("telas.Login.titulo")}\n`);
+    }
+
+    /**
+     * Cadastra o primeiro operador do sistema, com o papel de administrador.
+     * @async
+     */
+    async cadastrarAdministrador() {
+        console.log("\n" + Idioma.texto("telas.Login.sem_operadores"));
+
+        const login = await super.validarEntradaLoop(Idioma.texto("telas.Login.login"), (entrada) => OperadorController.validaLogin(entrada));
+        const senha = this.lerNovaSenha(Idioma.texto("telas.Login.senha"));
+
+        const resultado = await OperadorController.addOperador(login, senha, PapelOperador.ADMIN);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Login.administrador_cadastrado"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Pede login e senha até que sejam aceitos ou acabem as tentativas.
+     * @async
+     * @returns {string} A tela para onde o operador será redirecionado.
+     */
+    async main() {
+        if (await OperadorController.contarOperadores() === 0)
+            await this.cadastrarAdministrador();
+
+        this.show();
+        for (let tentativa = 1; tentativa <= MAXIMO_TENTATIVAS; tentativa++) {
+            const login = prompt(Idioma.texto("telas.Login.login"));
+            const senha = this.lerSenha(Idioma.texto("telas.Login.senha"));
+
+            const resultado = await OperadorController.autenticar(login, senha);
+            if (resultado.success) {
+                console.log("\n" + Idioma.texto("telas.Login.boas_vindas", { login: resultado.operador.login, papel: resultado.operador.papel }));
+                return "Menu";
+            }
+
+            this.processarErros(resultado.error);
+        }
+
+        console.log("\n" + Idioma.texto("telas.Login.tentativas_esgotadas"));
+        return "Fim";
+    }
+}
@@ -1,5 +1,8 @@
 import { View } from './View.js';
 import Database from '../db/Database.js';
+import OperadorController from '../controllers/OperadorController.js';
+import { Permissao } from '../models/Operador.js';
+import Sessao from '../utils/Sessao.js';
 
 
 export class Menu extends View{
@@ -8,7 +11,17 @@ export class Menu extends View{
      * Mostras as opções dessa tela
      */
     show() {
-        console.log("\nMenu Principal\n1 - Cadastro de pacientes\n2 - Agenda\n3 - Fim\n");
+        this.mostrarMenu("Menu", { operador: Sessao.operador });
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            5: Permissao.CONSULTAR_AUDITORIA,
+        };
     }
 
     /**
@@ -25,10 +38,21 @@ export class Menu extends View{
             case 2:
                 return { tela: "Agendamento", sair: true };
             case 3:
+                return { tela: "CadastroProfissionais", sair: true };
+            case 4:
+                return { tela: "Financeiro", sair: true };
+            case 5:
+                return { tela: "Auditoria", sair: true };
+            case 6:
+                return { tela: "Operadores", sair: true };
+            case 7:
+                OperadorController.encerrarSessao();
+                return { tela: "Login", sair: true };
+            case 8:
                 return { tela: "Fim", sair: true };
             default:
                 // Chama novamente se a opção for inválida
-                console.log("Opção inválida! Por favor, escolha uma opção de 1 a 3.\n");
+                this.opcaoInvalida(8);
                 return { sair: false };
         }
     }
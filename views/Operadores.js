@@ -0,0 +1,170 @@
+import { View } from "./View.js";
+import OperadorController from "../controllers/OperadorController.js";
+import { Permissao } from "../models/Operador.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Classe `Operadores` representa a interface para gerenciar os operadores do sistema e a senha do operador atual.
+ * Essa classe estende a classe `View` e interage com o controlador `OperadorController`.
+ */
+export class Operadores extends View {
+
+    /**
+     * Exibe o menu do módulo de operadores.
+     */
+    show() {
+        this.mostrarMenu("Operadores");
+    }
+
+    /**
+     * Lê o papel de um operador em loop até que seja válido.
+     * @async
+     * @returns {string} O papel informado.
+     */
+    async lerPapel() {
+        return await super.validarEntradaLoop(Idioma.texto("telas.Operadores.papel"), (entrada) => OperadorController.validaPapel(entrada));
+    }
+
+    /**
+     * Realiza o cadastro de um novo operador.
+     * @async
+     */
+    async cadastrarOperador() {
+        const login = await super.validarEntrada(Idioma.texto("telas.Operadores.login"), (entrada) => OperadorController.validaLogin(entrada));
+        if (!login.success)
+            return;
+
+        const senha = this.lerNovaSenha(Idioma.texto("telas.Operadores.senha"));
+        const papel = await this.lerPapel();
+
+        const resultado = await OperadorController.addOperador(login.entrada, senha, papel);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Operadores.cadastrado"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Lista os operadores cadastrados.
+     * @async
+     */
+    async listarOperadores() {
+        console.log(await OperadorController.listarOperadores());
+    }
+
+    /**
+     * Altera o papel de um operador.
+     * @async
+     */
+    async alterarPapel() {
+        const login = prompt(Idioma.texto("telas.Operadores.login"));
+        const papel = await this.lerPapel();
+
+        const resultado = await OperadorController.alterarPapel(login, papel);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Operadores.papel_alterado"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Define uma nova senha para outro operador.
+     * @async
+     */
+    async redefinirSenha() {
+        const login = prompt(Idioma.texto("telas.Operadores.login"));
+        const senha = this.lerNovaSenha(Idioma.texto("telas.Operadores.nova_senha"));
+
+        const resultado = await OperadorController.redefinirSenha(login, senha);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Operadores.senha_redefinida"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Desativa um operador, que deixa de conseguir entrar no sistema.
+     * @async
+     */
+    async desativarOperador() {
+        const login = prompt(Idioma.texto("telas.Operadores.login"));
+
+        const resultado = await OperadorController.desativarOperador(login);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Operadores.desativado"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Altera a senha do operador atual.
+     * @async
+     */
+    async alterarMinhaSenha() {
+        const senha_atual = this.lerSenha(Idioma.texto("telas.Operadores.senha_atual"));
+        const nova_senha = this.lerNovaSenha(Idioma.texto("telas.Operadores.nova_senha"));
+
+        const resultado = await OperadorController.alterarSenha(senha_atual, nova_senha);
+        if (resultado.success)
+            console.log("\n" + Idioma.texto("telas.Operadores.senha_alterada"));
+        else
+            this.processarErros(resultado.error);
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.GERENCIAR_OPERADORES,
+            2: Permissao.GERENCIAR_OPERADORES,
+            3: Permissao.GERENCIAR_OPERADORES,
+            4: Permissao.GERENCIAR_OPERADORES,
+            5: Permissao.GERENCIAR_OPERADORES,
+        };
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao) {
+        switch (opcao) {
+            case 1:
+                await this.cadastrarOperador();
+                return { tela: "Operadores", sair: true };
+
+            case 2:
+                await this.listarOperadores();
+                return { tela: "Operadores", sair: true };
+
+            case 3:
+                await this.alterarPapel();
+                return { tela: "Operadores", sair: true };
+
+            case 4:
+                await this.redefinirSenha();
+                return { tela: "Operadores", sair: true };
+
+            case 5:
+                await this.desativarOperador();
+                return { tela: "Operadores", sair: true };
+
+            case 6:
+                await this.alterarMinhaSenha();
+                return { tela: "Operadores", sair: true };
+
+            case 7:
+                return { tela: "Menu", sair: true };
+
+            default:
+                this.opcaoInvalida(7);
+                return { tela: "Operadores", sair: false };
+        }
+    }
+}
@@ -0,0 +1,271 @@
+import { View } from "./View.js";
+import PacienteController from "../controllers/PacienteController.js";
+import ConsultaController from "../controllers/ConsultaController.js";
+import ProntuarioController from "../controllers/ProntuarioController.js";
+import OdontogramaController from "../controllers/OdontogramaController.js";
+
+import { Permissao } from "../models/Operador.js";
+import { EstadoDente } from "../models/RegistroDente.js";
+import { ErrorCodes } from "../utils/Error.js";
+import Idioma from "../utils/Idioma.js";
+
+import promptSync from 'prompt-sync';
+const prompt = promptSync({ sigint: true });
+
+/**
+ * Classe `Prontuario` representa a interface do prontuário dos pacientes: o histórico de atendimentos,
+ * o registro das anotações, procedimentos e prescrições de cada consulta e o odontograma.
+ * Essa classe estende a classe `View` e interage com os controladores `ProntuarioController` e `OdontogramaController`.
+ */
+export class Prontuario extends View{
+
+    /**
+     * Exibe o menu do prontuário.
+     */
+    show(){
+        this.mostrarMenu("Prontuario");
+    }
+
+    /**
+     * Solicita o CPF, a data e a hora inicial que identificam uma consulta.
+     *
+     * @async
+     * @returns {{cpf: string, data_consulta: string, hora_inicial: string}|null} Dados da consulta, ou nulo se o CPF for inválido
+     */
+    async #lerConsulta(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Prontuario.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return null;
+
+        const data_consulta = await super.validarDataLoop(Idioma.texto("telas.Prontuario.data_consulta"), (entrada) => ConsultaController.validaData(entrada));
+        const hora_inicial = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.hora_inicial"), (entrada) => ConsultaController.validaHoraInicial(entrada));
+
+        return {cpf: cpf_valido.entrada, data_consulta, hora_inicial};
+    }
+
+    /**
+     * Solicita a consulta e abre o seu registro clínico.
+     *
+     * @async
+     * @returns {{cpf: string, data_consulta: string, hora_inicial: string}|null} Dados da consulta, ou nulo se ela não puder ser alterada
+     */
+    async #abrirAtendimento(){
+        const atendimento = await this.#lerConsulta();
+        if(!atendimento)
+            return null;
+
+        const abertura = await ProntuarioController.abrirRegistro(atendimento.cpf, atendimento.data_consulta, atendimento.hora_inicial);
+        if(!abertura.success){
+            this.processarErros(abertura.error);
+            return null;
+        }
+
+        console.log("\n" + ProntuarioController.formatarAtendimento(abertura.consulta, abertura.registro));
+        return atendimento;
+    }
+
+    /**
+     * Exibe o histórico de atendimentos de um paciente, do mais antigo para o mais recente.
+     * @async
+     */
+    async mostrarHistorico(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Prontuario.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return;
+
+        console.log(await ProntuarioController.listarHistorico(cpf_valido.entrada));
+    }
+
+    /**
+     * Registra o atendimento de uma consulta: as anotações, os procedimentos realizados e as prescrições.
+     * Ao final permite encerrar o atendimento, o que bloqueia o registro.
+     * @async
+     */
+    async registrarAtendimento(){
+        const atendimento = await this.#abrirAtendimento();
+        if(!atendimento)
+            return;
+
+        const { cpf, data_consulta, hora_inicial } = atendimento;
+        const resultados = [];
+
+        const anotacoes = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.anotacoes"), (entrada) => ProntuarioController.validaAnotacoes(entrada));
+        if(anotacoes !== "")
+            resultados.push(await ProntuarioController.salvarAnotacoes(cpf, data_consulta, hora_inicial, anotacoes === "-" ? "" : anotacoes));
+
+        while(await this.lerSimNao(Idioma.texto("telas.Prontuario.incluir_procedimento"))){
+            const descricao = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.procedimento"), (entrada) => ProntuarioController.validaProcedimento(entrada));
+            resultados.push(await ProntuarioController.addProcedimento(cpf, data_consulta, hora_inicial, descricao));
+        }
+
+        while(await this.lerSimNao(Idioma.texto("telas.Prontuario.incluir_prescricao"))){
+            const medicamento = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.medicamento"), (entrada) => ProntuarioController.validaMedicamento(entrada));
+            const posologia = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.posologia"), (entrada) => ProntuarioController.validaPosologia(entrada));
+            resultados.push(await ProntuarioController.addPrescricao(cpf, data_consulta, hora_inicial, {medicamento, posologia}));
+        }
+
+        const falha = resultados.find((resultado) => !resultado.success);
+        if(falha){
+            this.processarErros(falha.error);
+            return;
+        }
+
+        console.log("\n" + Idioma.texto("telas.Prontuario.salvo"));
+
+        if(!(await this.lerSimNao(Idioma.texto("telas.Prontuario.encerrar"))))
+            return;
+
+        const encerramento = await ProntuarioController.encerrarAtendimento(cpf, data_consulta, hora_inicial);
+        if (encerramento.success) {
+            console.log("\n" + Idioma.texto("telas.Prontuario.encerrado"));
+        } else {
+            this.processarErros(encerramento.error);
+        }
+    }
+
+    /**
+     * Remove um procedimento ou uma prescrição registrada por engano em um atendimento ainda aberto.
+     *
+     * @async
+     * @param {"procedimento"|"prescricao"} tipo - Tipo do item a remover.
+     */
+    async removerItem(tipo){
+        const atendimento = await this.#abrirAtendimento();
+        if(!atendimento)
+            return;
+
+        const { cpf, data_consulta, hora_inicial } = atendimento;
+        const id = prompt(Idioma.texto(`telas.Prontuario.${tipo}_id`));
+
+        const resultado = (tipo === "procedimento")
+            ? await ProntuarioController.removeProcedimento(cpf, data_consulta, hora_inicial, id)
+            : await ProntuarioController.removePrescricao(cpf, data_consulta, hora_inicial, id);
+
+        if (resultado.success) {
+            console.log("\n" + Idioma.texto("telas.Prontuario.removido"));
+        } else {
+            this.processarErros(resultado.error);
+        }
+    }
+
+    /**
+     * Exibe o odontograma de um paciente.
+     * @async
+     */
+    async mostrarOdontograma(){
+        const cpf_valido = await super.validarEntrada(Idioma.texto("telas.Prontuario.cpf"), async (entrada) => PacienteController.validaCpf(entrada));
+
+        // Se errar no cpf desistir da operação
+        if(!cpf_valido.success)
+            return;
+
+        const paciente = await PacienteController.getPaciente(cpf_valido.entrada);
+        if(!paciente){
+            this.processarErros(ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO);
+            return;
+        }
+
+        console.log("\n" + OdontogramaController.formatarOdontograma(paciente, await OdontogramaController.getOdontograma(paciente.cpf)));
+    }
+
+    /**
+     * Atualiza o odontograma durante o atendimento de uma consulta: para cada dente escolhido registra o estado e uma observação.
+     * @async
+     */
+    async atualizarOdontograma(){
+        const atendimento = await this.#lerConsulta();
+        if(!atendimento)
+            return;
+
+        const { cpf, data_consulta, hora_inicial } = atendimento;
+
+        const abertura = await ProntuarioController.getConsultaAberta(cpf, data_consulta, hora_inicial);
+        if(!abertura.success){
+            this.processarErros(abertura.error);
+            return;
+        }
+
+        const paciente = await PacienteController.getPaciente(cpf);
+        console.log("\n" + OdontogramaController.formatarOdontograma(paciente, await OdontogramaController.getOdontograma(cpf)));
+
+        const estados = Object.values(EstadoDente);
+        const opcoes_estado = estados.map((estado, i) => `${i + 1} - ${Idioma.texto(`estados_dente.${estado}`)}`).join("\n");
+
+        do {
+            const dente = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.dente"), (entrada) => OdontogramaController.validaDente(entrada));
+
+            console.log(opcoes_estado);
+            const opcao = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.estado"), (entrada) => OdontogramaController.validaEstado(estados[Number(entrada) - 1]));
+            const observacao = await super.validarEntradaLoop(Idioma.texto("telas.Prontuario.observacao_dente"), (entrada) => OdontogramaController.validaObservacao(entrada));
+
+            const resultado = await OdontogramaController.registrarDente(cpf, data_consulta, hora_inicial, {dente, estado: estados[Number(opcao) - 1], observacao});
+            if(!resultado.success){
+                this.processarErros(resultado.error);
+                return;
+            }
+        } while(await this.lerSimNao(Idioma.texto("telas.Prontuario.outro_dente")));
+
+        console.log("\n" + Idioma.texto("telas.Prontuario.dente_registrado"));
+        console.log("\n" + OdontogramaController.formatarOdontograma(paciente, await OdontogramaController.getOdontograma(cpf)));
+    }
+
+    /**
+     * Permissões exigidas pelas opções do menu.
+     * @returns {Object<number, string>}
+     */
+    permissoes() {
+        return {
+            1: Permissao.CONSULTAR_PRONTUARIO,
+            2: Permissao.REGISTRAR_ATENDIMENTO,
+            3: Permissao.REGISTRAR_ATENDIMENTO,
+            4: Permissao.REGISTRAR_ATENDIMENTO,
+            5: Permissao.CONSULTAR_PRONTUARIO,
+            6: Permissao.REGISTRAR_ATENDIMENTO,
+        };
+    }
+
+    /**
+     * Processa a opção selecionada no menu.
+     * @param {number} opcao - Opção selecionada pelo usuário.
+     * @returns {{tela: string, sair: boolean}} Objeto contendo o nome da tela e o estado de continuidade.
+     */
+    async processarOpcao(opcao){
+        switch (opcao) {
+            case 1:
+                await this.mostrarHistorico();
+                return { tela: "Prontuario", sair: true };
+
+            case 2:
+                await this.registrarAtendimento();
+                return { tela: "Prontuario", sair: true };
+
+            case 3:
+                await this.removerItem("procedimento");
+                return { tela: "Prontuario", sair: true };
+
+            case 4:
+                await this.removerItem("prescricao");
+                return { tela: "Prontuario", sair: true };
+
+            case 5:
+                await this.mostrarOdontograma();
+                return { tela: "Prontuario", sair: true };
+
+            case 6:
+                await this.atualizarOdontograma();
+                return { tela: "Prontuario", sair: true };
+
+            case 7:
+                return { tela: "CadastroPacientes", sair: true };
+
+            default:
+                // Chama novamente se a opção for inválida
+                this.opcaoInvalida(7);
+                return { sair: false };
+        }
+    }
+};
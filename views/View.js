@@ -1,6 +1,9 @@
 import promptSync from 'prompt-sync';
 const prompt = promptSync({ sigint: true });
 import { ErrorCodes } from '../utils/Error.js';
+import Expediente from '../utils/Expediente.js';
+import Idioma from '../utils/Idioma.js';
+import OperadorController from '../controllers/OperadorController.js';
 
 /**
  * Classe base para gerenciar a interação com o usuário.
@@ -14,42 +17,16 @@ export class View{
      * @param {number} erro - O código do erro a ser processado.
      */
     processarErros(erro) {
-        const ErrorToMsg = {
-            [ErrorCodes.ERR_CPF_INVALIDO]:                  "Erro: CPF inválido.",
-            [ErrorCodes.ERR_CPF_DUPLICADO]:                 "Erro: Paciente já cadastrado.",
-            [ErrorCodes.ERR_NOME_INVALIDO]:                 "Erro: Nome deve ter pelo menos 5 caracteres.",
-            [ErrorCodes.ERR_DATA_PACIENTE_INVALIDA]:        "Erro: Data de nascimento inválida. Formato esperado: DD/MM/AAAA.",
-            [ErrorCodes.ERR_IDADE_INSUFICIENTE]:            "Erro: Paciente deve ter pelo menos 13 anos.",
-            [ErrorCodes.ERR_PACIENTE_NAO_CADASTRADO]:       "Erro: Paciente não cadastrado.",
-            [ErrorCodes.ERR_PACIENTE_AGENDADO]:             "Erro: paciente está agendado.",
-            [ErrorCodes.ERR_PACIENTE_INCOMPLETO]:           "Erro: faltam dados obrigatórios para criar o paciente.",
-
-            [ErrorCodes.ERR_DATA_CONSULTA_INVALIDA]:        "Erro: Data da consulta deve ter o formato DD/MM/AAAA.",
-            [ErrorCodes.ERR_DATA_CONSULTA_ANTERIOR]:        "Erro: Não é possivel fazer agendamento anterior a data de hoje",
-            [ErrorCodes.ERR_DATA_CONSULTA_HOJE_FECHADO]:    "Erro: Não é mais possível marcar uma consulta hoje, horário de funcionamento das 08:00h às 19:00h",
-            [ErrorCodes.ERR_HORA_INVALIDA]:                 "Erro: Formato inválido de hora, use o fromato HHmm.",
-            [ErrorCodes.ERR_HORA_HORARIO_INVALIDO]:         "Erro: As consultas só podem ser marcadas de 15 em 15 minutos",
-            [ErrorCodes.ERR_HORA_FINAL_ANTES_INICIAL]:      "Erro: Hora final deve ser maior que a hora inicial!" ,
-            [ErrorCodes.ERR_HORA_PASSADA]:                  "Erro: Não é possível agendar horário anterior ao horário atual",
-            [ErrorCodes.ERR_HORA_HORARIO_FECHADO]:          "Erro: O horário de funcionamento é das 08:00h às 19:00h",
-            [ErrorCodes.ERR_HORA_SEM_DATA_CONSULTA]:        "Erro: sem data de consulta!",
-            [ErrorCodes.ERR_HORA_SEM_HORA_INICIAL]:         "Erro: sem hora inicial da consulta!",
-            [ErrorCodes.ERR_CONSULTA_INCOMPLETA]:           "Erro: faltam dados obrigatórios para criar a consulta.",
-            [ErrorCodes.ERR_DATA_FINAL_MENOR_INICIAL]:      "Erro: Data final menor que a inicial.",
-            [ErrorCodes.ERR_CONSULTA_SOBREPOSTA]:           "Erro: já existe uma consulta agendada nesse horário",
-            [ErrorCodes.ERR_CONSULTA_DUPLA]:                "Erro: Paciente já possui uma consulta marcada",
-            
-            [ErrorCodes.ERR_CONSULTA_NAO_ENCONTRADA]:       "Erro: agendamento não encontrado",
-            [ErrorCodes.ERR_ENTRADA_INVALIDA_AGENDA]:       "Entrada deve ser T ou P!",
-
-            [ErrorCodes.ERR_BD_DESCONHECIDO]:               "Erro: Ocorreu um erro desconhecido ao se conectar com o banco de dados",
-            [ErrorCodes.ERR_BD_FALHA_CONEXAO]:              "Erro: Falha ao se conectar com o banco de dados",
-            [ErrorCodes.ERR_BD_HOST_INVALIDO]:              "Erro: Host inválido, verifique o .env e as credenciais do seu banco de dados",
-            [ErrorCodes.ERR_BD_INEXISTENTE]:                "Erro: Nome do Banco de dados inválido, verifique o .env e as credenciais do seu banco de dados",
-            [ErrorCodes.ERR_BD_LOGIN_INVALIDO]:             "Erro: Login inválido, verifique o .env e as credenciais do seu banco de dados",
-        };
-    
-        console.log("\n"+ErrorToMsg[erro] || "Erro desconhecido.");
+        console.log("\n" + this.mensagemErro(erro));
+    }
+
+    /**
+     * Retorna a mensagem correspondente a um código de erro, no idioma da interface.
+     * @param {number} erro - O código do erro.
+     * @returns {string} A mensagem do erro.
+     */
+    mensagemErro(erro) {
+        return Idioma.erro(erro, { expediente: Expediente.descricao() });
     }
 
     /**
@@ -61,6 +38,24 @@ export class View{
         throw new Error("Método show() deve ser implementado nas subclasses");
     }
 
+    /**
+     * Exibe o título e as opções numeradas de uma tela, a partir do catálogo do idioma.
+     * @param {string} tela - Identificador da tela no catálogo, o mesmo usado na navegação entre telas.
+     * @param {Object<string, *>} [parametros={}] - Valores dos parâmetros do título.
+     */
+    mostrarMenu(tela, parametros = {}) {
+        const opcoes = Idioma.texto(`telas.${tela}.opcoes`);
+        console.log(`\n${Idioma.texto(`telas.${tela}.titulo`, parametros)}\n` + opcoes.map((opcao, i) => `${i + 1} - ${opcao}`).join("\n") + "\n");
+    }
+
+    /**
+     * Exibe o aviso de opção inválida.
+     * @param {number} maximo - Número da última opção da tela.
+     */
+    opcaoInvalida(maximo) {
+        console.log(Idioma.texto("comum.opcao_invalida", { maximo }));
+    }
+
      /**
      * Lê uma opção numérica fornecida pelo usuário.
      * @param {string} mensagem - A mensagem a ser exibida ao solicitar a entrada.
@@ -71,6 +66,66 @@ export class View{
         return opcao;
     }
 
+    /**
+     * Lê uma senha sem mostrá-la no terminal.
+     * @param {string} mensagem - A mensagem a ser exibida ao solicitar a entrada.
+     * @returns {string} A senha digitada.
+     */
+    lerSenha(mensagem) {
+        return prompt(mensagem, { echo: "*" });
+    }
+
+    /**
+     * Faz uma pergunta de sim ou não em loop até que a resposta seja válida.
+     * @async
+     * @param {string} pergunta - A pergunta, sem as opções de resposta.
+     * @returns {boolean} Verdadeiro se a resposta for sim.
+     */
+    async lerSimNao(pergunta) {
+        const sim = Idioma.texto("respostas.sim");
+        const nao = Idioma.texto("respostas.nao");
+
+        const resposta = await this.validarEntradaLoop(Idioma.texto("comum.sim_nao", { pergunta }), (entrada) => {
+            if ((entrada === sim) || (entrada === nao))
+                return { success: true };
+
+            return { success: false, error: ErrorCodes.ERR_ENTRADA_INVALIDA_SIM_NAO };
+        });
+
+        return resposta === sim;
+    }
+
+    /**
+     * Lê uma data no formato do idioma em loop até que seja válida.
+     * @async
+     * @param {string} mensagem - A mensagem a ser exibida ao solicitar a data.
+     * @param {function} metodo - O método de validação, que recebe a data no formato "dd/MM/yyyy".
+     * @returns {string} A data no formato "dd/MM/yyyy", ou vazio se o método aceitar a entrada vazia.
+     */
+    async validarDataLoop(mensagem, metodo) {
+        const entrada = await this.validarEntradaLoop(mensagem, (entrada) => metodo(Idioma.dataInterna(entrada)));
+        return Idioma.dataInterna(entrada);
+    }
+
+    /**
+     * Lê uma nova senha em loop até que ela seja válida e confirmada.
+     * @param {string} mensagem - A mensagem a ser exibida ao solicitar a senha.
+     * @returns {string} A senha confirmada.
+     */
+    lerNovaSenha(mensagem) {
+        while (true) {
+            const senha = this.lerSenha(mensagem);
+            const validacao = OperadorController.validaSenha(senha);
+
+            if (!validacao.success)
+                this.processarErros(validacao.error);
+            else if (this.lerSenha(Idioma.texto("comum.confirmar_senha")) !== senha)
+                this.processarErros(ErrorCodes.ERR_SENHA_CONFIRMACAO);
+            else
+                return senha;
+        }
+    }
+
     /**
      * Valida uma entrada fornecida pelo usuário com um método de validação.
      * 
@@ -125,6 +180,15 @@ export class View{
         throw new Error("Método processarOpcao() deve ser implementado nas subclasses");
     }
 
+    /**
+     * Permissões exigidas pelas opções do menu, indexadas pelo número da opção.
+     * Pode ser sobrescrito nas subclasses, as opções ausentes ficam disponíveis para todos os operadores.
+     * @returns {Object<number, string>} Valores de `Permissao` para cada opção restrita.
+     */
+    permissoes(){
+        return {};
+    }
+
 
     /**
      * Loop principal para exibição e processamento das opções da interface.
@@ -140,6 +204,14 @@ export class View{
 
             this.show();
             const opcao = this.lerOpcao("> ");
+
+            // Opções que o papel do operador não permite não são executadas
+            const permissao = this.permissoes()[opcao];
+            if(permissao && !OperadorController.temPermissao(permissao)){
+                this.processarErros(ErrorCodes.ERR_PERMISSAO_NEGADA);
+                continue;
+            }
+
             mensagem = await this.processarOpcao(opcao);
 
             sair = mensagem.sair;